@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const { logger } = require('../services/generic');
+const x509 = require('../services/x509');
+const certificateAuthority = require('../services/certificateAuthority');
+const Certificate = require('../models/Certificate');
+const TPMKey = require('../models/TPMKey');
+
+// The built-in certificate authority over /api/v1 (see the project plan)
+class CertificateController {
+  summarize(record) {
+    return {
+      id: record._id,
+      serialNumber: record.serialNumber,
+      subject: record.subject,
+      issuer: record.issuer,
+      profile: record.profile,
+      keyId: record.keyId,
+      status: record.status,
+      revokedAt: record.revokedAt,
+      revocationReason: record.revocationReason,
+      notBefore: record.notBefore,
+      notAfter: record.notAfter,
+      fingerprint: record.fingerprint,
+      issuedBy: record.issuedBy,
+      createdAt: record.createdAt
+    };
+  }
+
+  handleError(res, error, message) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(`${message}:`, error);
+    res.status(500).json({ error: message, details: error.message });
+  }
+
+  // PEM by default; ?format=der downloads the DER
+  sendCertificate(res, pem, format, fileName) {
+    if (format === 'der') {
+      res.setHeader('Content-Type', 'application/pkix-cert');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.cer"`);
+      return res.send(x509.fromPem(pem));
+    }
+    res.setHeader('Content-Type', 'application/pem-certificate-chain');
+    res.send(pem);
+  }
+
+  // POST /api/v1/certificates/request with { keyId } to certify one of our
+  // keys from its stored CSR, or { csr } for any PKCS#10 request
+  async requestCertificate(req, res) {
+    try {
+      const { keyId, csr, profile, validityDays, dnsNames } = req.body;
+      const options = {
+        profile: profile || 'client',
+        validityDays: validityDays === undefined || validityDays === null || validityDays === '' ? null : validityDays,
+        dnsNames: Array.isArray(dnsNames) ? dnsNames : [],
+        issuedBy: req.body.issuedBy || 'system'
+      };
+
+      let record;
+      if (keyId) {
+        if (!mongoose.Types.ObjectId.isValid(keyId)) {
+          return res.status(400).json({ error: 'Invalid key ID' });
+        }
+        const key = await TPMKey.findById(keyId);
+        if (!key || key.status === 'deleted') {
+          return res.status(404).json({ error: 'Key not found' });
+        }
+        record = await certificateAuthority.issueForKey(key, options);
+      } else if (csr) {
+        record = await certificateAuthority.issue({ ...options, csr });
+      } else {
+        return res.status(400).json({ error: 'Send the keyId of a key with a CSR, or a csr' });
+      }
+
+      res.status(201).json({
+        success: true,
+        ...this.summarize(record),
+        certificate: record.certificate
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to issue certificate');
+    }
+  }
+
+  // GET /api/v1/certificates?status=&keyId=&limit=
+  async listCertificates(req, res) {
+    try {
+      const filter = {};
+      if (req.query.status) {
+        filter.status = req.query.status;
+      }
+      if (req.query.keyId) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.keyId)) {
+          return res.status(400).json({ error: 'Invalid key ID' });
+        }
+        filter.keyId = req.query.keyId;
+      }
+
+      const records = await Certificate.find(filter)
+        .select('-certificate')
+        .sort({ createdAt: -1 })
+        .limit(Number(req.query.limit) || 100);
+
+      res.json(records.map(record => this.summarize(record)));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list certificates');
+    }
+  }
+
+  // GET /api/v1/certificates/:id; ?format=pem or der returns the certificate itself
+  async getCertificate(req, res) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid certificate ID' });
+      }
+
+      const record = await Certificate.findById(id);
+      if (!record) {
+        return res.status(404).json({ error: 'Certificate not found' });
+      }
+
+      const format = (req.query.format || 'json').toLowerCase();
+      if (format === 'pem' || format === 'der') {
+        return this.sendCertificate(res, record.certificate, format, record.serialNumber);
+      }
+      res.json({ ...this.summarize(record), certificate: record.certificate });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch certificate');
+    }
+  }
+
+  // DELETE /api/v1/certificates/:id revokes the certificate ({ reason })
+  async revokeCertificate(req, res) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid certificate ID' });
+      }
+
+      const body = req.body || {};
+      const record = await certificateAuthority.revoke(id, body.reason || 'unspecified', {
+        revokedBy: body.revokedBy || 'system'
+      });
+
+      res.json({
+        success: true,
+        ...this.summarize(record)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to revoke certificate');
+    }
+  }
+
+  // GET /api/v1/ca/crl, DER by default; ?format=pem
+  async getCrl(req, res) {
+    try {
+      const crl = await certificateAuthority.getCrl();
+
+      res.setHeader('Last-Modified', crl.thisUpdate.toUTCString());
+      res.setHeader('Expires', crl.nextUpdate.toUTCString());
+      if ((req.query.format || 'der').toLowerCase() === 'pem') {
+        res.setHeader('Content-Type', 'application/x-pem-file');
+        return res.send(x509.toPem(crl.der, 'X509 CRL'));
+      }
+      res.setHeader('Content-Type', 'application/pkix-crl');
+      res.setHeader('Content-Disposition', 'attachment; filename="ca.crl"');
+      res.send(crl.der);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch CRL');
+    }
+  }
+
+  // POST /api/v1/ocsp with an application/ocsp-request body, or
+  // GET /api/v1/ocsp/<base64 request> (RFC 6960, A.1)
+  async ocsp(req, res) {
+    try {
+      const request = req.method === 'GET' ? Buffer.from(req.params[0] || '', 'base64') : req.body;
+      if (!Buffer.isBuffer(request) || request.length === 0) {
+        return res.status(415).json({ error: 'Send an OCSPRequest as application/ocsp-request' });
+      }
+
+      const response = await certificateAuthority.respondOcsp(request);
+
+      res.setHeader('Content-Type', 'application/ocsp-response');
+      res.send(response);
+    } catch (error) {
+      if (error.status) {
+        logger.warn(`OCSP request refused: ${error.message}`);
+      }
+      this.handleError(res, error, 'Failed to answer OCSP request');
+    }
+  }
+
+  // GET /api/v1/ca/certificate
+  async getCACertificate(req, res) {
+    try {
+      const key = await certificateAuthority.getKey();
+      this.sendCertificate(res, key.certificate, (req.query.format || 'pem').toLowerCase(), 'ca');
+    } catch (error) {
+      this.handleError(res, error, 'Failed to fetch CA certificate');
+    }
+  }
+
+  // POST /api/v1/ca/certificate: self-signs the CA key once
+  async createCACertificate(req, res) {
+    try {
+      const record = await certificateAuthority.createRoot({ issuedBy: req.body.issuedBy || 'system' });
+
+      res.status(201).json({
+        success: true,
+        ...this.summarize(record),
+        certificate: record.certificate
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create CA certificate');
+    }
+  }
+}
+
+module.exports = new CertificateController();
@@ -3,37 +3,104 @@ const Document = require('../models/Document');
 const TPMKey = require('../models/TPMKey');
 const Signature = require('../models/Signature');
 const SignedDocument = require('../models/SignedDocument');
+const SignBatch = require('../models/SignBatch');
 const tpmService = require('../services/tpmService');
+const signatureAlgorithms = require('../services/signatureAlgorithms');
+const jws = require('../services/jws');
+const cms = require('../services/cms');
+const cose = require('../services/cose');
+const pades = require('../services/pades');
+const tsp = require('../services/tsp');
+const certificateAuthority = require('../services/certificateAuthority');
+const signedFiles = require('../services/signedFiles');
+const documentStore = require('../services/documentStore');
+const uploadStorage = require('../services/uploadStorage');
+const mimeTypes = require('../services/mimeTypes');
+const config = require('../services/configuration');
+const x509 = require('../services/x509');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 
+const MAX_FILE_SIZE = config.get('upload:maxFileSize') || 100 * 1024 * 1024;
+
+// Any file type, streamed to a temporary file while its hash and type are
+// computed (see services/uploadStorage)
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: uploadStorage,
   limits: {
-    fileSize: 10 * 1024 * 1024
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.txt', '.md', '.json'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (allowedTypes.includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only .txt, .md, and .json files are allowed.'));
-    }
+    fileSize: MAX_FILE_SIZE
   }
 }).single('document');
 
+// COSE_Sign1 messages uploaded for verification are binary CBOR of any name
+const coseUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE
+  }
+}).single('cose');
+
+// Signed files sent back for verification: the signed or original `file`
+// and, for detached signatures, the `.sig` file as `signature`
+const verifyUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE
+  }
+}).fields([{ name: 'file', maxCount: 1 }, { name: 'signature', maxCount: 1 }]);
+
+// Standard signature formats signDocument can produce besides its own
+// embedded and detached files; 'pades' signs inside PDF documents
+const SIGNATURE_FORMATS = ['jws', 'cms', 'cose', 'pades'];
+
+// Sign request fields a batch passes to each of its signatures
+const BATCH_OPTIONS = [
+  'format', 'hashAlgorithm', 'canonicalization', 'serialization', 'detached',
+  'timestamp', 'level', 'visible', 'page', 'rect', 'reason', 'location'
+];
+
+const MAX_BATCH_ITEMS = config.get('batch:maxItems') || 500;
+
+// An error signWithKey reports to the client, with its HTTP status and extra
+// response fields
+function signingError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// The bytes of a signature value as stored: base64url in JWS, base64 from
+// the windows-cng backend and hex otherwise. Time-stamps are over these bytes.
+function signatureBytes(signature, format, key) {
+  if (format === 'jws') {
+    return Buffer.from(signature, 'base64url');
+  }
+  if (format === 'raw' && tpmService.getKeyBackend(key).name === 'windows-cng') {
+    return Buffer.from(signature, 'base64');
+  }
+  return Buffer.from(signature, 'hex');
+}
+
 class DocumentController {
   async listDocuments(req, res) {
     try {
       const documents = await Document.find()
+        .select('-content -data')
         .sort({ uploadedAt: -1 })
         .lean();
+
+      const activeKeys = await TPMKey.find({ status: 'active' })
+        .select('_id name keyType')
+        .lean();
       
       res.render('documents', {
         title: 'Document Management',
         documents: documents,
+        keys: activeKeys,
+        maxFileSize: MAX_FILE_SIZE,
         success: req.query.success,
         error: req.query.error
       });
@@ -50,7 +117,7 @@ class DocumentController {
     try {
       const documents = await Document.find()
         .sort({ uploadedAt: -1 })
-        .select('_id fileName fileType fileSize hash uploadedAt signatureCount')
+        .select('_id fileName fileType mimeType fileSize hash uploadedAt signatureCount')
         .lean();
       
       res.json(documents);
@@ -72,23 +139,25 @@ class DocumentController {
           return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const content = req.file.buffer.toString('utf-8');
-        const hash = tpmService.calculateHash(content);
-        const ext = path.extname(req.file.originalname).toLowerCase();
-        
-        let fileType = 'text';
-        if (ext === '.md') fileType = 'markdown';
-        else if (ext === '.json') fileType = 'json';
+        const { hash, mimeType, fileType } = req.file;
 
         const existingDoc = await Document.findOne({ hash: hash });
         if (existingDoc) {
           return res.status(400).json({ error: 'Document with same content already exists' });
         }
 
+        const stored = await documentStore.storeFile(req.file.path, {
+          fileName: req.file.originalname,
+          mimeType,
+          fileType,
+          size: req.file.size
+        });
+
         const newDocument = new Document({
           fileName: req.file.originalname,
           fileType: fileType,
-          content: content,
+          mimeType: mimeType,
+          ...stored,
           size: req.file.size,
           hash: hash,
           uploadedBy: req.body.uploadedBy || 'user'
@@ -103,6 +172,7 @@ class DocumentController {
             id: newDocument._id,
             fileName: newDocument.fileName,
             fileType: newDocument.fileType,
+            mimeType: newDocument.mimeType,
             size: newDocument.size,
             hash: newDocument.hash,
             uploadedAt: newDocument.uploadedAt
@@ -111,6 +181,12 @@ class DocumentController {
       } catch (error) {
         logger.error('Error saving document:', error);
         res.status(500).json({ error: 'Failed to save document' });
+      } finally {
+        if (req.file) {
+          await fs.rm(req.file.path, { force: true }).catch((rmError) => {
+            logger.warn(`Could not remove upload ${req.file.path}: ${rmError.message}`);
+          });
+        }
       }
     });
   }
@@ -119,7 +195,7 @@ class DocumentController {
     try {
       const { documentId } = req.params;
       
-      const document = await Document.findById(documentId).lean();
+      const document = await Document.findById(documentId).select('-data').lean();
       if (!document) {
         return res.status(404).render('errorPage', {
           title: 'Error',
@@ -135,6 +211,7 @@ class DocumentController {
       res.render('documentDetail', {
         title: `Document: ${document.fileName}`,
         document: document,
+        preview: await documentStore.preview(document),
         signatures: signatures
       });
     } catch (error) {
@@ -150,7 +227,7 @@ class DocumentController {
     try {
       const { documentId } = req.params;
       
-      const document = await Document.findById(documentId).lean();
+      const document = await Document.findById(documentId).select('-data').lean();
       if (!document) {
         return res.status(404).render('errorPage', {
           title: 'Error',
@@ -172,8 +249,10 @@ class DocumentController {
       res.render('signDocument', {
         title: `Sign Document: ${document.fileName}`,
         document: document,
+        preview: await documentStore.preview(document),
         keys: activeKeys,
-        signatures: existingSignatures
+        signatures: existingSignatures,
+        timestampAvailable: Boolean(config.get('timestamp:tsaUrl'))
       });
     } catch (error) {
       logger.error('Error showing sign page:', error);
@@ -203,19 +282,347 @@ class DocumentController {
         return res.status(404).json({ error: 'Active key not found' });
       }
 
-      const documentHash = document.hash;
-      const isTPMKey = key.inTPM === true;
-      
-      // For software keys, use the private key; for TPM keys, use the handle
-      const keyMaterial = isTPMKey ? key.tpmHandle : (key.metadata.get('privateKey') || key.tpmHandle);
-      const signature = await tpmService.signDocument(documentHash, keyMaterial, isTPMKey);
+      const { signature, value, envelope } = await this.signWithKey(document, key, { ...req.query, ...req.body });
+
+      res.json({
+        success: true,
+        signature: {
+          id: signature._id,
+          signature: value,
+          algorithm: signature.algorithm,
+          hashAlgorithm: signature.hashAlgorithm,
+          format: signature.format,
+          canonicalization: signature.canonicalization,
+          signedAt: signature.signedAt,
+          ...(signature.timestamp ? { timestamp: signature.timestamp } : {})
+        },
+        ...(signature.format !== 'raw' ? { [signature.format]: envelope } : {})
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.details });
+      }
+      logger.error('Error signing document:', error);
+      res.status(500).json({ error: 'Failed to sign document' });
+    }
+  }
+
+  // The format, hash algorithm, canonicalization and time-stamping of a sign
+  // request, checked before any document is loaded
+  readSigningOptions(source) {
+    const hashAlgorithm = source.hashAlgorithm || null;
+    if (hashAlgorithm && !signatureAlgorithms.isHashSupported(hashAlgorithm)) {
+      throw signingError(400, `Unsupported hash algorithm: ${hashAlgorithm}`, { supported: signatureAlgorithms.HASH_ALGORITHMS });
+    }
+
+    const format = source.format || null;
+    if (format && !SIGNATURE_FORMATS.includes(format)) {
+      throw signingError(400, `Unsupported signature format: ${format}`, { supported: SIGNATURE_FORMATS });
+    }
+
+    const canonicalization = source.canonicalization || 'none';
+    if (!signedFiles.CANONICALIZATIONS.includes(canonicalization)) {
+      throw signingError(400, `Unsupported canonicalization: ${canonicalization}`, { supported: signedFiles.CANONICALIZATIONS });
+    }
+
+    const timestamp = String(source.timestamp) === 'true';
+    if (timestamp && !config.get('timestamp:tsaUrl')) {
+      throw signingError(400, 'No time-stamp authority is configured (timestamp.tsaUrl)');
+    }
+
+    return { hashAlgorithm, format, canonicalization, timestamp };
+  }
+
+  // Signs a document with a key and records the Signature and signed files.
+  // options are the request fields (format, hashAlgorithm, canonicalization,
+  // serialization, detached, timestamp, signedBy and the PAdES options).
+  // Returns the saved Signature, the signature value and the envelope of
+  // standard formats; problems with the request throw errors with the HTTP
+  // status.
+  //
+  // timestamp=true has the TSA time-stamp the signature value (RFC 3161). The
+  // token is recorded with the Signature and embedded in CMS (an unsigned
+  // attribute), JWS (the JSON serialization's unprotected header) and PAdES,
+  // where it makes the signature B-T.
+  async signWithKey(document, key, options) {
+    const { hashAlgorithm: requestedHash, format, canonicalization, timestamp } = this.readSigningOptions(options);
+
+    // Standard formats sign messages, which not every backend can: windows-cng
+    // keys sign ASCII only, so attached JWS
+    if (format) {
+      const backend = tpmService.getKeyBackend(key);
+      const binary = format !== 'jws' || String(options.detached) === 'true';
+      if (!backend.canSignData(key, { binary })) {
+        const formatName = format === 'jws' && binary ? 'detached JWS' : { jws: 'JWS', cms: 'CMS', cose: 'COSE', pades: 'PAdES' }[format];
+        throw signingError(400, `Key ${key.name} is on the ${backend.name} backend, which cannot sign ${formatName} signatures`);
+      }
+    }
+
+    // Raw signatures sign the digest, so only standard formats and canonical
+    // JSON load the document
+    const content = format || canonicalization === 'jcs' ? await documentStore.readContent(document) : null;
+    let signedContent = content;
+    if (canonicalization === 'jcs') {
+      if (document.fileType !== 'json' || format) {
+        throw signingError(400, 'JCS canonicalization applies to JSON documents with embedded or detached signatures');
+      }
+      try {
+        signedContent = signedFiles.canonicalJson(content);
+      } catch (canonicalError) {
+        throw signingError(400, canonicalError.message);
+      }
+    }
+
+    let hashAlgorithm;
+    let signature;
+    let envelope = null;
+    let signedPdf = null;
+
+    let timestampInfo = null;
+    const stamp = async (value) => {
+      try {
+        timestampInfo = await tsp.requestTimestamp(value);
+      } catch (timestampError) {
+        logger.error('Error time-stamping signature:', timestampError);
+        throw signingError(502, `Could not time-stamp the signature: ${timestampError.message}`);
+      }
+      return timestampInfo.token;
+    };
+
+    if (format === 'jws' || format === 'cose') {
+      // JOSE and COSE algorithms fix their digest, so the key's own choice does not apply
+      const algorithm = signatureAlgorithms.getAlgorithm(key.keyType || 'ES256');
+      if (requestedHash && requestedHash !== algorithm.hash) {
+        throw signingError(400, `${algorithm.name} ${format.toUpperCase()} signatures use ${algorithm.hash}`);
+      }
+      hashAlgorithm = algorithm.hash;
+    }
+
+    if (format === 'jws') {
+      const serialization = options.serialization || (timestamp ? 'json' : 'compact');
+      if (!jws.SERIALIZATIONS.includes(serialization)) {
+        throw signingError(400, `Unsupported JWS serialization: ${serialization}`, { supported: jws.SERIALIZATIONS });
+      }
+      if (timestamp && serialization === 'compact') {
+        throw signingError(400, 'Time-stamped JWS use the JSON serialization');
+      }
+
+      envelope = await jws.createJws({
+        payload: content,
+        algorithm: key.keyType || 'ES256',
+        kid: key._id.toString(),
+        detached: String(options.detached) === 'true',
+        serialization,
+        timestamp: timestamp ? stamp : null,
+        sign: data => tpmService.signData(data, key)
+      });
+      signature = typeof envelope === 'string' ? envelope.split('.')[2] : envelope.signature;
+    } else if (format === 'cose') {
+      // Stored as base64 of the CBOR, the signature as hex like the other formats
+      const message = await cose.createSign1({
+        payload: content,
+        algorithm: key.keyType || 'ES256',
+        kid: key._id.toString(),
+        detached: String(options.detached) === 'true',
+        sign: data => tpmService.signData(data, key)
+      });
+      envelope = message.toString('base64');
+      signature = cose.parseSign1(message).signature.toString('hex');
+    } else if (format === 'cms' || format === 'pades') {
+      const formatName = format === 'cms' ? 'CMS' : 'PAdES';
+      if (format === 'pades' && document.fileType !== 'pdf') {
+        throw signingError(400, 'PAdES signatures are for PDF documents');
+      }
+      if (!key.certificate) {
+        throw signingError(400, `Key ${key.name} has no certificate; upload one to sign ${formatName}`);
+      }
+      if (!cms.certificateMatches(key.certificate, key.publicKey)) {
+        throw signingError(400, `The certificate of key ${key.name} is for another key`);
+      }
+
+      // Ed25519 signs the signed attributes themselves and is paired with SHA-512 (RFC 8419)
+      const algorithm = signatureAlgorithms.getAlgorithm(key.keyType || 'ES256');
+      if (algorithm.prehash === false && requestedHash && requestedHash !== algorithm.hash) {
+        throw signingError(400, `${algorithm.name} ${formatName} signatures use ${algorithm.hash}`);
+      }
+      hashAlgorithm = algorithm.prehash === false ?
+        algorithm.hash :
+        tpmService.resolveHashAlgorithm(key, requestedHash);
+
+      const sign = async (data) => {
+        signature = await tpmService.signData(data, key, { hashAlgorithm });
+        return signature;
+      };
+
+      if (format === 'pades') {
+        let padesOptions;
+        try {
+          padesOptions = this.readPadesOptions(options);
+        } catch (optionsError) {
+          throw signingError(400, optionsError.message);
+        }
+        if (timestamp) {
+          padesOptions.level = 'B-T';
+        }
+
+        let signed;
+        try {
+          signed = await pades.signPdf(content, {
+            ...padesOptions,
+            certificate: key.certificate,
+            algorithm: algorithm.name,
+            hashAlgorithm,
+            timestamp: padesOptions.level === 'B-T' ? stamp : null,
+            sign
+          });
+        } catch (padesError) {
+          // Before the key signs, failures are about the PDF or the options
+          if (!signature) {
+            throw signingError(400, padesError.message);
+          }
+          throw padesError;
+        }
+        signedPdf = { pdf: signed.pdf, level: padesOptions.level };
+        envelope = cms.toPem(signed.cms);
+      } else {
+        const der = await cms.createSignedData({
+          content: content,
+          certificate: key.certificate,
+          algorithm: algorithm.name,
+          hashAlgorithm,
+          detached: String(options.detached) !== 'false',
+          timestamp: timestamp ? stamp : null,
+          sign
+        });
+        envelope = cms.toPem(der);
+      }
+    } else {
+      hashAlgorithm = tpmService.resolveHashAlgorithm(key, requestedHash);
+    }
+
+    // document.hash is the SHA-256 computed at upload; other digests are
+    // streamed from the store and canonical forms hashed now
+    let documentHash = document.hash;
+    if (canonicalization === 'jcs' || (content !== null && hashAlgorithm !== 'sha256')) {
+      documentHash = tpmService.calculateHash(signedContent, hashAlgorithm);
+    } else if (hashAlgorithm !== 'sha256') {
+      documentHash = await documentStore.digest(document, hashAlgorithm);
+    }
+    if (!envelope) {
+      signature = await tpmService.signDocument(documentHash, key, { hashAlgorithm });
+    }
+    if (timestamp && !timestampInfo) {
+      await stamp(signatureBytes(signature, format || 'raw', key));
+    }
+
+    const newSignature = new Signature({
+      documentId: document._id,
+      keyId: key._id,
+      signature: signature,
+      algorithm: key.keyType || 'ES256',
+      hashAlgorithm: hashAlgorithm,
+      format: format || 'raw',
+      envelope: typeof envelope === 'string' || envelope === null ? envelope : JSON.stringify(envelope),
+      canonicalization: canonicalization,
+      documentHash: documentHash,
+      timestamp: timestampInfo ? {
+        token: timestampInfo.token.toString('base64'),
+        genTime: timestampInfo.genTime,
+        serialNumber: timestampInfo.serialNumber,
+        policy: timestampInfo.policy
+      } : null,
+      signedBy: options.signedBy || 'user'
+    });
+
+    await newSignature.save();
+
+    key.lastUsed = new Date();
+    key.usageCount = (key.usageCount || 0) + 1;
+    await key.save();
+
+    // Create signed document with embedded signature
+    logger.info('About to call createSignedDocument method');
+    try {
+      logger.info('Calling createSignedDocument with:', {
+        documentId: document._id,
+        signatureId: newSignature._id,
+        keyName: key.name,
+        signatureLength: signature.length
+      });
+      await this.createSignedDocument(document, newSignature, key, signature, format ? [format] : undefined, signedPdf);
+      logger.info('createSignedDocument completed successfully');
+    } catch (createError) {
+      logger.error('Error creating signed document (signing still succeeded):', {
+        message: createError.message,
+        stack: createError.stack,
+        name: createError.name,
+        code: createError.code,
+        fullError: createError
+      });
+      // Don't throw - signing was successful even if signed document creation failed
+    }
+
+    logger.info(`Document signed: ${document.fileName} with key: ${key.name}`);
+
+    return { signature: newSignature, value: signature, envelope };
+  }
+
+  // Signs a digest the client computed, for files that are too large or too
+  // confidential to upload. The Signature is recorded without a document.
+  async signHash(req, res) {
+    try {
+      const { keyId, metadata } = req.body;
+      const hashAlgorithm = req.body.hashAlgorithm || 'sha256';
+
+      if (!keyId) {
+        return res.status(400).json({ error: 'Key ID is required' });
+      }
+      if (!mongoose.Types.ObjectId.isValid(keyId)) {
+        return res.status(400).json({ error: 'Invalid key ID' });
+      }
+      if (!signatureAlgorithms.isHashSupported(hashAlgorithm)) {
+        return res.status(400).json({
+          error: `Unsupported hash algorithm: ${hashAlgorithm}`,
+          supported: signatureAlgorithms.HASH_ALGORITHMS
+        });
+      }
+      if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+        return res.status(400).json({ error: 'Metadata must be an object' });
+      }
+
+      let documentHash;
+      try {
+        documentHash = this.readDigest(req.body.digest, req.body.encoding, hashAlgorithm);
+      } catch (digestError) {
+        return res.status(400).json({ error: digestError.message });
+      }
+
+      const key = await TPMKey.findById(keyId);
+      if (!key || key.status !== 'active') {
+        return res.status(404).json({ error: 'Active key not found' });
+      }
+
+      // windows-cng keys hash what they are given themselves
+      const backend = tpmService.getKeyBackend(key);
+      if (!backend.canSignDigests(key)) {
+        return res.status(400).json({ error: `Key ${key.name} is on the ${backend.name} backend, which cannot sign a digest` });
+      }
+
+      const algorithm = key.keyType || 'ES256';
+      const signature = await tpmService.signDocument(documentHash, key, { hashAlgorithm });
+      // Converted before anything is recorded, so a bad signature leaves no trace
+      const p1363 = signatureAlgorithms.toP1363(signature, algorithm);
 
       const newSignature = new Signature({
-        documentId: documentId,
         keyId: keyId,
         signature: signature,
+        algorithm: algorithm,
+        hashAlgorithm: hashAlgorithm,
         documentHash: documentHash,
-        signedBy: req.body.signedBy || 'user'
+        signedBy: req.body.signedBy || 'user',
+        metadata: metadata ?
+          Object.fromEntries(Object.entries(metadata).map(([name, value]) => [name, String(value)])) :
+          undefined
       });
 
       await newSignature.save();
@@ -224,51 +631,336 @@ class DocumentController {
       key.usageCount = (key.usageCount || 0) + 1;
       await key.save();
 
-      // Create signed document with embedded signature
-      logger.info('About to call createSignedDocument method');
-      try {
-        logger.info('Calling createSignedDocument with:', {
-          documentId: document._id,
-          signatureId: newSignature._id,
-          keyName: key.name,
-          signatureLength: signature.length
-        });
-        await this.createSignedDocument(document, newSignature, key, signature);
-        logger.info('createSignedDocument completed successfully');
-      } catch (createError) {
-        logger.error('Error creating signed document (signing still succeeded):', {
-          message: createError.message,
-          stack: createError.stack,
-          name: createError.name,
-          code: createError.code,
-          fullError: createError
-        });
-        // Don't throw - signing was successful even if signed document creation failed
-      }
-
-      logger.info(`Document signed: ${document.fileName} with key: ${key.name}`);
+      logger.info(`Digest signed with key: ${key.name}`);
 
+      // `signature` as recorded (DER for ECDSA), `p1363` as r || s for ECDSA only
+      // and `signatureBase64url` in the encoding of a JWS signature part
       res.json({
         success: true,
         signature: {
           id: newSignature._id,
+          algorithm: algorithm,
+          hashAlgorithm: hashAlgorithm,
+          digest: documentHash,
           signature: signature,
+          ...(signatureAlgorithms.getAlgorithm(algorithm).keyType === 'EC' ? { p1363: p1363.toString('hex') } : {}),
+          signatureBase64url: p1363.toString('base64url'),
           signedAt: newSignature.signedAt
         }
       });
     } catch (error) {
-      logger.error('Error signing document:', error);
-      res.status(500).json({ error: 'Failed to sign document' });
+      logger.error('Error signing digest:', error);
+      res.status(500).json({ error: 'Failed to sign digest' });
+    }
+  }
+
+  // The hex form of a digest given as hex or base64 (base64url too). Without
+  // an encoding, digits and a-f only are taken for hex: a base64 digest
+  // practically always has other letters.
+  readDigest(digest, encoding, hashAlgorithm) {
+    if (typeof digest !== 'string' || !digest.trim()) {
+      throw new Error('Digest is required');
+    }
+    if (encoding && !['hex', 'base64'].includes(encoding)) {
+      throw new Error(`Unsupported digest encoding: ${encoding}`);
+    }
+
+    const value = digest.trim();
+    const length = signatureAlgorithms.getHashLength(hashAlgorithm);
+    const isHex = /^[0-9a-fA-F]+$/.test(value);
+    let bytes;
+    if (encoding === 'hex' || (!encoding && isHex)) {
+      bytes = isHex && value.length % 2 === 0 ? Buffer.from(value, 'hex') : null;
+    } else if (/^[A-Za-z0-9+/_-]+={0,2}$/.test(value)) {
+      bytes = Buffer.from(value, 'base64');
+    }
+
+    if (!bytes || bytes.length !== length) {
+      throw new Error(`Digest must be a ${hashAlgorithm} digest of ${length} bytes in hex or base64`);
+    }
+    return bytes.toString('hex');
+  }
+
+  // Signs documents with one or more keys as a tracked job: every document
+  // named in documentIds, or matching filter, with every key in keyIds. The
+  // SignBatch is returned at once (202) and signed in the background; GET
+  // /api/batches/:batchId shows its progress and the result of each item.
+  async signBatch(req, res) {
+    try {
+      const { documentIds, filter } = req.body;
+      const keyIds = [...new Set([].concat(req.body.keyIds || req.body.keyId || []).map(String))];
+
+      if (keyIds.length === 0) {
+        return res.status(400).json({ error: 'At least one key ID is required' });
+      }
+      if (!documentIds && !filter) {
+        return res.status(400).json({ error: 'Document IDs or a filter are required' });
+      }
+      const invalidIds = [...keyIds, ...[].concat(documentIds || []).map(String)]
+        .filter(id => !mongoose.Types.ObjectId.isValid(id));
+      if (invalidIds.length > 0) {
+        return res.status(400).json({ error: `Invalid IDs: ${invalidIds.join(', ')}` });
+      }
+
+      const options = Object.fromEntries(BATCH_OPTIONS
+        .filter(name => req.body[name] !== undefined && req.body[name] !== null && req.body[name] !== '')
+        .map(name => [name, String(req.body[name])]));
+      try {
+        this.readSigningOptions(options);
+        if (options.format === 'pades') {
+          this.readPadesOptions(options);
+        }
+      } catch (optionsError) {
+        return res.status(400).json({ error: optionsError.message, ...optionsError.details });
+      }
+
+      const keys = await TPMKey.find({ _id: { $in: keyIds }, status: 'active' }).select('_id');
+      const missingKeys = keyIds.filter(id => !keys.some(key => key._id.toString() === id));
+      if (missingKeys.length > 0) {
+        return res.status(404).json({ error: `Active key not found: ${missingKeys.join(', ')}` });
+      }
+
+      let query;
+      if (documentIds) {
+        query = { _id: { $in: [].concat(documentIds) } };
+      } else {
+        try {
+          query = this.readDocumentFilter(filter);
+        } catch (filterError) {
+          return res.status(400).json({ error: filterError.message });
+        }
+      }
+      const documents = await Document.find(query).select('_id').sort({ uploadedAt: 1 }).lean();
+      if (documentIds) {
+        const missingDocuments = [].concat(documentIds).map(String)
+          .filter(id => !documents.some(document => document._id.toString() === id));
+        if (missingDocuments.length > 0) {
+          return res.status(404).json({ error: `Document not found: ${missingDocuments.join(', ')}` });
+        }
+      }
+      if (documents.length === 0) {
+        return res.status(400).json({ error: 'No documents match the filter' });
+      }
+
+      const items = documents.flatMap(document => keyIds.map(keyId => ({ documentId: document._id, keyId })));
+      if (items.length > MAX_BATCH_ITEMS) {
+        return res.status(400).json({
+          error: `A batch signs at most ${MAX_BATCH_ITEMS} documents and keys; this one has ${items.length}`
+        });
+      }
+
+      const batch = new SignBatch({
+        options,
+        filter: documentIds ? null : filter,
+        items,
+        total: items.length,
+        createdBy: req.body.signedBy || 'user'
+      });
+      await batch.save();
+
+      logger.info(`Batch ${batch._id} queued: ${documents.length} document(s), ${keyIds.length} key(s)`);
+
+      this.runBatch(batch);
+
+      res.status(202).json({ success: true, batch: this.summarizeBatch(batch) });
+    } catch (error) {
+      logger.error('Error creating sign batch:', error);
+      res.status(500).json({ error: 'Failed to create sign batch' });
+    }
+  }
+
+  // The Document query for a batch filter: fileType (one or a list),
+  // mimeType, uploadedBy, part of the fileName, uploadedAfter, uploadedBefore
+  readDocumentFilter(filter) {
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+      throw new Error('The filter must be an object');
+    }
+
+    const query = {};
+    if (filter.fileType) {
+      query.fileType = { $in: [].concat(filter.fileType).map(String) };
+    }
+    if (filter.mimeType) {
+      query.mimeType = String(filter.mimeType);
+    }
+    if (filter.uploadedBy) {
+      query.uploadedBy = String(filter.uploadedBy);
     }
+    if (filter.fileName) {
+      query.fileName = { $regex: String(filter.fileName).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    for (const [name, operator] of [['uploadedAfter', '$gte'], ['uploadedBefore', '$lte']]) {
+      if (filter[name]) {
+        const date = new Date(filter[name]);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`Invalid date for ${name}: ${filter[name]}`);
+        }
+        query.uploadedAt = { ...query.uploadedAt, [operator]: date };
+      }
+    }
+    return query;
   }
 
-  async createSignedDocument(document, signature, key, signatureValue) {
+  // Signs the items of a batch one at a time, so hardware keys are not asked
+  // for many signatures at once. A failed item is recorded and the batch goes on.
+  async runBatch(batch) {
+    try {
+      batch.status = 'running';
+      batch.startedAt = new Date();
+      await batch.save();
+
+      const options = { ...Object.fromEntries(batch.options || []), signedBy: batch.createdBy };
+      for (const item of batch.items) {
+        try {
+          const [document, key] = await Promise.all([
+            Document.findById(item.documentId),
+            TPMKey.findById(item.keyId)
+          ]);
+          if (!document) {
+            throw new Error('Document not found');
+          }
+          if (!key || key.status !== 'active') {
+            throw new Error('Active key not found');
+          }
+
+          const { signature } = await this.signWithKey(document, key, options);
+          item.status = 'signed';
+          item.signatureId = signature._id;
+          batch.signed += 1;
+        } catch (itemError) {
+          if (!itemError.status) {
+            logger.error(`Error signing document ${item.documentId} of batch ${batch._id}:`, itemError);
+          }
+          item.status = 'failed';
+          item.error = itemError.message;
+          batch.failed += 1;
+        }
+        item.completedAt = new Date();
+        await batch.save();
+      }
+
+      batch.status = batch.signed === 0 ? 'failed' : 'completed';
+    } catch (error) {
+      logger.error(`Error running batch ${batch._id}:`, error);
+      batch.status = 'failed';
+      batch.error = error.message;
+    }
+
+    batch.completedAt = new Date();
+    await batch.save().catch(saveError => logger.error(`Error saving batch ${batch._id}:`, saveError));
+    logger.info(`Batch ${batch._id} ${batch.status}: ${batch.signed} signed, ${batch.failed} failed`);
+  }
+
+  summarizeBatch(batch) {
+    return {
+      id: batch._id,
+      status: batch.status,
+      total: batch.total,
+      signed: batch.signed,
+      failed: batch.failed,
+      pending: batch.total - batch.signed - batch.failed,
+      error: batch.error,
+      createdBy: batch.createdBy,
+      createdAt: batch.createdAt,
+      startedAt: batch.startedAt,
+      completedAt: batch.completedAt
+    };
+  }
+
+  async getBatches(req, res) {
+    try {
+      const batches = await SignBatch.find()
+        .select('-items')
+        .sort({ createdAt: -1 })
+        .limit(Number(req.query.limit) || 20);
+
+      res.json(batches.map(batch => this.summarizeBatch(batch)));
+    } catch (error) {
+      logger.error('Error fetching sign batches:', error);
+      res.status(500).json({ error: 'Failed to fetch sign batches' });
+    }
+  }
+
+  async getBatch(req, res) {
+    try {
+      const { batchId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(batchId)) {
+        return res.status(400).json({ error: 'Invalid batch ID' });
+      }
+
+      const batch = await SignBatch.findById(batchId)
+        .populate('items.documentId', 'fileName')
+        .populate('items.keyId', 'name');
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+
+      res.json({
+        ...this.summarizeBatch(batch),
+        options: Object.fromEntries(batch.options || []),
+        filter: batch.filter,
+        items: batch.items.map(item => ({
+          documentId: item.documentId ? item.documentId._id : null,
+          fileName: item.documentId ? item.documentId.fileName : null,
+          keyId: item.keyId ? item.keyId._id : null,
+          keyName: item.keyId ? item.keyId.name : null,
+          status: item.status,
+          signatureId: item.signatureId,
+          error: item.error,
+          completedAt: item.completedAt
+        }))
+      });
+    } catch (error) {
+      logger.error('Error fetching sign batch:', error);
+      res.status(500).json({ error: 'Failed to fetch sign batch' });
+    }
+  }
+
+  // Batches run in the server process; the ones a restart cut off are marked
+  // so they do not show as running forever
+  async interruptBatches() {
+    const result = await SignBatch.updateMany(
+      { status: { $in: ['pending', 'running'] } },
+      { status: 'interrupted', completedAt: new Date() }
+    );
+    return result.modifiedCount;
+  }
+
+  // PAdES options of a sign request: level (B-B, or B-T with the time-stamp
+  // authority at timestamp.tsaUrl), visible, page, rect, reason and location
+  readPadesOptions(source) {
+    const level = source.level || 'B-B';
+    if (!pades.LEVELS.includes(level)) {
+      throw new Error(`Unsupported PAdES level: ${level}; use ${pades.LEVELS.join(' or ')}`);
+    }
+    if (level === 'B-T' && !config.get('timestamp:tsaUrl')) {
+      throw new Error('PAdES B-T needs a time-stamp authority; set timestamp.tsaUrl');
+    }
+
+    const options = {
+      level,
+      visible: String(source.visible) === 'true',
+      page: source.page === undefined || source.page === '' ? 1 : Number(source.page),
+      reason: source.reason || null,
+      location: source.location || null
+    };
+    if (source.rect) {
+      options.rect = Array.isArray(source.rect) ? source.rect : String(source.rect).split(',');
+    }
+    return options;
+  }
+
+  // Without formats, text documents get an embedded and a detached signature;
+  // binary documents cannot carry the text signature block, and documents in
+  // GridFS are not loaded to embed one, so they only get the latter.
+  // PAdES signatures pass the signed PDF as signedPdf: { pdf, level }.
+  async createSignedDocument(document, signature, key, signatureValue, formats = null, signedPdf = null) {
     try {
       logger.info('Creating signed documents for:', document.fileName);
-      // Create different formats of signed documents
-      const formats = ['embedded', 'detached'];
       
-      for (const format of formats) {
+      const signedFormats = formats ||
+        (mimeTypes.isTextFileType(document.fileType) && document.storage !== 'gridfs' ? ['embedded', 'detached'] : ['detached']);
+      for (const format of signedFormats) {
         logger.info(`Creating ${format} signed document`);
         let signedContent = '';
         let fileName = '';
@@ -276,7 +968,9 @@ class DocumentController {
         if (format === 'embedded') {
           // Embed signature metadata and signature in the document
           logger.info('Creating embedded signed document content');
-          signedContent = this.createEmbeddedSignedDocument(document, signature, key, signatureValue);
+          signedContent = this.createEmbeddedSignedDocument(
+            document, signature, key, signatureValue, await documentStore.readContent(document)
+          );
           fileName = this.generateSignedFileName(document.fileName, key.name, 'signed');
           logger.info('Embedded content created successfully');
         } else if (format === 'detached') {
@@ -285,26 +979,50 @@ class DocumentController {
           signedContent = this.createDetachedSignature(document, signature, key, signatureValue);
           fileName = this.generateSignedFileName(document.fileName, key.name, 'sig');
           logger.info('Detached content created successfully');
+        } else if (format === 'jws') {
+          // The JWS itself, with or without the payload
+          signedContent = signature.envelope;
+          fileName = this.generateSignedFileName(document.fileName, key.name, 'jws');
+        } else if (format === 'cose') {
+          // Base64 of the COSE_Sign1 CBOR; downloads decode it
+          signedContent = signature.envelope;
+          fileName = this.generateSignedFileName(document.fileName, key.name, 'cose');
+        } else if (format === 'cms') {
+          // PEM SignedData; .p7m when it carries the content, .p7s when detached
+          signedContent = signature.envelope;
+          const attached = cms.parseSignedData(signature.envelope).content !== null;
+          fileName = this.generateSignedFileName(document.fileName, key.name, attached ? 'p7m' : 'p7s');
+        } else if (format === 'pades') {
+          // The signed PDF itself, stored like an uploaded document
+          signedContent = signedPdf.pdf;
+          fileName = this.generateSignedFileName(document.fileName, key.name, 'signed');
         }
         
         logger.info(`Generated content for ${format}, size: ${signedContent.length}, fileName: ${fileName}`);
+
+        const stored = format === 'pades' ?
+          await documentStore.store(signedContent, { fileName, mimeType: 'application/pdf', fileType: 'pdf' }) :
+          { content: signedContent };
         
         const signedDoc = new SignedDocument({
           originalDocumentId: document._id,
           signatureId: signature._id,
           fileName: fileName,
           fileType: document.fileType,
-          content: signedContent,
+          mimeType: format === 'pades' ? 'application/pdf' : 'text/plain',
+          ...stored,
           size: Buffer.byteLength(signedContent, 'utf8'),
-          format: format,
+          format: format === 'cms' ? 'pkcs7' : format,
           signatureMetadata: {
             keyName: key.name,
-            algorithm: 'ES256',
+            algorithm: signature.algorithm,
+            hashAlgorithm: signature.hashAlgorithm,
             provider: key.metadata?.inTPM === 'true' ? 'Hardware TPM' : 'Software',
             signedAt: signature.signedAt,
             signedBy: signature.signedBy,
             isHardwareTPM: key.metadata?.inTPM === 'true'
           },
+          ...(format === 'pades' ? { metadata: { level: signedPdf.level } } : {}),
           createdBy: signature.signedBy
         });
         
@@ -325,7 +1043,7 @@ class DocumentController {
     }
   }
 
-  createEmbeddedSignedDocument(document, signature, key, signatureValue) {
+  createEmbeddedSignedDocument(document, signature, key, signatureValue, content = document.content) {
     const metadata = {
       originalDocument: {
         fileName: document.fileName,
@@ -336,7 +1054,9 @@ class DocumentController {
       },
       signature: {
         id: signature._id.toString(),
-        algorithm: 'ES256',
+        algorithm: signature.algorithm,
+        hashAlgorithm: signature.hashAlgorithm,
+        canonicalization: signature.canonicalization,
         value: signatureValue,
         documentHash: signature.documentHash,
         signedAt: signature.signedAt,
@@ -353,19 +1073,19 @@ class DocumentController {
     // Create signed document based on file type
     if (document.fileType === 'json') {
       try {
-        const originalJson = JSON.parse(document.content);
+        const originalJson = JSON.parse(content);
         const signedJson = {
           ...originalJson,
-          _digitalSignature: metadata
+          [signedFiles.SIGNATURE_MEMBER]: metadata
         };
         return JSON.stringify(signedJson, null, 2);
       } catch (error) {
         // If JSON parsing fails, treat as text
-        return this.createTextSignedDocument(document.content, metadata);
+        return this.createTextSignedDocument(content, metadata);
       }
     } else {
       // For text and markdown files
-      return this.createTextSignedDocument(document.content, metadata);
+      return this.createTextSignedDocument(content, metadata);
     }
   }
 
@@ -373,6 +1093,7 @@ class DocumentController {
     const signatureBlock = `
 ---BEGIN DIGITAL SIGNATURE---
 Document Hash: ${metadata.signature.documentHash}
+Hash Algorithm: ${metadata.signature.hashAlgorithm}
 Signature Algorithm: ${metadata.signature.algorithm}
 Signature Value: ${metadata.signature.value}
 Signed By: ${metadata.signature.signedBy}
@@ -390,12 +1111,15 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
       documentInfo: {
         fileName: document.fileName,
         fileType: document.fileType,
+        mimeType: document.mimeType,
         hash: document.hash,
         size: document.size
       },
       signature: {
         id: signature._id.toString(),
-        algorithm: 'ES256',
+        algorithm: signature.algorithm,
+        hashAlgorithm: signature.hashAlgorithm,
+        canonicalization: signature.canonicalization,
         value: signatureValue,
         documentHash: signature.documentHash,
         signedAt: signature.signedAt,
@@ -421,8 +1145,8 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
     const baseName = path.basename(originalFileName, ext);
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
     
-    if (suffix === 'sig') {
-      return `${baseName}_${keyName}_${timestamp}.sig`;
+    if (['sig', 'jws', 'cose', 'p7s', 'p7m'].includes(suffix)) {
+      return `${baseName}_${keyName}_${timestamp}.${suffix}`;
     } else {
       return `${baseName}_${keyName}_${suffix}${ext}`;
     }
@@ -463,15 +1187,85 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
       const document = signature.documentId;
       const key = signature.keyId;
 
-      const currentHash = tpmService.calculateHash(document.content);
+      const hashAlgorithm = signature.hashAlgorithm || 'sha256';
+      const content = signature.format !== 'raw' || signature.canonicalization === 'jcs' ?
+        await documentStore.readContent(document) :
+        null;
+      let currentHash = null;
+      if (!document) {
+        // Signed by hash: only the signature over the recorded digest can be checked
+        currentHash = signature.documentHash;
+      } else if (signature.canonicalization === 'jcs') {
+        try {
+          currentHash = tpmService.calculateHash(signedFiles.canonicalJson(content), hashAlgorithm);
+        } catch (canonicalError) {
+          logger.warn(`Document of signature ${signature._id} can no longer be canonicalized: ${canonicalError.message}`);
+        }
+      } else {
+        currentHash = await documentStore.digest(document, hashAlgorithm);
+      }
       
       let isValid = false;
-      if (currentHash === signature.documentHash) {
+      if (currentHash === signature.documentHash && signature.format === 'jws') {
+        const result = await jws.verifyJws(signature.envelope, {
+          payload: content,
+          resolveKey: async () => ({ publicKey: key.publicKey, algorithm: signature.algorithm })
+        });
+        isValid = result.valid;
+      } else if (currentHash === signature.documentHash && signature.format === 'cose') {
+        const result = await cose.verifySign1(Buffer.from(signature.envelope, 'base64'), {
+          payload: content,
+          resolveKey: async () => ({ publicKey: key.publicKey, algorithm: signature.algorithm })
+        });
+        isValid = result.valid;
+      } else if (currentHash === signature.documentHash && signature.format === 'cms') {
+        isValid = cms.verifySignedData(signature.envelope, {
+          content: content,
+          publicKey: key.publicKey
+        }).valid;
+      } else if (currentHash === signature.documentHash && signature.format === 'pades') {
+        // The signature covers the whole signed PDF, which must still begin
+        // with the unchanged original
+        const signedDoc = await SignedDocument.findOne({ signatureId: signature._id, format: 'pades' });
+        if (signedDoc) {
+          const signedPdf = await documentStore.readBytes(signedDoc);
+          const latest = pades.verifyPdf(signedPdf, { publicKey: key.publicKey }).signatures
+            .find(entry => entry.coversWholeDocument);
+          isValid = Boolean(latest && latest.valid) && signedPdf.subarray(0, content.length).equals(content);
+        } else {
+          logger.warn(`The signed PDF of signature ${signature._id} no longer exists`);
+        }
+      } else if (currentHash === signature.documentHash) {
         isValid = await tpmService.verifySignature(
           signature.documentHash,
           signature.signature,
-          key.publicKey
+          key.publicKey,
+          tpmService.getKeyBackend(key).name,
+          signature.algorithm || key.keyType,
+          hashAlgorithm
+        );
+      }
+
+      // A time-stamp that no longer matches the signature value invalidates it
+      let timestamp;
+      if (signature.timestamp) {
+        timestamp = tsp.verifyToken(
+          Buffer.from(signature.timestamp.token, 'base64'),
+          signatureBytes(signature.signature, signature.format, key)
         );
+        isValid = isValid && timestamp.valid;
+      }
+
+      // A signature made after the key's certificate was revoked is invalid.
+      // After a key compromise only a time-stamp proves it came before.
+      let revocation = null;
+      if (key && key.certificate) {
+        revocation = await certificateAuthority.revocationStatus(key.certificate);
+        if (revocation && revocation.status === 'revoked') {
+          const compromised = ['keyCompromise', 'cACompromise'].includes(revocation.reason);
+          const signedAt = timestamp && timestamp.valid ? timestamp.genTime : (compromised ? null : signature.signedAt);
+          isValid = isValid && Boolean(signedAt) && signedAt < revocation.revokedAt;
+        }
       }
 
       signature.verificationStatus = isValid ? 'valid' : 'invalid';
@@ -484,6 +1278,8 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
       res.json({
         success: true,
         valid: isValid,
+        ...(timestamp ? { timestamp } : {}),
+        ...(revocation ? { revocation } : {}),
         message: isValid ? 
           'Signature is valid' : 
           'Signature is invalid or document has been modified'
@@ -494,6 +1290,254 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
     }
   }
 
+  // Verifies a JWS from any source. The signer's key is the publicKey (PEM or
+  // JWK) in the request, or the TPMKey the kid header names. Detached JWS take
+  // their payload from `payload` or the stored document `documentId`.
+  async verifyJWS(req, res) {
+    try {
+      const { publicKey, documentId } = req.body;
+      if (!req.body.jws) {
+        return res.status(400).json({ error: 'JWS is required' });
+      }
+
+      let payload = req.body.payload ?? null;
+      if (payload === null && documentId) {
+        const document = await Document.findById(documentId);
+        if (!document) {
+          return res.status(404).json({ error: 'Document not found' });
+        }
+        payload = await documentStore.readContent(document);
+      }
+
+      let result;
+      try {
+        result = await jws.verifyJws(req.body.jws, {
+          payload,
+          resolveKey: async (header) => {
+            if (publicKey) {
+              return { publicKey };
+            }
+            if (!header.kid || !mongoose.isValidObjectId(header.kid)) {
+              return null;
+            }
+            const key = await TPMKey.findById(header.kid);
+            return key ? { publicKey: key.publicKey, algorithm: key.keyType || 'ES256' } : null;
+          }
+        });
+      } catch (parseError) {
+        return res.status(400).json({ error: parseError.message });
+      }
+
+      logger.info(`JWS verified: ${result.valid ? 'Valid' : 'Invalid'}`);
+
+      res.json({
+        success: true,
+        valid: result.valid,
+        detached: result.detached,
+        payload: result.detached || !result.payload ? undefined : result.payload.toString('utf8'),
+        signatures: result.signatures.map(signature => ({
+          valid: signature.valid,
+          kid: signature.header ? signature.header.kid : undefined,
+          algorithm: signature.algorithm,
+          header: signature.header,
+          timestamps: signature.timestamps,
+          error: signature.error
+        }))
+      });
+    } catch (error) {
+      logger.error('Error verifying JWS:', error);
+      res.status(500).json({ error: 'Failed to verify JWS' });
+    }
+  }
+
+  // Verifies an uploaded COSE_Sign1: the `cose` file field, or `cose` as
+  // base64 in a JSON body. Keys and detached payloads are found as for JWS.
+  async verifyCOSE(req, res) {
+    coseUpload(req, res, async (err) => {
+      if (err) {
+        logger.error('COSE upload error:', err);
+        return res.status(400).json({ error: err.message });
+      }
+
+      try {
+        const message = req.file ? req.file.buffer : req.body.cose && Buffer.from(req.body.cose, 'base64');
+        if (!message || message.length === 0) {
+          return res.status(400).json({ error: 'COSE_Sign1 message is required' });
+        }
+
+        let payload = req.body.payload ?? null;
+        if (payload === null && req.body.documentId) {
+          const document = await Document.findById(req.body.documentId);
+          if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+          }
+          payload = await documentStore.readContent(document);
+        }
+
+        let result;
+        try {
+          result = await cose.verifySign1(message, {
+            payload,
+            resolveKey: async (header) => {
+              if (req.body.publicKey) {
+                return { publicKey: req.body.publicKey };
+              }
+              if (!header.kid || !mongoose.isValidObjectId(header.kid)) {
+                return null;
+              }
+              const key = await TPMKey.findById(header.kid);
+              return key ? { publicKey: key.publicKey, algorithm: key.keyType || 'ES256' } : null;
+            }
+          });
+        } catch (parseError) {
+          return res.status(400).json({ error: parseError.message });
+        }
+
+        logger.info(`COSE_Sign1 verified: ${result.valid ? 'Valid' : 'Invalid'}`);
+
+        res.json({
+          success: true,
+          valid: result.valid,
+          detached: result.detached,
+          kid: result.kid,
+          algorithm: result.algorithm,
+          payload: result.detached ? undefined : result.payload.toString('base64'),
+          error: result.error
+        });
+      } catch (error) {
+        logger.error('Error verifying COSE_Sign1:', error);
+        res.status(500).json({ error: 'Failed to verify COSE_Sign1' });
+      }
+    });
+  }
+
+  // Verifies a signed file we handed out without its Signature record: a file
+  // with an embedded signature, or the original file with its .sig. The key
+  // is the one the signature names unless a keyId is given.
+  async verifyUploadedFile(req, res) {
+    verifyUpload(req, res, async (err) => {
+      if (err) {
+        logger.error('Verification upload error:', err);
+        return res.status(400).json({ error: err.message });
+      }
+
+      try {
+        const file = req.files && req.files.file && req.files.file[0];
+        const signatureFile = req.files && req.files.signature && req.files.signature[0];
+        if (!file) {
+          return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const { keyId } = req.body;
+        if (keyId && !mongoose.isValidObjectId(keyId)) {
+          return res.status(400).json({ error: 'Invalid key ID' });
+        }
+
+        // Signed PDFs carry their PAdES signatures and signer certificates;
+        // a keyId checks them against that key instead
+        if (!signatureFile && mimeTypes.detectMimeType(file.buffer, file.originalname).fileType === 'pdf') {
+          const pdfKey = keyId ? await TPMKey.findById(keyId) : null;
+          if (keyId && !pdfKey) {
+            return res.status(404).json({ error: `Key ${keyId} not found` });
+          }
+
+          let result;
+          try {
+            result = pades.verifyPdf(file.buffer, { publicKey: pdfKey ? pdfKey.publicKey : null });
+          } catch (pdfError) {
+            return res.status(400).json({ error: pdfError.message });
+          }
+          if (result.signatures.length === 0) {
+            return res.status(400).json({ error: 'No signature found in the PDF' });
+          }
+
+          logger.info(`Uploaded PDF with ${result.signatures.length} signature(s) verified: ${result.valid ? 'Valid' : 'Invalid'}`);
+
+          return res.json({
+            success: true,
+            valid: result.valid,
+            format: 'pades',
+            signatures: result.signatures,
+            key: pdfKey ? { id: pdfKey._id, name: pdfKey.name } : undefined,
+            message: result.valid ?
+              'All signatures are valid' :
+              'One or more signatures are invalid'
+          });
+        }
+
+        let parsed;
+        try {
+          parsed = signatureFile ?
+            signedFiles.parseDetachedSignature(signatureFile.buffer.toString('utf-8'), file.buffer) :
+            signedFiles.parseSignedFile(file.buffer.toString('utf-8'));
+        } catch (parseError) {
+          return res.status(400).json({ error: parseError.message });
+        }
+        if (!parsed) {
+          return res.status(400).json({ error: 'No signature found in the file; upload its .sig file as well' });
+        }
+
+        const { signature } = parsed;
+        if (!signature.value || !signature.documentHash) {
+          return res.status(400).json({ error: 'The signature is incomplete' });
+        }
+        if (!signatureAlgorithms.isHashSupported(signature.hashAlgorithm)) {
+          return res.status(400).json({ error: `Unsupported hash algorithm: ${signature.hashAlgorithm}` });
+        }
+
+        const key = keyId ?
+          await TPMKey.findById(keyId) :
+          parsed.keyName && await TPMKey.findOne({ name: parsed.keyName }).sort({ createdAt: -1 });
+        if (!key) {
+          return res.status(404).json({ error: keyId || parsed.keyName ? `Key ${keyId || parsed.keyName} not found` : 'The signature does not name its key' });
+        }
+
+        const hashMatches = parsed.candidates.some(
+          candidate => tpmService.calculateHash(candidate, signature.hashAlgorithm) === signature.documentHash
+        );
+
+        let isValid = false;
+        if (hashMatches) {
+          isValid = await tpmService.verifySignature(
+            signature.documentHash,
+            signature.value,
+            key.publicKey,
+            tpmService.getKeyBackend(key).name,
+            signature.algorithm || key.keyType,
+            signature.hashAlgorithm
+          );
+        }
+
+        logger.info(`Uploaded ${parsed.format} file verified with key ${key.name}: ${isValid ? 'Valid' : 'Invalid'}`);
+
+        res.json({
+          success: true,
+          valid: isValid,
+          format: parsed.format,
+          hashMatches: hashMatches,
+          documentHash: signature.documentHash,
+          hashAlgorithm: signature.hashAlgorithm,
+          canonicalization: signature.canonicalization,
+          algorithm: signature.algorithm || key.keyType,
+          signedBy: signature.signedBy,
+          signedAt: signature.signedAt,
+          key: {
+            id: key._id,
+            name: key.name
+          },
+          message: isValid ?
+            'Signature is valid' :
+            hashMatches ?
+              'Signature is invalid' :
+              'The content does not match the signed document hash'
+        });
+      } catch (error) {
+        logger.error('Error verifying uploaded file:', error);
+        res.status(500).json({ error: 'Failed to verify file' });
+      }
+    });
+  }
+
   async deleteSignature(req, res) {
     try {
       const { signatureId } = req.params;
@@ -522,6 +1566,39 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
     }
   }
 
+  // The original file with its detected type. PDFs, images and plain text are
+  // shown inline for previews unless ?download=true; other types always
+  // download so the browser never renders uploaded HTML or SVG.
+  async downloadDocument(req, res) {
+    try {
+      const { documentId } = req.params;
+
+      const document = await Document.findById(documentId).lean();
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      const mimeType = document.mimeType || 'text/plain';
+      const inline = req.query.download !== 'true' && mimeTypes.isInlineMimeType(mimeType);
+      const fileName = encodeURIComponent(document.fileName);
+
+      res.setHeader('Content-Type', mimeType.startsWith('text/') ? `${mimeType}; charset=utf-8` : mimeType);
+      res.setHeader('Content-Length', document.size);
+      res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${fileName}`);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+
+      const stream = documentStore.openReadStream(document);
+      stream.on('error', (streamError) => {
+        logger.error('Error streaming document:', streamError);
+        res.destroy(streamError);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      logger.error('Error downloading document:', error);
+      res.status(500).json({ error: 'Failed to download document' });
+    }
+  }
+
   async deleteDocument(req, res) {
     try {
       const { documentId } = req.params;
@@ -538,6 +1615,12 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
         return res.status(404).json({ error: 'Document not found' });
       }
 
+      try {
+        await documentStore.remove(document);
+      } catch (storeError) {
+        logger.warn(`Could not remove the stored file of ${document.fileName}: ${storeError.message}`);
+      }
+
       logger.info(`Document deleted: ${document.fileName}`);
 
       res.json({
@@ -594,6 +1677,7 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
       const { documentId } = req.params;
       
       const signedDocs = await SignedDocument.find({ originalDocumentId: documentId })
+        .select('-data')
         .populate('signatureId', 'signedAt signedBy')
         .sort({ createdAt: -1 })
         .lean();
@@ -616,7 +1700,20 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
       
       res.setHeader('Content-Disposition', `attachment; filename="${signedDoc.fileName}"`);
       res.setHeader('Content-Type', 'application/octet-stream');
-      res.send(signedDoc.content);
+
+      // CMS signatures are stored as PEM; ?encoding=der downloads the DER.
+      // COSE messages are stored as base64 and always downloaded as CBOR.
+      if (signedDoc.format === 'pkcs7' && req.query.encoding === 'der') {
+        res.send(x509.fromPem(signedDoc.content));
+      } else if (signedDoc.format === 'pades') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.send(await documentStore.readBytes(signedDoc));
+      } else if (signedDoc.format === 'cose') {
+        res.setHeader('Content-Type', 'application/cose; cose-type="cose-sign1"');
+        res.send(Buffer.from(signedDoc.content, 'base64'));
+      } else {
+        res.send(signedDoc.content);
+      }
       
       logger.info(`Downloaded signed document: ${signedDoc.fileName}`);
     } catch (error) {
@@ -633,6 +1730,12 @@ Hardware TPM: ${metadata.key.isHardwareTPM}
       if (!signedDoc) {
         return res.status(404).json({ error: 'Signed document not found' });
       }
+
+      try {
+        await documentStore.remove(signedDoc);
+      } catch (storeError) {
+        logger.warn(`Could not remove the stored file of ${signedDoc.fileName}: ${storeError.message}`);
+      }
       
       logger.info(`Deleted signed document: ${signedDoc.fileName}`);
       
@@ -1,6 +1,15 @@
 const { logger } = require('../services/generic');
 const TPMKey = require('../models/TPMKey');
 const tpmService = require('../services/tpmService');
+const keyBackends = require('../services/keyBackends');
+const keyFormats = require('../services/keyFormats');
+const signatureAlgorithms = require('../services/signatureAlgorithms');
+const keyProtection = require('../services/keyProtection');
+const vaultService = require('../services/vaultService');
+const certificateAuthority = require('../services/certificateAuthority');
+const trustStore = require('../services/trustStore');
+const x509 = require('../services/x509');
+const cms = require('../services/cms');
 
 class KeyManagementController {
   async listKeys(req, res) {
@@ -28,7 +37,7 @@ class KeyManagementController {
     try {
       const keys = await TPMKey.find({ status: { $ne: 'deleted' } })
         .sort({ createdAt: -1 })
-        .select('_id name keyType status createdAt usageCount lastUsed')
+        .select('_id name keyType keySize backend status createdAt usageCount lastUsed')
         .lean();
       
       res.json(keys);
@@ -40,18 +49,50 @@ class KeyManagementController {
 
   async createKey(req, res) {
     try {
-      const { keyName, description } = req.body;
+      const { keyName, description, backend, keySize, hashAlgorithm } = req.body;
+      const algorithm = req.body.algorithm || 'ES256';
       
       if (!keyName) {
         return res.status(400).json({ error: 'Key name is required' });
       }
       
+      if (backend && !keyBackends.hasBackend(backend)) {
+        return res.status(400).json({ error: `Unknown key backend: ${backend}` });
+      }
+      
+      if (!signatureAlgorithms.isSupported(algorithm)) {
+        return res.status(400).json({
+          error: `Unsupported algorithm: ${algorithm}`,
+          supported: signatureAlgorithms.SIGNATURE_ALGORITHMS
+        });
+      }
+      
+      if (backend && !keyBackends.getBackend(backend).supportsAlgorithm(algorithm)) {
+        return res.status(400).json({
+          error: `Backend ${backend} does not support ${algorithm}`,
+          supported: keyBackends.getBackend(backend).algorithms
+        });
+      }
+      
+      try {
+        signatureAlgorithms.resolveKeySize(algorithm, keySize);
+      } catch (sizeError) {
+        return res.status(400).json({ error: sizeError.message });
+      }
+      
+      if (hashAlgorithm && !signatureAlgorithms.isHashSupported(hashAlgorithm)) {
+        return res.status(400).json({
+          error: `Unsupported hash algorithm: ${hashAlgorithm}`,
+          supported: signatureAlgorithms.HASH_ALGORITHMS
+        });
+      }
+      
       const existingKey = await TPMKey.findOne({ name: keyName });
       if (existingKey) {
         return res.status(400).json({ error: 'Key name already exists' });
       }
       
-      const keyData = await tpmService.createES256KeyPair(keyName);
+      const keyData = await tpmService.createKeyPair(keyName, { backend: backend || null, algorithm, keySize });
       
       const metadata = new Map([
         ['description', description || ''],
@@ -69,20 +110,21 @@ class KeyManagementController {
         logger.info(`Created Windows certificate for key ${keyName} using provider: ${keyData.provider}`);
       }
       
-      // Store private key in metadata for software keys (not ideal for production!)
+      // Software private keys are only stored wrapped under the key-encryption key
       if (!keyData.inTPM && keyData.privateKey) {
-        metadata.set('privateKey', keyData.privateKey);
-        if (!keyData.windowsCert) {
-          logger.warn(`Storing software private key for ${keyName} - consider using hardware TPM for production`);
-        }
+        metadata.set('wrappedPrivateKey', await keyProtection.wrap(keyData.privateKey, keyData.handle));
       }
       
       const newKey = new TPMKey({
         name: keyName,
         tpmHandle: keyData.handle,
         publicKey: keyData.publicKey,
+        keyType: keyData.algorithm,
+        keySize: keyData.keySize,
+        hashAlgorithm: hashAlgorithm || null,
         inTPM: keyData.inTPM || false,
         provider: keyData.provider || null,
+        backend: keyData.backend,
         metadata: metadata
       });
       
@@ -95,6 +137,10 @@ class KeyManagementController {
           id: newKey._id,
           name: newKey.name,
           publicKey: newKey.publicKey,
+          keyType: newKey.keyType,
+          keySize: newKey.keySize,
+          hashAlgorithm: tpmService.resolveHashAlgorithm(newKey),
+          backend: newKey.backend,
           createdAt: newKey.createdAt
         }
       });
@@ -113,11 +159,9 @@ class KeyManagementController {
         return res.status(404).json({ error: 'Key not found' });
       }
       
-      const isTPMKey = key.inTPM === true;
-      
       // Try to delete the physical key, but don't fail if it doesn't exist
       try {
-        await tpmService.deleteKey(key.tpmHandle, isTPMKey);
+        await tpmService.deleteKey(key);
         logger.info(`Successfully deleted physical TPM key: ${key.name}`);
       } catch (deleteError) {
         logger.warn(`Physical key deletion failed for ${key.name}, but continuing with database cleanup:`, {
@@ -157,9 +201,24 @@ class KeyManagementController {
         });
       }
       
+      // Keys created before SPKI normalisation still hold the backend's format
+      let publicKeyPem = key.publicKey;
+      try {
+        publicKeyPem = tpmService.exportPublicKey(key, 'pem');
+      } catch (formatError) {
+        logger.warn(`Could not convert public key of ${key.name} to PEM: ${formatError.message}`);
+      }
+      
+      // The CA key certifies other keys, not itself
+      const { keyId: caKeyId } = certificateAuthority.getSettings();
+      
       res.render('keyDetail', {
         title: `Key: ${key.name}`,
-        key: key
+        key: key,
+        publicKeyPem: publicKeyPem,
+        certificateInfo: await this.describeCertificate(key),
+        caAvailable: Boolean(caKeyId) && String(caKeyId) !== String(key._id),
+        caProfiles: certificateAuthority.profiles
       });
     } catch (error) {
       logger.error('Error viewing key:', error);
@@ -234,9 +293,7 @@ class KeyManagementController {
       }
       
       const csr = await tpmService.generateCSR(
-        key.name,
-        key.tpmHandle,
-        key.publicKey,
+        key,
         commonName,
         organization,
         country
@@ -260,24 +317,82 @@ class KeyManagementController {
     }
   }
 
+  // The parsed certificate of a key with its chain and trust store
+  // validation, or null when it has none. Certificates stored before uploads
+  // were parsed may not parse; they get an `error` instead.
+  async describeCertificate(key) {
+    if (!key.certificate) {
+      return null;
+    }
+    const chain = key.certificateChain || [];
+    try {
+      return {
+        ...x509.describeCertificate(key.certificate),
+        chain: chain.map(certificate => x509.describeCertificate(certificate)),
+        validation: await trustStore.validate(key.certificate, chain)
+      };
+    } catch (error) {
+      logger.warn(`Could not parse the certificate of key ${key.name}: ${error.message}`);
+      return { error: `The stored certificate cannot be parsed: ${error.message}` };
+    }
+  }
+
+  // Takes `certificate` as PEM (the key's certificate, optionally followed by
+  // its chain) or base64 DER, and optionally `chain` as PEM or a list of them.
+  // The certificate for this key's public key is stored as the certificate,
+  // the others as its chain.
   async uploadCertificate(req, res) {
     try {
       const { keyId } = req.params;
-      const { certificate } = req.body;
+      const { certificate, chain } = req.body;
+      
+      if (!certificate || typeof certificate !== 'string') {
+        return res.status(400).json({ error: 'Send the certificate as PEM or base64 DER' });
+      }
       
       const key = await TPMKey.findById(keyId);
       if (!key) {
         return res.status(404).json({ error: 'Key not found' });
       }
       
-      key.certificate = certificate;
+      let certificates;
+      try {
+        const chainValues = (Array.isArray(chain) ? chain : [chain]).filter(Boolean);
+        certificates = [certificate, ...chainValues].flatMap(value => x509.readCertificates(String(value)));
+      } catch (parseError) {
+        return res.status(400).json({ error: parseError.message });
+      }
+      
+      const leaf = certificates.find(der => cms.certificateMatches(der, key.publicKey));
+      if (!leaf) {
+        return res.status(400).json({ error: `The certificate is not for the public key of ${key.name}` });
+      }
+      // Duplicates of the key's certificate are dropped from the chain
+      const chainCertificates = certificates
+        .filter(der => !der.equals(leaf))
+        .map(der => x509.toPem(der, 'CERTIFICATE'));
+      const certificatePem = x509.toPem(leaf, 'CERTIFICATE');
+      
+      const validation = await trustStore.validate(certificatePem, chainCertificates);
+      if (!validation.trusted && trustStore.getSettings().requireTrusted) {
+        return res.status(400).json({
+          error: 'The certificate does not chain to a trusted certificate',
+          details: validation.errors
+        });
+      }
+      
+      key.certificate = certificatePem;
+      key.certificateChain = chainCertificates;
       await key.save();
       
-      logger.info(`Uploaded certificate for key: ${key.name}`);
+      logger.info(`Uploaded certificate for key: ${key.name} (chain of ${chainCertificates.length}, ${validation.trusted ? 'trusted' : 'untrusted'})`);
       
       res.json({
         success: true,
-        message: 'Certificate uploaded successfully'
+        message: 'Certificate uploaded successfully',
+        ...x509.describeCertificate(certificatePem),
+        chain: chainCertificates.map(entry => x509.describeCertificate(entry)),
+        validation
       });
     } catch (error) {
       logger.error('Error uploading certificate:', error);
@@ -285,6 +400,145 @@ class KeyManagementController {
     }
   }
 
+  // GET /api/keys/:keyId/certificate: the parsed certificate and chain
+  async getCertificate(req, res) {
+    try {
+      const { keyId } = req.params;
+      
+      const key = await TPMKey.findById(keyId).lean();
+      if (!key || key.status === 'deleted') {
+        return res.status(404).json({ error: 'Key not found' });
+      }
+      if (!key.certificate) {
+        return res.status(404).json({ error: `Key ${key.name} has no certificate` });
+      }
+      
+      res.json({
+        ...await this.describeCertificate(key),
+        certificate: key.certificate,
+        certificateChain: key.certificateChain || []
+      });
+    } catch (error) {
+      logger.error('Error fetching certificate:', error);
+      res.status(500).json({ error: 'Failed to fetch certificate' });
+    }
+  }
+
+  async getPublicKey(req, res) {
+    try {
+      const { keyId } = req.params;
+      const format = (req.query.format || 'pem').toLowerCase();
+      
+      if (!keyFormats.PUBLIC_KEY_FORMATS.includes(format)) {
+        return res.status(400).json({ 
+          error: `Unsupported format: ${format}`,
+          supportedFormats: keyFormats.PUBLIC_KEY_FORMATS
+        });
+      }
+      
+      const key = await TPMKey.findById(keyId).lean();
+      if (!key || key.status === 'deleted') {
+        return res.status(404).json({ error: 'Key not found' });
+      }
+      
+      const publicKey = tpmService.exportPublicKey(key, format);
+      
+      switch (format) {
+        case 'jwk':
+          res.type('application/jwk+json').send(JSON.stringify(publicKey));
+          break;
+        case 'der':
+          res.setHeader('Content-Disposition', `attachment; filename="${key.name}.der"`);
+          res.type('application/octet-stream').send(publicKey);
+          break;
+        case 'pem':
+          res.type('application/x-pem-file').send(publicKey);
+          break;
+        default:
+          res.type('text/plain').send(publicKey);
+      }
+    } catch (error) {
+      logger.error('Error exporting public key:', error);
+      res.status(500).json({ error: 'Failed to export public key' });
+    }
+  }
+
+  async getJWKS(req, res) {
+    try {
+      const keys = await TPMKey.find({ status: 'active' })
+        .sort({ createdAt: -1 })
+        .lean();
+      
+      const jwks = [];
+      for (const key of keys) {
+        try {
+          jwks.push(tpmService.exportPublicKey(key, 'jwk'));
+        } catch (formatError) {
+          logger.warn(`Skipping key ${key.name} in JWKS: ${formatError.message}`);
+        }
+      }
+      
+      res.type('application/jwk-set+json').send(JSON.stringify({ keys: jwks }));
+    } catch (error) {
+      logger.error('Error building JWKS:', error);
+      res.status(500).json({ error: 'Failed to build JWKS' });
+    }
+  }
+
+  async getBackends(req, res) {
+    try {
+      const backends = [];
+      for (const backend of keyBackends.listBackends()) {
+        backends.push({
+          name: backend.name,
+          label: backend.label,
+          hardware: backend.hardware,
+          available: await backend.isAvailable(),
+          algorithms: backend.algorithms
+        });
+      }
+      
+      res.json({ algorithms: signatureAlgorithms.SIGNATURE_ALGORITHMS, backends: backends });
+    } catch (error) {
+      logger.error('Error listing key backends:', error);
+      res.status(500).json({ error: 'Failed to list key backends' });
+    }
+  }
+
+  async getVault(req, res) {
+    try {
+      if (!(await vaultService.exists())) {
+        return res.status(404).json({ error: 'Vault not initialized' });
+      }
+      
+      const { root, ...manifest } = await vaultService.getManifest();
+      const keys = await vaultService.listKeys();
+      
+      res.json({
+        ...manifest,
+        rootProtection: root.protection,
+        keys: keys.map(({ publicKey, ...key }) => key)
+      });
+    } catch (error) {
+      logger.error('Error reading vault:', error);
+      res.status(500).json({ error: 'Failed to read vault' });
+    }
+  }
+
+  async createVault(req, res) {
+    try {
+      if (await vaultService.exists()) {
+        return res.status(409).json({ error: 'Vault already exists' });
+      }
+      
+      const { root, ...manifest } = await vaultService.createVault();
+      res.status(201).json({ success: true, ...manifest, rootProtection: root.protection });
+    } catch (error) {
+      logger.error('Error creating vault:', error);
+      res.status(500).json({ error: 'Failed to create vault' });
+    }
+  }
+
   async getKeysStats(req, res) {
     try {
       const totalKeys = await TPMKey.countDocuments({ status: { $ne: 'deleted' } });
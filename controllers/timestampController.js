@@ -0,0 +1,44 @@
+const { logger } = require('../services/generic');
+const timestampAuthority = require('../services/timestampAuthority');
+
+// HTTP face of the built-in time-stamp authority (RFC 3161, section 3.4)
+class TimestampController {
+  // POST /api/tsa with an application/timestamp-query body
+  async timestamp(req, res) {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(415).json({ error: 'Send a TimeStampReq as application/timestamp-query' });
+      }
+
+      const response = await timestampAuthority.respond(req.body);
+
+      res.setHeader('Content-Type', 'application/timestamp-reply');
+      res.send(response);
+    } catch (error) {
+      if (error.status) {
+        logger.warn(`Time-stamp request refused: ${error.message}`);
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error issuing time-stamp:', error);
+      res.status(500).json({ error: 'Failed to issue time-stamp' });
+    }
+  }
+
+  // The TSA certificate, for verifying tokens issued without it
+  async getCertificate(req, res) {
+    try {
+      const key = await timestampAuthority.getKey();
+
+      res.setHeader('Content-Type', 'application/pem-certificate-chain');
+      res.send(key.certificate);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching TSA certificate:', error);
+      res.status(500).json({ error: 'Failed to fetch TSA certificate' });
+    }
+  }
+}
+
+module.exports = new TimestampController();
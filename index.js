@@ -25,6 +25,8 @@ const {dbName}                         =   require( './services/generic' );
 const {version}                        =   require( './services/generic' );
 const {lastFix}                        =   require( './services/generic' );
 const errorObject                      =   require( './services/errorCatalog' );
+const keyProtection                    =   require( './services/keyProtection' );
+const certificateAuthority             =   require( './services/certificateAuthority' );
 
 
 const db                                =   mongoose.connection;
@@ -62,6 +64,8 @@ app.use( function ( req, res, next )
 const genCntrl                          = require( './controllers/generic' );
 const keyManagementController          = require( './controllers/keyManagementController' );
 const documentController               = require( './controllers/documentController' );
+const timestampController              = require( './controllers/timestampController' );
+const certificateController            = require( './controllers/certificateController' );
 
 
 
@@ -71,14 +75,21 @@ function setRouting ()
         
         // Key Management Routes
         app.get( '/keys', keyManagementController.listKeys );
-        app.get( '/keys/:keyId', keyManagementController.viewKey );
+        app.get( '/keys/:keyId', keyManagementController.viewKey.bind(keyManagementController) );
         app.get( '/tpm', keyManagementController.showTPMManagement.bind(keyManagementController) );
         app.get( '/api/keys', keyManagementController.getKeysAPI );
         app.get( '/api/keys/stats', keyManagementController.getKeysStats.bind(keyManagementController) );
+        app.get( '/api/keys/backends', keyManagementController.getBackends );
+        app.get( '/api/keys/jwks', keyManagementController.getJWKS );
+        app.get( '/.well-known/jwks.json', keyManagementController.getJWKS );
+        app.get( '/api/keys/:keyId/public', keyManagementController.getPublicKey );
         app.post( '/api/keys', keyManagementController.createKey.bind(keyManagementController) );
         app.delete( '/api/keys/:keyId', keyManagementController.deleteKey.bind(keyManagementController) );
         app.post( '/api/keys/:keyId/csr', keyManagementController.generateCSR.bind(keyManagementController) );
         app.post( '/api/keys/:keyId/certificate', keyManagementController.uploadCertificate.bind(keyManagementController) );
+        app.get( '/api/keys/:keyId/certificate', keyManagementController.getCertificate.bind(keyManagementController) );
+        app.get( '/api/vault', keyManagementController.getVault );
+        app.post( '/api/vault', keyManagementController.createVault );
         
         // Document Management Routes
         app.get( '/documents', documentController.listDocuments );
@@ -87,16 +98,39 @@ function setRouting ()
         app.get( '/api/documents', documentController.getDocumentsAPI );
         app.get( '/api/documents/stats', documentController.getDocumentsStats.bind(documentController) );
         app.post( '/api/documents', documentController.uploadDocument );
+        app.get( '/api/documents/:documentId/content', documentController.downloadDocument );
         app.delete( '/api/documents/:documentId', documentController.deleteDocument );
         app.post( '/api/documents/:documentId/sign', documentController.signDocument.bind(documentController) );
+        app.post( '/api/sign/hash', documentController.signHash.bind(documentController) );
+        app.post( '/api/documents/sign-batch', documentController.signBatch.bind(documentController) );
+        app.get( '/api/batches', documentController.getBatches.bind(documentController) );
+        app.get( '/api/batches/:batchId', documentController.getBatch.bind(documentController) );
+        
+        // Time-Stamp Authority Routes (RFC 3161)
+        app.post( '/api/tsa', bodyParser.raw( {type:'application/timestamp-query', limit:'64kb'} ), timestampController.timestamp.bind(timestampController) );
+        app.get( '/api/tsa/certificate', timestampController.getCertificate.bind(timestampController) );
+        
+        // Certificate Authority Routes
+        app.post( '/api/v1/certificates/request', certificateController.requestCertificate.bind(certificateController) );
+        app.get( '/api/v1/certificates', certificateController.listCertificates.bind(certificateController) );
+        app.get( '/api/v1/certificates/:id', certificateController.getCertificate.bind(certificateController) );
+        app.delete( '/api/v1/certificates/:id', certificateController.revokeCertificate.bind(certificateController) );
+        app.get( '/api/v1/ca/certificate', certificateController.getCACertificate.bind(certificateController) );
+        app.post( '/api/v1/ca/certificate', certificateController.createCACertificate.bind(certificateController) );
+        app.get( '/api/v1/ca/crl', certificateController.getCrl.bind(certificateController) );
+        app.post( '/api/v1/ocsp', bodyParser.raw( {type:'application/ocsp-request', limit:'64kb'} ), certificateController.ocsp.bind(certificateController) );
+        app.get( '/api/v1/ocsp/*', certificateController.ocsp.bind(certificateController) );
         
         // Stats and Activity Routes (must come before parameterized routes)
         app.get( '/api/signatures/stats', documentController.getSignaturesStats.bind(documentController) );
         
         // Signature routes with parameters
         app.get( '/api/signatures/:signatureId', documentController.getSignatureDetails );
-        app.post( '/api/signatures/:signatureId/verify', documentController.verifySignature );
+        app.post( '/api/signatures/:signatureId/verify', documentController.verifySignature.bind(documentController) );
         app.delete( '/api/signatures/:signatureId', documentController.deleteSignature );
+        app.post( '/api/jws/verify', documentController.verifyJWS );
+        app.post( '/api/cose/verify', documentController.verifyCOSE );
+        app.post( '/api/verify', documentController.verifyUploadedFile );
         
         // Signed Document Routes
         app.get( '/api/documents/:documentId/signed', documentController.getSignedDocuments );
@@ -148,8 +182,19 @@ async function initializeServices ()
         logger.info( '*'.padEnd( 21 ,' ' ) + lastFixString.padEnd( '58',' ' ) + '*' );
         logger.info( '********************************************************************************' );
 
+        keyProtection.checkSettings().forEach( problem => logger.error( applicationName + ':index:initializeServices: ' + problem ) );
+
         db.on( 'error', console.error.bind( console, 'connection error: ' ) );
-        db.once( 'open',function () { console.log( 'Connected to DB' ); } );
+        db.once( 'open',function ()
+        {   console.log( 'Connected to DB' );
+            keyProtection.encryptStoredPrivateKeys()
+                .then( count => { if ( count ) logger.info( applicationName + ':index:initializeServices: Wrapped [' + count + '] stored private keys under the configured key-encryption key' ); } )
+                .catch( err => logger.error( applicationName + ':index:initializeServices: Private key migration failed:[' + err + ']' ) );
+            documentController.interruptBatches()
+                .then( count => { if ( count ) logger.info( applicationName + ':index:initializeServices: Marked [' + count + '] unfinished sign batches as interrupted' ); } )
+                .catch( err => logger.error( applicationName + ':index:initializeServices: Sign batch cleanup failed:[' + err + ']' ) );
+            certificateAuthority.scheduleCrl();
+        } );
 
         logger.trace( applicationName + ':index:initializeServices: Done' );
     }
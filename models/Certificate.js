@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Certificates issued by the built-in CA: its index, like index.txt of the
+// OpenSSL prototype under scripts/zandd-ca
+const CertificateSchema = new mongoose.Schema({
+  // Hex, lowercase, without leading zeros
+  serialNumber: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  issuer: {
+    type: String,
+    required: true
+  },
+  // The key the certificate was issued for, when it is one of ours
+  keyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TPMKey',
+    default: null
+  },
+  caKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TPMKey',
+    required: true
+  },
+  profile: {
+    type: String,
+    enum: ['ca', 'client', 'server', 'codeSigning', 'email', 'all', 'timeStamping'],
+    required: true
+  },
+  certificate: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the DER, as hex
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  notBefore: {
+    type: Date,
+    required: true
+  },
+  notAfter: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['valid', 'revoked'],
+    default: 'valid'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // CRLReason name (RFC 5280, 5.3.1)
+  revocationReason: {
+    type: String,
+    enum: ['unspecified', 'keyCompromise', 'cACompromise', 'affiliationChanged', 'superseded',
+      'cessationOfOperation', 'privilegeWithdrawn', 'aACompromise', null],
+    default: null
+  },
+  revokedBy: {
+    type: String,
+    default: null
+  },
+  issuedBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true,
+  collection: 'certificates'
+});
+
+CertificateSchema.index({ serialNumber: 1 }, { unique: true });
+CertificateSchema.index({ keyId: 1 });
+CertificateSchema.index({ fingerprint: 1 });
+CertificateSchema.index({ caKeyId: 1, status: 1 });
+CertificateSchema.index({ status: 1, notAfter: 1 });
+CertificateSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Certificate', CertificateSchema);
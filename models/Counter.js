@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Named monotonic counters, such as the serial numbers of the built-in TSA.
+// Counters are only ever changed with $inc or $max, so concurrent servers
+// never hand out the same value twice.
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'counters'
+});
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -9,11 +9,28 @@ const DocumentSchema = new mongoose.Schema({
   fileType: {
     type: String,
     required: true,
-    enum: ['text', 'markdown', 'json']
+    enum: ['text', 'markdown', 'json', 'pdf', 'image', 'archive', 'executable', 'binary']
   },
-  content: {
+  mimeType: {
     type: String,
-    required: true
+    default: 'text/plain'
+  },
+  // Inline documents hold text in content and other files in data; larger
+  // files are in the GridFS bucket under gridFsId (see services/documentStore)
+  storage: {
+    type: String,
+    enum: ['inline', 'gridfs'],
+    default: 'inline'
+  },
+  content: {
+    type: String
+  },
+  data: {
+    type: Buffer
+  },
+  gridFsId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
   },
   size: {
     type: Number,
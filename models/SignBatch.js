@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// One document signed with one key
+const SignBatchItemSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  keyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TPMKey',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'signed', 'failed'],
+    default: 'pending'
+  },
+  signatureId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Signature',
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// A batch sign job (POST /api/documents/sign-batch). Items are signed one
+// after the other and the batch is saved after each, so its counts show the
+// progress. 'interrupted' batches were still running when the server stopped.
+const SignBatchSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'interrupted'],
+    default: 'pending'
+  },
+  // The sign request fields every item is signed with (format, hashAlgorithm, ...)
+  options: {
+    type: Map,
+    of: String
+  },
+  // The document filter of the request, if it named no documents
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  items: [SignBatchItemSchema],
+  total: {
+    type: Number,
+    default: 0
+  },
+  signed: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    default: 'user'
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'signbatches'
+});
+
+SignBatchSchema.index({ status: 1 });
+SignBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SignBatch', SignBatchSchema);
@@ -1,10 +1,33 @@
 const mongoose = require('mongoose');
 
+// RFC 3161 time-stamp over the signature value, from the TSA at timestamp.tsaUrl
+const TimestampSchema = new mongoose.Schema({
+  // DER TimeStampToken in base64
+  token: {
+    type: String,
+    required: true
+  },
+  genTime: {
+    type: Date,
+    required: true
+  },
+  serialNumber: {
+    type: String,
+    default: null
+  },
+  policy: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 const SignatureSchema = new mongoose.Schema({
+  // Signatures of client-computed digests (POST /api/sign/hash) have no
+  // document; documentHash is then the digest the client sent
   documentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Document',
-    required: true
+    default: null
   },
   keyId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,7 +40,33 @@ const SignatureSchema = new mongoose.Schema({
   },
   algorithm: {
     type: String,
-    default: 'ES256'
+    default: 'ES256',
+    enum: ['ES256', 'ES384', 'RS256', 'PS256', 'Ed25519']
+  },
+  hashAlgorithm: {
+    type: String,
+    default: 'sha256',
+    enum: ['sha256', 'sha384', 'sha512', 'sha3-256']
+  },
+  // 'raw' signatures sign documentHash directly; standard formats keep the
+  // serialized signature (JWS, PEM SignedData, base64 COSE_Sign1) in envelope.
+  // 'pades' keeps the SignedData embedded in the signed PDF, whose bytes are
+  // in the SignedDocument.
+  format: {
+    type: String,
+    default: 'raw',
+    enum: ['raw', 'jws', 'cms', 'cose', 'pades']
+  },
+  envelope: {
+    type: String,
+    default: null
+  },
+  // 'jcs' hashes the RFC 8785 canonical form of JSON documents instead of
+  // their bytes, so the signature survives reformatting
+  canonicalization: {
+    type: String,
+    default: 'none',
+    enum: ['none', 'jcs']
   },
   documentHash: {
     type: String,
@@ -27,6 +76,12 @@ const SignatureSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Set for signatures signed with timestamp=true and PAdES B-T; CMS, PAdES
+  // and JWS carry the same token in their envelope
+  timestamp: {
+    type: TimestampSchema,
+    default: null
+  },
   signedBy: {
     type: String,
     default: 'system'
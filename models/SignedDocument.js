@@ -19,11 +19,28 @@ const SignedDocumentSchema = new mongoose.Schema({
   fileType: {
     type: String,
     required: true,
-    enum: ['text', 'markdown', 'json']
+    enum: ['text', 'markdown', 'json', 'pdf', 'image', 'archive', 'executable', 'binary']
   },
-  content: {
+  // Signature files are text in content; signed PDFs (format 'pades') are
+  // stored like documents, in data or GridFS (see services/documentStore)
+  mimeType: {
     type: String,
-    required: true
+    default: 'text/plain'
+  },
+  storage: {
+    type: String,
+    enum: ['inline', 'gridfs'],
+    default: 'inline'
+  },
+  content: {
+    type: String
+  },
+  data: {
+    type: Buffer
+  },
+  gridFsId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
   },
   size: {
     type: Number,
@@ -32,12 +49,13 @@ const SignedDocumentSchema = new mongoose.Schema({
   format: {
     type: String,
     required: true,
-    enum: ['embedded', 'detached', 'pkcs7'],
+    enum: ['embedded', 'detached', 'pkcs7', 'jws', 'cose', 'pades'],
     default: 'embedded'
   },
   signatureMetadata: {
     keyName: String,
     algorithm: String,
+    hashAlgorithm: String,
     provider: String,
     signedAt: Date,
     signedBy: String,
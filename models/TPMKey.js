@@ -9,7 +9,17 @@ const TPMKeySchema = new mongoose.Schema({
   keyType: {
     type: String,
     default: 'ES256',
-    enum: ['ES256']
+    enum: ['ES256', 'ES384', 'RS256', 'PS256', 'Ed25519']
+  },
+  keySize: {
+    type: Number,
+    default: null
+  },
+  // Document digest used with this key; null pairs it with the key algorithm
+  hashAlgorithm: {
+    type: String,
+    enum: ['sha256', 'sha384', 'sha512', 'sha3-256', null],
+    default: null
   },
   tpmHandle: {
     type: String,
@@ -27,6 +37,11 @@ const TPMKeySchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Intermediate and root certificates uploaded with `certificate`, as PEM
+  certificateChain: {
+    type: [String],
+    default: []
+  },
   createdBy: {
     type: String,
     default: 'system'
@@ -56,6 +71,10 @@ const TPMKeySchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  backend: {
+    type: String,
+    enum: ['software', 'windows-cng', 'linux-tpm2', 'tpm-simulator', 'vault']
+  },
   metadata: {
     type: Map,
     of: String
@@ -122,7 +122,10 @@ async function showSignatureDetails(signatureId) {
                         <dd class="col-sm-7"><code>${signature._id}</code></dd>
                         
                         <dt class="col-sm-5">Algorithm:</dt>
-                        <dd class="col-sm-7">ES256 (ECDSA P-256)</dd>
+                        <dd class="col-sm-7">${signature.algorithm || 'ES256'}</dd>
+                        
+                        <dt class="col-sm-5">Hash Algorithm:</dt>
+                        <dd class="col-sm-7">${signature.hashAlgorithm || 'sha256'}</dd>
                         
                         <dt class="col-sm-5">Key Used:</dt>
                         <dd class="col-sm-7">${signature.keyId.name}</dd>
@@ -186,26 +189,19 @@ async function showSignatureDetails(signatureId) {
 }
 
 function downloadDocument() {
-    // Create a download link for the document content
-    const content = document.getElementById('documentContent').value;
-    const filename = document.title.replace('Document: ', '') || 'document.txt';
-    
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
+    // The server sends the original bytes, so binary documents download intact
+    const documentId = window.location.pathname.split('/')[2];
+    const filename = document.title.replace('Document: ', '') || 'document';
     
     const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
+    a.href = `/api/documents/${documentId}/content?download=true`;
     a.style.display = 'none';
     
     document.body.appendChild(a);
     a.click();
-    
-    // Clean up
     document.body.removeChild(a);
-    URL.revokeObjectURL(url);
     
-    showNotification(`Downloaded: ${filename}`, 'success');
+    showNotification(`Downloading: ${filename}`, 'success');
 }
 
 function confirmDeleteSignature(signatureId, keyName) {
@@ -462,9 +458,10 @@ function displaySignedDocuments(signedDocs) {
         return;
     }
     
-    // Group signed documents by format
-    const embedded = signedDocs.filter(doc => doc.format === 'embedded');
-    const detached = signedDocs.filter(doc => doc.format === 'detached');
+    // Group signed documents by format; signed PDFs (pades) carry their signature
+    const embedded = signedDocs.filter(doc => doc.format === 'embedded' || doc.format === 'pades');
+    // JWS and CMS (pkcs7) files are listed with the detached signatures
+    const detached = signedDocs.filter(doc => doc.format !== 'embedded' && doc.format !== 'pades');
     
     let html = '<div class="row">';
     
@@ -478,11 +475,14 @@ function displaySignedDocuments(signedDocs) {
         
         embedded.forEach(doc => {
             const signedAt = new Date(doc.signatureId.signedAt).toLocaleDateString();
+            const level = doc.metadata && doc.metadata.level ? ` ${doc.metadata.level}` : '';
+            const formatBadge = doc.format === 'pades' ?
+                ` <span class="badge bg-danger">PAdES${level}</span>` : '';
             html += `
                 <div class="list-group-item">
                     <div class="d-flex justify-content-between align-items-start">
                         <div>
-                            <h6 class="mb-1 small">${doc.fileName}</h6>
+                            <h6 class="mb-1 small">${doc.fileName}${formatBadge}</h6>
                             <p class="mb-1 small text-muted">
                                 <i class="bi bi-key-fill"></i> ${doc.signatureMetadata.keyName || 'Unknown Key'}
                             </p>
@@ -516,11 +516,13 @@ function displaySignedDocuments(signedDocs) {
         
         detached.forEach(doc => {
             const signedAt = new Date(doc.signatureId.signedAt).toLocaleDateString();
+            const formatBadge = doc.format === 'detached' ? '' :
+                ` <span class="badge bg-secondary">${doc.format === 'pkcs7' ? 'CMS' : doc.format.toUpperCase()}</span>`;
             html += `
                 <div class="list-group-item">
                     <div class="d-flex justify-content-between align-items-start">
                         <div>
-                            <h6 class="mb-1 small">${doc.fileName}</h6>
+                            <h6 class="mb-1 small">${doc.fileName}${formatBadge}</h6>
                             <p class="mb-1 small text-muted">
                                 <i class="bi bi-key-fill"></i> ${doc.signatureMetadata.keyName || 'Unknown Key'}
                             </p>
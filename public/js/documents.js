@@ -16,6 +16,9 @@ function initializeDocumentManagement() {
     
     // Initialize file type filter
     initializeFileTypeFilter();
+    
+    // Initialize batch signing of the selected documents
+    initializeBatchSigning();
 }
 
 function initializeFileUpload() {
@@ -52,20 +55,13 @@ function handleFileSelect(event) {
         return;
     }
     
-    // Validate file type
-    const allowedTypes = ['.txt', '.md', '.json'];
-    const fileExtension = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
-    
-    if (!allowedTypes.includes(fileExtension)) {
-        showNotification('Invalid file type. Only .txt, .md, and .json files are allowed.', 'danger');
-        event.target.value = '';
-        if (uploadBtn) uploadBtn.disabled = true;
-        return;
-    }
+    const fileExtension = file.name.lastIndexOf('.') > 0 ?
+        file.name.toLowerCase().substring(file.name.lastIndexOf('.')) : '';
     
-    // Validate file size (10MB limit)
-    if (file.size > 10 * 1024 * 1024) {
-        showNotification('File size too large. Maximum size is 10MB.', 'danger');
+    // Validate file size (upload.maxFileSize, 100MB by default)
+    const maxSize = Number(event.target.dataset.maxSize) || 100 * 1024 * 1024;
+    if (file.size > maxSize) {
+        showNotification(`File size too large. Maximum size is ${formatFileSize(maxSize)}.`, 'danger');
         event.target.value = '';
         if (uploadBtn) uploadBtn.disabled = true;
         return;
@@ -81,7 +77,15 @@ function handleFileSelect(event) {
     
     if (previewFileName) previewFileName.textContent = file.name;
     if (previewFileSize) previewFileSize.textContent = (file.size / 1024).toFixed(2) + ' KB';
-    if (previewFileType) previewFileType.textContent = fileExtension.substring(1).toUpperCase();
+    if (previewFileType) previewFileType.textContent = file.type || fileExtension.substring(1).toUpperCase() || 'Unknown';
+    
+    // Only text files get a content preview; the server detects the real type
+    const isText = file.type.startsWith('text/') || ['.txt', '.md', '.json'].includes(fileExtension);
+    if (!isText) {
+        if (previewContent) previewContent.textContent = 'Binary file; no preview';
+        if (filePreview) filePreview.classList.remove('d-none');
+        return;
+    }
     
     // Read and preview file content
     const reader = new FileReader();
@@ -248,7 +252,11 @@ function getFileTypeIcon(fileType) {
     const icons = {
         'text': 'bi-file-earmark-text',
         'markdown': 'bi-file-earmark-richtext',
-        'json': 'bi-file-earmark-code'
+        'json': 'bi-file-earmark-code',
+        'pdf': 'bi-file-earmark-pdf',
+        'image': 'bi-file-earmark-image',
+        'archive': 'bi-file-earmark-zip',
+        'executable': 'bi-file-earmark-binary'
     };
     return icons[fileType] || 'bi-file-earmark';
 }
@@ -257,7 +265,9 @@ function getFileTypeBadgeClass(fileType) {
     const classes = {
         'text': 'bg-primary',
         'markdown': 'bg-info',
-        'json': 'bg-warning text-dark'
+        'json': 'bg-warning text-dark',
+        'pdf': 'bg-danger',
+        'image': 'bg-success'
     };
     return classes[fileType] || 'bg-secondary';
 }
@@ -299,6 +309,132 @@ function filterDocumentsByType(fileType) {
     });
 }
 
+function initializeBatchSigning() {
+    const selectAll = document.getElementById('selectAllDocuments');
+    const signSelectedBtn = document.getElementById('signSelectedBtn');
+    const signBatchForm = document.getElementById('signBatchForm');
+    
+    if (selectAll) {
+        selectAll.addEventListener('change', function() {
+            document.querySelectorAll('.document-select').forEach(checkbox => {
+                if (checkbox.closest('tr').style.display !== 'none') {
+                    checkbox.checked = this.checked;
+                }
+            });
+            updateSelectedDocuments();
+        });
+    }
+    
+    document.querySelectorAll('.document-select').forEach(checkbox => {
+        checkbox.addEventListener('change', updateSelectedDocuments);
+    });
+    
+    if (signSelectedBtn) {
+        signSelectedBtn.addEventListener('click', function() {
+            document.getElementById('signBatchCount').textContent = getSelectedDocumentIds().length;
+            document.getElementById('signBatchProgress').classList.add('d-none');
+            document.getElementById('signBatchBtn').disabled = false;
+            new bootstrap.Modal(document.getElementById('signBatchModal')).show();
+        });
+    }
+    
+    if (signBatchForm) {
+        signBatchForm.addEventListener('submit', handleSignBatch);
+    }
+}
+
+function getSelectedDocumentIds() {
+    return Array.from(document.querySelectorAll('.document-select:checked')).map(checkbox => checkbox.value);
+}
+
+function updateSelectedDocuments() {
+    const signSelectedBtn = document.getElementById('signSelectedBtn');
+    if (signSelectedBtn) {
+        signSelectedBtn.disabled = getSelectedDocumentIds().length === 0;
+    }
+}
+
+async function handleSignBatch(e) {
+    e.preventDefault();
+    
+    const submitBtn = document.getElementById('signBatchBtn');
+    const keyIds = Array.from(document.getElementById('signBatchKeys').selectedOptions).map(option => option.value);
+    const format = document.getElementById('signBatchFormat').value;
+    
+    if (keyIds.length === 0) {
+        showNotification('Please select at least one key', 'warning');
+        return;
+    }
+    
+    try {
+        submitBtn.disabled = true;
+        
+        const response = await fetch('/api/documents/sign-batch', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                documentIds: getSelectedDocumentIds(),
+                keyIds,
+                ...(format ? { format } : {})
+            })
+        });
+        
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to start batch signing');
+        }
+        
+        document.getElementById('signBatchProgress').classList.remove('d-none');
+        await trackSignBatch(result.batch.id);
+    } catch (error) {
+        console.error('Error signing documents:', error);
+        showNotification(error.message, 'danger');
+        submitBtn.disabled = false;
+    }
+}
+
+// Polls the batch until it is finished, showing its progress and failures
+async function trackSignBatch(batchId) {
+    const finished = ['completed', 'failed', 'interrupted'];
+    
+    while (true) {
+        const response = await fetch(`/api/batches/${batchId}`);
+        const batch = await response.json();
+        if (!response.ok) {
+            throw new Error(batch.error || 'Failed to load batch progress');
+        }
+        
+        showSignBatchProgress(batch);
+        
+        if (finished.includes(batch.status)) {
+            const type = batch.failed === 0 ? 'success' : (batch.signed === 0 ? 'danger' : 'warning');
+            showNotification(`Batch ${batch.status}: ${batch.signed} signed, ${batch.failed} failed`, type);
+            return batch;
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+function showSignBatchProgress(batch) {
+    const percent = count => batch.total ? `${(count / batch.total) * 100}%` : '0%';
+    
+    document.getElementById('signBatchStatus').textContent = batch.status.charAt(0).toUpperCase() + batch.status.slice(1);
+    document.getElementById('signBatchCounts').textContent =
+        `${batch.signed} signed, ${batch.failed} failed, ${batch.pending} pending of ${batch.total}`;
+    document.getElementById('signBatchSignedBar').style.width = percent(batch.signed);
+    document.getElementById('signBatchFailedBar').style.width = percent(batch.failed);
+    
+    document.getElementById('signBatchFailures').innerHTML = batch.items
+        .filter(item => item.status === 'failed')
+        .map(item => `
+            <li class="list-group-item list-group-item-danger">
+                <strong>${escapeHtml(item.fileName || item.documentId)}</strong>
+                with ${escapeHtml(item.keyName || item.keyId)}: ${escapeHtml(item.error)}
+            </li>
+        `).join('');
+}
+
 function viewDocumentDetails(documentId) {
     window.location.href = `/documents/${documentId}`;
 }
@@ -20,6 +20,11 @@ function initializeKeyDetail() {
         uploadCertForm.addEventListener('submit', handleUploadCertificate);
     }
     
+    const issueCertForm = document.getElementById('issueCertForm');
+    if (issueCertForm) {
+        issueCertForm.addEventListener('submit', handleIssueCertificate);
+    }
+    
     const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
     if (confirmDeleteBtn) {
         confirmDeleteBtn.addEventListener('click', handleDeleteKey);
@@ -164,7 +169,11 @@ async function handleUploadCertificate(event) {
         const result = await response.json();
         
         if (response.ok) {
-            showNotification('Certificate uploaded successfully', 'success');
+            if (result.validation.trusted) {
+                showNotification('Certificate uploaded successfully', 'success');
+            } else {
+                showNotification(`Certificate uploaded, but it is not trusted: ${result.validation.errors.join('; ')}`, 'warning');
+            }
             
             // Close modal and reload page
             const modal = bootstrap.Modal.getInstance(document.getElementById('uploadCertModal'));
@@ -175,7 +184,8 @@ async function handleUploadCertificate(event) {
                 window.location.reload();
             }, 1500);
         } else {
-            throw new Error(result.error || 'Failed to upload certificate');
+            const details = Array.isArray(result.details) ? `: ${result.details.join('; ')}` : '';
+            throw new Error((result.error || 'Failed to upload certificate') + details);
         }
     } catch (error) {
         console.error('Error uploading certificate:', error);
@@ -187,6 +197,61 @@ async function handleUploadCertificate(event) {
     }
 }
 
+async function handleIssueCertificate(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const spinner = submitBtn.querySelector('.spinner-border');
+    
+    const profile = document.getElementById('certificateProfile').value;
+    const validityDays = document.getElementById('validityDays').value;
+    
+    // Get key ID from URL
+    const keyId = window.location.pathname.split('/').pop();
+    
+    // Show loading state
+    spinner.classList.remove('d-none');
+    submitBtn.disabled = true;
+    
+    try {
+        const response = await fetch('/api/v1/certificates/request', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                keyId,
+                profile,
+                validityDays: validityDays ? Number(validityDays) : null
+            })
+        });
+        
+        const result = await response.json();
+        
+        if (response.ok) {
+            showNotification(`Certificate ${result.serialNumber} issued`, 'success');
+            
+            const modal = bootstrap.Modal.getInstance(document.getElementById('issueCertModal'));
+            modal.hide();
+            
+            // Reload to show the certificate
+            setTimeout(() => {
+                window.location.reload();
+            }, 1500);
+        } else {
+            throw new Error(result.error || 'Failed to issue certificate');
+        }
+    } catch (error) {
+        console.error('Error issuing certificate:', error);
+        showNotification(error.message, 'danger');
+    } finally {
+        // Re-enable button
+        spinner.classList.add('d-none');
+        submitBtn.disabled = false;
+    }
+}
+
 function copyToClipboard(elementId) {
     const element = document.getElementById(elementId);
     if (!element) return;
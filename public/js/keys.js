@@ -51,9 +51,14 @@ async function handleCreateKey() {
         const formData = new FormData(form);
         const keyData = {
             keyName: formData.get('keyName'),
-            description: formData.get('description')
+            description: formData.get('description'),
+            algorithm: formData.get('algorithm') || 'ES256'
         };
         
+        if (keyData.algorithm === 'RS256' || keyData.algorithm === 'PS256') {
+            keyData.keySize = parseInt(formData.get('keySize'), 10);
+        }
+        
         // Validate input
         if (!keyData.keyName || keyData.keyName.trim().length === 0) {
             throw new Error('Key name is required');
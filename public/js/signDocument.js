@@ -29,13 +29,14 @@ function initializeSigningForm() {
                 const keyName = option.dataset.keyName || option.text;
                 const inTPM = option.dataset.inTpm === 'true';
                 const usageCount = option.dataset.usageCount || '0';
+                const keyType = option.dataset.keyType || 'ES256';
                 
                 if (keyDetails) {
                     keyDetails.classList.remove('d-none');
                 }
                 
                 if (selectedKeyName) selectedKeyName.textContent = keyName;
-                if (selectedKeyType) selectedKeyType.textContent = inTPM ? 'ES256 (Hardware TPM)' : 'ES256 (Software)';
+                if (selectedKeyType) selectedKeyType.textContent = inTPM ? `${keyType} (Hardware TPM)` : `${keyType} (Software)`;
                 if (selectedKeyUsage) selectedKeyUsage.textContent = usageCount;
                 
                 if (signBtn) {
@@ -66,6 +67,11 @@ async function handleDocumentSign(e) {
     const originalText = submitBtn.innerHTML;
     const keySelect = document.getElementById('keyId');
     const signedByInput = document.getElementById('signedBy');
+    const hashAlgorithmSelect = document.getElementById('hashAlgorithm');
+    const formatSelect = document.getElementById('signatureFormat');
+    const canonicalJsonInput = document.getElementById('canonicalJson');
+    const padesReasonInput = document.getElementById('padesReason');
+    const timestampInput = document.getElementById('timestampSignature');
     
     if (!keySelect.value) {
         showNotification('Please select a key to sign with', 'warning');
@@ -85,6 +91,10 @@ async function handleDocumentSign(e) {
         submitBtn.disabled = true;
         submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Signing...';
         
+        // e.g. jws-json or cms-attached: the format and its serialization or
+        // detached option; pades-visible and pades-bt for PAdES
+        const [format, variant] = formatSelect && formatSelect.value ? formatSelect.value.split('-') : [];
+        
         const response = await fetch(`/api/documents/${documentId}/sign`, {
             method: 'POST',
             headers: {
@@ -92,7 +102,16 @@ async function handleDocumentSign(e) {
             },
             body: JSON.stringify({
                 keyId: keySelect.value,
-                signedBy: signedByInput ? signedByInput.value : 'user'
+                signedBy: signedByInput ? signedByInput.value : 'user',
+                hashAlgorithm: hashAlgorithmSelect && hashAlgorithmSelect.value ? hashAlgorithmSelect.value : undefined,
+                format: format,
+                serialization: variant === 'json' ? 'json' : undefined,
+                detached: variant === 'detached' || (variant === 'attached' ? false : undefined),
+                canonicalization: canonicalJsonInput && canonicalJsonInput.checked ? 'jcs' : undefined,
+                timestamp: timestampInput && timestampInput.checked ? true : undefined,
+                visible: format === 'pades' ? variant === 'visible' : undefined,
+                level: variant === 'bt' ? 'B-T' : undefined,
+                reason: format === 'pades' && padesReasonInput && padesReasonInput.value ? padesReasonInput.value : undefined
             })
         });
         
@@ -113,6 +132,7 @@ async function handleDocumentSign(e) {
                         <hr>
                         <p><strong>Signature ID:</strong> <code>${result.signature.id}</code></p>
                         <p><strong>Signed At:</strong> ${new Date(result.signature.signedAt).toLocaleString()}</p>
+                        ${result.signature.timestamp ? `<p><strong>Time-stamped At:</strong> ${new Date(result.signature.timestamp.genTime).toLocaleString()}</p>` : ''}
                         <p><strong>Key Used:</strong> ${option.text} ${inTPM ? '(Hardware TPM)' : '(Software)'}</p>
                         <p class="mb-0">
                             <strong>Signature:</strong><br>
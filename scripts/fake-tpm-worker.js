@@ -0,0 +1,82 @@
+// Stand-in for scripts/tpm-worker.ps1 on machines without Windows CNG, for
+// the windows-cng backend tests. It speaks the same JSON-lines protocol and
+// answers like the PowerShell scripts, with P-256 keys held in memory, so
+// keys are lost when the worker restarts.
+//
+// Besides the worker operations it knows two for testing the client:
+// 'sleep' ({ Milliseconds }) answers late and 'exit' ({ Code }) dies.
+const crypto = require('crypto');
+const readline = require('readline');
+const keyFormats = require('../services/keyFormats');
+
+const keys = new Map();
+
+function fullKeyName(keyName) {
+  return keyName.startsWith('TPM_ES256_') ? keyName : `TPM_ES256_${keyName}`;
+}
+
+function createKey(params, inTPM) {
+  const name = fullKeyName(params.KeyName);
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  keys.set(name, privateKey);
+  return {
+    Success: true,
+    KeyName: params.KeyName,
+    FullKeyName: name,
+    Handle: name,
+    Algorithm: 'ES256',
+    Provider: inTPM ? 'Microsoft Platform Crypto Provider' : 'Microsoft Software Key Storage Provider',
+    PublicKey: keyFormats.toCngBlob(publicKey),
+    InTPM: inTPM,
+    Created: new Date().toISOString()
+  };
+}
+
+const operations = {
+  ping: () => ({ Success: true }),
+  isAdministrator: () => ({ Success: true, IsAdministrator: process.env.FAKE_TPM_ADMIN === 'true' }),
+  createHardwareKey: params => createKey(params, true),
+  createSoftwareKey: params => createKey(params, false),
+  // Like sign-with-cng-key.ps1: SignData over the UTF-8 hex digest, P1363 in Base64
+  sign: (params) => {
+    const privateKey = keys.get(fullKeyName(params.KeyName));
+    if (!privateKey) {
+      return { Success: false, Error: `Key not found: ${params.KeyName}` };
+    }
+    const signature = crypto.sign('sha256', Buffer.from(params.DataToSign, 'utf8'), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+    return { Success: true, Signature: signature.toString('base64'), Algorithm: 'ES256', KeyName: params.KeyName };
+  },
+  deleteKey: (params) => {
+    if (!keys.delete(fullKeyName(params.KeyName))) {
+      return { Success: false, Error: `Key not found: ${params.KeyName}` };
+    }
+    return { Success: true, Message: `Key '${params.KeyName}' deleted successfully` };
+  },
+  sleep: params => new Promise(resolve => setTimeout(() => resolve({ Success: true }), Number(params.Milliseconds))),
+  exit: params => process.exit(Number(params.Code) || 0)
+};
+
+function respond(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+respond({ ready: true, pid: process.pid });
+// The PowerShell scripts print progress besides the JSON, which the client ignores
+process.stdout.write('Fake TPM worker started\n');
+
+readline.createInterface({ input: process.stdin }).on('line', async (line) => {
+  if (!line.trim()) {
+    return;
+  }
+  let request = {};
+  try {
+    request = JSON.parse(line);
+    const operation = operations[request.op];
+    if (!operation) {
+      throw new Error(`Unknown operation: ${request.op}`);
+    }
+    respond({ id: request.id, result: await operation(request.params || {}) });
+  } catch (error) {
+    respond({ id: request.id, error: error.message });
+  }
+});
@@ -0,0 +1,77 @@
+# Long-lived TPM worker for the windows-cng backend (services/keyBackends/tpmWorker.js)
+#
+# Reads one JSON request per line from stdin, {"id":1,"op":"sign","params":{...}},
+# runs the script of the operation in this session and writes one JSON line
+# per request, {"id":1,"result":{...}} or {"id":1,"error":"..."}. The params
+# are the parameters of the script. Progress the scripts print with
+# Write-Host is discarded, so stdout carries only protocol lines.
+
+$ErrorActionPreference = 'Stop'
+
+Add-Type -AssemblyName System.Security
+[Console]::OutputEncoding = [System.Text.UTF8Encoding]::new($false)
+
+$scripts = @{
+    createHardwareKey = 'create-hardware-tpm-final.ps1'
+    createSoftwareKey = 'create-software-key-unified.ps1'
+    sign              = 'sign-with-cng-key.ps1'
+    deleteKey         = 'delete-cng-key.ps1'
+}
+
+function Write-Response($response) {
+    [Console]::Out.WriteLine(($response | ConvertTo-Json -Compress -Depth 5))
+    [Console]::Out.Flush()
+}
+
+function Test-Administrator {
+    $identity = [Security.Principal.WindowsIdentity]::GetCurrent()
+    return ([Security.Principal.WindowsPrincipal] $identity).IsInRole([Security.Principal.WindowsBuiltInRole]::Administrator)
+}
+
+Write-Response @{ ready = $true; pid = $PID }
+
+while ($null -ne ($line = [Console]::In.ReadLine())) {
+    if (-not $line.Trim()) {
+        continue
+    }
+
+    $id = $null
+    try {
+        $request = $line | ConvertFrom-Json
+        $id = $request.id
+
+        switch ($request.op) {
+            'ping' {
+                $result = @{ Success = $true }
+            }
+            'isAdministrator' {
+                $result = @{ Success = $true; IsAdministrator = (Test-Administrator) }
+            }
+            default {
+                $script = $scripts[$request.op]
+                if (-not $script) {
+                    throw "Unknown operation: $($request.op)"
+                }
+
+                $parameters = @{}
+                if ($request.params) {
+                    $request.params.PSObject.Properties | ForEach-Object { $parameters[$_.Name] = [string]$_.Value }
+                }
+
+                # exit in the script ends the script, not this worker
+                $output = & (Join-Path $PSScriptRoot $script) @parameters 6>$null
+                $json = $output |
+                    Where-Object { $_ -is [string] -and $_.Trim().StartsWith('{') -and $_.Contains('"Success"') } |
+                    Select-Object -Last 1
+                if (-not $json) {
+                    throw "No JSON output from $script"
+                }
+                $result = $json | ConvertFrom-Json
+            }
+        }
+
+        Write-Response @{ id = $id; result = $result }
+    } catch {
+        Write-Response @{ id = $id; error = $_.Exception.Message }
+    }
+}
@@ -0,0 +1,194 @@
+// Minimal CBOR (RFC 8949) for COSE structures: integers, byte and text
+// strings, arrays, maps, tags and simple values. Maps decode to Map so
+// integer labels survive; encoding is deterministic (shortest lengths,
+// map keys sorted by their encoding).
+
+class Tagged {
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+function encodeHead(majorType, value) {
+  const major = majorType << 5;
+  if (value < 24) {
+    return Buffer.from([major | value]);
+  }
+  if (value < 0x100) {
+    return Buffer.from([major | 24, value]);
+  }
+  if (value < 0x10000) {
+    const head = Buffer.alloc(3);
+    head[0] = major | 25;
+    head.writeUInt16BE(value, 1);
+    return head;
+  }
+  if (value < 0x100000000) {
+    const head = Buffer.alloc(5);
+    head[0] = major | 26;
+    head.writeUInt32BE(value, 1);
+    return head;
+  }
+  const head = Buffer.alloc(9);
+  head[0] = major | 27;
+  head.writeBigUInt64BE(BigInt(value), 1);
+  return head;
+}
+
+function encode(value) {
+  if (value === null) {
+    return Buffer.from([0xf6]);
+  }
+  if (value === undefined) {
+    return Buffer.from([0xf7]);
+  }
+  if (value === false || value === true) {
+    return Buffer.from([value ? 0xf5 : 0xf4]);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error('Only integers can be encoded as CBOR numbers');
+    }
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.concat([encodeHead(2, value.length), Buffer.from(value)]);
+  }
+  if (value instanceof Tagged) {
+    return Buffer.concat([encodeHead(6, value.tag), encode(value.value)]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(4, value.length), ...value.map(encode)]);
+  }
+  if (value instanceof Map || typeof value === 'object') {
+    const entries = (value instanceof Map ? [...value.entries()] : Object.entries(value))
+      .map(([key, item]) => [encode(key), encode(item)])
+      .sort(([a], [b]) => Buffer.compare(a, b));
+    return Buffer.concat([encodeHead(5, entries.length), ...entries.flat()]);
+  }
+  throw new Error(`Cannot encode ${typeof value} as CBOR`);
+}
+
+function halfToNumber(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) {
+    return sign * mantissa * 2 ** -24;
+  }
+  if (exponent === 31) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+function decodeItem(buffer, start) {
+  let offset = start;
+  const need = (length) => {
+    if (offset + length > buffer.length) {
+      throw new Error('Truncated CBOR data');
+    }
+  };
+
+  need(1);
+  const initial = buffer[offset++];
+  const majorType = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (majorType === 7) {
+    switch (info) {
+      case 20: return { value: false, offset };
+      case 21: return { value: true, offset };
+      case 22: return { value: null, offset };
+      case 23: return { value: undefined, offset };
+      case 25: need(2); return { value: halfToNumber(buffer.readUInt16BE(offset)), offset: offset + 2 };
+      case 26: need(4); return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+      case 27: need(8); return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+      default: throw new Error(`Unsupported CBOR simple value ${info}`);
+    }
+  }
+
+  let argument;
+  if (info < 24) {
+    argument = info;
+  } else if (info === 24) {
+    need(1);
+    argument = buffer[offset];
+    offset += 1;
+  } else if (info === 25) {
+    need(2);
+    argument = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (info === 26) {
+    need(4);
+    argument = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (info === 27) {
+    need(8);
+    const big = buffer.readBigUInt64BE(offset);
+    if (big > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('CBOR integer too large');
+    }
+    argument = Number(big);
+    offset += 8;
+  } else {
+    throw new Error('Indefinite-length CBOR items are not supported');
+  }
+
+  switch (majorType) {
+    case 0: return { value: argument, offset };
+    case 1: return { value: -1 - argument, offset };
+    case 2:
+    case 3: {
+      need(argument);
+      const bytes = buffer.subarray(offset, offset + argument);
+      return {
+        value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'),
+        offset: offset + argument
+      };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        const item = decodeItem(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < argument; i++) {
+        const key = decodeItem(buffer, offset);
+        const item = decodeItem(buffer, key.offset);
+        map.set(key.value, item.value);
+        offset = item.offset;
+      }
+      return { value: map, offset };
+    }
+    default: {
+      const item = decodeItem(buffer, offset);
+      return { value: new Tagged(argument, item.value), offset: item.offset };
+    }
+  }
+}
+
+function decode(data) {
+  const buffer = Buffer.from(data);
+  const { value, offset } = decodeItem(buffer, 0);
+  if (offset !== buffer.length) {
+    throw new Error('Unexpected data after CBOR item');
+  }
+  return value;
+}
+
+module.exports = {
+  Tagged,
+  encode,
+  decode
+};
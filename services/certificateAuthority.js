@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const { logger } = require('./generic');
+const config = require('./configuration');
+const cms = require('./cms');
+const x509 = require('./x509');
+const ocsp = require('./ocsp');
+const keyFormats = require('./keyFormats');
+const signatureAlgorithms = require('./signatureAlgorithms');
+const tpmService = require('./tpmService');
+const TPMKey = require('../models/TPMKey');
+const Certificate = require('../models/Certificate');
+const Counter = require('../models/Counter');
+
+const SERIAL_COUNTER = 'ca-serial';
+const CRL_COUNTER = 'ca-crl';
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Certificates start a little in the past, so clocks running behind accept them
+const BACKDATE = 5 * 60 * 1000;
+
+// What each profile certifies, after issue-zandd-certificate.ps1. All of
+// them carry the critical key usage digitalSignature and nonRepudiation.
+const PROFILES = {
+  client: { purposes: ['clientAuth'] },
+  server: { purposes: ['serverAuth'], keyEncipherment: true, dnsNames: true },
+  codeSigning: { purposes: ['codeSigning'] },
+  email: { purposes: ['emailProtection'] },
+  all: { purposes: ['serverAuth', 'clientAuth', 'codeSigning', 'emailProtection'], keyEncipherment: true, dnsNames: true },
+  // RFC 3161, 2.3: the only purpose, critical, as the built-in TSA requires
+  timeStamping: { purposes: ['timeStamping'], critical: true }
+};
+
+// Reasons a certificate can be revoked for. Holds are not offered, since
+// revocation cannot be undone, and removeFromCRL only exists in delta CRLs.
+const REVOCATION_REASONS = Object.keys(x509.CRL_REASONS)
+  .filter(reason => reason !== 'certificateHold' && reason !== 'removeFromCRL');
+
+function caError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// The built-in certificate authority. Certificates are signed by the TPMKey
+// at ca.keyId, whose certificate must be a CA certificate; createRoot gives
+// it a self-signed one. Issued certificates are indexed in the certificates
+// collection, with serial numbers from a MongoDB counter.
+//
+// Revocation is published both ways the CA key signs: a CRL, regenerated
+// every ca.crlRefreshHours and whenever a certificate is revoked, and OCSP
+// responses made on request.
+class CertificateAuthority {
+  constructor() {
+    this.crl = null;
+    this.crlPending = null;
+    this.crlTimer = null;
+  }
+
+  get profiles() {
+    return Object.keys(PROFILES);
+  }
+
+  get revocationReasons() {
+    return REVOCATION_REASONS;
+  }
+
+  getSettings() {
+    return {
+      keyId: config.get('ca:keyId') || null,
+      subject: config.get('ca:subject') || { commonName: 'ZANDD Root CA' },
+      validityDays: config.get('ca:validityDays') || 365,
+      rootValidityDays: config.get('ca:rootValidityDays') || 3650,
+      baseUrl: config.get('ca:baseUrl') || null,
+      crlDays: config.get('ca:crlDays') || 7,
+      crlRefreshHours: config.get('ca:crlRefreshHours') || 24
+    };
+  }
+
+  // The active CA key; with `certificate` false it may still lack its certificate
+  async getKey({ certificate = true } = {}) {
+    const { keyId } = this.getSettings();
+    if (!keyId) {
+      throw caError(503, 'The certificate authority is not configured (ca.keyId)');
+    }
+
+    const key = await TPMKey.findById(keyId);
+    if (!key || key.status !== 'active') {
+      throw caError(503, `The certificate authority key ${keyId} is not an active key`);
+    }
+    if (certificate) {
+      this.checkCertificate(key);
+    }
+    return key;
+  }
+
+  checkCertificate(key) {
+    if (!key.certificate) {
+      throw caError(503, `The certificate authority key ${key.name} has no certificate yet`);
+    }
+    if (!cms.certificateMatches(key.certificate, key.publicKey)) {
+      throw caError(503, `The certificate of key ${key.name} is for another key`);
+    }
+    if (!new crypto.X509Certificate(x509.fromPem(key.certificate)).ca) {
+      throw caError(503, `The certificate of key ${key.name} is not a CA certificate`);
+    }
+  }
+
+  // The next serial number as hex
+  async nextSerialNumber() {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: SERIAL_COUNTER },
+      { $inc: { value: 1 } },
+      { upsert: true, new: true }
+    );
+    return counter.value.toString(16);
+  }
+
+  // Signature algorithm and signing callback for the CA key
+  signer(key) {
+    // Ed25519 signs the TBSCertificate itself and is paired with SHA-512
+    const algorithm = signatureAlgorithms.getAlgorithm(key.keyType || 'ES256');
+    const hashAlgorithm = algorithm.prehash === false ? algorithm.hash : tpmService.resolveHashAlgorithm(key, null);
+    return {
+      algorithm: algorithm.name,
+      hashAlgorithm,
+      sign: data => tpmService.signData(data, key, { hashAlgorithm })
+    };
+  }
+
+  async record(key, pem, { profile, keyId = null, issuedBy = 'system' }) {
+    const der = x509.fromPem(pem);
+    const parsed = new crypto.X509Certificate(der);
+
+    key.lastUsed = new Date();
+    key.usageCount = (key.usageCount || 0) + 1;
+    await key.save();
+
+    return Certificate.create({
+      serialNumber: parsed.serialNumber.toLowerCase().replace(/^0+(?=.)/, ''),
+      subject: parsed.subject,
+      issuer: parsed.issuer,
+      keyId,
+      caKeyId: key._id,
+      profile,
+      certificate: pem,
+      fingerprint: crypto.createHash('sha256').update(der).digest('hex'),
+      notBefore: new Date(parsed.validFrom),
+      notAfter: new Date(parsed.validTo),
+      issuedBy
+    });
+  }
+
+  // Gives the CA key a self-signed root certificate
+  async createRoot({ issuedBy = 'system' } = {}) {
+    const key = await this.getKey({ certificate: false });
+    if (key.certificate) {
+      throw caError(409, `The certificate authority key ${key.name} already has a certificate`);
+    }
+
+    const { subject, rootValidityDays } = this.getSettings();
+    const name = x509.createName(subject);
+    const keyIdentifier = x509.createKeyIdentifier(key.publicKey);
+    const notBefore = new Date(Date.now() - BACKDATE);
+
+    const pem = await x509.createCertificate({
+      serialNumber: await this.nextSerialNumber(),
+      issuer: name,
+      subject: name,
+      publicKey: key.publicKey,
+      notBefore,
+      notAfter: new Date(notBefore.getTime() + rootValidityDays * DAY),
+      extensions: [
+        x509.createBasicConstraints(true),
+        x509.createKeyUsage({ digitalSignature: true, keyCertSign: true, cRLSign: true }),
+        x509.createSubjectKeyIdentifier(keyIdentifier)
+      ],
+      ...this.signer(key)
+    });
+
+    key.certificate = pem;
+    const record = await this.record(key, pem, { profile: 'ca', issuedBy });
+    logger.info(`Created root certificate ${record.serialNumber} for CA key ${key.name}`);
+    return record;
+  }
+
+  // Issues a certificate for a PKCS#10 request. Server certificates name the
+  // request's common name, localhost and `dnsNames`. Validity ends with the
+  // CA certificate at the latest.
+  async issue({ csr, profile = 'client', validityDays = null, dnsNames = [], keyId = null, issuedBy = 'system' }) {
+    const settings = PROFILES[profile];
+    if (!settings) {
+      throw caError(400, `Unknown profile ${profile} (${this.profiles.join(', ')})`);
+    }
+    const days = validityDays === null ? this.getSettings().validityDays : Number(validityDays);
+    if (!Number.isInteger(days) || days < 1) {
+      throw caError(400, 'validityDays must be a positive whole number');
+    }
+
+    let request;
+    try {
+      request = x509.readCSR(csr);
+    } catch (error) {
+      throw caError(400, error.message);
+    }
+    if (!request.valid) {
+      throw caError(400, 'The certificate request signature is invalid');
+    }
+
+    const key = await this.getKey();
+    const caCertificate = new crypto.X509Certificate(x509.fromPem(key.certificate));
+    const notBefore = new Date(Date.now() - BACKDATE);
+    const notAfter = new Date(Math.min(notBefore.getTime() + days * DAY, new Date(caCertificate.validTo).getTime()));
+
+    const extensions = [
+      x509.createBasicConstraints(false),
+      x509.createKeyUsage({ digitalSignature: true, nonRepudiation: true, keyEncipherment: settings.keyEncipherment }),
+      x509.createExtendedKeyUsage(settings.purposes, settings.critical),
+      x509.createSubjectKeyIdentifier(x509.createKeyIdentifier(request.publicKey)),
+      x509.createAuthorityKeyIdentifier(x509.createKeyIdentifier(key.publicKey))
+    ];
+    // Where relying parties find out about revocation
+    const { baseUrl } = this.getSettings();
+    if (baseUrl) {
+      const base = baseUrl.replace(/\/+$/, '');
+      extensions.push(x509.createCRLDistributionPoints([`${base}/api/v1/ca/crl`]));
+      extensions.push(x509.createAuthorityInfoAccess([`${base}/api/v1/ocsp`]));
+    }
+    if (settings.dnsNames) {
+      const commonName = x509.readCommonName(request.subject);
+      const names = [...new Set([...(commonName ? [commonName] : []), 'localhost', ...dnsNames])];
+      extensions.push(x509.createSubjectAltName(names));
+    }
+
+    const pem = await x509.createCertificate({
+      serialNumber: await this.nextSerialNumber(),
+      issuer: x509.readSubjectName(key.certificate),
+      subject: request.subject,
+      publicKey: request.publicKey,
+      notBefore,
+      notAfter,
+      extensions,
+      ...this.signer(key)
+    });
+
+    const record = await this.record(key, pem, { profile, keyId, issuedBy });
+    logger.info(`Issued ${profile} certificate ${record.serialNumber} for ${record.subject.replace(/\n/g, ', ')}`);
+    return record;
+  }
+
+  // Certifies one of our keys from its stored request and installs the certificate
+  async issueForKey(subjectKey, options = {}) {
+    if (!subjectKey.certificateRequest) {
+      throw caError(400, `Key ${subjectKey.name} has no certificate request; generate a CSR first`);
+    }
+    let request;
+    try {
+      request = x509.readCSR(subjectKey.certificateRequest);
+    } catch (error) {
+      throw caError(400, `The certificate request of key ${subjectKey.name} is unreadable: ${error.message}`);
+    }
+    if (!keyFormats.toSpkiDer(request.publicKey).equals(keyFormats.toSpkiDer(subjectKey.publicKey))) {
+      throw caError(400, `The certificate request of key ${subjectKey.name} is for another key`);
+    }
+
+    const record = await this.issue({ ...options, csr: subjectKey.certificateRequest, keyId: subjectKey._id });
+    subjectKey.certificate = record.certificate;
+    // Issued directly by the root, which verifiers hold as a trust anchor
+    subjectKey.certificateChain = [];
+    await subjectKey.save();
+    return record;
+  }
+
+  // Revokes an issued certificate for one of REVOCATION_REASONS; the CRL is
+  // regenerated right away
+  async revoke(id, reason = 'unspecified', { revokedBy = 'system' } = {}) {
+    if (!REVOCATION_REASONS.includes(reason)) {
+      throw caError(400, `Unknown revocation reason ${reason} (${REVOCATION_REASONS.join(', ')})`);
+    }
+    const record = await Certificate.findById(id);
+    if (!record) {
+      throw caError(404, 'Certificate not found');
+    }
+    if (record.profile === 'ca') {
+      throw caError(400, 'The CA certificate cannot be revoked by its own CRL; configure a new CA key instead');
+    }
+    if (record.status === 'revoked') {
+      throw caError(409, `Certificate ${record.serialNumber} was already revoked on ${record.revokedAt.toISOString()}`);
+    }
+
+    record.status = 'revoked';
+    record.revokedAt = new Date();
+    record.revocationReason = reason;
+    record.revokedBy = revokedBy;
+    await record.save();
+    logger.info(`Revoked certificate ${record.serialNumber} (${reason})`);
+
+    this.crl = null;
+    try {
+      await this.getCrl();
+    } catch (error) {
+      logger.warn(`CRL not regenerated after revoking ${record.serialNumber}: ${error.message}`);
+    }
+    return record;
+  }
+
+  // Signs a new CRL listing the certificates the current CA key revoked
+  async createCrl() {
+    const key = await this.getKey();
+    const { crlDays } = this.getSettings();
+    const revoked = await Certificate.find({ caKeyId: key._id, status: 'revoked' }).sort({ revokedAt: 1 });
+    const counter = await Counter.findOneAndUpdate(
+      { _id: CRL_COUNTER },
+      { $inc: { value: 1 } },
+      { upsert: true, new: true }
+    );
+
+    const thisUpdate = new Date();
+    const nextUpdate = new Date(thisUpdate.getTime() + crlDays * DAY);
+    const crlNumber = counter.value.toString(16);
+    const der = await x509.createCRL({
+      issuer: x509.readSubjectName(key.certificate),
+      thisUpdate,
+      nextUpdate,
+      crlNumber,
+      authorityKeyIdentifier: x509.createKeyIdentifier(key.publicKey),
+      revoked: revoked.map(record => ({
+        serialNumber: record.serialNumber,
+        revocationDate: record.revokedAt,
+        reason: record.revocationReason
+      })),
+      ...this.signer(key)
+    });
+
+    logger.info(`Published CRL ${crlNumber} with ${revoked.length} revoked certificates`);
+    return { der, crlNumber, thisUpdate, nextUpdate, keyId: String(key._id) };
+  }
+
+  // The current CRL, made again once it is ca.crlRefreshHours old
+  async getCrl() {
+    const { keyId, crlRefreshHours } = this.getSettings();
+    const current = this.crl;
+    if (current && current.keyId === String(keyId) && Date.now() - current.thisUpdate.getTime() < crlRefreshHours * HOUR) {
+      return current;
+    }
+    // Concurrent requests share one new CRL
+    if (!this.crlPending) {
+      this.crlPending = this.createCrl()
+        .then((crl) => {
+          this.crl = crl;
+          return crl;
+        })
+        .finally(() => {
+          this.crlPending = null;
+        });
+    }
+    return this.crlPending;
+  }
+
+  // Regenerates the CRL every ca.crlRefreshHours, so it never goes past its nextUpdate
+  scheduleCrl() {
+    const { keyId, crlRefreshHours } = this.getSettings();
+    if (!keyId || this.crlTimer) {
+      return;
+    }
+    const publish = () => {
+      this.crl = null;
+      this.getCrl().catch(error => logger.warn(`CRL not published: ${error.message}`));
+    };
+    publish();
+    this.crlTimer = setInterval(publish, crlRefreshHours * HOUR);
+    this.crlTimer.unref();
+  }
+
+  // Where a certificate (PEM or DER) stands in the index of this CA: null
+  // when the CA did not issue it
+  async revocationStatus(certificate) {
+    const fingerprint = crypto.createHash('sha256').update(x509.fromPem(certificate)).digest('hex');
+    const record = await Certificate.findOne({ fingerprint });
+    if (!record) {
+      return null;
+    }
+    return {
+      serialNumber: record.serialNumber,
+      status: record.status,
+      revokedAt: record.revokedAt,
+      reason: record.revocationReason
+    };
+  }
+
+  // Answers a DER OCSPRequest with a DER OCSPResponse. Certificates of other
+  // issuers are "unknown"; an unusable CA throws errors with status 503.
+  async respondOcsp(requestDer) {
+    let request;
+    try {
+      request = ocsp.parseRequest(requestDer);
+    } catch (error) {
+      return ocsp.createResponse({ status: 'malformedRequest' });
+    }
+
+    const key = await this.getKey();
+    const now = new Date();
+    const hashes = {};
+    const responses = [];
+    for (const entry of request.requests) {
+      let status = { status: 'unknown' };
+      if (entry.hashAlgorithm) {
+        hashes[entry.hashAlgorithm] = hashes[entry.hashAlgorithm] || ocsp.issuerHashes(key.certificate, entry.hashAlgorithm);
+        const { issuerNameHash, issuerKeyHash } = hashes[entry.hashAlgorithm];
+        if (issuerNameHash.equals(entry.issuerNameHash) && issuerKeyHash.equals(entry.issuerKeyHash)) {
+          const record = await Certificate.findOne({ caKeyId: key._id, serialNumber: entry.serialNumber });
+          if (record && record.status === 'revoked') {
+            status = { status: 'revoked', revokedAt: record.revokedAt, reason: record.revocationReason === 'unspecified' ? null : record.revocationReason };
+          } else if (record) {
+            status = { status: 'good' };
+          }
+        }
+      }
+      responses.push({ certId: entry.certId, ...status, thisUpdate: now });
+    }
+
+    const basicResponse = await ocsp.createBasicResponse({
+      responderKeyId: x509.createKeyIdentifier(key.publicKey),
+      producedAt: now,
+      responses,
+      nonce: request.nonce,
+      certificates: [key.certificate],
+      ...this.signer(key)
+    });
+
+    logger.info(`OCSP response for serial numbers ${request.requests.map(entry => entry.serialNumber).join(', ')}`);
+    return ocsp.createResponse({ basicResponse });
+  }
+}
+
+module.exports = new CertificateAuthority();
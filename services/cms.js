@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const keyFormats = require('./keyFormats');
+const signatureAlgorithms = require('./signatureAlgorithms');
+const x509 = require('./x509');
+
+const asn1 = forge.asn1;
+const { Class, Type } = asn1;
+
+// CMS SignedData (RFC 5652) with one signer identified by issuer and serial
+// number, built from the same ASN.1 primitives as the CSRs
+const OIDS = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  signatureTimeStampToken: '1.2.840.113549.1.9.16.2.14',
+  rsassaPss: '1.2.840.113549.1.1.10'
+};
+
+function set(values) {
+  return asn1.create(Class.UNIVERSAL, Type.SET, true, values);
+}
+
+function octetString(buffer) {
+  return asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, buffer.toString('binary'));
+}
+
+function parse(der) {
+  return asn1.fromDer(forge.util.createBuffer(der.toString('binary')), { decodeBitStrings: false });
+}
+
+function nodeBytes(node) {
+  return x509.toBuffer(node);
+}
+
+// SET OF is DER-sorted by the encoding of its elements
+function sortedSet(values) {
+  return values
+    .map(value => ({ value, der: nodeBytes(value) }))
+    .sort((a, b) => Buffer.compare(a.der, b.der))
+    .map(entry => entry.value);
+}
+
+// The parts of an X.509 certificate a SignerInfo refers to
+function readCertificate(certificate) {
+  const der = x509.fromPem(certificate);
+  const node = parse(der);
+  const tbsCertificate = node.value[0];
+  const offset = tbsCertificate.value[0].tagClass === Class.CONTEXT_SPECIFIC ? 1 : 0;
+  const parsed = new crypto.X509Certificate(der);
+
+  return {
+    der,
+    node,
+    serialNumber: tbsCertificate.value[offset],
+    issuer: tbsCertificate.value[offset + 2],
+    subject: parsed.subject,
+    publicKey: parsed.publicKey
+  };
+}
+
+function certificateMatches(certificate, publicKey) {
+  const spki = readCertificate(certificate).publicKey.export({ type: 'spki', format: 'der' });
+  return spki.equals(keyFormats.toSpkiDer(publicKey));
+}
+
+function attribute(type, value) {
+  return x509.sequence([x509.oid(type), set([value])]);
+}
+
+// ESS signing-certificate-v2 (RFC 5035): binds the signature to the signer
+// certificate by its SHA-256 hash, which PAdES requires
+function createSigningCertificate(signer) {
+  const certHash = crypto.createHash('sha256').update(signer.der).digest();
+  const issuerSerial = x509.sequence([
+    x509.sequence([asn1.create(Class.CONTEXT_SPECIFIC, 4, true, [signer.issuer])]),
+    signer.serialNumber
+  ]);
+
+  // ESSCertIDv2 leaves out the algorithm when it is the default SHA-256
+  return x509.sequence([x509.sequence([x509.sequence([octetString(certHash), issuerSerial])])]);
+}
+
+function createSignedAttributes(content, hashAlgorithm, { contentType, signingTime, signer }) {
+  const messageDigest = crypto.createHash(hashAlgorithm).update(content).digest();
+  const attributes = [
+    attribute(OIDS.contentType, x509.oid(contentType)),
+    attribute(OIDS.messageDigest, octetString(messageDigest))
+  ];
+  if (signingTime) {
+    attributes.push(attribute(OIDS.signingTime, asn1.create(Class.UNIVERSAL, Type.UTCTIME, false, asn1.dateToUtcTime(signingTime))));
+  }
+  if (signer) {
+    attributes.push(attribute(OIDS.signingCertificateV2, createSigningCertificate(signer)));
+  }
+  return sortedSet(attributes);
+}
+
+// SignedData over `content` as DER. `sign` receives the DER of the signed
+// attributes and resolves with the signature as hex, the way key backends
+// return it. Detached signatures leave the content out (.p7s).
+//
+// PAdES signers pass `signingTime: null` (the time belongs in the PDF) and
+// `signingCertificate: true`. `timestamp` receives the signature value and
+// resolves with a DER TimeStampToken, added as an unsigned attribute.
+// Time-stamp tokens are signed with their own `contentType` (TSTInfo) and
+// leave the certificate out unless the request asked for it.
+async function createSignedData({
+  content,
+  certificate,
+  algorithm = 'ES256',
+  hashAlgorithm = null,
+  contentType = OIDS.data,
+  detached = true,
+  signingTime = new Date(),
+  signingCertificate = false,
+  includeCertificate = true,
+  timestamp = null,
+  sign
+}) {
+  const data = Buffer.from(content);
+  const hash = signatureAlgorithms.resolveHashAlgorithm(algorithm, hashAlgorithm);
+  // Ed25519 signs the attributes themselves, whose message digest is SHA-512 (RFC 8419)
+  const { prehash, hash: pairedHash } = signatureAlgorithms.getAlgorithm(algorithm);
+  if (prehash === false && hash !== pairedHash) {
+    throw new Error(`${algorithm} CMS signatures use ${pairedHash}`);
+  }
+  const signer = readCertificate(certificate);
+
+  const signedAttributes = createSignedAttributes(data, hash, {
+    contentType,
+    signingTime,
+    signer: signingCertificate ? signer : null
+  });
+  const signature = Buffer.from(await sign(nodeBytes(set(signedAttributes))), 'hex');
+
+  const signerFields = [
+    x509.integer(1),
+    x509.sequence([signer.issuer, signer.serialNumber]),
+    x509.createDigestAlgorithm(hash),
+    asn1.create(Class.CONTEXT_SPECIFIC, 0, true, signedAttributes),
+    x509.createSignatureAlgorithm(algorithm, hash),
+    octetString(signature)
+  ];
+  if (timestamp) {
+    const token = parse(Buffer.from(await timestamp(signature)));
+    signerFields.push(asn1.create(Class.CONTEXT_SPECIFIC, 1, true, [attribute(OIDS.signatureTimeStampToken, token)]));
+  }
+  const signerInfo = x509.sequence(signerFields);
+
+  const encapsulatedContent = x509.sequence([
+    x509.oid(contentType),
+    ...(detached ? [] : [x509.explicit(0, octetString(data))])
+  ]);
+
+  // Version 3 when the content is not id-data (RFC 5652, 5.1)
+  const signedData = x509.sequence([
+    x509.integer(contentType === OIDS.data ? 1 : 3),
+    set([x509.createDigestAlgorithm(hash)]),
+    encapsulatedContent,
+    ...(includeCertificate ? [asn1.create(Class.CONTEXT_SPECIFIC, 0, true, [signer.node])] : []),
+    set([signerInfo])
+  ]);
+
+  return nodeBytes(x509.sequence([x509.oid(OIDS.signedData), x509.explicit(0, signedData)]));
+}
+
+function toPem(der) {
+  return x509.toPem(der, 'CMS');
+}
+
+function octets(node) {
+  // BER allows constructed OCTET STRINGs made of chunks
+  return Array.isArray(node.value) ?
+    Buffer.concat(node.value.map(octets)) :
+    Buffer.from(node.value, 'binary');
+}
+
+function hashForOid(value) {
+  const hash = signatureAlgorithms.HASH_ALGORITHMS.find(name => x509.OIDS[name] === value);
+  if (!hash) {
+    throw new Error(`Unsupported digest algorithm: ${value}`);
+  }
+  return hash;
+}
+
+// PEM or DER SignedData to its content, certificates and signer infos
+function parseSignedData(cms) {
+  const contentInfo = parse(x509.fromPem(cms));
+  if (asn1.derToOid(contentInfo.value[0].value) !== OIDS.signedData) {
+    throw new Error('Not a CMS SignedData structure');
+  }
+
+  const fields = contentInfo.value[1].value[0].value;
+  const encapsulatedContent = fields[2];
+  const certificates = fields.find(field => field.tagClass === Class.CONTEXT_SPECIFIC && field.type === 0);
+
+  return {
+    contentType: asn1.derToOid(encapsulatedContent.value[0].value),
+    content: encapsulatedContent.value[1] ? octets(encapsulatedContent.value[1].value[0]) : null,
+    certificates: certificates ? certificates.value.map(nodeBytes) : [],
+    signerInfos: fields[fields.length - 1].value
+  };
+}
+
+function findSignerCertificate(signerInfo, certificates) {
+  const sid = signerInfo.value[1];
+  if (sid.tagClass !== Class.UNIVERSAL) {
+    throw new Error('Only signers identified by issuer and serial number are supported');
+  }
+  const issuer = nodeBytes(sid.value[0]);
+  const serialNumber = nodeBytes(sid.value[1]);
+
+  return certificates
+    .map(readCertificate)
+    .find(certificate =>
+      nodeBytes(certificate.issuer).equals(issuer) &&
+      nodeBytes(certificate.serialNumber).equals(serialNumber)
+    );
+}
+
+function readSignedAttributes(attributes) {
+  const values = {};
+  attributes.forEach((entry) => {
+    values[asn1.derToOid(entry.value[0].value)] = entry.value[1].value[0];
+  });
+  return values;
+}
+
+function readTime(node) {
+  return node.type === Type.UTCTIME ? asn1.utcTimeToDate(node.value) : asn1.generalizedTimeToDate(node.value);
+}
+
+function verifySigner(signerInfo, parsed, content, publicKey) {
+  const certificate = findSignerCertificate(signerInfo, parsed.certificates);
+  const signerKey = publicKey || (certificate && certificate.publicKey);
+  if (!signerKey) {
+    throw new Error('Signer certificate not found');
+  }
+
+  const hashAlgorithm = hashForOid(asn1.derToOid(signerInfo.value[2].value[0].value));
+  const hasAttributes = signerInfo.value[3].tagClass === Class.CONTEXT_SPECIFIC;
+  const signatureAlgorithmOid = asn1.derToOid(signerInfo.value[hasAttributes ? 4 : 3].value[0].value);
+  const signature = octets(signerInfo.value[hasAttributes ? 5 : 4]).toString('hex');
+
+  // The key decides the curve; the identifier only tells PSS from PKCS#1 v1.5
+  const algorithm = signatureAlgorithmOid === OIDS.rsassaPss ?
+    'PS256' :
+    signatureAlgorithms.algorithmForPublicKey(signerKey);
+
+  const result = {
+    algorithm,
+    hashAlgorithm,
+    subject: certificate ? certificate.subject : undefined,
+    signingTime: undefined,
+    timestamped: false
+  };
+
+  const unsignedAttributes = signerInfo.value.find(field => field.tagClass === Class.CONTEXT_SPECIFIC && field.type === 1);
+  if (unsignedAttributes) {
+    result.timestamped = OIDS.signatureTimeStampToken in readSignedAttributes(unsignedAttributes.value);
+  }
+
+  let signedBytes = content;
+  if (hasAttributes) {
+    const attributes = readSignedAttributes(signerInfo.value[3].value);
+    const messageDigest = attributes[OIDS.messageDigest];
+    const contentType = attributes[OIDS.contentType];
+    if (!messageDigest || !contentType || asn1.derToOid(contentType.value) !== parsed.contentType) {
+      throw new Error('Signed attributes must include contentType and messageDigest');
+    }
+    if (attributes[OIDS.signingTime]) {
+      result.signingTime = readTime(attributes[OIDS.signingTime]);
+    }
+    if (!octets(messageDigest).equals(crypto.createHash(hashAlgorithm).update(content).digest())) {
+      return { ...result, valid: false, error: 'Message digest does not match the content' };
+    }
+    const signingCertificate = attributes[OIDS.signingCertificateV2];
+    if (signingCertificate && certificate) {
+      const certId = signingCertificate.value[0].value[0];
+      const certHashAlgorithm = certId.value[0].type === Type.SEQUENCE ?
+        hashForOid(asn1.derToOid(certId.value[0].value[0].value)) :
+        'sha256';
+      const certHash = octets(certId.value[certId.value[0].type === Type.SEQUENCE ? 1 : 0]);
+      if (!certHash.equals(crypto.createHash(certHashAlgorithm).update(certificate.der).digest())) {
+        return { ...result, valid: false, error: 'The signing certificate attribute does not match the signer certificate' };
+      }
+    }
+    signedBytes = nodeBytes(set(signerInfo.value[3].value));
+  }
+
+  const valid = signatureAlgorithms.verifyData(signedBytes, signature, signerKey, algorithm, hashAlgorithm);
+  return { ...result, valid };
+}
+
+// Checks every signer of a SignedData. Detached signatures need the content;
+// signers are checked against their embedded certificate unless a publicKey
+// is given. Certificate chains are not validated here.
+function verifySignedData(cms, { content = null, publicKey = null } = {}) {
+  const parsed = parseSignedData(cms);
+  const data = parsed.content || (content === null ? null : Buffer.from(content));
+  if (!data) {
+    throw new Error('The CMS content is detached and was not supplied');
+  }
+
+  const signers = parsed.signerInfos.map((signerInfo) => {
+    try {
+      return verifySigner(signerInfo, parsed, data, publicKey);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  });
+
+  return {
+    valid: signers.length > 0 && signers.every(signer => signer.valid),
+    detached: parsed.content === null,
+    content: data,
+    signers
+  };
+}
+
+module.exports = {
+  OIDS,
+  readCertificate,
+  certificateMatches,
+  createSignedData,
+  parseSignedData,
+  verifySignedData,
+  toPem
+};
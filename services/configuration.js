@@ -10,6 +10,8 @@ function Config()
 {   try
     {   var environment    
         console.log("configuration:Config:Starting")                
+        // Environment variables such as keyProtection__passphrase override settings, so secrets need not be in the file
+        nconf.env({ separator: "__", match: /__/ });
         nconf.file("default", "./config/default.json");
     } 
     catch(ex)
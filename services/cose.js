@@ -0,0 +1,133 @@
+const cbor = require('./cbor');
+const signatureAlgorithms = require('./signatureAlgorithms');
+
+// COSE_Sign1 (RFC 9052) with the algorithm and key id in the protected header
+const COSE_SIGN1_TAG = 18;
+
+const HEADERS = {
+  alg: 1,
+  crit: 2,
+  kid: 4
+};
+
+// Algorithm name for a COSE algorithm identifier (-7 is ES256)
+function algorithmForCose(identifier) {
+  const name = signatureAlgorithms.SIGNATURE_ALGORITHMS.find(
+    algorithm => signatureAlgorithms.getAlgorithm(algorithm).cose === identifier
+  );
+  if (!name) {
+    throw new Error(`Unsupported COSE algorithm: ${identifier}`);
+  }
+  return name;
+}
+
+// Sig_structure for COSE_Sign1 without external additional data
+function toBeSigned(protectedBytes, payload) {
+  return cbor.encode(['Signature1', protectedBytes, Buffer.alloc(0), payload]);
+}
+
+// Signs `payload` (string or Buffer) and returns the tagged COSE_Sign1 as
+// CBOR. `sign` receives the Sig_structure and returns the signature the way
+// key backends do (hex, DER for ECDSA). Detached signatures carry a nil payload.
+async function createSign1({ payload, algorithm, kid, detached = false, sign }) {
+  const content = Buffer.from(payload);
+  const protectedHeader = new Map([[HEADERS.alg, signatureAlgorithms.getAlgorithm(algorithm).cose]]);
+  if (kid) {
+    protectedHeader.set(HEADERS.kid, Buffer.from(kid));
+  }
+
+  const protectedBytes = cbor.encode(protectedHeader);
+  const signatureHex = await sign(toBeSigned(protectedBytes, content));
+  const signature = signatureAlgorithms.toP1363(signatureHex, algorithm);
+
+  return cbor.encode(new cbor.Tagged(COSE_SIGN1_TAG, [
+    protectedBytes,
+    new Map(),
+    detached ? null : content,
+    signature
+  ]));
+}
+
+// Tagged or untagged COSE_Sign1 from CBOR bytes
+function parseSign1(data) {
+  let message;
+  try {
+    message = cbor.decode(data);
+  } catch (error) {
+    throw new Error(`Invalid COSE_Sign1: ${error.message}`);
+  }
+  if (message instanceof cbor.Tagged) {
+    if (message.tag !== COSE_SIGN1_TAG) {
+      throw new Error(`Not a COSE_Sign1 message (tag ${message.tag})`);
+    }
+    message = message.value;
+  }
+
+  const [protectedBytes, unprotected, payload, signature] = Array.isArray(message) ? message : [];
+  if (!Array.isArray(message) || message.length !== 4 || !Buffer.isBuffer(protectedBytes) ||
+      !(unprotected instanceof Map) || !(payload === null || Buffer.isBuffer(payload)) || !Buffer.isBuffer(signature)) {
+    throw new Error('Invalid COSE_Sign1 structure');
+  }
+
+  const protectedHeader = protectedBytes.length ? cbor.decode(protectedBytes) : new Map();
+  if (!(protectedHeader instanceof Map)) {
+    throw new Error('Invalid COSE_Sign1 protected header');
+  }
+  return { protectedBytes, protectedHeader, unprotected, payload, signature };
+}
+
+// Verifies a COSE_Sign1. `resolveKey(header, algorithm)` returns
+// { publicKey, algorithm } for the signer, or null when the key is unknown;
+// header.kid is the key id as a string. Detached messages need the payload.
+async function verifySign1(data, { payload = null, resolveKey }) {
+  const message = parseSign1(data);
+  if (message.payload === null && payload === null) {
+    throw new Error('The COSE payload is detached and was not supplied');
+  }
+  const content = message.payload || Buffer.from(payload);
+
+  const header = new Map([...message.unprotected, ...message.protectedHeader]);
+  const kid = header.get(HEADERS.kid);
+  const result = {
+    valid: false,
+    detached: message.payload === null,
+    payload: content,
+    kid: Buffer.isBuffer(kid) ? kid.toString('utf8') : undefined
+  };
+
+  try {
+    if (message.protectedHeader.has(HEADERS.crit)) {
+      throw new Error('Unsupported critical COSE header parameter');
+    }
+    if (!message.protectedHeader.has(HEADERS.alg)) {
+      throw new Error('The COSE algorithm must be a protected header parameter');
+    }
+    result.algorithm = algorithmForCose(message.protectedHeader.get(HEADERS.alg));
+
+    const key = await resolveKey({ kid: result.kid }, result.algorithm);
+    if (!key) {
+      result.error = 'Signing key not found';
+    } else if (key.algorithm && key.algorithm !== result.algorithm) {
+      result.error = `Key is not a ${result.algorithm} key`;
+    } else {
+      result.valid = signatureAlgorithms.verifyData(
+        toBeSigned(message.protectedBytes, content),
+        signatureAlgorithms.fromP1363(message.signature, result.algorithm),
+        key.publicKey,
+        result.algorithm
+      );
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+}
+
+module.exports = {
+  COSE_SIGN1_TAG,
+  HEADERS,
+  algorithmForCose,
+  createSign1,
+  parseSign1,
+  verifySign1
+};
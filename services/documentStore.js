@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { logger } = require('./generic');
+const config = require('./configuration');
+const mimeTypes = require('./mimeTypes');
+
+const DEFAULT_GRIDFS_THRESHOLD = 4 * 1024 * 1024;
+const DEFAULT_BUCKET = 'documents';
+const PREVIEW_LIMIT = 64 * 1024;
+const HEX_PREVIEW_LIMIT = 512;
+
+// Where document bytes live. Small text documents keep their UTF-8 content in
+// the Document itself as before, small binary ones their bytes in `data`, and
+// anything above upload.gridFsThreshold goes to the GridFS bucket
+// upload.gridFsBucket with its id in `gridFsId`.
+class DocumentStore {
+  getThreshold() {
+    return config.get('upload:gridFsThreshold') || DEFAULT_GRIDFS_THRESHOLD;
+  }
+
+  getBucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: config.get('upload:gridFsBucket') || DEFAULT_BUCKET
+    });
+  }
+
+  // Document fields that hold `buffer`: { storage, content | data | gridFsId }
+  async store(buffer, { fileName, mimeType, fileType }) {
+    if (buffer.length > this.getThreshold()) {
+      const gridFsId = await new Promise((resolve, reject) => {
+        const upload = this.getBucket().openUploadStream(fileName, { metadata: { mimeType, fileType } });
+        upload.once('error', reject);
+        upload.once('finish', () => resolve(upload.id));
+        upload.end(buffer);
+      });
+      logger.info(`Stored ${fileName} in GridFS (${buffer.length} bytes)`);
+      return { storage: 'gridfs', gridFsId };
+    }
+
+    return mimeTypes.isTextFileType(fileType) ?
+      { storage: 'inline', content: buffer.toString('utf-8') } :
+      { storage: 'inline', data: buffer };
+  }
+
+  // Like store, for an upload on disk: large files are streamed into GridFS
+  // and only those below the threshold are read
+  async storeFile(filePath, { fileName, mimeType, fileType, size }) {
+    if (size > this.getThreshold()) {
+      const upload = this.getBucket().openUploadStream(fileName, { metadata: { mimeType, fileType } });
+      await pipeline(fs.createReadStream(filePath), upload);
+      logger.info(`Stored ${fileName} in GridFS (${size} bytes)`);
+      return { storage: 'gridfs', gridFsId: upload.id };
+    }
+
+    return this.store(await fs.promises.readFile(filePath), { fileName, mimeType, fileType });
+  }
+
+  // The document's bytes as a stream, without loading GridFS files into memory
+  openReadStream(document) {
+    if (document.storage === 'gridfs') {
+      return this.getBucket().openDownloadStream(document.gridFsId);
+    }
+    return Readable.from([this.inlineBytes(document)]);
+  }
+
+  async readBytes(document) {
+    if (document.storage !== 'gridfs') {
+      return this.inlineBytes(document);
+    }
+
+    const chunks = [];
+    for await (const chunk of this.openReadStream(document)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // Hex digest of the stored bytes, streamed so large files are never held in memory
+  async digest(document, hashAlgorithm = 'sha256') {
+    const hash = crypto.createHash(hashAlgorithm);
+    for await (const chunk of this.openReadStream(document)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  // What is hashed and signed: the UTF-8 string of text documents, the bytes
+  // of everything else
+  async readContent(document) {
+    if (mimeTypes.isTextFileType(document.fileType) && typeof document.content === 'string') {
+      return document.content;
+    }
+    const bytes = await this.readBytes(document);
+    return mimeTypes.isTextFileType(document.fileType) ? bytes.toString('utf-8') : bytes;
+  }
+
+  // Documents uploaded before binary support only have `content`; lean
+  // queries return `data` as a BSON Binary rather than a Buffer
+  inlineBytes(document) {
+    if (document.data) {
+      return Buffer.isBuffer(document.data) ? document.data : Buffer.from(document.data.buffer);
+    }
+    return Buffer.from(document.content || '', 'utf-8');
+  }
+
+  // What documentDetail and signDocument show: { type, text, truncated }.
+  // Text is cut at PREVIEW_LIMIT, binary files other than images and PDFs
+  // get a hex dump of their first bytes.
+  async preview(document) {
+    const fileType = document.fileType;
+    if (fileType === 'image' || fileType === 'pdf') {
+      return { type: fileType, text: null, truncated: false };
+    }
+
+    const bytes = document.storage === 'gridfs' ?
+      await this.readHead(document, mimeTypes.isTextFileType(fileType) ? PREVIEW_LIMIT : HEX_PREVIEW_LIMIT) :
+      this.inlineBytes(document);
+
+    if (mimeTypes.isTextFileType(fileType)) {
+      const truncated = bytes.length > PREVIEW_LIMIT || document.size > bytes.length;
+      let text = bytes.subarray(0, PREVIEW_LIMIT).toString('utf-8');
+      if (fileType === 'json' && !truncated) {
+        try {
+          text = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+          // Shown as uploaded
+        }
+      }
+      return { type: fileType, text, truncated };
+    }
+
+    return {
+      type: 'hex',
+      text: this.hexDump(bytes.subarray(0, HEX_PREVIEW_LIMIT)),
+      truncated: document.size > HEX_PREVIEW_LIMIT
+    };
+  }
+
+  async readHead(document, length) {
+    const chunks = [];
+    for await (const chunk of this.getBucket().openDownloadStream(document.gridFsId, { end: length })) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // 16 bytes a line: offset, hex bytes and their printable ASCII
+  hexDump(bytes) {
+    const lines = [];
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+      const row = bytes.subarray(offset, offset + 16);
+      const hex = [...row].map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+      const ascii = [...row].map(byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+      lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+    }
+    return lines.join('\n');
+  }
+
+  async remove(document) {
+    if (document.storage === 'gridfs' && document.gridFsId) {
+      await this.getBucket().delete(document.gridFsId);
+      logger.info(`Removed ${document.fileName} from GridFS`);
+    }
+  }
+}
+
+module.exports = new DocumentStore();
@@ -0,0 +1,50 @@
+// JSON Canonicalization Scheme (RFC 8785): object members sorted by their
+// UTF-16 code units, no whitespace, and strings and numbers serialised the way
+// ECMAScript's JSON.stringify does, which is what the RFC specifies.
+
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+function canonicalizeString(value) {
+  if (LONE_SURROGATE.test(value)) {
+    throw new Error('JCS strings cannot contain lone surrogates');
+  }
+  return JSON.stringify(value);
+}
+
+function canonicalizeNumber(value) {
+  if (!Number.isFinite(value)) {
+    throw new Error(`JCS cannot represent the number ${value}`);
+  }
+  return JSON.stringify(value);
+}
+
+function canonicalize(value) {
+  if (value === null || typeof value === 'boolean') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'number') {
+    return canonicalizeNumber(value);
+  }
+  if (typeof value === 'string') {
+    return canonicalizeString(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return canonicalize(value.toJSON());
+    }
+    // The default sort compares UTF-16 code units, as section 3.2.3 requires
+    const members = Object.keys(value)
+      .filter(name => value[name] !== undefined && typeof value[name] !== 'function')
+      .sort()
+      .map(name => `${canonicalizeString(name)}:${canonicalize(value[name])}`);
+    return `{${members.join(',')}}`;
+  }
+  throw new Error(`JCS cannot represent ${typeof value} values`);
+}
+
+module.exports = {
+  canonicalize
+};
@@ -0,0 +1,217 @@
+const signatureAlgorithms = require('./signatureAlgorithms');
+const tsp = require('./tsp');
+
+const SERIALIZATIONS = ['compact', 'json'];
+
+// Header parameters we understand when a JWS lists them in "crit" (RFC 7797)
+const CRITICAL_PARAMETERS = ['b64'];
+
+function encode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function decodeJson(segment, what) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JWS ${what}`);
+  }
+}
+
+// Algorithm name for a JOSE "alg" value (EdDSA is Ed25519)
+function algorithmForJws(alg) {
+  const name = signatureAlgorithms.SIGNATURE_ALGORITHMS.find(
+    algorithm => signatureAlgorithms.getAlgorithm(algorithm).jws === alg
+  );
+  if (!name) {
+    throw new Error(`Unsupported JWS algorithm: ${alg}`);
+  }
+  return name;
+}
+
+// ASCII(BASE64URL(header)) || '.' || payload, where the payload is the
+// encoded segment, or the raw bytes when b64 is false
+function signingInput(protectedSegment, payloadSegment) {
+  return Buffer.concat([Buffer.from(`${protectedSegment}.`), Buffer.from(payloadSegment)]);
+}
+
+// Signs `payload` (string or Buffer). `sign` receives the signing input and
+// returns the signature the way key backends do (hex, DER for ECDSA).
+// Detached JWS use the unencoded payload option of RFC 7797 and omit the payload.
+//
+// `timestamp` receives the signature value and resolves with a DER
+// TimeStampToken, added to the unprotected header as the JAdES sigTst
+// structure; only the JSON serialization has an unprotected header.
+async function createJws({ payload, algorithm, kid, detached = false, serialization = 'compact', header = {}, timestamp = null, sign }) {
+  if (!SERIALIZATIONS.includes(serialization)) {
+    throw new Error(`Unsupported JWS serialization: ${serialization}`);
+  }
+  if (timestamp && serialization === 'compact') {
+    throw new Error('Time-stamped JWS use the JSON serialization');
+  }
+
+  const protectedHeader = {
+    ...header,
+    alg: signatureAlgorithms.getAlgorithm(algorithm).jws,
+    ...(kid ? { kid } : {})
+  };
+  if (detached) {
+    protectedHeader.b64 = false;
+    protectedHeader.crit = ['b64'];
+  }
+
+  const protectedSegment = encode(JSON.stringify(protectedHeader));
+  const payloadSegment = detached ? Buffer.from(payload) : encode(payload);
+  const signatureHex = await sign(signingInput(protectedSegment, payloadSegment));
+  const signatureValue = signatureAlgorithms.toP1363(signatureHex, algorithm);
+  const signature = encode(signatureValue);
+
+  if (serialization === 'compact') {
+    return `${protectedSegment}.${detached ? '' : payloadSegment}.${signature}`;
+  }
+  const unprotectedHeader = timestamp ?
+    { sigTst: { tstTokens: [{ val: Buffer.from(await timestamp(signatureValue)).toString('base64') }] } } :
+    null;
+  return {
+    ...(detached ? {} : { payload: payloadSegment }),
+    protected: protectedSegment,
+    ...(unprotectedHeader ? { header: unprotectedHeader } : {}),
+    signature
+  };
+}
+
+// The TimeStampTokens (DER) in the sigTst unprotected header of a signature
+function readTimestamps(header) {
+  const tokens = header && header.sigTst && Array.isArray(header.sigTst.tstTokens) ? header.sigTst.tstTokens : [];
+  return tokens
+    .filter(entry => entry && typeof entry.val === 'string')
+    .map(entry => Buffer.from(entry.val, 'base64'));
+}
+
+// Compact, flattened JSON or general JSON serialization, as a string or an
+// already parsed object
+function parseJws(jws) {
+  let value = jws;
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      throw new Error('Invalid JWS JSON serialization');
+    }
+  }
+
+  if (typeof value === 'string') {
+    const parts = value.trim().split('.');
+    if (parts.length !== 3) {
+      throw new Error('Invalid JWS compact serialization');
+    }
+    return {
+      payload: parts[1] === '' ? null : parts[1],
+      signatures: [{ protected: parts[0], header: {}, signature: parts[2] }]
+    };
+  }
+
+  if (!value || typeof value !== 'object') {
+    throw new Error('Invalid JWS');
+  }
+  const entries = Array.isArray(value.signatures) ? value.signatures : [value];
+  if (entries.length === 0 || entries.some(entry => typeof entry.signature !== 'string')) {
+    throw new Error('Invalid JWS JSON serialization');
+  }
+  return {
+    payload: typeof value.payload === 'string' ? value.payload : null,
+    signatures: entries.map(entry => ({
+      protected: entry.protected || '',
+      header: entry.header || {},
+      signature: entry.signature
+    }))
+  };
+}
+
+// The JOSE header of one signature: protected and unprotected parameters,
+// with the critical parameters checked
+function readHeader(entry) {
+  const protectedHeader = entry.protected ? decodeJson(entry.protected, 'protected header') : {};
+  const header = { ...entry.header, ...protectedHeader };
+  const crit = header.crit || [];
+
+  if (!Array.isArray(crit) || crit.some(name => !CRITICAL_PARAMETERS.includes(name) || !(name in protectedHeader))) {
+    throw new Error('Unsupported critical JWS header parameter');
+  }
+  if (protectedHeader.b64 === false && !crit.includes('b64')) {
+    throw new Error('b64 must be listed as a critical header parameter');
+  }
+  return { header, b64: protectedHeader.b64 !== false };
+}
+
+// Verifies every signature of a JWS. `resolveKey(header, algorithm)` returns
+// { publicKey, algorithm } for the signer, or null when the key is unknown.
+// Detached JWS need the payload passed in. Signature time-stamps in the
+// unprotected header are checked against the signature value and reported
+// as `timestamps`; they do not change whether the signature is valid.
+async function verifyJws(jws, { payload = null, resolveKey }) {
+  const parsed = parseJws(jws);
+  if (parsed.payload === null && payload === null) {
+    throw new Error('The JWS payload is detached and was not supplied');
+  }
+
+  const signatures = [];
+  let content = null;
+
+  for (const entry of parsed.signatures) {
+    const result = { valid: false };
+    try {
+      const { header, b64 } = readHeader(entry);
+      result.header = header;
+      result.algorithm = algorithmForJws(header.alg);
+
+      let payloadSegment;
+      if (parsed.payload !== null) {
+        payloadSegment = parsed.payload;
+        content = b64 ? Buffer.from(parsed.payload, 'base64url') : Buffer.from(parsed.payload);
+      } else {
+        content = Buffer.from(payload);
+        payloadSegment = b64 ? encode(content) : content;
+      }
+
+      const key = await resolveKey(header, result.algorithm);
+      if (!key) {
+        result.error = 'Signing key not found';
+      } else if (key.algorithm && key.algorithm !== result.algorithm) {
+        result.error = `Key is not a ${header.alg} key`;
+      } else {
+        const signature = Buffer.from(entry.signature, 'base64url');
+        result.valid = signatureAlgorithms.verifyData(
+          signingInput(entry.protected, payloadSegment),
+          signatureAlgorithms.fromP1363(signature, result.algorithm),
+          key.publicKey,
+          result.algorithm
+        );
+      }
+
+      const timestamps = readTimestamps(entry.header);
+      if (timestamps.length > 0) {
+        const signature = Buffer.from(entry.signature, 'base64url');
+        result.timestamps = timestamps.map(token => tsp.verifyToken(token, signature));
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+    signatures.push(result);
+  }
+
+  return {
+    valid: signatures.every(signature => signature.valid),
+    detached: parsed.payload === null,
+    payload: content,
+    signatures
+  };
+}
+
+module.exports = {
+  SERIALIZATIONS,
+  algorithmForJws,
+  createJws,
+  parseJws,
+  verifyJws
+};
@@ -0,0 +1,74 @@
+const config = require('../configuration');
+const KeyBackend = require('./keyBackend');
+const SoftwareBackend = require('./softwareBackend');
+const WindowsCngBackend = require('./windowsCngBackend');
+const LinuxTpmBackend = require('./linuxTpmBackend');
+const TpmSimulatorBackend = require('./tpmSimulatorBackend');
+const VaultBackend = require('./vaultBackend');
+
+const backends = new Map();
+
+function registerBackend(backend) {
+  if (!(backend instanceof KeyBackend)) {
+    throw new Error('Key backends must extend KeyBackend');
+  }
+  backends.set(backend.name, backend);
+  return backend;
+}
+
+function hasBackend(name) {
+  return backends.has(name);
+}
+
+function getBackend(name) {
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new Error(`Unknown key backend: ${name}`);
+  }
+  return backend;
+}
+
+function listBackends() {
+  return Array.from(backends.values());
+}
+
+// Hardware backend native to the platform we are running on
+function getPlatformBackendName() {
+  return process.platform === 'win32' ? 'windows-cng' : 'linux-tpm2';
+}
+
+// Keys created before the backend field existed are recognised by the shape
+// of their public key and the inTPM flag.
+function resolveBackendName(key) {
+  if (key.backend) {
+    return key.backend;
+  }
+  if (key.publicKey && (key.publicKey.startsWith('RUNTMS') || key.publicKey.startsWith('RUNTUw'))) {
+    return 'windows-cng';
+  }
+  if (key.inTPM === true) {
+    return getPlatformBackendName();
+  }
+  return 'software';
+}
+
+function resolveBackend(key) {
+  return getBackend(resolveBackendName(key));
+}
+
+registerBackend(new SoftwareBackend());
+registerBackend(new WindowsCngBackend());
+registerBackend(new LinuxTpmBackend());
+registerBackend(new TpmSimulatorBackend({ tcti: config.get('tpm:simulator:tcti') }));
+registerBackend(new VaultBackend());
+
+module.exports = {
+  KeyBackend,
+  registerBackend,
+  hasBackend,
+  getBackend,
+  listBackends,
+  getPlatformBackendName,
+  resolveBackendName,
+  resolveBackend
+};
@@ -0,0 +1,111 @@
+// Base class for key backends. A backend owns the private half of a key and
+// knows how to create, use and destroy it; TPMService picks the backend that
+// owns a key from the `backend` field of its TPMKey record.
+//
+// The `key` argument passed to the per-key methods is a TPMKey document (or a
+// lean copy of one): { name, tpmHandle, publicKey, metadata, ... }.
+const signatureAlgorithms = require('../signatureAlgorithms');
+const x509 = require('../x509');
+
+class KeyBackend {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.label = options.label || name;
+    this.hardware = options.hardware === true;
+    // Signature algorithms (JOSE names) this backend can create keys for
+    this.algorithms = options.algorithms || ['ES256'];
+  }
+
+  async isAvailable() {
+    return false;
+  }
+
+  supportsAlgorithm(algorithm) {
+    return this.algorithms.includes(algorithm);
+  }
+
+  // Records created before keys had a choice of algorithm are ES256
+  getAlgorithm(key) {
+    return (key && key.keyType) || 'ES256';
+  }
+
+  async createKey(keyName, options = {}) {
+    throw new Error(`Backend ${this.name} does not support key creation`);
+  }
+
+  // options.hashAlgorithm names the digest when it is not the one the key's
+  // algorithm is paired with
+  async sign(documentHash, key, options = {}) {
+    throw new Error(`Backend ${this.name} does not support signing`);
+  }
+
+  // Whether sign() signs the digest it is given, of options.hashAlgorithm,
+  // rather than hashing something of its own
+  canSignDigests(key) {
+    return true;
+  }
+
+  // Whether signData() can sign messages with `key`. `binary` messages may
+  // hold any byte; the others are ASCII, like JWS signing inputs.
+  canSignData(key, { binary = true } = {}) {
+    return signatureAlgorithms.getAlgorithm(this.getAlgorithm(key)).prehash !== false;
+  }
+
+  // Signs a message rather than a digest. Algorithms with a prehash step sign
+  // the digest through sign(); the others need a backend that can sign raw data.
+  async signData(data, key, options = {}) {
+    const algorithm = this.getAlgorithm(key);
+    if (signatureAlgorithms.getAlgorithm(algorithm).prehash === false) {
+      throw new Error(`Backend ${this.name} cannot sign messages with ${algorithm}`);
+    }
+    return this.sign(signatureAlgorithms.digest(data, algorithm, options.hashAlgorithm), key, options);
+  }
+
+  // Signatures of every backend use standard encodings, so they can be
+  // checked in-process against the public key
+  async verify(documentHash, signature, publicKey, algorithm = 'ES256', hashAlgorithm = null) {
+    return signatureAlgorithms.verifyDigest(documentHash, signature, publicKey, algorithm, hashAlgorithm);
+  }
+
+  async deleteKey(key) {
+    throw new Error(`Backend ${this.name} does not support key deletion`);
+  }
+
+  exportPublicKey(key) {
+    return key.publicKey;
+  }
+
+  async generateCSR(key, subject) {
+    return x509.createCSR({
+      subject: {
+        commonName: subject.commonName || key.name,
+        organization: subject.organization || 'TPM20 Organization',
+        country: subject.country || 'US'
+      },
+      publicKey: key.publicKey,
+      algorithm: this.getAlgorithm(key),
+      sign: data => this.signData(data, key)
+    });
+  }
+
+  convertToPEM(publicKey) {
+    if (publicKey.includes('-----BEGIN')) {
+      return publicKey;
+    }
+    
+    return `-----BEGIN PUBLIC KEY-----\n${publicKey}\n-----END PUBLIC KEY-----`;
+  }
+
+  // Mongoose documents expose metadata as a Map, lean queries as a plain object
+  getMetadata(key, field) {
+    if (!key || !key.metadata) {
+      return undefined;
+    }
+    if (typeof key.metadata.get === 'function') {
+      return key.metadata.get(field);
+    }
+    return key.metadata[field];
+  }
+}
+
+module.exports = KeyBackend;
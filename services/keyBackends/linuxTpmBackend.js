@@ -0,0 +1,220 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+const { logger } = require('../generic');
+const KeyBackend = require('./keyBackend');
+
+// tpm2-tools key type, hash and signing scheme per signature algorithm; TPM
+// 2.0 has no Ed25519
+const TPM_ALGORITHMS = {
+  ES256: { keyType: 'ecc256', hash: 'sha256', scheme: 'ecdsa' },
+  ES384: { keyType: 'ecc384', hash: 'sha384', scheme: 'ecdsa' },
+  RS256: { keyType: 'rsa', hash: 'sha256', scheme: 'rsassa' },
+  PS256: { keyType: 'rsa', hash: 'sha256', scheme: 'rsapss' }
+};
+
+class LinuxTpmBackend extends KeyBackend {
+  constructor(name = 'linux-tpm2', options = {}) {
+    super(name, {
+      label: options.label || 'Linux tpm2-tools',
+      hardware: options.hardware !== false,
+      algorithms: Object.keys(TPM_ALGORITHMS)
+    });
+    // TCTI string handed to tpm2-tools, e.g. "swtpm:host=localhost,port=2321";
+    // when empty the tools use their default (/dev/tpmrm0 or tabrmd)
+    this.tcti = options.tcti || null;
+  }
+
+  getEnvironment() {
+    if (!this.tcti) {
+      return process.env;
+    }
+    return { ...process.env, TPM2TOOLS_TCTI: this.tcti };
+  }
+
+  async run(command) {
+    return execAsync(command, { env: this.getEnvironment(), timeout: 15000 });
+  }
+
+  // Context and key blobs go to a private directory instead of the working directory
+  async withWorkDirectory(operation) {
+    const workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'tpm2-'));
+    try {
+      return await operation(workDirectory);
+    } finally {
+      await fs.rm(workDirectory, { recursive: true, force: true });
+    }
+  }
+
+  // Without a resource manager transient objects stay loaded between tool runs
+  async flushTransientObjects() {
+    try {
+      await this.run('tpm2_flushcontext -t');
+    } catch (error) {
+      logger.warn(`Could not flush transient TPM objects: ${error.message}`);
+    }
+  }
+
+  async isAvailable() {
+    try {
+      const { stdout } = await this.run('tpm2_getcap properties-fixed 2>/dev/null | grep TPM2_PT_MANUFACTURER');
+      return stdout.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getTpmAlgorithm(algorithm) {
+    const tpmAlgorithm = TPM_ALGORITHMS[algorithm];
+    if (!tpmAlgorithm) {
+      throw new Error(`Backend ${this.name} does not support ${algorithm}`);
+    }
+    return tpmAlgorithm;
+  }
+
+  async createKey(keyName, options = {}) {
+    try {
+      const algorithm = options.algorithm || 'ES256';
+      const { keyType } = this.getTpmAlgorithm(algorithm);
+      const keyAlgorithm = keyType === 'rsa' ? `rsa${options.keySize || 2048}` : keyType;
+      const handle = `0x8100${Math.floor(Math.random() * 0xFFFF).toString(16).padStart(4, '0')}`;
+
+      const publicKey = await this.withWorkDirectory(async (workDirectory) => {
+        const primaryContext = path.join(workDirectory, 'primary.ctx');
+        const publicBlob = path.join(workDirectory, 'key.pub');
+        const privateBlob = path.join(workDirectory, 'key.priv');
+        const keyContext = path.join(workDirectory, 'key.ctx');
+
+        try {
+          await this.run(`tpm2_createprimary -C o -g sha256 -G ecc256 -c ${primaryContext}`);
+          await this.run(`tpm2_create -C ${primaryContext} -g sha256 -G ${keyAlgorithm} -u ${publicBlob} -r ${privateBlob}`);
+          await this.run(`tpm2_load -C ${primaryContext} -u ${publicBlob} -r ${privateBlob} -c ${keyContext}`);
+          await this.run(`tpm2_evictcontrol -C o -c ${keyContext} ${handle}`);
+        } finally {
+          await this.flushTransientObjects();
+        }
+
+        const publicKeyFile = path.join(workDirectory, 'key.pem');
+        await this.run(`tpm2_readpublic -c ${handle} -f pem -o ${publicKeyFile}`);
+        return fs.readFile(publicKeyFile, 'utf8');
+      });
+
+      return {
+        name: keyName,
+        handle: handle,
+        publicKey: publicKey,
+        algorithm: algorithm,
+        inTPM: this.hardware,
+        provider: this.label,
+        backend: this.name
+      };
+    } catch (error) {
+      logger.error('Error creating Linux TPM key:', error);
+      throw error;
+    }
+  }
+
+  async sign(documentHash, key, options = {}) {
+    try {
+      const tpmAlgorithm = this.getTpmAlgorithm(this.getAlgorithm(key));
+      const scheme = tpmAlgorithm.scheme;
+      // tpm2-tools spells SHA-3 with an underscore
+      const hash = (options.hashAlgorithm || tpmAlgorithm.hash).replace('-', '_');
+
+      return await this.withWorkDirectory(async (workDirectory) => {
+        const hashFile = path.join(workDirectory, 'hash.bin');
+        const sigFile = path.join(workDirectory, 'sig.bin');
+
+        // -d: the input already is the digest; -f plain: DER-encoded ECDSA
+        // or raw RSA signature, the encodings the software backend produces
+        await fs.writeFile(hashFile, Buffer.from(documentHash, 'hex'));
+        await this.run(`tpm2_sign -c ${key.tpmHandle} -g ${hash} -s ${scheme} -d -f plain -o ${sigFile} ${hashFile}`);
+        const signature = await fs.readFile(sigFile);
+
+        return signature.toString('hex');
+      });
+    } catch (error) {
+      logger.error('Error signing with Linux TPM:', error);
+      throw error;
+    }
+  }
+
+  // Public keys are the SPKI PEM written by tpm2_readpublic, so signatures
+  // can be checked in-process without the TPM
+  async verify(documentHash, signature, publicKey, algorithm = 'ES256', hashAlgorithm = null) {
+    logger.info(`Verifying tpm2-tools ${algorithm} signature`);
+    return super.verify(documentHash, signature, publicKey, algorithm, hashAlgorithm);
+  }
+
+  // Seal a secret to this TPM's owner hierarchy; only the public and private
+  // blobs are kept and the secret can only be recovered by the same TPM
+  async sealData(secret, publicFile, privateFile) {
+    return this.withWorkDirectory(async (workDirectory) => {
+      const primaryContext = path.join(workDirectory, 'primary.ctx');
+      const secretFile = path.join(workDirectory, 'secret.bin');
+
+      await fs.writeFile(secretFile, secret, { mode: 0o600 });
+      try {
+        await this.run(`tpm2_createprimary -C o -g sha256 -G ecc256 -c ${primaryContext}`);
+        await this.run(`tpm2_create -C ${primaryContext} -i ${secretFile} -u ${publicFile} -r ${privateFile}`);
+      } finally {
+        await this.flushTransientObjects();
+      }
+      return true;
+    });
+  }
+
+  async unsealData(publicFile, privateFile) {
+    return this.withWorkDirectory(async (workDirectory) => {
+      const primaryContext = path.join(workDirectory, 'primary.ctx');
+      const sealedContext = path.join(workDirectory, 'sealed.ctx');
+      const secretFile = path.join(workDirectory, 'secret.bin');
+
+      try {
+        await this.run(`tpm2_createprimary -C o -g sha256 -G ecc256 -c ${primaryContext}`);
+        await this.run(`tpm2_load -C ${primaryContext} -u ${publicFile} -r ${privateFile} -c ${sealedContext}`);
+        await this.run(`tpm2_unseal -c ${sealedContext} -o ${secretFile}`);
+      } finally {
+        await this.flushTransientObjects();
+      }
+      return fs.readFile(secretFile);
+    });
+  }
+
+  // Increments the NV counter at `index` (0x01xxxxxx), defining it in the
+  // owner hierarchy on first use, and returns its new value as a BigInt. TPM
+  // counters only move forward, even when the database is restored.
+  async incrementCounter(index) {
+    if (!/^0x01[0-9a-f]{6}$/i.test(index)) {
+      throw new Error(`Invalid NV index: ${index}`);
+    }
+    return this.withWorkDirectory(async (workDirectory) => {
+      const valueFile = path.join(workDirectory, 'counter.bin');
+
+      try {
+        await this.run(`tpm2_nvreadpublic ${index}`);
+      } catch (error) {
+        logger.info(`Defining TPM NV counter ${index}`);
+        await this.run(`tpm2_nvdefine ${index} -C o -s 8 -a "ownerread|ownerwrite|nt=counter"`);
+      }
+      await this.run(`tpm2_nvincrement -C o ${index}`);
+      await this.run(`tpm2_nvread -C o -s 8 -o ${valueFile} ${index}`);
+      return (await fs.readFile(valueFile)).readBigUInt64BE();
+    });
+  }
+
+  async deleteKey(key) {
+    try {
+      await this.run(`tpm2_evictcontrol -C o -c ${key.tpmHandle}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting Linux TPM key:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LinuxTpmBackend;
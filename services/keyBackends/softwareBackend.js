@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { logger } = require('../generic');
+const KeyBackend = require('./keyBackend');
+const keyProtection = require('../keyProtection');
+const signatureAlgorithms = require('../signatureAlgorithms');
+
+class SoftwareBackend extends KeyBackend {
+  constructor() {
+    super('software', {
+      label: 'Software',
+      hardware: false,
+      algorithms: signatureAlgorithms.SIGNATURE_ALGORITHMS
+    });
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  async createKey(keyName, options = {}) {
+    try {
+      const algorithm = options.algorithm || 'ES256';
+      const { publicKey, privateKey } = signatureAlgorithms.generateKeyPair(algorithm, options);
+
+      const handle = crypto.randomBytes(16).toString('hex');
+
+      return {
+        name: keyName,
+        handle: handle,
+        publicKey: publicKey,
+        privateKey: privateKey,
+        algorithm: algorithm,
+        inTPM: false,
+        backend: this.name
+      };
+    } catch (error) {
+      logger.error('Error creating software key pair:', error);
+      throw error;
+    }
+  }
+
+  async getPrivateKey(key) {
+    const wrappedPrivateKey = this.getMetadata(key, 'wrappedPrivateKey');
+    if (wrappedPrivateKey) {
+      return keyProtection.unwrap(wrappedPrivateKey, key.tpmHandle);
+    }
+
+    // Records not yet migrated keep the private key in plain text; fall back to the handle as before
+    return this.getMetadata(key, 'privateKey') || key.tpmHandle;
+  }
+
+  async sign(documentHash, key, options = {}) {
+    const privateKey = await this.getPrivateKey(key);
+    return this.signWithPrivateKey(documentHash, privateKey, this.getAlgorithm(key), options.hashAlgorithm);
+  }
+
+  // The private key signs messages itself, so Ed25519 works too
+  canSignData() {
+    return true;
+  }
+
+  async signData(data, key, options = {}) {
+    const privateKey = await this.getPrivateKey(key);
+    return signatureAlgorithms.signData(data, privateKey, this.getAlgorithm(key), options.hashAlgorithm);
+  }
+
+  signWithPrivateKey(documentHash, privateKey, algorithm = 'ES256', hashAlgorithm = null) {
+    try {
+      return signatureAlgorithms.signDigest(documentHash, privateKey, algorithm, hashAlgorithm);
+    } catch (error) {
+      logger.error('Error signing with software key:', error);
+      throw error;
+    }
+  }
+
+  async verify(documentHash, signature, publicKey, algorithm = 'ES256', hashAlgorithm = null) {
+    logger.info('Verifying software signature');
+    return super.verify(documentHash, signature, publicKey, algorithm, hashAlgorithm);
+  }
+
+  async deleteKey() {
+    // Nothing to remove outside the database record
+    return true;
+  }
+}
+
+module.exports = SoftwareBackend;
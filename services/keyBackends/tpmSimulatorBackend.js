@@ -0,0 +1,30 @@
+const { logger } = require('../generic');
+const LinuxTpmBackend = require('./linuxTpmBackend');
+
+const DEFAULT_TCTI = 'swtpm:host=localhost,port=2321';
+
+// tpm2-tools against a TPM 2.0 simulator (swtpm or ms-tpm-20-ref) reached
+// through its TCTI socket, so the tpm2-tools path can be exercised on
+// machines without a TPM.
+class TpmSimulatorBackend extends LinuxTpmBackend {
+  constructor(options = {}) {
+    super('tpm-simulator', {
+      label: 'TPM 2.0 Simulator',
+      hardware: false,
+      tcti: options.tcti || DEFAULT_TCTI
+    });
+  }
+
+  async isAvailable() {
+    // A freshly powered simulator rejects every command until TPM2_Startup;
+    // a simulator that is already started answers with TPM_RC_INITIALIZE
+    try {
+      await this.run('tpm2_startup -c');
+    } catch (error) {
+      logger.debug(`tpm2_startup on simulator: ${error.message}`);
+    }
+    return super.isAvailable();
+  }
+}
+
+module.exports = TpmSimulatorBackend;
@@ -0,0 +1,207 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { logger } = require('../generic');
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_START_TIMEOUT = 30000;
+
+// A long-lived helper process speaking JSON lines over stdio, so TPM
+// operations cost a round trip instead of starting PowerShell. The worker
+// announces itself with {"ready":true}, then answers each request
+// {"id":1,"op":"sign","params":{...}} with {"id":1,"result":{...}} or
+// {"id":1,"error":"..."}; other output lines are logged and ignored.
+//
+// Requests are sent one at a time. A request that times out kills the worker,
+// since it may be stuck in the TPM, and a worker that exits is started again
+// by the next request.
+class TpmWorker {
+  constructor(options = {}) {
+    this.command = options.command;
+    this.args = options.args || [];
+    this.name = options.name || 'TPM worker';
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.startTimeout = options.startTimeout || DEFAULT_START_TIMEOUT;
+    this.child = null;
+    this.starting = null;
+    this.current = null;
+    this.queue = [];
+    this.nextId = 1;
+  }
+
+  get running() {
+    return this.child !== null;
+  }
+
+  // Resolves once the worker is ready
+  start() {
+    if (!this.starting) {
+      this.starting = this.spawnWorker().catch((error) => {
+        this.starting = null;
+        throw error;
+      });
+    }
+    return this.starting;
+  }
+
+  async spawnWorker() {
+    // A function finds the command when it is needed, such as the PowerShell to use
+    const command = typeof this.command === 'function' ? await this.command() : this.command;
+    logger.info(`Starting ${this.name}: ${command} ${this.args.join(' ')}`);
+
+    const child = spawn(command, this.args, { stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+    this.child = child;
+    // A worker that dies leaves writes failing with EPIPE; its exit is handled below
+    child.stdin.on('error', error => logger.debug(`${this.name} stdin: ${error.message}`));
+
+    try {
+      await this.waitUntilReady(child);
+    } catch (error) {
+      if (this.child === child) {
+        this.child = null;
+      }
+      child.kill();
+      throw error;
+    }
+
+    child.on('error', error => logger.error(`${this.name} error:`, error));
+    child.once('exit', (code, signal) => this.handleExit(child, code, signal));
+    logger.info(`${this.name} ready (pid ${child.pid})`);
+  }
+
+  // Routes the worker's output and resolves on its ready line
+  waitUntilReady(child) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        settle(new Error(`${this.name} did not start within ${this.startTimeout}ms`));
+      }, this.startTimeout);
+      const settle = (error) => {
+        clearTimeout(timer);
+        child.removeListener('error', settle);
+        child.removeListener('exit', onExit);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const onExit = code => settle(new Error(`${this.name} exited during startup (code ${code})`));
+
+      child.once('error', settle);
+      child.once('exit', onExit);
+
+      readline.createInterface({ input: child.stdout }).on('line', (line) => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          message = null;
+        }
+        if (message && message.ready) {
+          settle();
+        } else if (message && message.id !== undefined) {
+          this.handleResponse(message);
+        } else if (line.trim()) {
+          logger.debug(`${this.name}: ${line}`);
+        }
+      });
+      readline.createInterface({ input: child.stderr }).on('line', (line) => {
+        logger.warn(`${this.name} stderr: ${line}`);
+      });
+    });
+  }
+
+  // Sends a request and resolves with the worker's result
+  request(op, params = {}, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ op, params, timeout: options.timeout || this.timeout, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  async dispatch() {
+    if (this.current || this.queue.length === 0) {
+      return;
+    }
+    const request = this.queue.shift();
+    this.current = request;
+    request.id = this.nextId++;
+
+    try {
+      await this.start();
+    } catch (error) {
+      this.finish(request, error);
+      return;
+    }
+    if (this.current !== request) {
+      // Stopped while the worker started
+      return;
+    }
+
+    request.timer = setTimeout(() => {
+      this.kill();
+      this.finish(request, new Error(`${this.name} timed out after ${request.timeout}ms (${request.op})`));
+    }, request.timeout);
+    this.child.stdin.write(`${JSON.stringify({ id: request.id, op: request.op, params: request.params })}\n`);
+  }
+
+  handleResponse(message) {
+    const request = this.current;
+    if (!request || message.id !== request.id) {
+      logger.warn(`${this.name} answered request ${message.id}, which is no longer waiting`);
+      return;
+    }
+    if (message.error) {
+      this.finish(request, new Error(message.error));
+    } else {
+      this.finish(request, null, message.result);
+    }
+  }
+
+  handleExit(child, code, signal) {
+    if (this.child !== child) {
+      return;
+    }
+    this.child = null;
+    this.starting = null;
+    if (this.current) {
+      this.finish(this.current, new Error(`${this.name} exited (${signal || `code ${code}`}) during ${this.current.op}`));
+    } else {
+      logger.warn(`${this.name} exited (${signal || `code ${code}`}); it restarts with the next request`);
+    }
+  }
+
+  finish(request, error, result) {
+    if (this.current !== request) {
+      return;
+    }
+    clearTimeout(request.timer);
+    this.current = null;
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(result);
+    }
+    this.dispatch();
+  }
+
+  kill() {
+    if (this.child) {
+      const child = this.child;
+      this.child = null;
+      this.starting = null;
+      child.kill();
+    }
+  }
+
+  // Stops the worker; queued requests fail
+  stop() {
+    const pending = this.queue.splice(0);
+    pending.forEach(request => request.reject(new Error(`${this.name} stopped`)));
+    this.kill();
+    if (this.current) {
+      this.finish(this.current, new Error(`${this.name} stopped`));
+    }
+  }
+}
+
+module.exports = TpmWorker;
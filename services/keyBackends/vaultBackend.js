@@ -0,0 +1,67 @@
+const { logger } = require('../generic');
+const config = require('../configuration');
+const KeyBackend = require('./keyBackend');
+const signatureAlgorithms = require('../signatureAlgorithms');
+const vaultService = require('../vaultService');
+
+// Software keys kept in the TPM-rooted vault; signing unwraps the key in
+// memory and signs in-process, so it runs at software speed
+class VaultBackend extends KeyBackend {
+  constructor() {
+    super('vault', {
+      label: 'ZANDD HSM Vault',
+      hardware: false,
+      algorithms: signatureAlgorithms.SIGNATURE_ALGORITHMS
+    });
+  }
+
+  async isAvailable() {
+    return config.get('vault:enabled') !== false;
+  }
+
+  async createKey(keyName, options = {}) {
+    try {
+      const vaultKey = await vaultService.generateKey(keyName, options);
+
+      return {
+        name: keyName,
+        handle: vaultKey.keyId,
+        publicKey: vaultKey.publicKey,
+        privateKey: null,
+        algorithm: vaultKey.algorithm,
+        inTPM: false,
+        provider: this.label,
+        backend: this.name
+      };
+    } catch (error) {
+      logger.error('Error creating vault key:', error);
+      throw error;
+    }
+  }
+
+  async sign(documentHash, key, options = {}) {
+    const privateKey = await vaultService.unwrapKey(key.tpmHandle);
+    return signatureAlgorithms.signDigest(documentHash, privateKey, this.getAlgorithm(key), options.hashAlgorithm);
+  }
+
+  // The private key signs messages itself, so Ed25519 works too
+  canSignData() {
+    return true;
+  }
+
+  async signData(data, key, options = {}) {
+    const privateKey = await vaultService.unwrapKey(key.tpmHandle);
+    return signatureAlgorithms.signData(data, privateKey, this.getAlgorithm(key), options.hashAlgorithm);
+  }
+
+  async deleteKey(key) {
+    try {
+      return await vaultService.deleteKey(key.tpmHandle);
+    } catch (error) {
+      logger.error('Error deleting vault key:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = VaultBackend;
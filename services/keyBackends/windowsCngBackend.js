@@ -0,0 +1,351 @@
+const path = require('path');
+const crypto = require('crypto');
+const { exec, spawn } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+const { logger } = require('../generic');
+const KeyBackend = require('./keyBackend');
+const TpmWorker = require('./tpmWorker');
+const keyFormats = require('../keyFormats');
+const signatureAlgorithms = require('../signatureAlgorithms');
+
+const scriptsDirectory = path.join(__dirname, '..', '..', 'scripts');
+
+function isAscii(data) {
+  return /^[\x20-\x7e]*$/.test(Buffer.from(data).toString('latin1'));
+}
+
+// Key creation, signing and deletion go through one long-lived PowerShell
+// (scripts/tpm-worker.ps1) instead of a new process per operation. Tests
+// pass a worker running scripts/fake-tpm-worker.js.
+class WindowsCngBackend extends KeyBackend {
+  constructor(options = {}) {
+    super('windows-cng', { label: 'Windows CNG', hardware: true });
+    this.worker = options.worker || new TpmWorker({
+      name: 'PowerShell TPM worker',
+      command: () => this.getPowerShellCommand(),
+      args: ['-NoLogo', '-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-File', path.join(scriptsDirectory, 'tpm-worker.ps1')]
+    });
+  }
+
+  async isAvailable() {
+    if (process.platform !== 'win32') {
+      return false;
+    }
+
+    // Try different PowerShell commands to check TPM availability
+    try {
+      const { stdout } = await execAsync('powershell -Command "Get-TPM"');
+      // If Get-TPM returns any output without error, TPM is available
+      logger.info('TPM detected using Get-TPM command');
+      return stdout.trim().length > 0;
+    } catch (getTpmError) {
+      // Fallback: Check if TPM device exists in Device Manager
+      try {
+        const { stdout } = await execAsync('powershell -Command "Get-WmiObject -Namespace root/cimv2/security/microsofttpm -Class Win32_Tpm"');
+        logger.info('TPM detected using WMI query');
+        return stdout.trim().length > 0;
+      } catch (wmiError) {
+        // Final fallback: Check registry for TPM
+        try {
+          await execAsync('reg query "HKLM\\SYSTEM\\CurrentControlSet\\Services\\TPM" /f TPM');
+          logger.info('TPM detected using registry check');
+          return true;
+        } catch (regError) {
+          logger.warn('No TPM detected on Windows system');
+          return false;
+        }
+      }
+    }
+  }
+
+  async isAdministrator() {
+    try {
+      const result = await this.worker.request('isAdministrator');
+      return result.IsAdministrator === true;
+    } catch (adminCheckError) {
+      logger.warn('Could not check administrator privileges:', adminCheckError.message);
+      return false;
+    }
+  }
+
+  // Use PowerShell 7 if available, fallback to PowerShell 5.1; probed once
+  async getPowerShellCommand() {
+    if (!this.powerShellCommand) {
+      this.powerShellCommand = execAsync('pwsh -Command "Get-Host"')
+        .then(() => 'pwsh', () => 'powershell');
+    }
+    return this.powerShellCommand;
+  }
+
+  // Runs an operation in the worker and returns the script's JSON result
+  async runOperation(op, params, timeout, failure) {
+    const result = await this.worker.request(op, params, { timeout });
+    if (!result || !result.Success) {
+      throw new Error((result && result.Error) || failure);
+    }
+    return result;
+  }
+
+  // The scripts print Write-Host progress lines before the JSON result
+  extractJsonLine(stdout, marker) {
+    const lines = stdout.split('\n');
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('{') && trimmed.includes(`"${marker}"`)) {
+        return trimmed;
+      }
+    }
+
+    return '';
+  }
+
+  // Remove TPM_ES256_ prefix for the CNG scripts
+  getCngKeyName(keyHandle) {
+    return keyHandle.replace('TPM_ES256_', '');
+  }
+
+  async createKey(keyName) {
+    try {
+      // Check if we're running as Administrator
+      const isAdmin = await this.isAdministrator();
+      logger.info(`Administrator privileges: ${isAdmin}`);
+
+      // Choose script based on admin privileges
+      const operation = isAdmin ? 'createHardwareKey' : 'createSoftwareKey';
+      logger.info(`Using ${isAdmin ? 'FORCED HARDWARE TPM' : 'software'} key creation script`);
+
+      const result = await this.runOperation(operation, { KeyName: keyName }, 20000, 'Failed to create CNG key');
+
+      logger.info(`Successfully created CNG key for: ${keyName}`);
+      logger.info(`Key details: Handle=${result.Handle}, Provider=${result.Provider}`);
+
+      // Determine if this is true hardware TPM based on the provider
+      const isTPM = result.InTPM || (result.Provider && result.Provider.includes('Platform'));
+
+      // Log TPM status for debugging
+      if (isTPM) {
+        logger.info(`🔒 TRUE HARDWARE TPM KEY CREATED! Provider: ${result.Provider}`);
+      } else {
+        logger.info(`🔑 Software-backed CNG key created with provider: ${result.Provider}`);
+      }
+
+      return {
+        name: keyName,
+        handle: result.Handle,
+        publicKey: result.PublicKey,
+        privateKey: null, // CNG keys don't expose private keys
+        inTPM: isTPM,
+        windowsCert: false,
+        cngKey: true,
+        provider: result.Provider,
+        algorithm: result.Algorithm || 'ES256',
+        created: result.Created,
+        backend: this.name
+      };
+    } catch (error) {
+      logger.error(`Error creating CNG key for ${keyName}:`, error.message);
+      throw error;
+    }
+  }
+
+  async sign(documentHash, key) {
+    try {
+      const keyHandle = key.tpmHandle;
+
+      // Handle both old format (file paths) and new format (key names)
+      let keyName = keyHandle;
+
+      // If it's a file path (old format), extract the original key name
+      if (keyHandle.includes('\\') || keyHandle.includes('/')) {
+        // For old keys, we need to use a different approach
+        logger.warn(`Old key format detected (file path): ${keyHandle}`);
+        // Try to extract key name from the path or use the handle as-is
+        keyName = keyHandle;
+      } else {
+        // New format: handle already contains the full key name (TPM_ES256_xxx)
+        keyName = this.getCngKeyName(keyHandle);
+      }
+
+      logger.info(`Signing with CNG key: ${keyName}`);
+
+      const result = await this.runOperation('sign', { KeyName: keyName, DataToSign: documentHash }, 15000, 'Failed to sign with CNG key');
+
+      logger.info(`Successfully signed with CNG key: ${keyName}, Provider: ${result.Provider}`);
+
+      return result.Signature;
+    } catch (error) {
+      logger.error('Error signing with Windows CNG TPM:', error);
+      throw error;
+    }
+  }
+
+  // The signing script hashes the string it is given with SHA-256 itself, so
+  // digests computed elsewhere cannot be signed
+  canSignDigests() {
+    return false;
+  }
+
+  // Hashing the string is ES256 over the message when the message is ASCII,
+  // as JWS signing inputs are. Binary messages (DER, CBOR) would not survive
+  // being passed as a string.
+  canSignData(key, { binary = true } = {}) {
+    return this.getAlgorithm(key) === 'ES256' && !binary;
+  }
+
+  // Returns the signature as DER hex like the other backends
+  async signData(data, key, options = {}) {
+    if (!this.canSignData(key, { binary: !isAscii(data) })) {
+      throw new Error(`Backend ${this.name} can only sign ASCII messages with ES256`);
+    }
+    if (options.hashAlgorithm && options.hashAlgorithm !== 'sha256') {
+      throw new Error(`Backend ${this.name} signs with sha256, not ${options.hashAlgorithm}`);
+    }
+    const signature = await this.sign(Buffer.from(data).toString('latin1'), key);
+    return signatureAlgorithms.fromP1363(Buffer.from(signature, 'base64'), 'ES256');
+  }
+
+  // The signing script hashes the UTF-8 hex digest string with SHA-256 and
+  // returns an IEEE P1363 (r || s) signature in Base64. Verification only
+  // needs the public key, so it runs in-process on any OS.
+  async verify(documentHash, signature, publicKey) {
+    try {
+      logger.info('Verifying CNG signature from hardware TPM');
+      return crypto.verify(
+        'sha256',
+        Buffer.from(documentHash, 'utf8'),
+        { key: keyFormats.toPublicKeyObject(publicKey), dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signature, 'base64')
+      );
+    } catch (error) {
+      logger.error('Error verifying CNG signature:', error);
+      return false;
+    }
+  }
+
+  async deleteKey(key) {
+    try {
+      const keyName = this.getCngKeyName(key.tpmHandle);
+
+      logger.info(`Deleting CNG key: ${keyName}`);
+
+      await this.runOperation('deleteKey', { KeyName: keyName }, 10000, 'Failed to delete CNG key');
+
+      logger.info(`Successfully deleted CNG key: ${keyName}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting Windows CNG key:', error);
+      throw error;
+    }
+  }
+
+  async generateCSR(key, subject) {
+    try {
+      const keyName = key.name;
+      const { commonName, organization, country } = subject;
+
+      // Check if we're running as Administrator (same logic as key creation)
+      const isAdmin = await this.isAdministrator();
+      logger.info(`CSR Generation - Administrator privileges: ${isAdmin}`);
+
+      if (!isAdmin) {
+        throw new Error('CSR generation for hardware TPM keys requires Administrator privileges. Please run the Node.js application as Administrator.');
+      }
+
+      // Use the pure .NET CSR generation script
+      const scriptPath = path.join(scriptsDirectory, 'generate-csr-dotnet.ps1');
+
+      // Use the keyHandle (actual TPM path) for CSR generation
+      const actualTPMPath = key.tpmHandle || keyName;
+
+      logger.info(`Executing hardware TPM CSR generation using pure .NET with TPM path: ${actualTPMPath}`);
+
+      return new Promise((resolve, reject) => {
+        // Try running with explicit impersonation of current Administrator context
+        const psCommand = `
+          try {
+            # Force load security assembly and run in current context
+            Add-Type -AssemblyName System.Security
+            $currentIdentity = [System.Security.Principal.WindowsIdentity]::GetCurrent()
+            Write-Host "Current user: $($currentIdentity.Name)"
+            Write-Host "Is Admin: $(([Security.Principal.WindowsPrincipal] $currentIdentity).IsInRole([Security.Principal.WindowsBuiltInRole]::Administrator))"
+
+            # Execute the script in current context
+            & "${scriptPath}" -TPMPath "${actualTPMPath}" -CommonName "${commonName}" -Organization "${organization || 'TPM20 Organization'}" -Country "${country || 'US'}"
+          } catch {
+            Write-Host "Error in PowerShell execution: $($_.Exception.Message)"
+            exit 1
+          }
+        `;
+
+        const ps = spawn('powershell.exe', ['-ExecutionPolicy', 'Bypass', '-Command', psCommand], {
+          stdio: ['pipe', 'pipe', 'pipe'],
+          windowsVerbatimArguments: false,
+          windowsHide: true,
+          shell: false
+        });
+
+        let stdout = '';
+        let stderr = '';
+
+        ps.stdout.on('data', (data) => {
+          stdout += data.toString();
+        });
+
+        ps.stderr.on('data', (data) => {
+          stderr += data.toString();
+        });
+
+        ps.on('close', (code) => {
+          logger.info(`PowerShell CSR process completed with code: ${code}`);
+          logger.info(`PowerShell CSR stdout: ${stdout}`);
+          if (stderr) logger.warn(`PowerShell CSR stderr: ${stderr}`);
+
+          if (code !== 0) {
+            reject(new Error(`PowerShell process failed with code ${code}: ${stdout}`));
+            return;
+          }
+
+          // Process the output
+          try {
+            const jsonLine = this.extractJsonLine(stdout, 'Success');
+
+            if (!jsonLine) {
+              reject(new Error('No JSON output from CSR generation script'));
+              return;
+            }
+
+            const result = JSON.parse(jsonLine);
+
+            if (!result.Success) {
+              if (result.Error && result.Error.includes('requires Administrator privileges')) {
+                reject(new Error(`Hardware TPM CSR generation requires Administrator privileges. The key was created successfully, but CSR generation needs elevated PowerShell.\n\nTo generate the CSR, run this command from an Administrator PowerShell session:\n\npowershell -ExecutionPolicy Bypass -File "${scriptPath}" -TPMPath "${actualTPMPath}" -CommonName "${commonName}" -Organization "${organization || 'TPM20 Organization'}" -Country "${country || 'US'}"\n\nThis will generate the CSR for your hardware TPM key.`));
+                return;
+              }
+              reject(new Error(result.Error || 'Failed to generate CSR using pure .NET method'));
+              return;
+            }
+
+            logger.info(`Successfully generated hardware TPM CSR for key: ${keyName}`);
+            resolve(result.CSR);
+
+          } catch (parseError) {
+            reject(new Error(`Failed to parse CSR generation output: ${parseError.message}`));
+          }
+        });
+
+        ps.on('error', (error) => {
+          logger.error('PowerShell process error:', error);
+          reject(new Error(`PowerShell process error: ${error.message}`));
+        });
+      });
+
+    } catch (error) {
+      logger.error('Error generating hardware TPM CSR:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WindowsCngBackend;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+// Named curves by JWK name, with their coordinate length in bytes and the
+// BCRYPT_ECCPUBLIC_BLOB magic Windows CNG uses for ECDSA public keys
+const CURVES = {
+  'P-256': { size: 32, cngMagic: 'ECS1' },
+  'P-384': { size: 48, cngMagic: 'ECS3' },
+  'P-521': { size: 66, cngMagic: 'ECS5' }
+};
+
+const PUBLIC_KEY_FORMATS = ['pem', 'der', 'jwk', 'hex'];
+
+function isPEM(publicKey) {
+  return typeof publicKey === 'string' && publicKey.includes('-----BEGIN');
+}
+
+function isHex(value) {
+  return typeof value === 'string' && /^[0-9a-fA-F]+$/.test(value);
+}
+
+// Base64 BCRYPT_ECCPUBLIC_BLOB as exported by the CNG scripts ("RUNTMS..." for ECS1)
+function isCngBlob(publicKey) {
+  if (typeof publicKey !== 'string' || isPEM(publicKey) || isHex(publicKey)) {
+    return false;
+  }
+  const magic = Buffer.from(publicKey, 'base64').subarray(0, 4).toString('latin1');
+  return Object.values(CURVES).some(curve => curve.cngMagic === magic);
+}
+
+function base64UrlToHex(value) {
+  return Buffer.from(value, 'base64url').toString('hex');
+}
+
+function curveForCoordinateSize(size) {
+  const name = Object.keys(CURVES).find(curveName => CURVES[curveName].size === size);
+  if (!name) {
+    throw new Error(`Unsupported EC coordinate size: ${size}`);
+  }
+  return name;
+}
+
+function ecPointToKeyObject(point) {
+  if (point[0] !== 0x04 || point.length % 2 !== 1) {
+    throw new Error('Only uncompressed EC points are supported');
+  }
+  const size = (point.length - 1) / 2;
+  return crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: curveForCoordinateSize(size),
+      x: point.subarray(1, 1 + size).toString('base64url'),
+      y: point.subarray(1 + size).toString('base64url')
+    },
+    format: 'jwk'
+  });
+}
+
+// BCRYPT_ECCKEY_BLOB header: 4 byte magic, 4 byte little-endian cbKey, then X || Y
+function cngBlobToKeyObject(blob) {
+  const buffer = Buffer.from(blob, 'base64');
+  const magic = buffer.subarray(0, 4).toString('latin1');
+  const size = buffer.readUInt32LE(4);
+  const curveName = Object.keys(CURVES).find(name => CURVES[name].cngMagic === magic);
+
+  if (!curveName || CURVES[curveName].size !== size || buffer.length !== 8 + 2 * size) {
+    throw new Error('Invalid BCRYPT_ECCPUBLIC_BLOB');
+  }
+
+  const point = Buffer.concat([Buffer.from([0x04]), buffer.subarray(8)]);
+  return ecPointToKeyObject(point);
+}
+
+// Public key in whatever format a backend produced it: SPKI PEM, elliptic.js
+// uncompressed hex point, CNG ECCPUBLIC blob or base64 SPKI DER. JWK objects
+// are accepted for keys supplied by callers.
+function toPublicKeyObject(publicKey) {
+  if (publicKey instanceof crypto.KeyObject) {
+    return publicKey;
+  }
+  if (publicKey && typeof publicKey === 'object' && publicKey.kty) {
+    return crypto.createPublicKey({ key: publicKey, format: 'jwk' });
+  }
+  if (isPEM(publicKey)) {
+    return crypto.createPublicKey(publicKey);
+  }
+  if (isHex(publicKey)) {
+    return ecPointToKeyObject(Buffer.from(publicKey, 'hex'));
+  }
+  if (isCngBlob(publicKey)) {
+    return cngBlobToKeyObject(publicKey);
+  }
+  if (typeof publicKey === 'string') {
+    return crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+  }
+  throw new Error('Unsupported public key format');
+}
+
+function toSpkiPem(publicKey) {
+  return toPublicKeyObject(publicKey).export({ type: 'spki', format: 'pem' });
+}
+
+function toSpkiDer(publicKey) {
+  return toPublicKeyObject(publicKey).export({ type: 'spki', format: 'der' });
+}
+
+function toJwk(publicKey, properties = {}) {
+  const jwk = toPublicKeyObject(publicKey).export({ format: 'jwk' });
+  return { ...jwk, ...properties };
+}
+
+// Uncompressed EC point (04 || X || Y) as elliptic.js expects it
+function toEcPointHex(publicKey) {
+  if (isHex(publicKey)) {
+    return publicKey.toLowerCase();
+  }
+  const jwk = toJwk(publicKey);
+  if (jwk.kty !== 'EC') {
+    throw new Error(`Expected an EC public key, got ${jwk.kty}`);
+  }
+  return '04' + base64UrlToHex(jwk.x) + base64UrlToHex(jwk.y);
+}
+
+function toCngBlob(publicKey) {
+  const jwk = toJwk(publicKey);
+  const curve = CURVES[jwk.crv];
+  if (jwk.kty !== 'EC' || !curve) {
+    throw new Error('Only NIST EC keys can be expressed as a CNG blob');
+  }
+  const header = Buffer.alloc(8);
+  header.write(curve.cngMagic, 0, 'latin1');
+  header.writeUInt32LE(curve.size, 4);
+  return Buffer.concat([
+    header,
+    Buffer.from(jwk.x, 'base64url'),
+    Buffer.from(jwk.y, 'base64url')
+  ]).toString('base64');
+}
+
+// Hex is the raw EC point for EC keys and the SPKI DER for everything else
+function exportPublicKey(publicKey, format = 'pem', jwkProperties = {}) {
+  switch (format) {
+    case 'pem': return toSpkiPem(publicKey);
+    case 'der': return toSpkiDer(publicKey);
+    case 'jwk': return toJwk(publicKey, jwkProperties);
+    case 'hex': {
+      const keyObject = toPublicKeyObject(publicKey);
+      return keyObject.asymmetricKeyType === 'ec' ?
+        toEcPointHex(keyObject) :
+        toSpkiDer(keyObject).toString('hex');
+    }
+    default: throw new Error(`Unsupported public key format: ${format}`);
+  }
+}
+
+module.exports = {
+  PUBLIC_KEY_FORMATS,
+  isPEM,
+  isHex,
+  isCngBlob,
+  toPublicKeyObject,
+  toSpkiPem,
+  toSpkiDer,
+  toJwk,
+  toEcPointHex,
+  toCngBlob,
+  exportPublicKey
+};
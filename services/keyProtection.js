@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./generic');
+const config = require('./configuration');
+
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_ALGORITHM = 'AES-256-GCM';
+const KEK_SOURCES = ['passphrase', 'keyfile', 'tpm-sealed'];
+// The passphrase config/default.json used to ship with, which anyone can read
+const PUBLISHED_PASSPHRASES = ['tpm20-key-protection-change-in-production'];
+
+// Wraps software private keys with AES-256-GCM under a key-encryption key
+// (KEK). The KEK comes from keyProtection.kekSource in the configuration:
+//   passphrase - PBKDF2-SHA256 over keyProtection.passphrase
+//   keyfile    - 32 random bytes in keyProtection.keyFile, created on first use
+//   tpm-sealed - 32 random bytes sealed to the TPM, created on first use
+// The key file is the default. No passphrase is shipped;
+// keyProtection__passphrase in the environment keeps it out of the
+// configuration file. Envelopes record their source and are unwrapped with
+// it, and encryptStoredPrivateKeys moves keys to the configured source.
+class KeyProtectionService {
+  constructor() {
+    this.kek = null;
+    this.kekSource = null;
+  }
+
+  getSettings() {
+    return config.get('keyProtection') || {};
+  }
+
+  getKekSource() {
+    return this.checkKekSource(this.getSettings().kekSource || 'keyfile');
+  }
+
+  checkKekSource(source) {
+    if (!KEK_SOURCES.includes(source)) {
+      throw new Error(`Unknown key encryption key source: ${source}`);
+    }
+    return source;
+  }
+
+  // What is wrong with the settings, for the log at startup: keys wrapped
+  // under a published passphrase are as good as plain text
+  checkSettings() {
+    let source;
+    try {
+      source = this.getKekSource();
+    } catch (error) {
+      return [error.message];
+    }
+    if (source !== 'passphrase') {
+      return [];
+    }
+    const { passphrase } = this.getSettings();
+    if (!passphrase) {
+      return ['keyProtection.kekSource is passphrase but keyProtection.passphrase is not configured, so software keys ' +
+        'cannot be created. Set it, or the keyProtection__passphrase environment variable, or use the keyfile source'];
+    }
+    if (PUBLISHED_PASSPHRASES.includes(passphrase)) {
+      return ['keyProtection.passphrase is the published default, so stored private keys are not protected. ' +
+        'Configure a passphrase of your own, or another kekSource, before storing keys'];
+    }
+    return [];
+  }
+
+  // The KEK of `source`, by default the configured one. Envelopes that
+  // versions before the key file default wrapped under the published
+  // passphrase unwrap with it while no passphrase is configured.
+  async getKEK(source = this.getKekSource(), { unwrapping = false } = {}) {
+    this.checkKekSource(source);
+    if (this.kek && this.kekSource === source) {
+      return this.kek;
+    }
+
+    const settings = this.getSettings();
+    if (source === 'passphrase' && unwrapping && !settings.passphrase) {
+      // Not cached, so nothing is wrapped under it again
+      logger.warn('Unwrapping a private key under the published default passphrase');
+      return this.deriveFromPassphrase({ ...settings, passphrase: PUBLISHED_PASSPHRASES[0] });
+    }
+
+    let kek;
+    switch (source) {
+      case 'keyfile':
+        kek = await this.loadKeyFile(settings);
+        break;
+      case 'tpm-sealed':
+        kek = await this.unsealKEK(settings);
+        break;
+      default:
+        kek = this.deriveFromPassphrase(settings);
+    }
+
+    this.kek = kek;
+    this.kekSource = source;
+    logger.info(`Key encryption key loaded from ${source}`);
+    return kek;
+  }
+
+  deriveFromPassphrase(settings) {
+    if (!settings.passphrase) {
+      throw new Error('keyProtection.passphrase is not configured');
+    }
+    return crypto.pbkdf2Sync(
+      settings.passphrase,
+      settings.salt || 'tpm20-key-protection',
+      settings.iterations || 310000,
+      32,
+      'sha256'
+    );
+  }
+
+  async loadKeyFile(settings) {
+    const keyFile = path.resolve(settings.keyFile || './config/kek.key');
+    try {
+      const kek = await fs.readFile(keyFile);
+      if (kek.length !== 32) {
+        throw new Error(`Key file ${keyFile} must contain exactly 32 bytes`);
+      }
+      return kek;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      logger.warn(`Key file ${keyFile} not found, generating a new key encryption key`);
+      const kek = crypto.randomBytes(32);
+      await fs.mkdir(path.dirname(keyFile), { recursive: true });
+      await fs.writeFile(keyFile, kek, { mode: 0o600, flag: 'wx' });
+      return kek;
+    }
+  }
+
+  async unsealKEK(settings) {
+    // Required here rather than at the top: the software backend depends on this module
+    const keyBackends = require('./keyBackends');
+    const backend = keyBackends.getBackend(settings.tpmBackend || keyBackends.getPlatformBackendName());
+    if (typeof backend.unsealData !== 'function') {
+      throw new Error(`Backend ${backend.name} cannot seal data`);
+    }
+
+    const sealed = settings.sealedKek || {};
+    const publicFile = path.resolve(sealed.public || './config/kek.pub');
+    const privateFile = path.resolve(sealed.private || './config/kek.priv');
+
+    try {
+      await fs.access(publicFile);
+    } catch (error) {
+      logger.warn(`No sealed key encryption key at ${publicFile}, sealing a new one with ${backend.name}`);
+      const kek = crypto.randomBytes(32);
+      await fs.mkdir(path.dirname(publicFile), { recursive: true });
+      await backend.sealData(kek, publicFile, privateFile);
+      return kek;
+    }
+
+    return backend.unsealData(publicFile, privateFile);
+  }
+
+  isWrapped(value) {
+    if (typeof value !== 'string' || !value.startsWith('{')) {
+      return false;
+    }
+    try {
+      const envelope = JSON.parse(value);
+      return envelope.algorithm === ENVELOPE_ALGORITHM && typeof envelope.ciphertext === 'string';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // associatedData binds the envelope to its key record (the key handle), so
+  // an envelope copied onto another record does not decrypt
+  async wrap(plaintext, associatedData = '') {
+    const kek = await this.getKEK();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', kek, iv);
+    cipher.setAAD(Buffer.from(associatedData, 'utf8'));
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      version: ENVELOPE_VERSION,
+      algorithm: ENVELOPE_ALGORITHM,
+      kekSource: this.kekSource,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    });
+  }
+
+  async unwrap(wrapped, associatedData = '') {
+    const envelope = JSON.parse(wrapped);
+    if (envelope.version !== ENVELOPE_VERSION || envelope.algorithm !== ENVELOPE_ALGORITHM) {
+      throw new Error(`Unsupported key envelope: ${envelope.algorithm} v${envelope.version}`);
+    }
+
+    const kek = await this.getKEK(envelope.kekSource || this.getKekSource(), { unwrapping: true });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', kek, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(associatedData, 'utf8'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+    } catch (error) {
+      throw new Error(`Could not unwrap private key (wrapped under ${envelope.kekSource} key encryption key)`);
+    }
+
+    const value = plaintext.toString('utf8');
+    plaintext.fill(0);
+    return value;
+  }
+
+  // Encrypts private keys that earlier versions stored in plain text, and
+  // wraps keys wrapped under another key-encryption key source again under
+  // the configured one
+  async encryptStoredPrivateKeys() {
+    const TPMKey = require('../models/TPMKey');
+    const source = this.getKekSource();
+    const keys = await TPMKey.find({
+      $or: [
+        { 'metadata.privateKey': { $exists: true } },
+        { 'metadata.wrappedPrivateKey': { $exists: true } }
+      ]
+    });
+
+    let count = 0;
+    for (const key of keys) {
+      let privateKey = key.metadata.get('privateKey');
+      if (!privateKey) {
+        const wrapped = key.metadata.get('wrappedPrivateKey');
+        if (!this.isWrapped(wrapped) || JSON.parse(wrapped).kekSource === source) {
+          continue;
+        }
+        privateKey = await this.unwrap(wrapped, key.tpmHandle);
+      }
+
+      key.metadata.set('wrappedPrivateKey', await this.wrap(privateKey, key.tpmHandle));
+      key.metadata.delete('privateKey');
+      await key.save();
+      logger.info(`Wrapped stored private key of ${key.name} under the ${source} key encryption key`);
+      count++;
+    }
+
+    return count;
+  }
+}
+
+module.exports = new KeyProtectionService();
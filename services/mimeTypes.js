@@ -0,0 +1,161 @@
+const path = require('path');
+
+// Document types by content. Text types are stored and signed as UTF-8
+// strings; everything else as bytes.
+const FILE_TYPES = ['text', 'markdown', 'json', 'pdf', 'image', 'archive', 'executable', 'binary'];
+const TEXT_FILE_TYPES = ['text', 'markdown', 'json'];
+
+// PE images have an MZ stub whose header points at the "PE\0\0" signature
+function isPortableExecutable(buffer) {
+  if (buffer.length < 0x40) {
+    return false;
+  }
+  const peOffset = buffer.readUInt32LE(0x3c);
+  return matches(buffer, 'PE\0\0', peOffset);
+}
+
+// Magic numbers at `offset` (default the start of the file), checked in order.
+// Short ones that text could start with need a second match.
+const SIGNATURES = [
+  { bytes: '%PDF-', mimeType: 'application/pdf', fileType: 'pdf' },
+  { bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], mimeType: 'image/png', fileType: 'image' },
+  { bytes: [0xff, 0xd8, 0xff], mimeType: 'image/jpeg', fileType: 'image' },
+  { bytes: 'GIF87a', mimeType: 'image/gif', fileType: 'image' },
+  { bytes: 'GIF89a', mimeType: 'image/gif', fileType: 'image' },
+  { bytes: 'RIFF', then: 'WEBP', at: 8, mimeType: 'image/webp', fileType: 'image' },
+  { bytes: [0x49, 0x49, 0x2a, 0x00], mimeType: 'image/tiff', fileType: 'image' },
+  { bytes: [0x4d, 0x4d, 0x00, 0x2a], mimeType: 'image/tiff', fileType: 'image' },
+  { bytes: 'BM', then: [0, 0, 0, 0], at: 6, mimeType: 'image/bmp', fileType: 'image' },
+  { bytes: [0x00, 0x00, 0x01, 0x00], mimeType: 'image/vnd.microsoft.icon', fileType: 'image' },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], mimeType: 'application/zip', fileType: 'archive' },
+  { bytes: [0x50, 0x4b, 0x05, 0x06], mimeType: 'application/zip', fileType: 'archive' },
+  { bytes: [0x1f, 0x8b], mimeType: 'application/gzip', fileType: 'archive' },
+  { bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], mimeType: 'application/x-7z-compressed', fileType: 'archive' },
+  { bytes: 'Rar!\x1a\x07', mimeType: 'application/vnd.rar', fileType: 'archive' },
+  { bytes: 'BZh', then: [0x31, 0x41, 0x59, 0x26, 0x53, 0x59], at: 4, mimeType: 'application/x-bzip2', fileType: 'archive' },
+  { bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], mimeType: 'application/x-xz', fileType: 'archive' },
+  { bytes: 'ustar', offset: 257, mimeType: 'application/x-tar', fileType: 'archive' },
+  { bytes: 'MZ', test: isPortableExecutable, mimeType: 'application/vnd.microsoft.portable-executable', fileType: 'executable' },
+  { bytes: [0x7f, 0x45, 0x4c, 0x46], mimeType: 'application/x-elf', fileType: 'executable' },
+  { bytes: [0xcf, 0xfa, 0xed, 0xfe], mimeType: 'application/x-mach-binary', fileType: 'executable' },
+  { bytes: [0xce, 0xfa, 0xed, 0xfe], mimeType: 'application/x-mach-binary', fileType: 'executable' },
+  { bytes: [0x00, 0x61, 0x73, 0x6d], mimeType: 'application/wasm', fileType: 'executable' }
+];
+
+// ZIP containers named by their extension (Office documents, Java archives)
+const ZIP_EXTENSIONS = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.jar': 'application/java-archive',
+  '.apk': 'application/vnd.android.package-archive'
+};
+
+// Text files by extension; other valid UTF-8 is plain text
+const TEXT_EXTENSIONS = {
+  '.md': { mimeType: 'text/markdown', fileType: 'markdown' },
+  '.markdown': { mimeType: 'text/markdown', fileType: 'markdown' },
+  '.json': { mimeType: 'application/json', fileType: 'json' },
+  '.svg': { mimeType: 'image/svg+xml', fileType: 'image' },
+  '.xml': { mimeType: 'application/xml', fileType: 'text' },
+  '.html': { mimeType: 'text/html', fileType: 'text' },
+  '.csv': { mimeType: 'text/csv', fileType: 'text' }
+};
+
+function matches(buffer, bytes, offset = 0) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return buffer.length >= offset + expected.length &&
+    buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+// Magic numbers, including the PE header an MZ stub points to, are in the
+// first bytes
+const HEAD_LENGTH = 4096;
+
+// Incremental detectMimeType for files that arrive in chunks: the leading
+// bytes are kept for the magic numbers and every chunk is checked for being
+// UTF-8 text without NUL bytes
+function createDetector() {
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  let head = Buffer.alloc(0);
+  let text = true;
+
+  return {
+    update(chunk) {
+      if (head.length < HEAD_LENGTH) {
+        head = Buffer.concat([head, chunk.subarray(0, HEAD_LENGTH - head.length)]);
+      }
+      if (text) {
+        try {
+          text = !chunk.includes(0);
+          decoder.decode(chunk, { stream: true });
+        } catch (error) {
+          text = false;
+        }
+      }
+    },
+
+    // { mimeType, fileType } of everything passed to update
+    detect(fileName = '') {
+      if (text) {
+        try {
+          // A multi-byte sequence cut off at the end is not text
+          decoder.decode();
+        } catch (error) {
+          text = false;
+        }
+      }
+      return classify(head, fileName, text);
+    }
+  };
+}
+
+function classify(head, fileName, text) {
+  const ext = path.extname(fileName).toLowerCase();
+
+  const signature = SIGNATURES.find(candidate =>
+    matches(head, candidate.bytes, candidate.offset) &&
+    (!candidate.then || matches(head, candidate.then, candidate.at)) &&
+    (!candidate.test || candidate.test(head))
+  );
+  if (signature) {
+    if (signature.mimeType === 'application/zip' && ZIP_EXTENSIONS[ext]) {
+      return { mimeType: ZIP_EXTENSIONS[ext], fileType: 'archive' };
+    }
+    return { mimeType: signature.mimeType, fileType: signature.fileType };
+  }
+
+  if (text) {
+    return TEXT_EXTENSIONS[ext] ? { ...TEXT_EXTENSIONS[ext] } : { mimeType: 'text/plain', fileType: 'text' };
+  }
+  return { mimeType: 'application/octet-stream', fileType: 'binary' };
+}
+
+// { mimeType, fileType } of a file from its leading bytes, falling back to the
+// extension for text and ZIP-based formats
+function detectMimeType(buffer, fileName = '') {
+  const detector = createDetector();
+  detector.update(buffer);
+  return detector.detect(fileName);
+}
+
+function isTextFileType(fileType) {
+  return TEXT_FILE_TYPES.includes(fileType);
+}
+
+// Types safe to display in the browser; everything else is downloaded. SVG
+// can carry scripts, so it is only shown through <img>, which ignores them.
+function isInlineMimeType(mimeType) {
+  return mimeType === 'application/pdf' || mimeType === 'text/plain' ||
+    (mimeType.startsWith('image/') && mimeType !== 'image/svg+xml');
+}
+
+module.exports = {
+  FILE_TYPES,
+  TEXT_FILE_TYPES,
+  createDetector,
+  detectMimeType,
+  isTextFileType,
+  isInlineMimeType
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const x509 = require('./x509');
+const signatureAlgorithms = require('./signatureAlgorithms');
+
+const asn1 = forge.asn1;
+const { Class, Type } = asn1;
+
+// Online Certificate Status Protocol (RFC 6960) encoders for the responder
+// of the built-in CA (services/certificateAuthority), and the request
+// encoder and response parser clients need. Responses are signed by the CA
+// itself, so no delegated responder certificate is involved.
+const OIDS = {
+  basic: '1.3.6.1.5.5.7.48.1.1',
+  nonce: '1.3.6.1.5.5.7.48.1.2'
+};
+
+const RESPONSE_STATUS = {
+  successful: 0,
+  malformedRequest: 1,
+  internalError: 2,
+  tryLater: 3,
+  sigRequired: 5,
+  unauthorized: 6
+};
+
+// CertIDs name the issuer by hashes, SHA-1 by default
+const CERT_ID_HASHES = ['sha1', ...signatureAlgorithms.HASH_ALGORITHMS];
+
+function parse(der) {
+  return asn1.fromDer(forge.util.createBuffer(der.toString('binary')), { decodeBitStrings: false });
+}
+
+function octetString(buffer) {
+  return asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, buffer.toString('binary'));
+}
+
+function generalizedTime(date) {
+  return asn1.create(Class.UNIVERSAL, Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(date));
+}
+
+function createNonceExtension(nonce) {
+  return x509.createExtension(OIDS.nonce, octetString(nonce));
+}
+
+// The issuer name and key hashes of CertIDs for certificates `issuer` issued
+function issuerHashes(issuer, hashAlgorithm = 'sha1') {
+  const certificate = new crypto.X509Certificate(x509.fromPem(issuer));
+  const spki = parse(certificate.publicKey.export({ type: 'spki', format: 'der' }));
+  const keyBits = Buffer.from(spki.value[1].value, 'binary').subarray(1);
+
+  return {
+    issuerNameHash: crypto.createHash(hashAlgorithm).update(x509.toBuffer(x509.readSubjectName(issuer))).digest(),
+    issuerKeyHash: crypto.createHash(hashAlgorithm).update(keyBits).digest()
+  };
+}
+
+// OCSPRequest DER for certificates of `issuer` by serial number (hex)
+function createRequest(issuer, serialNumbers, { hashAlgorithm = 'sha1', nonce = crypto.randomBytes(16) } = {}) {
+  const { issuerNameHash, issuerKeyHash } = issuerHashes(issuer, hashAlgorithm);
+  const requestList = serialNumbers.map(serialNumber => x509.sequence([
+    x509.sequence([
+      x509.sequence([x509.oid(x509.OIDS[hashAlgorithm]), asn1.create(Class.UNIVERSAL, Type.NULL, false, '')]),
+      octetString(issuerNameHash),
+      octetString(issuerKeyHash),
+      x509.createSerialNumber(serialNumber)
+    ])
+  ]));
+
+  const tbsRequest = [x509.sequence(requestList)];
+  if (nonce) {
+    tbsRequest.push(x509.explicit(2, x509.sequence([createNonceExtension(nonce)])));
+  }
+  return x509.toBuffer(x509.sequence([x509.sequence(tbsRequest)]));
+}
+
+// OCSPRequest DER to its CertIDs and nonce. Each CertID is kept as its DER
+// node too, so the response can repeat it unchanged.
+function parseRequest(request) {
+  const [tbsRequest] = parse(Buffer.from(request)).value;
+  if (!tbsRequest || tbsRequest.type !== Type.SEQUENCE) {
+    throw new Error('Not an OCSP request');
+  }
+  const fields = tbsRequest.value;
+  const requestList = fields.find(field => field.tagClass === Class.UNIVERSAL && field.type === Type.SEQUENCE);
+  const extensions = fields.find(field => field.tagClass === Class.CONTEXT_SPECIFIC && field.type === 2);
+  if (!requestList || requestList.value.length === 0) {
+    throw new Error('The OCSP request names no certificates');
+  }
+
+  const nonceExtension = extensions && extensions.value[0].value
+    .find(extension => asn1.derToOid(extension.value[0].value) === OIDS.nonce);
+  let nonce = null;
+  if (nonceExtension) {
+    // The nonce is an OCTET STRING inside the extension value
+    const value = nonceExtension.value[nonceExtension.value.length - 1].value;
+    nonce = Buffer.from(asn1.fromDer(value).value, 'binary');
+  }
+
+  return {
+    requests: requestList.value.map((entry) => {
+      const certId = entry.value[0];
+      const [hashAlgorithm, issuerNameHash, issuerKeyHash, serialNumber] = certId.value;
+      const hashOid = asn1.derToOid(hashAlgorithm.value[0].value);
+      return {
+        certId,
+        hashAlgorithm: CERT_ID_HASHES.find(name => x509.OIDS[name] === hashOid) || null,
+        issuerNameHash: Buffer.from(issuerNameHash.value, 'binary'),
+        issuerKeyHash: Buffer.from(issuerKeyHash.value, 'binary'),
+        serialNumber: x509.readSerialNumber(serialNumber)
+      };
+    }),
+    nonce
+  };
+}
+
+function createCertStatus({ status, revokedAt = null, reason = null }) {
+  if (status === 'good') {
+    return asn1.create(Class.CONTEXT_SPECIFIC, 0, false, '');
+  }
+  if (status === 'revoked') {
+    const fields = [generalizedTime(revokedAt)];
+    if (reason) {
+      fields.push(x509.explicit(0, asn1.create(Class.UNIVERSAL, Type.ENUMERATED, false, String.fromCharCode(x509.CRL_REASONS[reason]))));
+    }
+    return asn1.create(Class.CONTEXT_SPECIFIC, 1, true, fields);
+  }
+  return asn1.create(Class.CONTEXT_SPECIFIC, 2, false, '');
+}
+
+// BasicOCSPResponse DER. `responses` holds { certId, status, revokedAt,
+// reason, thisUpdate, nextUpdate } with status good, revoked or unknown;
+// the responder is named by `responderKeyId`, the SHA-1 of its key.
+// `sign` is as for x509.createCertificate.
+async function createBasicResponse({
+  responderKeyId,
+  producedAt,
+  responses,
+  nonce = null,
+  certificates = [],
+  algorithm = 'ES256',
+  hashAlgorithm = null,
+  sign
+}) {
+  const singleResponses = responses.map(response => x509.sequence([
+    response.certId,
+    createCertStatus(response),
+    generalizedTime(response.thisUpdate),
+    ...(response.nextUpdate ? [x509.explicit(0, generalizedTime(response.nextUpdate))] : [])
+  ]));
+
+  const responseData = x509.sequence([
+    x509.explicit(2, octetString(responderKeyId)),
+    generalizedTime(producedAt),
+    x509.sequence(singleResponses),
+    ...(nonce ? [x509.explicit(1, x509.sequence([createNonceExtension(nonce)]))] : [])
+  ]);
+
+  const signature = Buffer.from(await sign(x509.toBuffer(responseData)), 'hex');
+
+  return x509.toBuffer(x509.sequence([
+    responseData,
+    x509.createSignatureAlgorithm(algorithm, hashAlgorithm),
+    asn1.create(Class.UNIVERSAL, Type.BITSTRING, false, '\x00' + signature.toString('binary')),
+    ...(certificates.length ? [x509.explicit(0, x509.sequence(certificates.map(certificate => parse(x509.fromPem(certificate)))))] : [])
+  ]));
+}
+
+// OCSPResponse DER: successful with a BasicOCSPResponse, or another RESPONSE_STATUS name
+function createResponse({ status = 'successful', basicResponse = null }) {
+  const fields = [asn1.create(Class.UNIVERSAL, Type.ENUMERATED, false, String.fromCharCode(RESPONSE_STATUS[status]))];
+  if (basicResponse) {
+    fields.push(x509.explicit(0, x509.sequence([x509.oid(OIDS.basic), octetString(basicResponse)])));
+  }
+  return x509.toBuffer(x509.sequence(fields));
+}
+
+function readCertStatus(node) {
+  if (node.type === 0) {
+    return { status: 'good' };
+  }
+  if (node.type === 1) {
+    const reason = node.value[1];
+    const code = reason ? reason.value[0].value.charCodeAt(0) : null;
+    return {
+      status: 'revoked',
+      revokedAt: asn1.generalizedTimeToDate(node.value[0].value),
+      reason: code === null ? null : Object.keys(x509.CRL_REASONS).find(name => x509.CRL_REASONS[name] === code)
+    };
+  }
+  return { status: 'unknown' };
+}
+
+// OCSPResponse DER to its status and single responses. With `publicKey`,
+// `valid` tells whether the responder's signature verifies.
+function parseResponse(response, { publicKey = null } = {}) {
+  const [statusNode, responseBytes] = parse(Buffer.from(response)).value;
+  const code = statusNode.value.charCodeAt(0);
+  const status = Object.keys(RESPONSE_STATUS).find(name => RESPONSE_STATUS[name] === code) || `status ${code}`;
+  if (!responseBytes) {
+    return { status, responses: [] };
+  }
+
+  const basicResponse = parse(Buffer.from(responseBytes.value[0].value[1].value, 'binary'));
+  const [responseData, signatureAlgorithm, signature] = basicResponse.value;
+  const fields = responseData.value.filter(field => !(field.tagClass === Class.CONTEXT_SPECIFIC && field.type === 0));
+  const [, producedAt, responses, extensions] = fields;
+
+  let nonce = null;
+  if (extensions) {
+    const extension = extensions.value[0].value.find(entry => asn1.derToOid(entry.value[0].value) === OIDS.nonce);
+    nonce = extension ? Buffer.from(asn1.fromDer(extension.value[extension.value.length - 1].value).value, 'binary') : null;
+  }
+
+  const result = {
+    status,
+    producedAt: asn1.generalizedTimeToDate(producedAt.value),
+    nonce,
+    responses: responses.value.map((single) => {
+      const nextUpdate = single.value.slice(3).find(field => field.tagClass === Class.CONTEXT_SPECIFIC && field.type === 0);
+      return {
+        serialNumber: x509.readSerialNumber(single.value[0].value[3]),
+        ...readCertStatus(single.value[1]),
+        thisUpdate: asn1.generalizedTimeToDate(single.value[2].value),
+        nextUpdate: nextUpdate ? asn1.generalizedTimeToDate(nextUpdate.value[0].value) : null
+      };
+    })
+  };
+  if (publicKey) {
+    const { algorithm, hashAlgorithm } = x509.readSignatureAlgorithm(signatureAlgorithm, publicKey);
+    const signatureHex = Buffer.from(signature.value, 'binary').subarray(1).toString('hex');
+    result.valid = signatureAlgorithms.verifyData(x509.toBuffer(responseData), signatureHex, publicKey, algorithm, hashAlgorithm);
+  }
+  return result;
+}
+
+module.exports = {
+  OIDS,
+  RESPONSE_STATUS,
+  issuerHashes,
+  createRequest,
+  parseRequest,
+  createBasicResponse,
+  createResponse,
+  parseResponse
+};
@@ -0,0 +1,324 @@
+const cms = require('./cms');
+const { PdfName, PdfRef, PdfString, PdfStream, PdfDocument, serialize } = require('./pdf');
+
+// PAdES (ETSI EN 319 142) signatures: a CAdES detached SignedData over the
+// PDF's /ByteRange, embedded in a signature field by incremental update.
+// B-B signs without a signing-time attribute (the time is the dictionary's
+// /M) and with signing-certificate-v2; B-T adds a signature time-stamp.
+const SUB_FILTER = 'ETSI.CAdES.detached';
+const LEVELS = ['B-B', 'B-T'];
+const DEFAULT_RECT = [36, 36, 276, 96];
+const BYTE_RANGE_PLACEHOLDER = [0, 9999999999, 9999999999, 9999999999];
+
+function pdfDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}+00'00'`;
+}
+
+function parsePdfDate(value) {
+  const match = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Z+-])?(\d{2})?'?(\d{2})?/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+  const offset = sign && sign !== 'Z' ? `${sign}${offsetHours}:${offsetMinutes}` : 'Z';
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+}
+
+function commonName(subject) {
+  const match = /(?:^|\n)CN=([^\n]+)/.exec(subject || '');
+  return match ? match[1] : subject;
+}
+
+// Helvetica is WinAnsi-encoded; anything outside Latin-1 is shown as '?'
+function showText(text) {
+  return `${serialize(new PdfString(Buffer.from(text.replace(/[^\x20-\xff]/g, '?'), 'latin1')))} Tj`;
+}
+
+function createAppearance(width, height, lines, fontRef) {
+  const resources = new Map();
+  let content = '';
+
+  if (fontRef) {
+    const fontSize = Math.max(4, Math.min(10, (height - 8) / (lines.length * 1.25)));
+    const leading = fontSize * 1.25;
+    content = [
+      'q 0.96 0.96 0.96 rg',
+      `0 0 ${width} ${height} re f`,
+      `0.25 0.25 0.5 RG 1 w 0.5 0.5 ${width - 1} ${height - 1} re S`,
+      `0 0 ${width} ${height} re W n`,
+      `BT /F1 ${serialize(fontSize)} Tf 0 0 0 rg ${serialize(leading)} TL`,
+      `4 ${serialize(height - 4 - fontSize)} Td`,
+      lines.map((line, index) => (index ? `T* ${showText(line)}` : showText(line))).join('\n'),
+      'ET Q'
+    ].join('\n');
+    resources.set('Font', new Map([['F1', fontRef]]));
+  }
+
+  return new PdfStream(new Map([
+    ['Type', new PdfName('XObject')],
+    ['Subtype', new PdfName('Form')],
+    ['BBox', [0, 0, width, height]],
+    ['Resources', resources]
+  ]), Buffer.from(content, 'latin1'));
+}
+
+// Signature fields of the document's AcroForm, with their dictionaries
+function findSignatureFields(document) {
+  const acroForm = document.resolve(document.catalog.get('AcroForm'));
+  const fields = [];
+  const visit = (ref, name, depth) => {
+    const field = document.resolve(ref);
+    if (!(field instanceof Map) || depth > 32) {
+      return;
+    }
+    const partial = field.get('T') instanceof PdfString ? field.get('T').toText() : null;
+    const fullName = [name, partial].filter(Boolean).join('.');
+    if (field.get('FT')?.name === 'Sig') {
+      fields.push({ ref, name: fullName, field, signature: document.resolve(field.get('V')) });
+    }
+    (document.resolve(field.get('Kids')) || []).forEach(kid => visit(kid, fullName, depth + 1));
+  };
+
+  if (acroForm instanceof Map) {
+    (document.resolve(acroForm.get('Fields')) || []).forEach(ref => visit(ref, null, 0));
+  }
+  return fields;
+}
+
+// Signs `pdf` in a new signature field and resolves with { pdf, cms }: the
+// signed PDF and the DER SignedData embedded in it. `sign` is the CMS signer
+// callback; `timestamp` (B-T) receives the signature value and resolves with
+// a TimeStampToken. Visible signatures show the signer, time, reason and
+// location in `rect` on page `page` (1-based).
+async function signPdf(pdf, {
+  certificate,
+  algorithm = 'ES256',
+  hashAlgorithm = null,
+  sign,
+  timestamp = null,
+  visible = false,
+  page = 1,
+  rect = DEFAULT_RECT,
+  reason = null,
+  location = null,
+  signingTime = new Date()
+}) {
+  const document = new PdfDocument(pdf);
+  if (document.trailer.has('Encrypt')) {
+    throw new Error('Encrypted PDF documents cannot be signed');
+  }
+
+  const pages = document.getPages();
+  if (!Number.isInteger(page) || page < 1 || page > pages.length) {
+    throw new Error(`Page ${page} does not exist; the document has ${pages.length} page(s)`);
+  }
+  const pageRef = pages[page - 1];
+  const signer = cms.readCertificate(certificate);
+  const signerName = commonName(signer.subject);
+
+  let nextObject = document.size;
+  const allocate = () => new PdfRef(nextObject++);
+  const objects = [];
+
+  // Room for the certificate, the signature and, for B-T, a time-stamp token
+  const contentsLength = signer.der.length + 4096 + (timestamp ? 12288 : 0);
+  const signatureRef = allocate();
+  const signatureDict = new Map([
+    ['Type', new PdfName('Sig')],
+    ['Filter', new PdfName('Adobe.PPKLite')],
+    ['SubFilter', new PdfName(SUB_FILTER)],
+    ['ByteRange', BYTE_RANGE_PLACEHOLDER],
+    ['Contents', new PdfString(Buffer.alloc(contentsLength))],
+    ['Name', PdfString.fromText(signerName)],
+    ['M', PdfString.fromText(pdfDate(signingTime))]
+  ]);
+  if (reason) {
+    signatureDict.set('Reason', PdfString.fromText(reason));
+  }
+  if (location) {
+    signatureDict.set('Location', PdfString.fromText(location));
+  }
+  objects.push({ ref: signatureRef, value: signatureDict });
+
+  // Appearance: signer details in `rect`, or an empty box for invisible signatures
+  const widgetRect = visible ? rect.map(Number) : [0, 0, 0, 0];
+  if (widgetRect.length !== 4 || widgetRect.some(value => !Number.isFinite(value))) {
+    throw new Error('The signature rectangle must be four numbers: [x1, y1, x2, y2]');
+  }
+  const appearanceRef = allocate();
+  let fontRef = null;
+  if (visible) {
+    fontRef = allocate();
+    objects.push({
+      ref: fontRef,
+      value: new Map([
+        ['Type', new PdfName('Font')],
+        ['Subtype', new PdfName('Type1')],
+        ['BaseFont', new PdfName('Helvetica')],
+        ['Encoding', new PdfName('WinAnsiEncoding')]
+      ])
+    });
+  }
+  const lines = [
+    `Digitally signed by ${signerName}`,
+    `Date: ${signingTime.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')}`,
+    ...(reason ? [`Reason: ${reason}`] : []),
+    ...(location ? [`Location: ${location}`] : [])
+  ];
+  objects.push({
+    ref: appearanceRef,
+    value: createAppearance(
+      Math.abs(widgetRect[2] - widgetRect[0]),
+      Math.abs(widgetRect[3] - widgetRect[1]),
+      lines,
+      fontRef
+    )
+  });
+
+  // The signature field and its widget annotation as one dictionary
+  const existingFields = findSignatureFields(document);
+  const fieldRef = allocate();
+  objects.push({
+    ref: fieldRef,
+    value: new Map([
+      ['Type', new PdfName('Annot')],
+      ['Subtype', new PdfName('Widget')],
+      ['FT', new PdfName('Sig')],
+      ['T', PdfString.fromText(`Signature${existingFields.length + 1}`)],
+      ['V', signatureRef],
+      ['F', 132],
+      ['P', pageRef],
+      ['Rect', widgetRect],
+      ['AP', new Map([['N', appearanceRef]])]
+    ])
+  });
+
+  const pageDict = new Map(document.resolve(pageRef));
+  const annots = pageDict.get('Annots');
+  if (annots instanceof PdfRef) {
+    objects.push({ ref: annots, value: [...(document.resolve(annots) || []), fieldRef] });
+  } else {
+    pageDict.set('Annots', [...(annots || []), fieldRef]);
+  }
+  objects.push({ ref: pageRef, value: pageDict });
+
+  const catalogRef = document.trailer.get('Root');
+  const catalog = new Map(document.catalog);
+  const acroFormEntry = catalog.get('AcroForm');
+  const acroForm = new Map(document.resolve(acroFormEntry) || []);
+  acroForm.set('Fields', [...(document.resolve(acroForm.get('Fields')) || []), fieldRef]);
+  acroForm.set('SigFlags', 3);
+  if (acroFormEntry instanceof PdfRef) {
+    objects.push({ ref: acroFormEntry, value: acroForm });
+  } else {
+    catalog.set('AcroForm', acroForm);
+    objects.push({ ref: catalogRef, value: catalog });
+  }
+
+  const output = document.incrementalUpdate(objects);
+  return fillSignature(output, pdf.length, signatureRef, contentsLength, async (signedBytes) => {
+    return cms.createSignedData({
+      content: signedBytes,
+      certificate,
+      algorithm,
+      hashAlgorithm,
+      detached: true,
+      signingTime: null,
+      signingCertificate: true,
+      timestamp,
+      sign
+    });
+  });
+}
+
+// Points /ByteRange around the /Contents placeholder of the new signature
+// dictionary, then signs those bytes and writes the CMS into the placeholder
+async function fillSignature(output, updateOffset, signatureRef, contentsLength, createCms) {
+  const source = output.toString('latin1');
+  const objectStart = source.indexOf(`${signatureRef.num} ${signatureRef.gen} obj`, updateOffset);
+  const contentsStart = source.indexOf('/Contents <', objectStart) + '/Contents '.length;
+  const contentsEnd = contentsStart + contentsLength * 2 + 2;
+  const placeholder = serialize(BYTE_RANGE_PLACEHOLDER);
+  const byteRangeStart = source.indexOf(`/ByteRange ${placeholder}`, objectStart) + '/ByteRange '.length;
+  if (objectStart === -1 || byteRangeStart < objectStart || source[contentsEnd - 1] !== '>') {
+    throw new Error('Signature placeholder not found');
+  }
+
+  const byteRange = [0, contentsStart, contentsEnd, output.length - contentsEnd];
+  const byteRangeText = `[${byteRange.join(' ')}`.padEnd(placeholder.length - 1) + ']';
+  output.write(byteRangeText, byteRangeStart, 'latin1');
+
+  const signedBytes = Buffer.concat([output.subarray(0, contentsStart), output.subarray(contentsEnd)]);
+  const der = await createCms(signedBytes);
+  if (der.length > contentsLength) {
+    throw new Error(`The signature (${der.length} bytes) does not fit its placeholder (${contentsLength} bytes)`);
+  }
+  output.write(der.toString('hex'), contentsStart + 1, 'latin1');
+  return { pdf: output, cms: der };
+}
+
+// The DER SignedData in a zero-padded /Contents
+function trimContents(bytes) {
+  if (bytes[0] !== 0x30) {
+    throw new Error('/Contents is not a DER SignedData');
+  }
+  const lengthByte = bytes[1];
+  if (lengthByte < 0x80) {
+    return bytes.subarray(0, 2 + lengthByte);
+  }
+  const lengthBytes = lengthByte & 0x7f;
+  const length = bytes.subarray(2, 2 + lengthBytes).reduce((value, byte) => value * 256 + byte, 0);
+  return bytes.subarray(0, 2 + lengthBytes + length);
+}
+
+// Checks every signature field of `pdf`. Each result tells whether the CMS
+// verifies over its byte range, and whether that range covers the whole file
+// (later signatures or edits are incremental updates after it).
+function verifyPdf(pdf, { publicKey = null } = {}) {
+  const buffer = Buffer.from(pdf);
+  const document = new PdfDocument(buffer);
+
+  const signatures = findSignatureFields(document)
+    .filter(({ signature }) => signature instanceof Map)
+    .map(({ name, signature }) => {
+      const byteRange = signature.get('ByteRange') || [];
+      const result = {
+        field: name,
+        subFilter: signature.get('SubFilter')?.name,
+        name: signature.get('Name') instanceof PdfString ? signature.get('Name').toText() : undefined,
+        reason: signature.get('Reason') instanceof PdfString ? signature.get('Reason').toText() : undefined,
+        location: signature.get('Location') instanceof PdfString ? signature.get('Location').toText() : undefined,
+        signingTime: signature.get('M') instanceof PdfString ? parsePdfDate(signature.get('M').toText()) : undefined,
+        byteRange,
+        signedLength: byteRange[2] + byteRange[3],
+        coversWholeDocument: byteRange[2] + byteRange[3] === buffer.length
+      };
+
+      try {
+        const [start, firstLength, secondStart, secondLength] = byteRange;
+        if (byteRange.length !== 4 || start !== 0 || secondStart + secondLength > buffer.length ||
+            buffer[firstLength] !== 0x3c || buffer[secondStart - 1] !== 0x3e) {
+          throw new Error('The byte range must cover everything but /Contents');
+        }
+        const content = Buffer.concat([buffer.subarray(0, firstLength), buffer.subarray(secondStart, secondStart + secondLength)]);
+        const verification = cms.verifySignedData(trimContents(signature.get('Contents').bytes), { content, publicKey });
+        return { ...result, valid: verification.valid, signers: verification.signers };
+      } catch (error) {
+        return { ...result, valid: false, error: error.message };
+      }
+    });
+
+  return {
+    valid: signatures.length > 0 && signatures.every(signature => signature.valid),
+    signatures
+  };
+}
+
+module.exports = {
+  SUB_FILTER,
+  LEVELS,
+  signPdf,
+  verifyPdf
+};
@@ -0,0 +1,702 @@
+const zlib = require('zlib');
+
+// Just enough PDF (ISO 32000) to add signatures by incremental update: an
+// object parser, cross-reference tables and streams (with object streams),
+// the page tree, and a writer that appends changed objects after %%EOF so
+// the original bytes stay untouched and earlier signatures stay valid.
+
+class PdfName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class PdfRef {
+  constructor(num, gen = 0) {
+    this.num = num;
+    this.gen = gen;
+  }
+
+  toString() {
+    return `${this.num} ${this.gen} R`;
+  }
+}
+
+class PdfString {
+  constructor(bytes) {
+    this.bytes = Buffer.from(bytes);
+  }
+
+  // Text strings are PDFDocEncoding when ASCII, UTF-16BE with a BOM otherwise
+  static fromText(text) {
+    if (/^[\x20-\x7e]*$/.test(text)) {
+      return new PdfString(Buffer.from(text, 'latin1'));
+    }
+    const utf16 = Buffer.from(text, 'utf16le').swap16();
+    return new PdfString(Buffer.concat([Buffer.from([0xfe, 0xff]), utf16]));
+  }
+
+  toText() {
+    if (this.bytes[0] === 0xfe && this.bytes[1] === 0xff) {
+      return Buffer.from(this.bytes.subarray(2)).swap16().toString('utf16le');
+    }
+    return this.bytes.toString('latin1');
+  }
+}
+
+class PdfStream {
+  constructor(dict, data) {
+    this.dict = dict;
+    this.data = data;
+  }
+}
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(char => char.charCodeAt(0)));
+
+function isRegular(byte) {
+  return byte !== undefined && !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+}
+
+// Parses objects from `buffer`; `resolveLength` resolves indirect stream lengths
+class Parser {
+  constructor(buffer, position = 0, resolveLength = null) {
+    this.buffer = buffer;
+    this.position = position;
+    this.resolveLength = resolveLength;
+  }
+
+  skipWhitespace() {
+    const { buffer } = this;
+    while (this.position < buffer.length) {
+      const byte = buffer[this.position];
+      if (WHITESPACE.has(byte)) {
+        this.position++;
+      } else if (byte === 0x25) {
+        while (this.position < buffer.length && buffer[this.position] !== 0x0a && buffer[this.position] !== 0x0d) {
+          this.position++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  readToken() {
+    this.skipWhitespace();
+    const start = this.position;
+    while (isRegular(this.buffer[this.position])) {
+      this.position++;
+    }
+    return this.buffer.toString('latin1', start, this.position);
+  }
+
+  peekToken() {
+    const position = this.position;
+    const token = this.readToken();
+    this.position = position;
+    return token;
+  }
+
+  expect(token) {
+    const actual = this.readToken();
+    if (actual !== token) {
+      throw new Error(`Invalid PDF: expected "${token}" at offset ${this.position}, found "${actual}"`);
+    }
+  }
+
+  parseObject() {
+    this.skipWhitespace();
+    const byte = this.buffer[this.position];
+    if (byte === undefined) {
+      throw new Error('Invalid PDF: unexpected end of data');
+    }
+
+    if (byte === 0x2f) {
+      return this.parseName();
+    }
+    if (byte === 0x28) {
+      return this.parseLiteralString();
+    }
+    if (byte === 0x3c) {
+      return this.buffer[this.position + 1] === 0x3c ? this.parseDictionary() : this.parseHexString();
+    }
+    if (byte === 0x5b) {
+      this.position++;
+      const items = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (this.buffer[this.position] === 0x5d) {
+          this.position++;
+          return items;
+        }
+        items.push(this.parseObject());
+      }
+    }
+
+    const token = this.readToken();
+    if (token === 'true' || token === 'false') {
+      return token === 'true';
+    }
+    if (token === 'null') {
+      return null;
+    }
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      throw new Error(`Invalid PDF: unexpected "${token || String.fromCharCode(byte)}" at offset ${this.position}`);
+    }
+
+    // "num gen R" is an indirect reference
+    if (/^\d+$/.test(token)) {
+      const position = this.position;
+      const generation = this.readToken();
+      if (/^\d+$/.test(generation) && this.readToken() === 'R') {
+        return new PdfRef(Number(token), Number(generation));
+      }
+      this.position = position;
+    }
+    return Number(token);
+  }
+
+  parseName() {
+    this.position++;
+    const start = this.position;
+    while (isRegular(this.buffer[this.position])) {
+      this.position++;
+    }
+    const raw = this.buffer.toString('latin1', start, this.position);
+    return new PdfName(raw.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+
+  parseLiteralString() {
+    const { buffer } = this;
+    const bytes = [];
+    let depth = 0;
+    this.position++;
+
+    while (this.position < buffer.length) {
+      const byte = buffer[this.position++];
+      if (byte === 0x5c) {
+        const next = buffer[this.position++];
+        const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+        if (escapes[next] !== undefined) {
+          bytes.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+          let octal = next - 0x30;
+          for (let i = 0; i < 2 && buffer[this.position] >= 0x30 && buffer[this.position] <= 0x37; i++) {
+            octal = octal * 8 + buffer[this.position++] - 0x30;
+          }
+          bytes.push(octal & 0xff);
+        } else if (next === 0x0d) {
+          // Line continuation
+          if (buffer[this.position] === 0x0a) {
+            this.position++;
+          }
+        } else if (next !== 0x0a) {
+          bytes.push(next);
+        }
+      } else if (byte === 0x28) {
+        depth++;
+        bytes.push(byte);
+      } else if (byte === 0x29) {
+        if (depth === 0) {
+          return new PdfString(Buffer.from(bytes));
+        }
+        depth--;
+        bytes.push(byte);
+      } else {
+        bytes.push(byte);
+      }
+    }
+    throw new Error('Invalid PDF: unterminated string');
+  }
+
+  parseHexString() {
+    const end = this.buffer.indexOf(0x3e, this.position);
+    if (end === -1) {
+      throw new Error('Invalid PDF: unterminated hex string');
+    }
+    let hex = this.buffer.toString('latin1', this.position + 1, end).replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length % 2) {
+      hex += '0';
+    }
+    this.position = end + 1;
+    return new PdfString(Buffer.from(hex, 'hex'));
+  }
+
+  parseDictionary() {
+    this.position += 2;
+    const dict = new Map();
+    for (;;) {
+      this.skipWhitespace();
+      if (this.buffer[this.position] === 0x3e && this.buffer[this.position + 1] === 0x3e) {
+        this.position += 2;
+        break;
+      }
+      const key = this.parseObject();
+      if (!(key instanceof PdfName)) {
+        throw new Error(`Invalid PDF: dictionary key expected at offset ${this.position}`);
+      }
+      dict.set(key.name, this.parseObject());
+    }
+
+    const position = this.position;
+    if (this.readToken() !== 'stream') {
+      this.position = position;
+      return dict;
+    }
+    return this.parseStreamData(dict);
+  }
+
+  parseStreamData(dict) {
+    if (this.buffer[this.position] === 0x0d) {
+      this.position++;
+    }
+    if (this.buffer[this.position] === 0x0a) {
+      this.position++;
+    }
+    const start = this.position;
+
+    let length = dict.get('Length');
+    if (length instanceof PdfRef && this.resolveLength) {
+      length = this.resolveLength(length);
+    }
+    let end = typeof length === 'number' ? start + length : -1;
+    if (end < start || end > this.buffer.length ||
+        !/^\s*endstream/.test(this.buffer.toString('latin1', end, end + 12))) {
+      // Wrong or unknown /Length: fall back to the endstream keyword
+      end = this.buffer.indexOf('endstream', start, 'latin1');
+      if (end === -1) {
+        throw new Error('Invalid PDF: unterminated stream');
+      }
+      while (end > start && (this.buffer[end - 1] === 0x0a || this.buffer[end - 1] === 0x0d)) {
+        end--;
+      }
+    }
+
+    this.position = end;
+    this.expect('endstream');
+    return new PdfStream(dict, this.buffer.subarray(start, end));
+  }
+}
+
+// PNG predictors (RFC 2083) as used by cross-reference streams
+function undoPngPredictor(data, columns, colors = 1, bitsPerComponent = 8) {
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((columns * colors * bitsPerComponent) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = Buffer.alloc(rows * rowLength);
+  let previous = Buffer.alloc(rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowLength + 1)];
+    const line = Buffer.from(data.subarray(row * (rowLength + 1) + 1, (row + 1) * (rowLength + 1)));
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      if (type === 1) {
+        line[i] = (line[i] + left) & 0xff;
+      } else if (type === 2) {
+        line[i] = (line[i] + up) & 0xff;
+      } else if (type === 3) {
+        line[i] = (line[i] + ((left + up) >> 1)) & 0xff;
+      } else if (type === 4) {
+        const estimate = left + up - upLeft;
+        const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        const predictor = distances[0] <= distances[1] && distances[0] <= distances[2] ? left :
+          distances[1] <= distances[2] ? up : upLeft;
+        line[i] = (line[i] + predictor) & 0xff;
+      }
+    }
+    line.copy(output, row * rowLength);
+    previous = line;
+  }
+  return output;
+}
+
+// Stream data with its filters undone; only what cross-reference and object
+// streams use is supported
+function decodeStream(stream) {
+  const filters = [].concat(stream.dict.get('Filter') || []);
+  const parameters = [].concat(stream.dict.get('DecodeParms') || []);
+  let data = stream.data;
+
+  filters.forEach((filter, index) => {
+    if (filter.name !== 'FlateDecode') {
+      throw new Error(`Unsupported PDF stream filter: ${filter.name}`);
+    }
+    data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    const parms = parameters[index];
+    const predictor = parms instanceof Map ? parms.get('Predictor') || 1 : 1;
+    if (predictor >= 10) {
+      data = undoPngPredictor(data, parms.get('Columns') || 1, parms.get('Colors') || 1, parms.get('BitsPerComponent') || 8);
+    } else if (predictor !== 1) {
+      throw new Error(`Unsupported PDF predictor: ${predictor}`);
+    }
+  });
+  return data;
+}
+
+function formatNumber(value) {
+  if (Number.isInteger(value)) {
+    return String(value);
+  }
+  return value.toFixed(4).replace(/\.?0+$/, '');
+}
+
+function serializeName(name) {
+  return '/' + [...Buffer.from(name, 'latin1')].map(byte =>
+    (isRegular(byte) && byte > 0x20 && byte < 0x7f && byte !== 0x23 ?
+      String.fromCharCode(byte) :
+      `#${byte.toString(16).padStart(2, '0')}`)
+  ).join('');
+}
+
+// An object as PDF syntax (latin1); streams are written by the writer
+function serialize(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value === 'number') {
+    return formatNumber(value);
+  }
+  if (value instanceof PdfName) {
+    return serializeName(value.name);
+  }
+  if (value instanceof PdfRef) {
+    return value.toString();
+  }
+  if (value instanceof PdfString) {
+    return `<${value.bytes.toString('hex')}>`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(' ')}]`;
+  }
+  if (value instanceof Map) {
+    return `<<${[...value.entries()].map(([key, item]) => `${serializeName(key)} ${serialize(item)}`).join(' ')}>>`;
+  }
+  if (value instanceof PdfStream) {
+    throw new Error('PDF streams must be indirect objects');
+  }
+  throw new Error(`Cannot write ${typeof value} to a PDF`);
+}
+
+class PdfDocument {
+  constructor(buffer) {
+    this.buffer = Buffer.from(buffer);
+    this.objectStreams = new Map();
+    if (this.buffer.toString('latin1', 0, 1024).indexOf('%PDF-') === -1) {
+      throw new Error('Not a PDF document');
+    }
+    this.readCrossReferences();
+  }
+
+  // Cross-reference sections from the last startxref back through /Prev; the
+  // newest entry of an object wins. Damaged files are indexed by scanning.
+  readCrossReferences() {
+    this.entries = new Map();
+    this.trailer = null;
+
+    try {
+      const tail = this.buffer.toString('latin1', Math.max(0, this.buffer.length - 2048));
+      const match = /startxref\s+(\d+)\s+%%EOF\s*$/.exec(tail) || /startxref\s+(\d+)/.exec(tail);
+      if (!match) {
+        throw new Error('startxref not found');
+      }
+      this.startxref = Number(match[1]);
+
+      const visited = new Set();
+      let offset = this.startxref;
+      while (offset !== null && !visited.has(offset)) {
+        visited.add(offset);
+        const trailer = this.readSection(offset);
+        this.trailer = this.trailer || trailer;
+        if (typeof trailer.get('XRefStm') === 'number') {
+          this.readSection(trailer.get('XRefStm'));
+        }
+        offset = typeof trailer.get('Prev') === 'number' ? trailer.get('Prev') : null;
+      }
+      if (!this.trailer.get('Root')) {
+        throw new Error('trailer without /Root');
+      }
+    } catch (error) {
+      this.rebuildCrossReferences(error);
+    }
+  }
+
+  readSection(offset) {
+    const parser = new Parser(this.buffer, offset);
+    if (parser.peekToken() === 'xref') {
+      this.crossReferenceType = this.crossReferenceType || 'table';
+      return this.readTable(parser);
+    }
+    this.crossReferenceType = this.crossReferenceType || 'stream';
+    return this.readStream(parser);
+  }
+
+  readTable(parser) {
+    parser.expect('xref');
+    for (;;) {
+      const token = parser.readToken();
+      if (token === 'trailer') {
+        return parser.parseObject();
+      }
+      const first = Number(token);
+      const count = Number(parser.readToken());
+      if (!Number.isInteger(first) || !Number.isInteger(count)) {
+        throw new Error('Invalid cross-reference table');
+      }
+      for (let i = 0; i < count; i++) {
+        const entryOffset = Number(parser.readToken());
+        const generation = Number(parser.readToken());
+        const type = parser.readToken();
+        if (!this.entries.has(first + i)) {
+          this.entries.set(first + i, type === 'n' ?
+            { type: 'offset', offset: entryOffset, gen: generation } :
+            { type: 'free', gen: generation });
+        }
+      }
+    }
+  }
+
+  readStream(parser) {
+    parser.readToken();
+    parser.readToken();
+    parser.expect('obj');
+    const stream = parser.parseObject();
+    if (!(stream instanceof PdfStream) || stream.dict.get('Type')?.name !== 'XRef') {
+      throw new Error('Invalid cross-reference stream');
+    }
+
+    const data = decodeStream(stream);
+    const widths = stream.dict.get('W');
+    const index = stream.dict.get('Index') || [0, stream.dict.get('Size')];
+    const entryLength = widths.reduce((sum, width) => sum + width, 0);
+    const field = (position, width, fallback) => {
+      if (width === 0) {
+        return fallback;
+      }
+      let value = 0;
+      for (let i = 0; i < width; i++) {
+        value = value * 256 + data[position + i];
+      }
+      return value;
+    };
+
+    let position = 0;
+    for (let section = 0; section < index.length; section += 2) {
+      for (let i = 0; i < index[section + 1]; i++, position += entryLength) {
+        const num = index[section] + i;
+        const type = field(position, widths[0], 1);
+        const second = field(position + widths[0], widths[1], 0);
+        const third = field(position + widths[0] + widths[1], widths[2], 0);
+        if (this.entries.has(num)) {
+          continue;
+        }
+        if (type === 1) {
+          this.entries.set(num, { type: 'offset', offset: second, gen: third });
+        } else if (type === 2) {
+          this.entries.set(num, { type: 'compressed', stream: second, index: third, gen: 0 });
+        } else {
+          this.entries.set(num, { type: 'free', gen: third });
+        }
+      }
+    }
+    return stream.dict;
+  }
+
+  rebuildCrossReferences(cause) {
+    const source = this.buffer.toString('latin1');
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    this.entries = new Map();
+    while ((match = pattern.exec(source))) {
+      this.entries.set(Number(match[1]), { type: 'offset', offset: match.index, gen: Number(match[2]) });
+    }
+
+    const trailers = [...source.matchAll(/trailer\s*<</g)];
+    this.trailer = trailers.length ?
+      new Parser(this.buffer, trailers[trailers.length - 1].index + 7).parseObject() :
+      new Map();
+    if (!this.trailer.get('Root')) {
+      const catalog = [...this.entries.keys()].find((num) => {
+        try {
+          return this.getObject(new PdfRef(num))?.get?.('Type')?.name === 'Catalog';
+        } catch (error) {
+          return false;
+        }
+      });
+      if (catalog === undefined) {
+        throw new Error(`Invalid PDF: ${cause.message}`);
+      }
+      this.trailer.set('Root', new PdfRef(catalog, this.entries.get(catalog).gen));
+    }
+    this.crossReferenceType = 'table';
+    this.startxref = null;
+  }
+
+  // One past the highest object number in use
+  get size() {
+    return Math.max(this.trailer.get('Size') || 0, ...[...this.entries.keys()].map(num => num + 1));
+  }
+
+  getObject(ref) {
+    const entry = this.entries.get(ref.num);
+    if (!entry || entry.type === 'free') {
+      return null;
+    }
+    if (entry.type === 'compressed') {
+      return this.getCompressedObject(entry.stream, entry.index);
+    }
+
+    const parser = new Parser(this.buffer, entry.offset, length => this.resolve(length));
+    parser.readToken();
+    parser.readToken();
+    parser.expect('obj');
+    return parser.parseObject();
+  }
+
+  getCompressedObject(streamNumber, index) {
+    if (!this.objectStreams.has(streamNumber)) {
+      const stream = this.getObject(new PdfRef(streamNumber));
+      const data = decodeStream(stream);
+      const header = new Parser(data);
+      const offsets = [];
+      for (let i = 0; i < stream.dict.get('N'); i++) {
+        offsets.push({ num: Number(header.readToken()), offset: Number(header.readToken()) });
+      }
+      this.objectStreams.set(streamNumber, { data, first: stream.dict.get('First'), offsets });
+    }
+
+    const { data, first, offsets } = this.objectStreams.get(streamNumber);
+    return new Parser(data, first + offsets[index].offset).parseObject();
+  }
+
+  resolve(value) {
+    return value instanceof PdfRef ? this.getObject(value) : value;
+  }
+
+  get catalog() {
+    return this.resolve(this.trailer.get('Root'));
+  }
+
+  // Page references in document order
+  getPages() {
+    const pages = [];
+    const visit = (ref, depth) => {
+      const node = this.resolve(ref);
+      if (!(node instanceof Map) || depth > 64) {
+        return;
+      }
+      if (node.get('Type')?.name === 'Pages' || node.has('Kids')) {
+        this.resolve(node.get('Kids')).forEach(kid => visit(kid, depth + 1));
+      } else {
+        pages.push(ref);
+      }
+    };
+    visit(this.catalog.get('Pages'), 0);
+    return pages;
+  }
+
+  // Appends `objects` ([{ ref, value }]) as an incremental update with a
+  // cross-reference section of the same kind as the file's own
+  incrementalUpdate(objects) {
+    const parts = [this.buffer];
+    let length = this.buffer.length;
+    const push = (part) => {
+      const bytes = typeof part === 'string' ? Buffer.from(part, 'latin1') : part;
+      parts.push(bytes);
+      length += bytes.length;
+    };
+
+    const last = this.buffer[this.buffer.length - 1];
+    if (last !== 0x0a && last !== 0x0d) {
+      push('\n');
+    }
+
+    const offsets = new Map();
+    objects.forEach(({ ref, value }) => {
+      offsets.set(ref.num, { offset: length, gen: ref.gen });
+      push(`${ref.num} ${ref.gen} obj\n`);
+      if (value instanceof PdfStream) {
+        const dict = new Map(value.dict);
+        dict.set('Length', value.data.length);
+        push(`${serialize(dict)}\nstream\n`);
+        push(value.data);
+        push('\nendstream');
+      } else {
+        push(serialize(value));
+      }
+      push('\nendobj\n');
+    });
+
+    const trailer = new Map();
+    ['Root', 'Info', 'ID'].forEach((key) => {
+      if (this.trailer.has(key)) {
+        trailer.set(key, this.trailer.get(key));
+      }
+    });
+    if (this.startxref !== null) {
+      trailer.set('Prev', this.startxref);
+    }
+
+    const xrefOffset = length;
+    if (this.crossReferenceType === 'stream') {
+      const streamRef = new PdfRef(Math.max(this.size, ...objects.map(({ ref }) => ref.num + 1)));
+      offsets.set(streamRef.num, { offset: xrefOffset, gen: 0 });
+      const numbers = [...offsets.keys()].sort((a, b) => a - b);
+      const data = Buffer.alloc(numbers.length * 7);
+      numbers.forEach((num, i) => {
+        data[i * 7] = 1;
+        data.writeUInt32BE(offsets.get(num).offset, i * 7 + 1);
+        data.writeUInt16BE(offsets.get(num).gen, i * 7 + 5);
+      });
+
+      const dict = new Map([
+        ['Type', new PdfName('XRef')],
+        ['Size', streamRef.num + 1],
+        ['Index', numbers.flatMap(num => [num, 1])],
+        ['W', [1, 4, 2]],
+        ...trailer
+      ]);
+      dict.set('Length', data.length);
+      push(`${streamRef.num} 0 obj\n${serialize(dict)}\nstream\n`);
+      push(data);
+      push('\nendstream\nendobj\n');
+    } else {
+      const numbers = [...offsets.keys()].sort((a, b) => a - b);
+      let table = 'xref\n';
+      for (let i = 0; i < numbers.length;) {
+        let j = i;
+        while (j + 1 < numbers.length && numbers[j + 1] === numbers[j] + 1) {
+          j++;
+        }
+        table += `${numbers[i]} ${j - i + 1}\n`;
+        for (let k = i; k <= j; k++) {
+          const { offset, gen } = offsets.get(numbers[k]);
+          table += `${String(offset).padStart(10, '0')} ${String(gen).padStart(5, '0')} n\r\n`;
+        }
+        i = j + 1;
+      }
+      trailer.set('Size', Math.max(this.size, ...numbers.map(num => num + 1)));
+      push(`${table}trailer\n${serialize(trailer)}\n`);
+    }
+    push(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+    return Buffer.concat(parts);
+  }
+}
+
+module.exports = {
+  PdfName,
+  PdfRef,
+  PdfString,
+  PdfStream,
+  PdfDocument,
+  Parser,
+  decodeStream,
+  serialize
+};
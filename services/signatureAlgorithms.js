@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const elliptic = require('elliptic');
+const keyFormats = require('./keyFormats');
+
+// Signature algorithms by their JOSE name. `hash` is the digest the algorithm
+// is paired with; `prehash: false` marks algorithms that sign the message
+// itself rather than a digest of it. `cose` is the COSE algorithm identifier
+// and `oid` the X.509 signature algorithm.
+const ALGORITHMS = {
+  ES256: {
+    label: 'ECDSA P-256 / SHA-256',
+    keyType: 'EC',
+    curve: 'P-256',
+    hash: 'sha256',
+    jws: 'ES256',
+    cose: -7,
+    oid: '1.2.840.10045.4.3.2'
+  },
+  ES384: {
+    label: 'ECDSA P-384 / SHA-384',
+    keyType: 'EC',
+    curve: 'P-384',
+    hash: 'sha384',
+    jws: 'ES384',
+    cose: -35,
+    oid: '1.2.840.10045.4.3.3'
+  },
+  RS256: {
+    label: 'RSASSA-PKCS1-v1_5 / SHA-256',
+    keyType: 'RSA',
+    keySizes: [2048, 3072],
+    padding: 'pkcs1',
+    hash: 'sha256',
+    jws: 'RS256',
+    cose: -257,
+    oid: '1.2.840.113549.1.1.11'
+  },
+  PS256: {
+    label: 'RSASSA-PSS / SHA-256',
+    keyType: 'RSA',
+    keySizes: [2048, 3072],
+    padding: 'pss',
+    hash: 'sha256',
+    jws: 'PS256',
+    cose: -37,
+    oid: '1.2.840.113549.1.1.10'
+  },
+  Ed25519: {
+    label: 'Ed25519',
+    keyType: 'OKP',
+    curve: 'Ed25519',
+    hash: 'sha512',
+    prehash: false,
+    jws: 'EdDSA',
+    cose: -8,
+    oid: '1.3.101.112'
+  }
+};
+
+const SIGNATURE_ALGORITHMS = Object.keys(ALGORITHMS);
+
+// Document digests (Node hash names) with their length in bytes and the DER
+// DigestInfo prefix PKCS#1 v1.5 signatures put in front of the digest
+const HASH_ALGORITHMS = {
+  sha256: { length: 32, digestInfo: '3031300d060960864801650304020105000420' },
+  sha384: { length: 48, digestInfo: '3041300d060960864801650304020205000430' },
+  sha512: { length: 64, digestInfo: '3051300d060960864801650304020305000440' },
+  'sha3-256': { length: 32, digestInfo: '3031300d060960864801650304020805000420' }
+};
+
+const ELLIPTIC_CURVES = {
+  'P-256': new elliptic.ec('p256'),
+  'P-384': new elliptic.ec('p384')
+};
+
+function isHashSupported(hashAlgorithm) {
+  return Object.prototype.hasOwnProperty.call(HASH_ALGORITHMS, hashAlgorithm);
+}
+
+function getHashLength(hashAlgorithm) {
+  if (!isHashSupported(hashAlgorithm)) {
+    throw new Error(`Unsupported hash algorithm: ${hashAlgorithm}`);
+  }
+  return HASH_ALGORITHMS[hashAlgorithm].length;
+}
+
+// The requested digest, or the one the signature algorithm is paired with
+function resolveHashAlgorithm(name, hashAlgorithm = null) {
+  const hash = hashAlgorithm || getAlgorithm(name).hash;
+  if (!isHashSupported(hash)) {
+    throw new Error(`Unsupported hash algorithm: ${hash}`);
+  }
+  return hash;
+}
+
+function isSupported(name) {
+  return Object.prototype.hasOwnProperty.call(ALGORITHMS, name);
+}
+
+function getAlgorithm(name) {
+  if (!isSupported(name)) {
+    throw new Error(`Unsupported signature algorithm: ${name}`);
+  }
+  return { name, ...ALGORITHMS[name] };
+}
+
+// Best guess for keys that do not record their algorithm; RSA keys are
+// assumed to be PKCS#1 v1.5
+function algorithmForPublicKey(publicKey) {
+  const keyObject = keyFormats.toPublicKeyObject(publicKey);
+  switch (keyObject.asymmetricKeyType) {
+    case 'ec': {
+      const { crv } = keyObject.export({ format: 'jwk' });
+      const name = SIGNATURE_ALGORITHMS.find(alg => ALGORITHMS[alg].curve === crv);
+      if (!name) {
+        throw new Error(`Unsupported EC curve: ${crv}`);
+      }
+      return name;
+    }
+    case 'rsa': return 'RS256';
+    case 'ed25519': return 'Ed25519';
+    default: throw new Error(`Unsupported key type: ${keyObject.asymmetricKeyType}`);
+  }
+}
+
+// RSA modulus length, defaulting to the smallest allowed; null for other key types
+function resolveKeySize(name, keySize) {
+  const algorithm = getAlgorithm(name);
+  if (algorithm.keyType !== 'RSA') {
+    return null;
+  }
+  if (!keySize) {
+    return algorithm.keySizes[0];
+  }
+  const size = parseInt(keySize, 10);
+  if (!algorithm.keySizes.includes(size)) {
+    throw new Error(`${name} keys must be ${algorithm.keySizes.join(' or ')} bits`);
+  }
+  return size;
+}
+
+// EC keys use the elliptic.js hex encoding software keys always had; RSA and
+// Ed25519 keys are SPKI / PKCS#8 PEM
+function generateKeyPair(name, options = {}) {
+  const algorithm = getAlgorithm(name);
+
+  if (algorithm.keyType === 'EC') {
+    const keyPair = ELLIPTIC_CURVES[algorithm.curve].genKeyPair();
+    return { publicKey: keyPair.getPublic('hex'), privateKey: keyPair.getPrivate('hex') };
+  }
+
+  const encoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+  if (algorithm.keyType === 'RSA') {
+    return crypto.generateKeyPairSync('rsa', {
+      modulusLength: resolveKeySize(name, options.keySize),
+      ...encoding
+    });
+  }
+  return crypto.generateKeyPairSync('ed25519', encoding);
+}
+
+function digest(data, name, hashAlgorithm = null) {
+  return crypto.createHash(resolveHashAlgorithm(name, hashAlgorithm)).update(data).digest('hex');
+}
+
+function ellipticPrivateKey(privateKey, curve) {
+  const hex = keyFormats.isPEM(privateKey) ?
+    Buffer.from(crypto.createPrivateKey(privateKey).export({ format: 'jwk' }).d, 'base64url').toString('hex') :
+    privateKey;
+  return ELLIPTIC_CURVES[curve].keyFromPrivate(hex, 'hex');
+}
+
+// forge message digest backed by Node's hash functions, which unlike forge's
+// own cover SHA-3. With digestHex it reports that digest instead of hashing.
+function forgeDigest(hash, digestHex = null) {
+  let state = crypto.createHash(hash);
+  const md = {
+    algorithm: hash,
+    digestLength: HASH_ALGORITHMS[hash].length,
+    start() {
+      state = crypto.createHash(hash);
+      return md;
+    },
+    update(bytes) {
+      state.update(Buffer.from(bytes, 'binary'));
+      return md;
+    },
+    digest() {
+      const bytes = digestHex ? forge.util.hexToBytes(digestHex) : state.copy().digest('binary');
+      return forge.util.createBuffer(bytes);
+    }
+  };
+  return md;
+}
+
+// MGF1 over the same hash, salt as long as the hash (as JWA requires for PS256)
+function pssScheme(hash) {
+  return forge.pss.create({
+    md: forgeDigest(hash),
+    mgf: forge.mgf.mgf1.create(forgeDigest(hash)),
+    saltLength: HASH_ALGORITHMS[hash].length
+  });
+}
+
+function digestInfo(hash, digestHex) {
+  return Buffer.from(HASH_ALGORITHMS[hash].digestInfo + digestHex, 'hex');
+}
+
+function checkDigestLength(digestHex, hash) {
+  if (digestHex.length !== HASH_ALGORITHMS[hash].length * 2) {
+    throw new Error(`Digest does not match ${hash}`);
+  }
+}
+
+// Signs a hex digest and returns the signature as hex: DER for ECDSA, the raw
+// signature for RSA. Ed25519 has no prehashed mode here, so the digest bytes
+// are the signed message. hashAlgorithm names the digest when it is not the
+// one the algorithm is paired with.
+function signDigest(digestHex, privateKey, name, hashAlgorithm = null) {
+  const algorithm = getAlgorithm(name);
+  const hash = resolveHashAlgorithm(name, hashAlgorithm);
+
+  switch (algorithm.keyType) {
+    case 'EC':
+      return ellipticPrivateKey(privateKey, algorithm.curve).sign(digestHex).toDER('hex');
+    case 'RSA': {
+      // The RSA encodings name the hash, so the digest has to be the one named
+      checkDigestLength(digestHex, hash);
+      if (algorithm.padding === 'pss') {
+        const key = forge.pki.privateKeyFromPem(privateKey);
+        return forge.util.bytesToHex(key.sign(forgeDigest(hash, digestHex), pssScheme(hash)));
+      }
+      return crypto.privateEncrypt(
+        { key: privateKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+        digestInfo(hash, digestHex)
+      ).toString('hex');
+    }
+    default:
+      return crypto.sign(null, Buffer.from(digestHex, 'hex'), privateKey).toString('hex');
+  }
+}
+
+function signData(data, privateKey, name, hashAlgorithm = null) {
+  const algorithm = getAlgorithm(name);
+  if (algorithm.prehash === false) {
+    return crypto.sign(null, Buffer.from(data), privateKey).toString('hex');
+  }
+  return signDigest(digest(data, name, hashAlgorithm), privateKey, name, hashAlgorithm);
+}
+
+function verifyDigest(digestHex, signatureHex, publicKey, name, hashAlgorithm = null) {
+  const algorithm = getAlgorithm(name);
+  const hash = resolveHashAlgorithm(name, hashAlgorithm);
+
+  try {
+    switch (algorithm.keyType) {
+      case 'EC': {
+        const key = ELLIPTIC_CURVES[algorithm.curve].keyFromPublic(keyFormats.toEcPointHex(publicKey), 'hex');
+        return key.verify(digestHex, signatureHex);
+      }
+      case 'RSA': {
+        if (algorithm.padding === 'pss') {
+          const key = forge.pki.publicKeyFromPem(keyFormats.toSpkiPem(publicKey));
+          return key.verify(forge.util.hexToBytes(digestHex), forge.util.hexToBytes(signatureHex), pssScheme(hash));
+        }
+        const decrypted = crypto.publicDecrypt(
+          { key: keyFormats.toPublicKeyObject(publicKey), padding: crypto.constants.RSA_PKCS1_PADDING },
+          Buffer.from(signatureHex, 'hex')
+        );
+        return decrypted.equals(digestInfo(hash, digestHex));
+      }
+      default:
+        return crypto.verify(
+          null,
+          Buffer.from(digestHex, 'hex'),
+          keyFormats.toPublicKeyObject(publicKey),
+          Buffer.from(signatureHex, 'hex')
+        );
+    }
+  } catch (error) {
+    // Malformed signatures and keys of the wrong type are simply invalid
+    return false;
+  }
+}
+
+function verifyData(data, signatureHex, publicKey, name, hashAlgorithm = null) {
+  const algorithm = getAlgorithm(name);
+  if (algorithm.prehash === false) {
+    return crypto.verify(
+      null,
+      Buffer.from(data),
+      keyFormats.toPublicKeyObject(publicKey),
+      Buffer.from(signatureHex, 'hex')
+    );
+  }
+  if (algorithm.padding === 'pss') {
+    // Node recovers the salt length, so PSS signatures from tools that use
+    // another one (OpenSSL uses the maximum) verify as well
+    try {
+      return crypto.verify(
+        resolveHashAlgorithm(name, hashAlgorithm),
+        Buffer.from(data),
+        {
+          key: keyFormats.toPublicKeyObject(publicKey),
+          padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+          saltLength: crypto.constants.RSA_PSS_SALTLEN_AUTO
+        },
+        Buffer.from(signatureHex, 'hex')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+  return verifyDigest(digest(data, name, hashAlgorithm), signatureHex, publicKey, name, hashAlgorithm);
+}
+
+function coordinateSize(name) {
+  return ELLIPTIC_CURVES[getAlgorithm(name).curve].n.byteLength();
+}
+
+function derInteger(bytes) {
+  const value = bytes.replace(/^\x00+/, '') || '\x00';
+  return value.charCodeAt(0) & 0x80 ? '\x00' + value : value;
+}
+
+// ECDSA signatures are DER here; JOSE and COSE use the fixed-length r || s
+// form (IEEE P1363). Other signatures are the same in both.
+function toP1363(signatureHex, name) {
+  if (getAlgorithm(name).keyType !== 'EC') {
+    return Buffer.from(signatureHex, 'hex');
+  }
+  const size = coordinateSize(name);
+  const sequence = forge.asn1.fromDer(forge.util.hexToBytes(signatureHex));
+  return Buffer.concat(sequence.value.map((integer) => {
+    const value = Buffer.from(integer.value.replace(/^\x00+/, ''), 'binary');
+    if (value.length > size) {
+      throw new Error('Invalid ECDSA signature');
+    }
+    return Buffer.concat([Buffer.alloc(size - value.length), value]);
+  }));
+}
+
+function fromP1363(signature, name) {
+  if (getAlgorithm(name).keyType !== 'EC') {
+    return signature.toString('hex');
+  }
+  const size = coordinateSize(name);
+  if (signature.length !== 2 * size) {
+    throw new Error(`${name} signatures must be ${2 * size} bytes`);
+  }
+  const { asn1 } = forge;
+  const integer = part => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, derInteger(part.toString('binary')));
+  const sequence = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    integer(signature.subarray(0, size)),
+    integer(signature.subarray(size))
+  ]);
+  return forge.util.bytesToHex(asn1.toDer(sequence).getBytes());
+}
+
+module.exports = {
+  SIGNATURE_ALGORITHMS,
+  HASH_ALGORITHMS: Object.keys(HASH_ALGORITHMS),
+  isSupported,
+  isHashSupported,
+  getHashLength,
+  resolveHashAlgorithm,
+  getAlgorithm,
+  algorithmForPublicKey,
+  resolveKeySize,
+  generateKeyPair,
+  digest,
+  signDigest,
+  signData,
+  verifyDigest,
+  verifyData,
+  toP1363,
+  fromP1363
+};
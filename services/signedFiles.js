@@ -0,0 +1,149 @@
+const jcs = require('./jcs');
+
+// Reads the signed files createSignedDocument hands out, so a recipient's copy
+// can be checked without the Signature record: the text signature block, the
+// `_digitalSignature` member of JSON documents and detached `.sig` files.
+const SIGNATURE_BLOCK_BEGIN = '---BEGIN DIGITAL SIGNATURE---';
+const SIGNATURE_BLOCK_END = '---END DIGITAL SIGNATURE---';
+
+// createTextSignedDocument joins content and block with "\n\n" and the block
+// itself starts on a new line
+const SIGNATURE_BLOCK_SEPARATOR = '\n\n\n';
+
+const SIGNATURE_MEMBER = '_digitalSignature';
+
+// What the document hash of a signature covers: the raw bytes ('none') or,
+// for JSON documents, their RFC 8785 form without the signature member ('jcs')
+const CANONICALIZATIONS = ['none', 'jcs'];
+
+// The JCS form of a JSON document, leaving out any signature member so a
+// signed copy canonicalises like the original did
+function canonicalJson(content) {
+  let json;
+  try {
+    json = JSON.parse(Buffer.isBuffer(content) ? content.toString('utf-8') : content);
+  } catch (error) {
+    throw new Error('The document is not valid JSON');
+  }
+  if (json && typeof json === 'object' && !Array.isArray(json)) {
+    const { [SIGNATURE_MEMBER]: signature, ...document } = json;
+    return jcs.canonicalize(document);
+  }
+  return jcs.canonicalize(json);
+}
+
+const TEXT_FIELDS = {
+  'Document Hash': 'documentHash',
+  'Hash Algorithm': 'hashAlgorithm',
+  'Signature Algorithm': 'algorithm',
+  'Signature Value': 'value',
+  'Signed By': 'signedBy',
+  'Signed At': 'signedAt',
+  'Key Name': 'keyName'
+};
+
+function parseTextSignedFile(content) {
+  const begin = content.lastIndexOf(SIGNATURE_BLOCK_BEGIN);
+  const end = content.indexOf(SIGNATURE_BLOCK_END, begin);
+  if (begin === -1 || end === -1) {
+    return null;
+  }
+
+  const signature = {};
+  content.substring(begin + SIGNATURE_BLOCK_BEGIN.length, end).split('\n').forEach((line) => {
+    const separator = line.indexOf(': ');
+    const field = TEXT_FIELDS[line.substring(0, separator)];
+    if (separator > 0 && field) {
+      signature[field] = line.substring(separator + 2).trim();
+    }
+  });
+
+  let original = content.substring(0, begin);
+  if (original.endsWith(SIGNATURE_BLOCK_SEPARATOR)) {
+    original = original.slice(0, -SIGNATURE_BLOCK_SEPARATOR.length);
+  }
+
+  return {
+    format: 'embedded-text',
+    candidates: [original],
+    signature: {
+      ...signature,
+      canonicalization: 'none',
+      // Blocks written before digests were configurable have no Hash Algorithm line
+      hashAlgorithm: signature.hashAlgorithm || 'sha256'
+    },
+    keyName: signature.keyName
+  };
+}
+
+// The original bytes of a signed JSON document are gone once the signature
+// member is added, so the layouts documents are commonly written in are tried
+function parseJsonSignedFile(content) {
+  let json;
+  try {
+    json = JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+  if (!json || typeof json !== 'object' || !json[SIGNATURE_MEMBER]) {
+    return null;
+  }
+
+  const { [SIGNATURE_MEMBER]: metadata, ...original } = json;
+  const signature = metadata.signature || {};
+  const layouts = [JSON.stringify(original, null, 2), JSON.stringify(original), JSON.stringify(original, null, 4)];
+
+  return {
+    format: 'embedded-json',
+    // Canonical signatures survive reformatting, so there is a single candidate
+    candidates: signature.canonicalization === 'jcs' ?
+      [jcs.canonicalize(original)] :
+      layouts.flatMap(layout => [layout, `${layout}\n`]),
+    signature: {
+      ...signature,
+      hashAlgorithm: signature.hashAlgorithm || 'sha256',
+      canonicalization: signature.canonicalization || 'none'
+    },
+    keyName: metadata.key && metadata.key.name
+  };
+}
+
+// A signed file in either embedded layout, or null when it carries no signature
+function parseSignedFile(content) {
+  return parseJsonSignedFile(content) || parseTextSignedFile(content);
+}
+
+// A `.sig` file from createDetachedSignature, checked against `original`
+function parseDetachedSignature(signatureFile, original) {
+  let json;
+  try {
+    json = JSON.parse(signatureFile);
+  } catch (error) {
+    throw new Error('The signature file is not a detached signature');
+  }
+  if (!json || !json.signature || !json.signature.value || !json.signature.documentHash) {
+    throw new Error('The signature file is not a detached signature');
+  }
+
+  const canonicalization = json.signature.canonicalization || 'none';
+  return {
+    format: 'detached',
+    candidates: [canonicalization === 'jcs' ? canonicalJson(original) : original],
+    signature: {
+      ...json.signature,
+      hashAlgorithm: json.signature.hashAlgorithm || 'sha256',
+      canonicalization
+    },
+    keyName: json.key && json.key.name
+  };
+}
+
+module.exports = {
+  SIGNATURE_BLOCK_BEGIN,
+  SIGNATURE_BLOCK_END,
+  SIGNATURE_MEMBER,
+  CANONICALIZATIONS,
+  canonicalJson,
+  parseSignedFile,
+  parseDetachedSignature
+};
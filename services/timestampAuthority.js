@@ -0,0 +1,152 @@
+const { logger } = require('./generic');
+const config = require('./configuration');
+const cms = require('./cms');
+const tsp = require('./tsp');
+const x509 = require('./x509');
+const signatureAlgorithms = require('./signatureAlgorithms');
+const tpmService = require('./tpmService');
+const TPMKey = require('../models/TPMKey');
+const Counter = require('../models/Counter');
+
+const SERIAL_COUNTER = 'tsa-serial';
+
+// An error that makes the TSA unavailable rather than a request invalid
+function unavailable(message) {
+  const error = new Error(message);
+  error.status = 503;
+  return error;
+}
+
+// The built-in time-stamp authority (RFC 3161) behind POST /api/tsa. Tokens
+// are signed by the TPMKey at tsa.keyId, whose certificate must have the
+// critical id-kp-timeStamping extended key usage, under the policy at
+// tsa.policy. Serial numbers come from a MongoDB counter, or from the TPM NV
+// counter at tsa.nvCounter when one is set.
+class TimestampAuthority {
+  constructor() {
+    // NV counter increments run one at a time, so each read sees its own increment
+    this.nvQueue = Promise.resolve();
+  }
+
+  getSettings() {
+    return {
+      keyId: config.get('tsa:keyId') || null,
+      policy: config.get('tsa:policy') || null,
+      accuracy: config.get('tsa:accuracy') || null,
+      nvCounter: config.get('tsa:nvCounter') || null
+    };
+  }
+
+  // The active TSA key, with its certificate checked
+  async getKey() {
+    const { keyId, policy } = this.getSettings();
+    if (!keyId || !policy) {
+      throw unavailable('The time-stamp authority is not configured (tsa.keyId and tsa.policy)');
+    }
+
+    const key = await TPMKey.findById(keyId);
+    if (!key || key.status !== 'active') {
+      throw unavailable(`The time-stamp authority key ${keyId} is not an active key`);
+    }
+    this.checkCertificate(key);
+    return key;
+  }
+
+  checkCertificate(key) {
+    if (!key.certificate) {
+      throw unavailable(`Key ${key.name} has no certificate for time-stamping`);
+    }
+    if (!cms.certificateMatches(key.certificate, key.publicKey)) {
+      throw unavailable(`The certificate of key ${key.name} is for another key`);
+    }
+    // RFC 3161, 2.3: the only purpose, in a critical extension
+    const usage = x509.readExtendedKeyUsage(key.certificate);
+    if (!usage || !usage.critical || usage.purposes.length !== 1 || usage.purposes[0] !== x509.OIDS.timeStamping) {
+      throw unavailable(`The certificate of key ${key.name} is not a time-stamping certificate (critical extended key usage timeStamping only)`);
+    }
+  }
+
+  // The next serial number as a BigInt
+  async nextSerialNumber() {
+    const { nvCounter } = this.getSettings();
+    if (!nvCounter) {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: SERIAL_COUNTER },
+        { $inc: { value: 1 } },
+        { upsert: true, new: true }
+      );
+      return BigInt(counter.value);
+    }
+
+    const backend = tpmService.getTPMBackend();
+    if (typeof backend.incrementCounter !== 'function') {
+      throw unavailable(`Backend ${backend.name} has no NV counters (tsa.nvCounter)`);
+    }
+    const next = this.nvQueue.then(() => backend.incrementCounter(nvCounter));
+    this.nvQueue = next.catch(() => {});
+    const value = await next;
+    // The database follows the TPM, so it can take over if the TPM is replaced
+    await Counter.updateOne({ _id: SERIAL_COUNTER }, { $max: { value: Number(value) } }, { upsert: true });
+    return value;
+  }
+
+  // Answers a DER TimeStampReq with a DER TimeStampResp. Bad requests get
+  // rejection responses; an unusable TSA throws errors with status 503.
+  async respond(requestDer) {
+    const key = await this.getKey();
+    const { policy, accuracy } = this.getSettings();
+
+    let request;
+    try {
+      request = tsp.parseRequest(requestDer);
+    } catch (error) {
+      return tsp.createResponse({ failure: 'badDataFormat', message: 'The request is not a TimeStampReq' });
+    }
+
+    if (request.version !== 1) {
+      return tsp.createResponse({ failure: 'badRequest', message: `Unsupported request version ${request.version}` });
+    }
+    const hashAlgorithm = signatureAlgorithms.HASH_ALGORITHMS.find(name => x509.OIDS[name] === request.hashAlgorithmOid);
+    if (!hashAlgorithm) {
+      return tsp.createResponse({ failure: 'badAlg', message: `Unsupported hash algorithm ${request.hashAlgorithmOid}` });
+    }
+    if (request.digest.length !== signatureAlgorithms.getHashLength(hashAlgorithm)) {
+      return tsp.createResponse({ failure: 'badDataFormat', message: `The digest is not a ${hashAlgorithm} digest` });
+    }
+    if (request.policy && request.policy !== policy) {
+      return tsp.createResponse({ failure: 'unacceptedPolicy', message: `This TSA only issues tokens under policy ${policy}` });
+    }
+    if (request.extensions) {
+      return tsp.createResponse({ failure: 'unacceptedExtension', message: 'Request extensions are not supported' });
+    }
+
+    const serialNumber = await this.nextSerialNumber();
+    const genTime = new Date();
+    const tstInfo = tsp.createTstInfo({ request, policy, serialNumber, genTime, accuracy });
+
+    // Ed25519 signs the signed attributes themselves and is paired with SHA-512
+    const algorithm = signatureAlgorithms.getAlgorithm(key.keyType || 'ES256');
+    const signingHash = algorithm.prehash === false ? algorithm.hash : tpmService.resolveHashAlgorithm(key, null);
+    const token = await cms.createSignedData({
+      content: tstInfo,
+      certificate: key.certificate,
+      algorithm: algorithm.name,
+      hashAlgorithm: signingHash,
+      contentType: tsp.TST_INFO_OID,
+      detached: false,
+      signingTime: genTime,
+      signingCertificate: true,
+      includeCertificate: request.certReq,
+      sign: data => tpmService.signData(data, key, { hashAlgorithm: signingHash })
+    });
+
+    key.lastUsed = new Date();
+    key.usageCount = (key.usageCount || 0) + 1;
+    await key.save();
+
+    logger.info(`Time-stamp ${serialNumber} issued for a ${hashAlgorithm} digest`);
+    return tsp.createResponse({ token });
+  }
+}
+
+module.exports = new TimestampAuthority();
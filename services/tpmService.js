@@ -1,11 +1,9 @@
 const crypto = require('crypto');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
 const { logger } = require('./generic');
-const elliptic = require('elliptic');
-const EC = elliptic.ec;
-const ec = new EC('p256');
+const config = require('./configuration');
+const keyBackends = require('./keyBackends');
+const keyFormats = require('./keyFormats');
+const signatureAlgorithms = require('./signatureAlgorithms');
 
 class TPMService {
   constructor() {
@@ -16,35 +14,7 @@ class TPMService {
 
   async checkTPMAvailability() {
     try {
-      if (this.isWindows) {
-        // Try different PowerShell commands to check TPM availability
-        try {
-          const { stdout } = await execAsync('powershell -Command "Get-TPM"');
-          // If Get-TPM returns any output without error, TPM is available
-          this.tpmAvailable = stdout.trim().length > 0;
-          logger.info('TPM detected using Get-TPM command');
-        } catch (getTpmError) {
-          // Fallback: Check if TPM device exists in Device Manager
-          try {
-            const { stdout } = await execAsync('powershell -Command "Get-WmiObject -Namespace root/cimv2/security/microsofttpm -Class Win32_Tpm"');
-            this.tpmAvailable = stdout.trim().length > 0;
-            logger.info('TPM detected using WMI query');
-          } catch (wmiError) {
-            // Final fallback: Check registry for TPM
-            try {
-              await execAsync('reg query "HKLM\\SYSTEM\\CurrentControlSet\\Services\\TPM" /f TPM');
-              this.tpmAvailable = true;
-              logger.info('TPM detected using registry check');
-            } catch (regError) {
-              this.tpmAvailable = false;
-              logger.warn('No TPM detected on Windows system');
-            }
-          }
-        }
-      } else {
-        const { stdout } = await execAsync('tpm2_getcap properties-fixed 2>/dev/null | grep TPM2_PT_MANUFACTURER');
-        this.tpmAvailable = stdout.length > 0;
-      }
+      this.tpmAvailable = await this.getTPMBackend().isAvailable();
       logger.info(`TPM availability: ${this.tpmAvailable}`);
       return this.tpmAvailable;
     } catch (error) {
@@ -59,671 +29,180 @@ class TPMService {
     return this.tpmAvailable;
   }
 
-  async createES256KeyPair(keyName) {
-    try {
-      if (!this.tpmAvailable) {
-        logger.info(`TPM not available, creating software key for: ${keyName}`);
-        return this.createSoftwareES256KeyPair(keyName);
-      }
+  getPlatformBackend() {
+    return keyBackends.getBackend(keyBackends.getPlatformBackendName());
+  }
 
-      try {
-        if (this.isWindows) {
-          return await this.createWindowsTPMKey(keyName);
-        } else {
-          return await this.createLinuxTPMKey(keyName);
-        }
-      } catch (tpmError) {
-        logger.warn(`Failed to create TPM key, falling back to software key: ${tpmError.message}`);
-        return this.createSoftwareES256KeyPair(keyName);
-      }
-    } catch (error) {
-      logger.error('Error creating ES256 key pair:', error);
-      throw error;
+  // TPM whose presence is reported: the configured backend (e.g. the
+  // simulator) when one is set, the platform TPM otherwise
+  getTPMBackend() {
+    const configured = config.get('tpm:backend');
+    if (configured && configured !== 'software') {
+      return keyBackends.getBackend(configured);
     }
+    return this.getPlatformBackend();
   }
 
-  async createSoftwareES256KeyPair(keyName) {
-    try {
-      const keyPair = ec.genKeyPair();
-      const publicKey = keyPair.getPublic('hex');
-      const privateKey = keyPair.getPrivate('hex');
-      
-      const handle = crypto.randomBytes(16).toString('hex');
-      
-      return {
-        name: keyName,
-        handle: handle,
-        publicKey: publicKey,
-        privateKey: privateKey,
-        inTPM: false
-      };
-    } catch (error) {
-      logger.error('Error creating software ES256 key pair:', error);
-      throw error;
+  // Backend used for new keys: tpm:backend from the configuration when set,
+  // otherwise the platform TPM when present and software keys when not.
+  getDefaultBackend() {
+    const configured = config.get('tpm:backend');
+    if (configured) {
+      return keyBackends.getBackend(configured);
     }
+    if (!this.tpmAvailable) {
+      return keyBackends.getBackend('software');
+    }
+    return this.getPlatformBackend();
   }
 
-  async createWindowsTPMKey(keyName) {
-    try {
-      const path = require('path');
-      
-      // Check if we're running as Administrator
-      let isAdmin = false;
-      try {
-        const { stdout } = await execAsync('powershell -Command "([Security.Principal.WindowsPrincipal] [Security.Principal.WindowsIdentity]::GetCurrent()).IsInRole([Security.Principal.WindowsBuiltInRole]::Administrator)"');
-        isAdmin = stdout.trim().toLowerCase() === 'true';
-        logger.info(`Administrator privileges: ${isAdmin}`);
-      } catch (adminCheckError) {
-        logger.warn('Could not check administrator privileges:', adminCheckError.message);
-        isAdmin = false;
-      }
-      
-      // Choose script based on admin privileges
-      const scriptPath = isAdmin ? 
-        path.join(__dirname, '..', 'scripts', 'create-hardware-tpm-final.ps1') :
-        path.join(__dirname, '..', 'scripts', 'create-software-key-unified.ps1');
-      
-      logger.info(`Using ${isAdmin ? 'FORCED HARDWARE TPM' : 'software'} key creation script`);      
-      
-      // Test if we can execute PowerShell 7 first, fallback to PowerShell 5.1
-      let psCommand = 'pwsh'; // PowerShell 7
-      try {
-        const { stdout: versionOut } = await execAsync('pwsh -Command "$PSVersionTable.PSVersion"');
-        logger.info(`PowerShell 7 version: ${versionOut.trim()}`);
-        psCommand = 'pwsh';
-      } catch (ps7Error) {
-        try {
-          const { stdout: versionOut } = await execAsync('powershell -Command "$PSVersionTable.PSVersion"');
-          logger.info(`PowerShell 5.1 version: ${versionOut.trim()}`);
-          psCommand = 'powershell';
-        } catch (ps5Error) {
-          logger.error('Cannot execute any PowerShell version:', ps5Error.message);
-          throw new Error('PowerShell is not available');
-        }
-      }
-      
-      // Execute the PowerShell script file with the detected PowerShell version
-      const command = `${psCommand} -ExecutionPolicy Bypass -File "${scriptPath}" -KeyName "${keyName}"`;
-      logger.info(`Executing CNG TPM command with ${psCommand}: ${command}`);
-      
-      const { stdout, stderr } = await execAsync(command, {
-        timeout: 20000,
-        windowsHide: true
-      });
-      
-      if (stderr && !stderr.includes('Write-Host')) {
-        logger.warn(`PowerShell stderr: ${stderr}`);
-      }
-      
-      logger.info(`PowerShell full output: ${stdout}`);
-      
-      // Extract JSON from output (may have Write-Host debug messages)
-      const lines = stdout.split('\n');
-      let jsonLine = '';
-      
-      // Look for JSON output
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (trimmed.startsWith('{') && trimmed.includes('"Success"')) {
-          jsonLine = trimmed;
-          break;
-        }
-      }
-      
-      if (!jsonLine) {
-        logger.error(`No JSON found in PowerShell output: ${stdout}`);
-        throw new Error('No JSON output from PowerShell script - may need administrator privileges');
-      }
-      
-      logger.info(`PowerShell JSON output: ${jsonLine}`);
-      
-      let result;
-      try {
-        result = JSON.parse(jsonLine);
-      } catch (parseError) {
-        logger.error(`Failed to parse PowerShell JSON: ${jsonLine}`);
-        throw new Error(`Invalid JSON from PowerShell: ${parseError.message}`);
-      }
-      
-      if (!result.Success) {
-        throw new Error(result.Error || 'Failed to create CNG key');
-      }
-      
-      logger.info(`Successfully created CNG key for: ${keyName}`);
-      logger.info(`Key details: Handle=${result.Handle}, Provider=${result.Provider}`);
-      
-      // Determine if this is true hardware TPM based on the provider
-      const isTPM = result.InTPM || (result.Provider && result.Provider.includes('Platform'));
-      
-      // Log TPM status for debugging
-      if (isTPM) {
-        logger.info(`🔒 TRUE HARDWARE TPM KEY CREATED! Provider: ${result.Provider}`);
-      } else {
-        logger.info(`🔑 Software-backed CNG key created with provider: ${result.Provider}`);
-      }
-      
-      return {
-        name: keyName,
-        handle: result.Handle,
-        publicKey: result.PublicKey,
-        privateKey: null, // CNG keys don't expose private keys
-        inTPM: isTPM,
-        windowsCert: false,
-        cngKey: true,
-        provider: result.Provider,
-        algorithm: result.Algorithm || 'ES256',
-        created: result.Created
-      };
-    } catch (error) {
-      logger.error(`Error creating CNG key for ${keyName}:`, error.message);
-      throw error;
-    }
+  getKeyBackend(key) {
+    return keyBackends.resolveBackend(key);
   }
 
-  async createLinuxTPMKey(keyName) {
+  // Public keys are returned as SPKI PEM whatever format the backend produced.
+  // options: { backend, algorithm, keySize }; the algorithm defaults to
+  // tpm.keyAlgorithm from the configuration
+  async createKeyPair(keyName, options = {}) {
     try {
-      const handle = `0x8100${Math.floor(Math.random() * 0xFFFF).toString(16).padStart(4, '0')}`;
-      
-      await execAsync(`tpm2_createprimary -C o -g sha256 -G ecc256 -c primary.ctx`);
-      await execAsync(`tpm2_create -C primary.ctx -g sha256 -G ecc256 -u ${keyName}.pub -r ${keyName}.priv`);
-      await execAsync(`tpm2_load -C primary.ctx -u ${keyName}.pub -r ${keyName}.priv -c ${keyName}.ctx`);
-      await execAsync(`tpm2_evictcontrol -C o -c ${keyName}.ctx ${handle}`);
-      
-      const { stdout } = await execAsync(`tpm2_readpublic -c ${handle} -f pem`);
-      
+      const algorithm = options.algorithm || config.get('tpm:keyAlgorithm') || 'ES256';
+      const keySize = signatureAlgorithms.resolveKeySize(algorithm, options.keySize);
+
+      const keyData = await this.createKeyWithBackend(keyName, options.backend || null, { algorithm, keySize });
       return {
-        name: keyName,
-        handle: handle,
-        publicKey: stdout,
-        inTPM: true
+        ...keyData,
+        algorithm: keyData.algorithm || algorithm,
+        keySize: keySize,
+        publicKey: keyFormats.toSpkiPem(keyData.publicKey)
       };
     } catch (error) {
-      logger.error('Error creating Linux TPM key:', error);
+      logger.error(`Error creating key pair for ${keyName}:`, error);
       throw error;
     }
   }
 
-  async signDocument(documentHash, keyHandle, isTPMKey = true) {
-    try {
-      if (!isTPMKey) {
-        return this.signWithSoftwareKey(documentHash, keyHandle);
-      }
+  async createES256KeyPair(keyName, backendName = null) {
+    return this.createKeyPair(keyName, { backend: backendName, algorithm: 'ES256' });
+  }
+
+  // A backend asked for by name must support the algorithm; the default
+  // backend falls back to software keys for algorithms it lacks
+  async createKeyWithBackend(keyName, backendName, options = { algorithm: 'ES256' }) {
+    let backend = backendName ? keyBackends.getBackend(backendName) : this.getDefaultBackend();
 
-      if (this.isWindows) {
-        return await this.signWithWindowsTPM(documentHash, keyHandle);
-      } else {
-        return await this.signWithLinuxTPM(documentHash, keyHandle);
+    if (!backend.supportsAlgorithm(options.algorithm)) {
+      if (backendName) {
+        throw new Error(`Backend ${backend.name} does not support ${options.algorithm}`);
       }
-    } catch (error) {
-      logger.error('Error signing document:', error);
-      throw error;
+      logger.info(`Backend ${backend.name} does not support ${options.algorithm}, using a software key`);
+      backend = keyBackends.getBackend('software');
     }
-  }
 
-  signWithSoftwareKey(documentHash, privateKey) {
-    try {
-      const key = ec.keyFromPrivate(privateKey, 'hex');
-      const signature = key.sign(documentHash);
-      return signature.toDER('hex');
-    } catch (error) {
-      logger.error('Error signing with software key:', error);
-      throw error;
+    if (backend.name === 'software') {
+      logger.info(`Creating software ${options.algorithm} key for: ${keyName}`);
+      return this.createSoftwareKeyPair(keyName, options);
     }
-  }
 
-  async signWithWindowsTPM(documentHash, keyHandle) {
     try {
-      const path = require('path');
-      const scriptPath = path.join(__dirname, '..', 'scripts', 'sign-with-cng-key.ps1');
-      
-      // Handle both old format (file paths) and new format (key names)
-      let keyName = keyHandle;
-      
-      // If it's a file path (old format), extract the original key name
-      if (keyHandle.includes('\\') || keyHandle.includes('/')) {
-        // For old keys, we need to use a different approach
-        logger.warn(`Old key format detected (file path): ${keyHandle}`);
-        // Try to extract key name from the path or use the handle as-is
-        keyName = keyHandle;
-      } else {
-        // New format: handle already contains the full key name (TPM_ES256_xxx)
-        // Remove TPM_ES256_ prefix for the signing script
-        keyName = keyHandle.replace('TPM_ES256_', '');
-      }
-      
-      logger.info(`Signing with CNG key: ${keyName}`);
-      
-      // Use PowerShell 7 if available, fallback to PowerShell 5.1
-      let psCommand = 'pwsh';
-      try {
-        await execAsync('pwsh -Command "Get-Host"');
-      } catch {
-        psCommand = 'powershell';
-      }
-      
-      // Execute the PowerShell signing script
-      const command = `${psCommand} -ExecutionPolicy Bypass -File "${scriptPath}" -KeyName "${keyName}" -DataToSign "${documentHash}"`;
-      
-      const { stdout, stderr } = await execAsync(command, {
-        timeout: 15000,
-        windowsHide: true
-      });
-      
-      if (stderr && !stderr.includes('Write-Host')) {
-        logger.warn(`PowerShell signing stderr: ${stderr}`);
-      }
-      
-      logger.info(`PowerShell signing output: ${stdout}`);
-      
-      // Extract JSON from output
-      const lines = stdout.split('\n');
-      let jsonLine = '';
-      
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (trimmed.startsWith('{') && trimmed.includes('"Success"')) {
-          jsonLine = trimmed;
-          break;
-        }
-      }
-      
-      if (!jsonLine) {
-        logger.error(`No JSON found in signing output: ${stdout}`);
-        throw new Error('No JSON output from signing script - may need administrator privileges');
-      }
-      
-      let result;
-      try {
-        result = JSON.parse(jsonLine);
-      } catch (parseError) {
-        logger.error(`Failed to parse signing JSON: ${jsonLine}`);
-        throw new Error(`Invalid JSON from signing script: ${parseError.message}`);
-      }
-      
-      if (!result.Success) {
-        throw new Error(result.Error || 'Failed to sign with CNG key');
+      return await backend.createKey(keyName, options);
+    } catch (tpmError) {
+      if (config.get('tpm:fallbackToSoftware') === false) {
+        throw tpmError;
       }
-      
-      logger.info(`Successfully signed with CNG key: ${keyName}, Provider: ${result.Provider}`);
-      
-      return result.Signature;
-    } catch (error) {
-      logger.error('Error signing with Windows CNG TPM:', error);
-      throw error;
+      logger.warn(`Failed to create key with ${backend.name}, falling back to software key: ${tpmError.message}`);
+      return this.createSoftwareKeyPair(keyName, options);
     }
   }
 
-  async signWithLinuxTPM(documentHash, keyHandle) {
+  async createSoftwareKeyPair(keyName, options = { algorithm: 'ES256' }) {
+    return keyBackends.getBackend('software').createKey(keyName, options);
+  }
+
+  // options.hashAlgorithm: the digest documentHash was computed with, when
+  // not the one paired with the key's algorithm
+  async signDocument(documentHash, key, options = {}) {
     try {
-      const hashFile = `/tmp/hash_${Date.now()}.bin`;
-      const sigFile = `/tmp/sig_${Date.now()}.bin`;
-      
-      await execAsync(`echo -n "${documentHash}" | xxd -r -p > ${hashFile}`);
-      await execAsync(`tpm2_sign -c ${keyHandle} -g sha256 -s rsassa -o ${sigFile} ${hashFile}`);
-      const { stdout } = await execAsync(`xxd -p -c 256 ${sigFile}`);
-      
-      await execAsync(`rm -f ${hashFile} ${sigFile}`);
-      
-      return stdout.trim();
+      return await this.getKeyBackend(key).sign(documentHash, key, options);
     } catch (error) {
-      logger.error('Error signing with Linux TPM:', error);
+      logger.error('Error signing document:', error);
       throw error;
     }
   }
 
-  async verifySignature(documentHash, signature, publicKey) {
+  // Signs a message (CSR, JWS signing input) rather than a precomputed digest
+  async signData(data, key, options = {}) {
     try {
-      // Check if publicKey is in CNG format (Base64) or elliptic format (hex)
-      if (publicKey.startsWith('RUNTMS')) {
-        // This is a CNG public key in Base64 format from hardware TPM
-        logger.info('Verifying CNG signature from hardware TPM');
-        return await this.verifyCNGSignature(documentHash, signature, publicKey);
-      } else {
-        // This is an elliptic.js hex format public key (software key)
-        logger.info('Verifying software signature');
-        const key = ec.keyFromPublic(publicKey, 'hex');
-        return key.verify(documentHash, signature);
-      }
+      return await this.getKeyBackend(key).signData(data, key, options);
     } catch (error) {
-      logger.error('Error verifying signature:', error);
-      return false;
+      logger.error('Error signing data:', error);
+      throw error;
     }
   }
 
-  async verifyCNGSignature(documentHash, signature, cngPublicKey) {
+  signWithSoftwareKey(documentHash, privateKey, algorithm = 'ES256', hashAlgorithm = null) {
+    return keyBackends.getBackend('software').signWithPrivateKey(documentHash, privateKey, algorithm, hashAlgorithm);
+  }
+
+  // Without a backend name the owner is guessed from the public key format,
+  // without an algorithm from the type of the public key
+  async verifySignature(documentHash, signature, publicKey, backendName = null, algorithm = null, hashAlgorithm = null) {
     try {
-      const path = require('path');
-      const scriptPath = path.join(__dirname, '..', 'scripts', 'verify-cng-signature.ps1');
-      
-      // Use PowerShell 7 if available
-      let psCommand = 'pwsh';
-      try {
-        await execAsync('pwsh -Command "Get-Host"');
-      } catch {
-        psCommand = 'powershell';
-      }
-      
-      // Execute the PowerShell verification script
-      const command = `${psCommand} -ExecutionPolicy Bypass -File "${scriptPath}" -DocumentHash "${documentHash}" -Signature "${signature}" -PublicKey "${cngPublicKey}"`;
-      
-      const { stdout, stderr } = await execAsync(command, {
-        timeout: 10000,
-        windowsHide: true
-      });
-      
-      if (stderr && !stderr.includes('Write-Host')) {
-        logger.warn(`PowerShell verification stderr: ${stderr}`);
-      }
-      
-      // Extract JSON from output
-      const lines = stdout.split('\n');
-      let jsonLine = '';
-      
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (trimmed.startsWith('{') && trimmed.includes('"Valid"')) {
-          jsonLine = trimmed;
-          break;
-        }
-      }
-      
-      if (!jsonLine) {
-        logger.error(`No JSON found in verification output: ${stdout}`);
-        logger.error(`Full PowerShell output: ${stdout}`);
-        logger.error(`PowerShell stderr: ${stderr}`);
-        return false;
-      }
-      
-      logger.info(`PowerShell verification result: ${jsonLine}`);
-      const result = JSON.parse(jsonLine);
-      logger.info(`Verification result parsed: Valid=${result.Valid}, Error=${result.Error || 'none'}`);
-      return result.Valid === true;
-      
+      const backend = backendName ?
+        keyBackends.getBackend(backendName) :
+        this.getKeyBackend({ publicKey: publicKey });
+      const signatureAlgorithm = algorithm || signatureAlgorithms.algorithmForPublicKey(publicKey);
+      return await backend.verify(documentHash, signature, publicKey, signatureAlgorithm, hashAlgorithm);
     } catch (error) {
-      logger.error('Error verifying CNG signature:', error);
+      logger.error('Error verifying signature:', error);
       return false;
     }
   }
 
-  async deleteKey(keyHandle, isTPMKey = true) {
+  async deleteKey(key) {
     try {
-      if (!isTPMKey) {
-        return true;
-      }
-
-      if (this.isWindows) {
-        return await this.deleteWindowsTPMKey(keyHandle);
-      } else {
-        return await this.deleteLinuxTPMKey(keyHandle);
-      }
+      return await this.getKeyBackend(key).deleteKey(key);
     } catch (error) {
       logger.error('Error deleting key:', error);
       throw error;
     }
   }
 
-  async deleteWindowsTPMKey(keyHandle) {
+  async generateCSR(key, commonName, organization, country) {
     try {
-      const path = require('path');
-      const scriptPath = path.join(__dirname, '..', 'scripts', 'delete-cng-key.ps1');
-      
-      // Extract key name from handle (remove TPM_ES256_ prefix if present)
-      const keyName = keyHandle.replace('TPM_ES256_', '');
-      
-      logger.info(`Deleting CNG key: ${keyName}`);
-      
-      // Use PowerShell 7 if available, fallback to PowerShell 5.1
-      let psCommand = 'pwsh';
-      try {
-        await execAsync('pwsh -Command "Get-Host"');
-      } catch {
-        psCommand = 'powershell';
-      }
-      
-      // Execute the PowerShell deletion script
-      const command = `${psCommand} -ExecutionPolicy Bypass -File "${scriptPath}" -KeyName "${keyName}"`;
-      
-      const { stdout, stderr } = await execAsync(command, {
-        timeout: 10000,
-        windowsHide: true
-      });
-      
-      if (stderr && !stderr.includes('Write-Host')) {
-        logger.warn(`PowerShell deletion stderr: ${stderr}`);
-      }
-      
-      logger.info(`PowerShell deletion output: ${stdout}`);
-      
-      // Extract JSON from output
-      const lines = stdout.split('\n');
-      let jsonLine = '';
-      
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (trimmed.startsWith('{') && trimmed.includes('"Success"')) {
-          jsonLine = trimmed;
-          break;
-        }
-      }
-      
-      if (!jsonLine) {
-        logger.error(`No JSON found in deletion output: ${stdout}`);
-        throw new Error('No JSON output from deletion script');
-      }
-      
-      let result;
-      try {
-        result = JSON.parse(jsonLine);
-      } catch (parseError) {
-        logger.error(`Failed to parse deletion JSON: ${jsonLine}`);
-        throw new Error(`Invalid JSON from deletion script: ${parseError.message}`);
-      }
-      
-      if (!result.Success) {
-        throw new Error(result.Error || 'Failed to delete CNG key');
-      }
-      
-      logger.info(`Successfully deleted CNG key: ${keyName}`);
-      return true;
+      return await this.getKeyBackend(key).generateCSR(key, { commonName, organization, country });
     } catch (error) {
-      logger.error('Error deleting Windows CNG key:', error);
+      logger.error('Error generating CSR:', error);
       throw error;
     }
   }
 
-  async deleteLinuxTPMKey(keyHandle) {
-    try {
-      await execAsync(`tpm2_evictcontrol -C o -c ${keyHandle}`);
-      return true;
-    } catch (error) {
-      logger.error('Error deleting Linux TPM key:', error);
-      throw error;
-    }
+  convertToPEM(publicKey) {
+    return keyBackends.getBackend('software').convertToPEM(publicKey);
   }
 
-  async generateCSR(keyName, keyHandle, publicKey, commonName, organization, country) {
-    try {
-      // Check if this is a CNG key (Base64 format starting with RUNTMS or similar)
-      if (publicKey && (publicKey.startsWith('RUNTMS') || publicKey.startsWith('RUNTUw'))) {
-        logger.info('Generating CSR for CNG/TPM key using PowerShell');
-        return await this.generateCNGCSR(keyName, keyHandle, commonName, organization, country);
-      }
-      
-      // For software keys, use forge
-      const forge = require('node-forge');
-      const csr = forge.pki.createCertificationRequest();
-      
-      csr.publicKey = forge.pki.publicKeyFromPem(this.convertToPEM(publicKey));
-      csr.setSubject([
-        { name: 'commonName', value: commonName || keyName },
-        { name: 'organizationName', value: organization || 'TPM20 Organization' },
-        { name: 'countryName', value: country || 'US' }
-      ]);
-      
-      csr.setAttributes([
-        {
-          name: 'extensionRequest',
-          extensions: [
-            {
-              name: 'keyUsage',
-              keyCertSign: false,
-              digitalSignature: true,
-              nonRepudiation: true,
-              keyEncipherment: false,
-              dataEncipherment: false
-            }
-          ]
-        }
-      ]);
-      
-      const csrPem = forge.pki.certificationRequestToPem(csr);
-      return csrPem;
-    } catch (error) {
-      logger.error('Error generating CSR:', error);
-      throw error;
-    }
-  }
-  
-  async generateCNGCSR(keyName, keyHandle, commonName, organization, country) {
-    try {
-      const path = require('path');
-      
-      // Check if we're running as Administrator (same logic as key creation)
-      let isAdmin = false;
-      try {
-        const { stdout } = await execAsync('powershell -Command "([Security.Principal.WindowsPrincipal] [Security.Principal.WindowsIdentity]::GetCurrent()).IsInRole([Security.Principal.WindowsBuiltInRole]::Administrator)"');
-        isAdmin = stdout.trim().toLowerCase() === 'true';
-        logger.info(`CSR Generation - Administrator privileges: ${isAdmin}`);
-      } catch (adminCheckError) {
-        logger.warn('Could not check administrator privileges for CSR generation:', adminCheckError.message);
-        isAdmin = false;
-      }
-      
-      if (!isAdmin) {
-        throw new Error('CSR generation for hardware TPM keys requires Administrator privileges. Please run the Node.js application as Administrator.');
-      }
-      
-      // Use the pure .NET CSR generation script
-      const scriptPath = path.join(__dirname, '..', 'scripts', 'generate-csr-dotnet.ps1');
-      
-      // Use the keyHandle (actual TPM path) for CSR generation
-      const actualTPMPath = keyHandle || keyName;
-      
-      // Force PowerShell to run as Administrator for TPM access
-      const psArgs = `-ExecutionPolicy Bypass -File "${scriptPath}" -TPMPath "${actualTPMPath}" -CommonName "${commonName}" -Organization "${organization || 'TPM20 Organization'}" -Country "${country || 'US'}"`;
-      
-      logger.info(`Executing hardware TPM CSR generation using pure .NET with TPM path: ${actualTPMPath}`);
-      
-      // Use a different approach to ensure Administrator privileges are inherited
-      const spawn = require('child_process').spawn;
-      
-      return new Promise((resolve, reject) => {
-        // Try running with explicit impersonation of current Administrator context
-        const psCommand = `
-          try {
-            # Force load security assembly and run in current context
-            Add-Type -AssemblyName System.Security
-            $currentIdentity = [System.Security.Principal.WindowsIdentity]::GetCurrent()
-            Write-Host "Current user: $($currentIdentity.Name)"
-            Write-Host "Is Admin: $(([Security.Principal.WindowsPrincipal] $currentIdentity).IsInRole([Security.Principal.WindowsBuiltInRole]::Administrator))"
-            
-            # Execute the script in current context
-            & "${scriptPath}" -TPMPath "${actualTPMPath}" -CommonName "${commonName}" -Organization "${organization || 'TPM20 Organization'}" -Country "${country || 'US'}"
-          } catch {
-            Write-Host "Error in PowerShell execution: $($_.Exception.Message)"
-            exit 1
-          }
-        `;
-        
-        const ps = spawn('powershell.exe', ['-ExecutionPolicy', 'Bypass', '-Command', psCommand], {
-          stdio: ['pipe', 'pipe', 'pipe'],
-          windowsVerbatimArguments: false,
-          windowsHide: true,
-          shell: false
-        });
-        
-        let stdout = '';
-        let stderr = '';
-        
-        ps.stdout.on('data', (data) => {
-          stdout += data.toString();
-        });
-        
-        ps.stderr.on('data', (data) => {
-          stderr += data.toString();
-        });
-        
-        ps.on('close', (code) => {
-          logger.info(`PowerShell CSR process completed with code: ${code}`);
-          logger.info(`PowerShell CSR stdout: ${stdout}`);
-          if (stderr) logger.warn(`PowerShell CSR stderr: ${stderr}`);
-          
-          if (code !== 0) {
-            reject(new Error(`PowerShell process failed with code ${code}: ${stdout}`));
-            return;
-          }
-          
-          // Process the output
-          try {
-            // Extract JSON from output
-            const lines = stdout.split('\n');
-            let jsonLine = '';
-            
-            for (const line of lines) {
-              const trimmed = line.trim();
-              if (trimmed.startsWith('{') && trimmed.includes('"Success"')) {
-                jsonLine = trimmed;
-                break;
-              }
-            }
-            
-            if (!jsonLine) {
-              reject(new Error('No JSON output from CSR generation script'));
-              return;
-            }
-            
-            const result = JSON.parse(jsonLine);
-            
-            if (!result.Success) {
-              if (result.Error && result.Error.includes('requires Administrator privileges')) {
-                reject(new Error(`Hardware TPM CSR generation requires Administrator privileges. The key was created successfully, but CSR generation needs elevated PowerShell.\n\nTo generate the CSR, run this command from an Administrator PowerShell session:\n\npowershell -ExecutionPolicy Bypass -File "${scriptPath}" -TPMPath "${actualTPMPath}" -CommonName "${commonName}" -Organization "${organization || 'TPM20 Organization'}" -Country "${country || 'US'}"\n\nThis will generate the CSR for your hardware TPM key.`));
-                return;
-              }
-              reject(new Error(result.Error || 'Failed to generate CSR using pure .NET method'));
-              return;
-            }
-            
-            logger.info(`Successfully generated hardware TPM CSR for key: ${keyName}`);
-            resolve(result.CSR);
-            
-          } catch (parseError) {
-            reject(new Error(`Failed to parse CSR generation output: ${parseError.message}`));
-          }
-        });
-        
-        ps.on('error', (error) => {
-          logger.error('PowerShell process error:', error);
-          reject(new Error(`PowerShell process error: ${error.message}`));
-        });
-      });
-      
-    } catch (error) {
-      logger.error('Error generating hardware TPM CSR:', error);
-      throw error;
-    }
+  exportPublicKey(key, format = 'pem') {
+    return keyFormats.exportPublicKey(key.publicKey, format, {
+      kid: key._id ? key._id.toString() : undefined,
+      alg: signatureAlgorithms.getAlgorithm(key.keyType || 'ES256').jws,
+      use: 'sig'
+    });
   }
 
-  convertToPEM(publicKey) {
-    if (publicKey.includes('-----BEGIN')) {
-      return publicKey;
+  calculateHash(content, hashAlgorithm = 'sha256') {
+    if (!signatureAlgorithms.isHashSupported(hashAlgorithm)) {
+      throw new Error(`Unsupported hash algorithm: ${hashAlgorithm}`);
     }
-    
-    return `-----BEGIN PUBLIC KEY-----\n${publicKey}\n-----END PUBLIC KEY-----`;
+    return crypto.createHash(hashAlgorithm).update(content).digest('hex');
   }
 
-  calculateHash(content) {
-    return crypto.createHash('sha256').update(content).digest('hex');
+  // Digest for signing with `key`: the requested one, else the key's own
+  // choice, else the one its algorithm is paired with (SHA-384 for ES384)
+  resolveHashAlgorithm(key, requested = null) {
+    return signatureAlgorithms.resolveHashAlgorithm(
+      key.keyType || 'ES256',
+      requested || key.hashAlgorithm || null
+    );
   }
 }
 
-module.exports = new TPMService();
\ No newline at end of file
+module.exports = new TPMService();
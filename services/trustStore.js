@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./generic');
+const config = require('./configuration');
+const x509 = require('./x509');
+const certificateAuthority = require('./certificateAuthority');
+
+const CERTIFICATE_FILES = ['.pem', '.crt', '.cer'];
+
+// Trust anchors for certificates uploaded to keys: the PEM files at
+// trustStore.path (a directory or one bundle) and, unless
+// trustStore.includeBuiltInCA is false, the certificate of the built-in CA.
+// Anchors are read for every validation, so changes apply without a restart.
+class TrustStore {
+  getSettings() {
+    const includeBuiltInCA = config.get('trustStore:includeBuiltInCA');
+    return {
+      path: config.get('trustStore:path') || null,
+      includeBuiltInCA: includeBuiltInCA !== false,
+      requireTrusted: config.get('trustStore:requireTrusted') === true
+    };
+  }
+
+  async readFiles(location) {
+    let stat;
+    try {
+      stat = await fs.stat(location);
+    } catch (error) {
+      logger.debug(`Trust store ${location} does not exist`);
+      return [];
+    }
+    if (!stat.isDirectory()) {
+      return [location];
+    }
+    const names = await fs.readdir(location);
+    return names
+      .filter(name => CERTIFICATE_FILES.includes(path.extname(name).toLowerCase()))
+      .map(name => path.join(location, name));
+  }
+
+  // The trust anchors as crypto.X509Certificate objects
+  async getAnchors() {
+    const settings = this.getSettings();
+    const anchors = [];
+
+    const files = settings.path ? await this.readFiles(path.resolve(settings.path)) : [];
+    for (const file of files) {
+      try {
+        const contents = await fs.readFile(file);
+        const text = contents.includes('-----BEGIN') ? contents.toString('utf8') : contents;
+        x509.readCertificates(text).forEach(der => anchors.push(new crypto.X509Certificate(der)));
+      } catch (error) {
+        logger.warn(`Skipping trust store file ${file}: ${error.message}`);
+      }
+    }
+
+    if (settings.includeBuiltInCA) {
+      try {
+        const key = await certificateAuthority.getKey();
+        anchors.push(new crypto.X509Certificate(x509.fromPem(key.certificate)));
+      } catch (error) {
+        logger.debug(`The built-in CA is not a trust anchor: ${error.message}`);
+      }
+    }
+    return anchors;
+  }
+
+  // Builds the path from `certificate` through `chain` (DER buffers or PEM,
+  // in any order) to a trust anchor and checks each link's signature and
+  // validity period at `at`. `path` lists the subjects from the certificate
+  // up; `errors` says what is wrong, and is empty when `trusted`.
+  async validate(certificate, chain = [], { at = new Date() } = {}) {
+    const anchors = await this.getAnchors();
+    const candidates = chain.map(entry => new crypto.X509Certificate(x509.fromPem(entry)));
+    const errors = [];
+    const certificates = [];
+
+    let current = new crypto.X509Certificate(x509.fromPem(certificate));
+    let anchor = null;
+    while (current) {
+      certificates.push(current);
+      if (new Date(current.validFrom) > at || new Date(current.validTo) < at) {
+        errors.push(`${this.name(current)} is not valid at ${at.toISOString()} (${current.validFrom} to ${current.validTo})`);
+      }
+
+      anchor = anchors.find(entry => entry.fingerprint256 === current.fingerprint256) ||
+        anchors.find(entry => this.issued(entry, current));
+      if (anchor) {
+        break;
+      }
+
+      // Certificates already on the path are skipped, so loops end
+      const issuer = candidates.find(entry => !certificates.includes(entry) && this.issued(entry, current));
+      if (!issuer) {
+        errors.push(current.checkIssued(current) ?
+          `The chain ends at ${this.name(current)}, which is not in the trust store` :
+          `The issuer of ${this.name(current)} (${current.issuer.replace(/\n/g, ', ')}) is missing from the chain`);
+      } else if (!issuer.ca) {
+        errors.push(`${this.name(issuer)} is not a CA certificate`);
+      }
+      current = issuer;
+    }
+
+    if (anchor && anchor.fingerprint256 !== certificates[certificates.length - 1].fingerprint256) {
+      certificates.push(anchor);
+      if (new Date(anchor.validFrom) > at || new Date(anchor.validTo) < at) {
+        errors.push(`The trust anchor ${this.name(anchor)} is not valid at ${at.toISOString()}`);
+      }
+    }
+
+    return {
+      trusted: Boolean(anchor) && errors.length === 0,
+      path: certificates.map(entry => entry.subject),
+      errors
+    };
+  }
+
+  // Whether `issuer` signed `certificate`
+  issued(issuer, certificate) {
+    return certificate.checkIssued(issuer) && certificate.verify(issuer.publicKey);
+  }
+
+  name(certificate) {
+    return certificate.subject.replace(/\n/g, ', ');
+  }
+}
+
+module.exports = new TrustStore();
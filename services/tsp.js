@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const config = require('./configuration');
+const cms = require('./cms');
+const x509 = require('./x509');
+const signatureAlgorithms = require('./signatureAlgorithms');
+
+const asn1 = forge.asn1;
+const { Class, Type } = asn1;
+
+// Time-Stamp Protocol (RFC 3161) client: asks the TSA at timestamp.tsaUrl to
+// time-stamp a digest and returns the TimeStampToken, a CMS SignedData whose
+// content is the TSTInfo. The request, TSTInfo and response encoders below
+// serve the built-in TSA (services/timestampAuthority).
+const TST_INFO_OID = '1.2.840.113549.1.9.16.1.4';
+const DEFAULT_TIMEOUT = 10000;
+const STATUS = ['granted', 'grantedWithMods', 'rejection', 'waiting', 'revocationWarning', 'revocationNotification'];
+
+// PKIFailureInfo bits a TSA answers rejected requests with
+const FAILURE_INFO = {
+  badAlg: 0,
+  badRequest: 2,
+  badDataFormat: 5,
+  timeNotAvailable: 14,
+  unacceptedPolicy: 15,
+  unacceptedExtension: 16,
+  systemFailure: 25
+};
+
+function parse(der) {
+  return asn1.fromDer(forge.util.createBuffer(der.toString('binary')), { decodeBitStrings: false });
+}
+
+function unsignedInteger(bytes) {
+  const value = bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes;
+  return asn1.create(Class.UNIVERSAL, Type.INTEGER, false, value.toString('binary'));
+}
+
+function hashForOid(value) {
+  const hash = signatureAlgorithms.HASH_ALGORITHMS.find(name => x509.OIDS[name] === value);
+  if (!hash) {
+    throw new Error(`Unsupported digest algorithm: ${value}`);
+  }
+  return hash;
+}
+
+// TimeStampReq DER for a digest, asking for the TSA certificate to be included
+function createRequest(digest, hashAlgorithm = 'sha256', nonce = crypto.randomBytes(8)) {
+  const request = x509.sequence([
+    x509.integer(1),
+    x509.sequence([
+      x509.createDigestAlgorithm(hashAlgorithm),
+      asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, Buffer.from(digest).toString('binary'))
+    ]),
+    unsignedInteger(nonce),
+    asn1.create(Class.UNIVERSAL, Type.BOOLEAN, false, '\xff')
+  ]);
+  return x509.toBuffer(request);
+}
+
+// TimeStampReq DER to its fields. The message imprint is kept as its DER
+// node too, so the TSTInfo can repeat it unchanged.
+function parseRequest(request) {
+  const fields = parse(Buffer.from(request)).value;
+  const [version, messageImprint] = fields;
+  if (!messageImprint || messageImprint.type !== Type.SEQUENCE) {
+    throw new Error('Not a time-stamp request');
+  }
+
+  const optional = fields.slice(2);
+  const policy = optional.find(field => field.tagClass === Class.UNIVERSAL && field.type === Type.OID);
+  const nonce = optional.find(field => field.tagClass === Class.UNIVERSAL && field.type === Type.INTEGER);
+  const certReq = optional.find(field => field.tagClass === Class.UNIVERSAL && field.type === Type.BOOLEAN);
+  const extensions = optional.find(field => field.tagClass === Class.CONTEXT_SPECIFIC && field.type === 0);
+
+  return {
+    version: asn1.derToInteger(version.value),
+    hashAlgorithmOid: asn1.derToOid(messageImprint.value[0].value[0].value),
+    digest: Buffer.from(messageImprint.value[1].value, 'binary'),
+    messageImprint,
+    policy: policy ? asn1.derToOid(policy.value) : null,
+    nonce: nonce ? Buffer.from(nonce.value, 'binary') : null,
+    certReq: Boolean(certReq && certReq.value !== '\x00'),
+    extensions: Boolean(extensions)
+  };
+}
+
+// TSTInfo DER for a parsed request. `serialNumber` is a BigInt and
+// `accuracy` whole seconds.
+function createTstInfo({ request, policy, serialNumber, genTime, accuracy = null }) {
+  const hex = serialNumber.toString(16);
+  const serial = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  const fields = [
+    x509.integer(1),
+    x509.oid(policy),
+    request.messageImprint,
+    unsignedInteger(serial),
+    asn1.create(Class.UNIVERSAL, Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(genTime))
+  ];
+  if (accuracy) {
+    fields.push(x509.sequence([x509.integer(accuracy)]));
+  }
+  if (request.nonce) {
+    fields.push(asn1.create(Class.UNIVERSAL, Type.INTEGER, false, request.nonce.toString('binary')));
+  }
+  return x509.toBuffer(x509.sequence(fields));
+}
+
+// TimeStampResp DER: granted with the token, or rejected with the reason
+// and a FAILURE_INFO name
+function createResponse({ token = null, failure = null, message = null }) {
+  const statusFields = [x509.integer(token ? 0 : 2)];
+  if (message) {
+    statusFields.push(x509.sequence([asn1.create(Class.UNIVERSAL, Type.UTF8, false, forge.util.encodeUtf8(message))]));
+  }
+  if (failure) {
+    // A named bit list in DER ends with its highest set bit
+    const bit = FAILURE_INFO[failure];
+    const bytes = Buffer.alloc(Math.floor(bit / 8) + 1);
+    bytes[bytes.length - 1] = 0x80 >> (bit % 8);
+    const unusedBits = 7 - (bit % 8);
+    statusFields.push(asn1.create(Class.UNIVERSAL, Type.BITSTRING, false, String.fromCharCode(unusedBits) + bytes.toString('binary')));
+  }
+
+  return x509.toBuffer(x509.sequence([
+    x509.sequence(statusFields),
+    ...(token ? [parse(Buffer.from(token))] : [])
+  ]));
+}
+
+// TimeStampToken DER to what its TSTInfo says
+function parseToken(token) {
+  const signedData = cms.parseSignedData(token);
+  if (signedData.contentType !== TST_INFO_OID || !signedData.content) {
+    throw new Error('Not a time-stamp token');
+  }
+
+  const fields = parse(signedData.content).value;
+  const messageImprint = fields[2].value;
+  const nonce = fields.find((field, index) => index > 4 && field.type === Type.INTEGER && field.tagClass === Class.UNIVERSAL);
+
+  return {
+    policy: asn1.derToOid(fields[1].value),
+    hashAlgorithm: hashForOid(asn1.derToOid(messageImprint[0].value[0].value)),
+    digest: Buffer.from(messageImprint[1].value, 'binary'),
+    serialNumber: Buffer.from(fields[3].value, 'binary').toString('hex'),
+    genTime: asn1.generalizedTimeToDate(fields[4].value),
+    nonce: nonce ? Buffer.from(nonce.value, 'binary') : null
+  };
+}
+
+// TimeStampResp DER to the token, checked against the request's digest and nonce
+function parseResponse(response, { digest, nonce = null } = {}) {
+  const fields = parse(Buffer.from(response)).value;
+  const status = asn1.derToInteger(fields[0].value[0].value);
+  if (status > 1) {
+    const text = fields[0].value.find(field => field.type === Type.SEQUENCE);
+    const reason = text ? text.value.map(item => item.value).join('; ') : STATUS[status] || `status ${status}`;
+    throw new Error(`The time-stamp authority refused the request: ${reason}`);
+  }
+  if (!fields[1]) {
+    throw new Error('The time-stamp response has no token');
+  }
+
+  const token = x509.toBuffer(fields[1]);
+  const info = parseToken(token);
+  if (digest && !info.digest.equals(Buffer.from(digest))) {
+    throw new Error('The time-stamp token is for another digest');
+  }
+  if (nonce && (!info.nonce || BigInt(`0x${info.nonce.toString('hex')}`) !== BigInt(`0x${nonce.toString('hex')}`))) {
+    throw new Error('The time-stamp token does not echo the request nonce');
+  }
+  return { token, ...info };
+}
+
+// Checks a TimeStampToken against the data it time-stamps: the message
+// imprint must be the digest of `data` and the TSA's signature must verify
+// against the certificate in the token, or `publicKey` for tokens without
+// one. Whether the TSA is trusted is not checked here.
+function verifyToken(token, data, { publicKey = null } = {}) {
+  let info;
+  try {
+    info = parseToken(Buffer.from(token));
+  } catch (error) {
+    return { valid: false, error: 'Not a valid time-stamp token' };
+  }
+
+  const result = {
+    genTime: info.genTime,
+    serialNumber: info.serialNumber,
+    policy: info.policy,
+    hashAlgorithm: info.hashAlgorithm
+  };
+  if (!crypto.createHash(info.hashAlgorithm).update(data).digest().equals(info.digest)) {
+    return { ...result, valid: false, error: 'The time-stamp token is for other data' };
+  }
+
+  const verified = cms.verifySignedData(token, { publicKey });
+  const signer = verified.signers[0] || {};
+  if (!verified.valid) {
+    return { ...result, tsa: signer.subject, valid: false, error: signer.error || 'The time-stamp token signature is invalid' };
+  }
+  return { ...result, tsa: signer.subject, valid: true };
+}
+
+// Time-stamps `data` at `url` (timestamp.tsaUrl by default)
+async function requestTimestamp(data, { url = config.get('timestamp:tsaUrl'), hashAlgorithm = 'sha256' } = {}) {
+  if (!url) {
+    throw new Error('No time-stamp authority is configured (timestamp.tsaUrl)');
+  }
+
+  const digest = crypto.createHash(hashAlgorithm).update(data).digest();
+  const nonce = crypto.randomBytes(8);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/timestamp-query' },
+    body: createRequest(digest, hashAlgorithm, nonce),
+    signal: AbortSignal.timeout(config.get('timestamp:timeout') || DEFAULT_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`The time-stamp authority answered ${response.status}`);
+  }
+
+  return parseResponse(Buffer.from(await response.arrayBuffer()), { digest, nonce });
+}
+
+module.exports = {
+  TST_INFO_OID,
+  FAILURE_INFO,
+  createRequest,
+  parseRequest,
+  createTstInfo,
+  createResponse,
+  parseToken,
+  parseResponse,
+  verifyToken,
+  requestTimestamp
+};
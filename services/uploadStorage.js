@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('./configuration');
+const mimeTypes = require('./mimeTypes');
+
+const DEFAULT_DIRECTORY = './temp';
+
+// multer storage engine that streams uploads to a file in
+// upload.tempDirectory, computing their SHA-256 and MIME type on the way, so
+// no upload is ever held in memory. req.file gets { path, size, hash,
+// mimeType, fileType }; the caller moves the file into the document store and
+// removes it.
+class UploadStorage {
+  getDirectory() {
+    return config.get('upload:tempDirectory') || DEFAULT_DIRECTORY;
+  }
+
+  _handleFile(req, file, callback) {
+    this.receive(file.stream, file.originalname).then(result => callback(null, result), callback);
+  }
+
+  _removeFile(req, file, callback) {
+    fs.rm(file.path, { force: true }, callback);
+  }
+
+  async receive(stream, fileName) {
+    const directory = this.getDirectory();
+    await fs.promises.mkdir(directory, { recursive: true });
+    const filePath = path.join(directory, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.upload`);
+
+    const hash = crypto.createHash('sha256');
+    const detector = mimeTypes.createDetector();
+    let size = 0;
+    const inspect = new Transform({
+      transform(chunk, encoding, next) {
+        hash.update(chunk);
+        detector.update(chunk);
+        size += chunk.length;
+        next(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(stream, inspect, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    return {
+      path: filePath,
+      size,
+      hash: hash.digest('hex'),
+      ...detector.detect(fileName)
+    };
+  }
+}
+
+module.exports = new UploadStorage();
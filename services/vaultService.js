@@ -0,0 +1,425 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./generic');
+const config = require('./configuration');
+const keyProtection = require('./keyProtection');
+const keyFormats = require('./keyFormats');
+const signatureAlgorithms = require('./signatureAlgorithms');
+
+const VAULT_VERSION = '1.0.0';
+const ENCRYPTION_ALGORITHM = 'AES-256-GCM';
+const KEY_DERIVATION_METHOD = 'TPM2_KDF';
+const PROTOTYPE_WRAP_METHOD = 'AES-256-TPM-Simulated';
+const PROTOTYPE_ALGORITHMS = { ECDSA_P256: 'ES256', 'RSA-2048': 'RS256' };
+const RSA_XML_FIELDS = { n: 'Modulus', e: 'Exponent', d: 'D', p: 'P', q: 'Q', dp: 'DP', dq: 'DQ', qi: 'InverseQ' };
+
+// Envelopes written by scripts/test-tpm-scalability-fixed.ps1 ("wrappedKeyBlob",
+// "publicKeyBlob", "wrapMethod") as tpm-wrapped/<keyName>-<timestamp>.json
+function isPrototypeEnvelope(envelope) {
+  return typeof envelope.wrappedKeyBlob === 'string';
+}
+
+function readRsaXml(xml) {
+  const jwk = { kty: 'RSA' };
+  for (const [name, element] of Object.entries(RSA_XML_FIELDS)) {
+    const match = xml.match(new RegExp(`<${element}>([^<]*)</${element}>`));
+    if (match) {
+      jwk[name] = Buffer.from(match[1], 'base64').toString('base64url');
+    }
+  }
+  return jwk;
+}
+
+function prototypePublicJwk(envelope) {
+  if (envelope.algorithm === 'RSA-2048') {
+    const jwk = readRsaXml(Buffer.from(envelope.publicKeyBlob, 'base64').toString('utf8'));
+    return { kty: jwk.kty, n: jwk.n, e: jwk.e };
+  }
+  return keyFormats.toJwk(envelope.publicKeyBlob);
+}
+
+// The scripts wrap with AES-256-CBC under SHA-256("TPM_SRK_SIMULATION_<keyName>")
+// but the IV they record does not decrypt the first block. That block holds only the blob header (or "<RSAKeyValue><Mo"), so the key
+// is rebuilt from the rest and checked against the public key.
+function unwrapPrototypeKey(envelope) {
+  if (envelope.wrapMethod !== PROTOTYPE_WRAP_METHOD || !PROTOTYPE_ALGORITHMS[envelope.algorithm]) {
+    throw new Error(`Unsupported prototype vault key ${envelope.keyId} (${envelope.wrapMethod}, ${envelope.algorithm})`);
+  }
+
+  const wrappingKey = crypto.createHash('sha256').update(`TPM_SRK_SIMULATION_${envelope.keyName}`, 'utf8').digest();
+  const decipher = crypto.createDecipheriv('aes-256-cbc', wrappingKey, Buffer.from(envelope.iv, 'base64'));
+  let blob;
+  try {
+    blob = Buffer.concat([decipher.update(Buffer.from(envelope.wrappedKeyBlob, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new Error(`Could not unwrap vault key ${envelope.keyId}`);
+  }
+
+  const publicJwk = prototypePublicJwk(envelope);
+  let jwk;
+  if (publicJwk.kty === 'RSA') {
+    jwk = readRsaXml('<RSAKeyValue><Mo' + blob.subarray(16).toString('utf8'));
+  } else {
+    // BCRYPT_ECCPRIVATE_BLOB: magic, size, X, Y, d
+    const size = Buffer.from(publicJwk.x, 'base64url').length;
+    if (blob.length !== 8 + 3 * size) {
+      throw new Error(`Could not unwrap vault key ${envelope.keyId}`);
+    }
+    jwk = { ...publicJwk, d: blob.subarray(8 + 2 * size).toString('base64url') };
+  }
+
+  // Signing uses the decrypted parts only, so this proves they belong to the public key
+  try {
+    const privateKey = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+    const probe = crypto.sign('sha256', Buffer.from(envelope.keyId), privateKey);
+    if (!crypto.verify('sha256', Buffer.from(envelope.keyId), crypto.createPublicKey({ key: publicJwk, format: 'jwk' }), probe)) {
+      throw new Error('Public key mismatch');
+    }
+    return privateKey.export({ type: 'pkcs8', format: 'pem' });
+  } catch (error) {
+    throw new Error(`Could not unwrap vault key ${envelope.keyId}`);
+  }
+}
+
+// Node implementation of the scripts/hsm-vault-prototype.ps1 layout:
+//
+//   manifest.json         vault description and the protected root secret
+//   tpm-wrapped/<id>.json one envelope per private key
+//   metadata/index.json   key name -> key id
+//
+// Envelopes left by the prototype scripts are listed and unwrapped as well.
+// A single 32 byte root secret is sealed to the TPM (or, without a TPM that
+// can seal, wrapped by keyProtection). Each key is encrypted with AES-256-GCM
+// under a wrapping key derived from the root for "wrap:<keyName>", so after
+// the root is unsealed once signing runs at software speed.
+class VaultService {
+  constructor() {
+    this.rootKey = null;
+    this.rootVaultPath = null;
+    this.indexUpdates = Promise.resolve();
+  }
+
+  getVaultPath() {
+    return path.resolve(config.get('vault:path') || './vault');
+  }
+
+  getManifestPath() {
+    return path.join(this.getVaultPath(), 'manifest.json');
+  }
+
+  getKeyPath(keyId) {
+    if (!/^[0-9a-f-]{36}$/.test(keyId)) {
+      throw new Error(`Invalid vault key id: ${keyId}`);
+    }
+    return path.join(this.getVaultPath(), 'tpm-wrapped', `${keyId}.json`);
+  }
+
+  getIndexPath() {
+    return path.join(this.getVaultPath(), 'metadata', 'index.json');
+  }
+
+  async readJson(file) {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  }
+
+  async writeJson(file, value) {
+    await fs.writeFile(file, JSON.stringify(value, null, 2), { mode: 0o600 });
+  }
+
+  // Index updates run one at a time, and each replaces the index with a rename
+  // so a crash never leaves it half written
+  updateIndex(update) {
+    const next = this.indexUpdates.then(async () => {
+      const indexPath = this.getIndexPath();
+      let index;
+      try {
+        index = await this.readJson(indexPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        index = { keys: {} };
+      }
+
+      const result = await update(index);
+      const temporaryPath = `${indexPath}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(indexPath), { recursive: true, mode: 0o700 });
+      await this.writeJson(temporaryPath, index);
+      await fs.rename(temporaryPath, indexPath);
+      return result;
+    });
+    this.indexUpdates = next.catch(() => {});
+    return next;
+  }
+
+  // Envelopes are stored as <keyId>.json, except those of the prototype scripts
+  async findEnvelope(keyId) {
+    const keyPath = this.getKeyPath(keyId);
+    try {
+      return { file: keyPath, envelope: await this.readJson(keyPath) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    for (const file of await this.getEnvelopeFiles()) {
+      const envelope = await this.readJson(file);
+      if (envelope.keyId === keyId) {
+        return { file, envelope };
+      }
+    }
+    throw new Error(`Vault key not found: ${keyId}`);
+  }
+
+  async getEnvelopeFiles() {
+    const directory = path.join(this.getVaultPath(), 'tpm-wrapped');
+    const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+    return files.map(file => path.join(directory, file));
+  }
+
+  async exists() {
+    try {
+      await fs.access(this.getManifestPath());
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getManifest() {
+    try {
+      return await this.readJson(this.getManifestPath());
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No vault at ${this.getVaultPath()}`);
+      }
+      throw error;
+    }
+  }
+
+  // A sealing backend is used when one is configured or the platform TPM can seal
+  async getSealingBackend() {
+    const keyBackends = require('./keyBackends');
+    const configured = config.get('vault:tpmBackend');
+    const backend = keyBackends.getBackend(configured || keyBackends.getPlatformBackendName());
+
+    if (typeof backend.sealData !== 'function') {
+      return null;
+    }
+    if (configured || await backend.isAvailable()) {
+      return backend;
+    }
+    return null;
+  }
+
+  async createVault() {
+    if (await this.exists()) {
+      throw new Error(`Vault already exists at ${this.getVaultPath()}`);
+    }
+
+    const vaultPath = this.getVaultPath();
+    for (const directory of ['tpm-wrapped', 'metadata']) {
+      await fs.mkdir(path.join(vaultPath, directory), { recursive: true, mode: 0o700 });
+    }
+
+    const rootKey = crypto.randomBytes(32);
+    const backend = await this.getSealingBackend();
+    let root;
+
+    if (backend) {
+      await backend.sealData(rootKey, path.join(vaultPath, 'root.pub'), path.join(vaultPath, 'root.priv'));
+      root = { protection: 'tpm-sealed', backend: backend.name, public: 'root.pub', private: 'root.priv' };
+    } else {
+      logger.warn('No TPM available to seal the vault root, protecting it with the key-encryption key');
+      root = { protection: 'key-protection', wrapped: await keyProtection.wrap(rootKey.toString('hex'), 'vault-root') };
+    }
+
+    const manifest = {
+      version: VAULT_VERSION,
+      vaultId: crypto.randomUUID(),
+      created: new Date().toISOString(),
+      tpmHandle: config.get('vault:tpmHandle') || null,
+      keyDerivationMethod: KEY_DERIVATION_METHOD,
+      encryptionAlgorithm: ENCRYPTION_ALGORITHM,
+      provider: 'ZANDD HSM',
+      root: root
+    };
+
+    await this.writeJson(this.getManifestPath(), manifest);
+    await this.writeJson(this.getIndexPath(), { keys: {} });
+
+    this.rootKey = rootKey;
+    this.rootVaultPath = vaultPath;
+    logger.info(`Created vault ${manifest.vaultId} at ${vaultPath} (${root.protection})`);
+    return manifest;
+  }
+
+  async ensureVault() {
+    if (!(await this.exists())) {
+      await this.createVault();
+    }
+    return this.getManifest();
+  }
+
+  async getRootKey(manifest) {
+    const vaultPath = this.getVaultPath();
+    if (this.rootKey && this.rootVaultPath === vaultPath) {
+      return this.rootKey;
+    }
+
+    const root = manifest.root || {};
+    let rootKey;
+    if (root.protection === 'tpm-sealed') {
+      const keyBackends = require('./keyBackends');
+      rootKey = await keyBackends.getBackend(root.backend).unsealData(
+        path.join(vaultPath, root.public),
+        path.join(vaultPath, root.private)
+      );
+    } else if (root.protection === 'key-protection') {
+      rootKey = Buffer.from(await keyProtection.unwrap(root.wrapped, 'vault-root'), 'hex');
+    } else if (!manifest.root) {
+      throw new Error(`Vault at ${vaultPath} has no root secret (written by the prototype scripts), so keys cannot be added to it`);
+    } else {
+      throw new Error(`Unsupported vault root protection: ${root.protection}`);
+    }
+
+    this.rootKey = rootKey;
+    this.rootVaultPath = vaultPath;
+    return rootKey;
+  }
+
+  async deriveWrappingKey(manifest, keyName) {
+    const rootKey = await this.getRootKey(manifest);
+    return Buffer.from(crypto.hkdfSync('sha256', rootKey, manifest.vaultId, `wrap:${keyName}`, 32));
+  }
+
+  async wrapKey(keyName, privateKey, publicKey, algorithm = 'ES256') {
+    const manifest = await this.ensureVault();
+    const keyId = crypto.randomUUID();
+    const wrappingKey = await this.deriveWrappingKey(manifest, keyName);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+    cipher.setAAD(Buffer.from(keyId, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+    const envelope = {
+      keyId: keyId,
+      keyName: keyName,
+      algorithm: algorithm,
+      created: new Date().toISOString(),
+      wrapped: true,
+      encryptedData: {
+        algorithm: ENCRYPTION_ALGORITHM,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+      },
+      publicKey: keyFormats.toSpkiPem(publicKey),
+      metadata: {
+        purpose: 'signing',
+        keyType: signatureAlgorithms.getAlgorithm(algorithm).label
+      }
+    };
+
+    await this.updateIndex(async index => {
+      if (index.keys[keyName]) {
+        throw new Error(`Vault key already exists: ${keyName}`);
+      }
+      await this.writeJson(this.getKeyPath(keyId), envelope);
+      index.keys[keyName] = { keyId: keyId, created: envelope.created, algorithm: algorithm };
+    });
+
+    logger.info(`Wrapped key ${keyName} into vault as ${keyId}`);
+    return this.describeKey(envelope);
+  }
+
+  async unwrapKey(keyId) {
+    const { envelope } = await this.findEnvelope(keyId);
+    if (isPrototypeEnvelope(envelope)) {
+      return unwrapPrototypeKey(envelope);
+    }
+
+    const manifest = await this.getManifest();
+    const { iv, tag, ciphertext } = envelope.encryptedData;
+
+    const wrappingKey = await this.deriveWrappingKey(manifest, envelope.keyName);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(keyId, 'utf8'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    try {
+      return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error(`Could not unwrap vault key ${keyId}`);
+    }
+  }
+
+  async generateKey(keyName, options = {}) {
+    const algorithm = options.algorithm || 'ES256';
+    const { publicKey, privateKey } = signatureAlgorithms.generateKeyPair(algorithm, options);
+    return this.wrapKey(keyName, privateKey, publicKey, algorithm);
+  }
+
+  async listKeys() {
+    if (!(await this.exists())) {
+      return [];
+    }
+    const keys = [];
+    for (const file of await this.getEnvelopeFiles()) {
+      keys.push(this.describeKey(await this.readJson(file)));
+    }
+    return keys.sort((a, b) => a.created.localeCompare(b.created));
+  }
+
+  async deleteKey(keyId) {
+    const { file, envelope } = await this.findEnvelope(keyId);
+    await fs.rm(file, { force: true });
+
+    await this.updateIndex(index => {
+      if (index.keys[envelope.keyName] && index.keys[envelope.keyName].keyId === keyId) {
+        delete index.keys[envelope.keyName];
+      }
+    });
+
+    logger.info(`Deleted vault key ${envelope.keyName} (${keyId})`);
+    return true;
+  }
+
+  // Everything but the ciphertext
+  describeKey(envelope) {
+    if (isPrototypeEnvelope(envelope)) {
+      return {
+        keyId: envelope.keyId,
+        keyName: envelope.keyName,
+        algorithm: PROTOTYPE_ALGORITHMS[envelope.algorithm] || envelope.algorithm,
+        created: envelope.created,
+        publicKey: crypto.createPublicKey({ key: prototypePublicJwk(envelope), format: 'jwk' })
+          .export({ type: 'spki', format: 'pem' }),
+        metadata: { ...envelope.metadata, wrapMethod: envelope.wrapMethod }
+      };
+    }
+    return {
+      keyId: envelope.keyId,
+      keyName: envelope.keyName,
+      algorithm: envelope.algorithm,
+      created: envelope.created,
+      publicKey: envelope.publicKey,
+      metadata: envelope.metadata
+    };
+  }
+
+  lock() {
+    if (this.rootKey) {
+      this.rootKey.fill(0);
+    }
+    this.rootKey = null;
+    this.rootVaultPath = null;
+  }
+}
+
+module.exports = new VaultService();
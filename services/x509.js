@@ -0,0 +1,579 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const keyFormats = require('./keyFormats');
+const signatureAlgorithms = require('./signatureAlgorithms');
+
+const asn1 = forge.asn1;
+const { Class, Type } = asn1;
+
+// forge only builds RSA requests, so PKCS#10 structures are assembled from
+// its ASN.1 primitives and signed by whichever backend holds the key
+const OIDS = {
+  commonName: '2.5.4.3',
+  countryName: '2.5.4.6',
+  organizationName: '2.5.4.10',
+  organizationalUnitName: '2.5.4.11',
+  extensionRequest: '1.2.840.113549.1.9.14',
+  keyUsage: '2.5.29.15',
+  basicConstraints: '2.5.29.19',
+  subjectKeyIdentifier: '2.5.29.14',
+  authorityKeyIdentifier: '2.5.29.35',
+  subjectAltName: '2.5.29.17',
+  crlNumber: '2.5.29.20',
+  crlReason: '2.5.29.21',
+  crlDistributionPoints: '2.5.29.31',
+  authorityInfoAccess: '1.3.6.1.5.5.7.1.1',
+  ocsp: '1.3.6.1.5.5.7.48.1',
+  extendedKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1',
+  clientAuth: '1.3.6.1.5.5.7.3.2',
+  codeSigning: '1.3.6.1.5.5.7.3.3',
+  emailProtection: '1.3.6.1.5.5.7.3.4',
+  timeStamping: '1.3.6.1.5.5.7.3.8',
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha384: '2.16.840.1.101.3.4.2.2',
+  sha512: '2.16.840.1.101.3.4.2.3',
+  'sha3-256': '2.16.840.1.101.3.4.2.8',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  rsassaPss: '1.2.840.113549.1.1.10',
+  mgf1: '1.2.840.113549.1.1.8',
+  ed25519: '1.3.101.112'
+};
+
+// Signature algorithm identifiers by key type and digest; the ALGORITHMS
+// table of signatureAlgorithms holds the ones for each algorithm's own digest
+const SIGNATURE_OIDS = {
+  EC: {
+    sha256: '1.2.840.10045.4.3.2',
+    sha384: '1.2.840.10045.4.3.3',
+    sha512: '1.2.840.10045.4.3.4',
+    'sha3-256': '2.16.840.1.101.3.4.3.10'
+  },
+  RSA: {
+    sha256: '1.2.840.113549.1.1.11',
+    sha384: '1.2.840.113549.1.1.12',
+    sha512: '1.2.840.113549.1.1.13',
+    'sha3-256': '2.16.840.1.101.3.4.3.14'
+  }
+};
+
+// CRLReason codes (RFC 5280, 5.3.1); 7 is unused
+const CRL_REASONS = {
+  unspecified: 0,
+  keyCompromise: 1,
+  cACompromise: 2,
+  affiliationChanged: 3,
+  superseded: 4,
+  cessationOfOperation: 5,
+  certificateHold: 6,
+  removeFromCRL: 8,
+  privilegeWithdrawn: 9,
+  aACompromise: 10
+};
+
+const KEY_USAGE_BITS = ['digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment', 'keyAgreement', 'keyCertSign', 'cRLSign'];
+
+function oid(value) {
+  return asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(value).getBytes());
+}
+
+function sequence(values) {
+  return asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, values);
+}
+
+function integer(value) {
+  return asn1.create(Class.UNIVERSAL, Type.INTEGER, false, asn1.integerToDer(value).getBytes());
+}
+
+function explicit(tag, value) {
+  return asn1.create(Class.CONTEXT_SPECIFIC, tag, true, [value]);
+}
+
+function fromBuffer(buffer) {
+  return asn1.fromDer(forge.util.createBuffer(buffer.toString('binary')));
+}
+
+function toBuffer(node) {
+  return Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+}
+
+// Subject in the order the CSRs have always used: CN, (OU,) O, C
+function createName(subject) {
+  const attributes = [
+    ['commonName', subject.commonName, Type.UTF8],
+    ['organizationalUnitName', subject.organizationalUnit, Type.UTF8],
+    ['organizationName', subject.organization, Type.UTF8],
+    ['countryName', subject.country, Type.PRINTABLESTRING]
+  ].filter(([, value]) => value);
+
+  return sequence(attributes.map(([name, value, type]) =>
+    asn1.create(Class.UNIVERSAL, Type.SET, true, [
+      sequence([oid(OIDS[name]), asn1.create(Class.UNIVERSAL, type, false, forge.util.encodeUtf8(value))])
+    ])
+  ));
+}
+
+function createKeyUsage(usages) {
+  let bits = 0;
+  KEY_USAGE_BITS.forEach((usage, index) => {
+    if (usages[usage]) {
+      bits |= 0x80 >> index;
+    }
+  });
+  // DER drops trailing zero bits, so the lowest set bit decides the unused bit count
+  const unusedBits = bits === 0 ? 0 : Math.log2(bits & -bits);
+  const bitString = asn1.create(Class.UNIVERSAL, Type.BITSTRING, false, String.fromCharCode(unusedBits, bits));
+
+  return sequence([
+    oid(OIDS.keyUsage),
+    asn1.create(Class.UNIVERSAL, Type.BOOLEAN, false, String.fromCharCode(0xff)),
+    asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, asn1.toDer(bitString).getBytes())
+  ]);
+}
+
+// Extension (RFC 5280, 4.1) around the DER of `value`
+function createExtension(id, value, critical = false) {
+  return sequence([
+    oid(id),
+    ...(critical ? [asn1.create(Class.UNIVERSAL, Type.BOOLEAN, false, String.fromCharCode(0xff))] : []),
+    asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, asn1.toDer(value).getBytes())
+  ]);
+}
+
+function createBasicConstraints(ca) {
+  const fields = ca ? [asn1.create(Class.UNIVERSAL, Type.BOOLEAN, false, String.fromCharCode(0xff))] : [];
+  return createExtension(OIDS.basicConstraints, sequence(fields), true);
+}
+
+// Purposes by name (OIDS) or OID
+function createExtendedKeyUsage(purposes, critical = false) {
+  return createExtension(OIDS.extendedKeyUsage, sequence(purposes.map(purpose => oid(OIDS[purpose] || purpose))), critical);
+}
+
+// RFC 5280, 4.2.1.2 method 1: SHA-1 of the subjectPublicKey bits
+function createKeyIdentifier(publicKey) {
+  const spki = asn1.fromDer(forge.util.createBuffer(keyFormats.toSpkiDer(publicKey).toString('binary')), { decodeBitStrings: false });
+  const bits = Buffer.from(spki.value[1].value, 'binary').subarray(1);
+  return crypto.createHash('sha1').update(bits).digest();
+}
+
+function createSubjectKeyIdentifier(keyIdentifier) {
+  return createExtension(OIDS.subjectKeyIdentifier,
+    asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, keyIdentifier.toString('binary')));
+}
+
+function createAuthorityKeyIdentifier(keyIdentifier) {
+  return createExtension(OIDS.authorityKeyIdentifier,
+    sequence([asn1.create(Class.CONTEXT_SPECIFIC, 0, false, keyIdentifier.toString('binary'))]));
+}
+
+function createSubjectAltName(dnsNames) {
+  return createExtension(OIDS.subjectAltName,
+    sequence(dnsNames.map(name => asn1.create(Class.CONTEXT_SPECIFIC, 2, false, name))));
+}
+
+function uriName(uri) {
+  return asn1.create(Class.CONTEXT_SPECIFIC, 6, false, uri);
+}
+
+function createCRLDistributionPoints(urls) {
+  return createExtension(OIDS.crlDistributionPoints, sequence(urls.map(url =>
+    sequence([explicit(0, asn1.create(Class.CONTEXT_SPECIFIC, 0, true, [uriName(url)]))])
+  )));
+}
+
+function createAuthorityInfoAccess(ocspUrls) {
+  return createExtension(OIDS.authorityInfoAccess, sequence(ocspUrls.map(url =>
+    sequence([oid(OIDS.ocsp), uriName(url)])
+  )));
+}
+
+// Digest AlgorithmIdentifier with absent parameters (RFC 5754)
+function createDigestAlgorithm(hashAlgorithm) {
+  return sequence([oid(OIDS[hashAlgorithm])]);
+}
+
+function createSignatureAlgorithm(name, hashAlgorithm = null) {
+  const algorithm = signatureAlgorithms.getAlgorithm(name);
+  const hash = signatureAlgorithms.resolveHashAlgorithm(name, hashAlgorithm);
+  const nullParameters = asn1.create(Class.UNIVERSAL, Type.NULL, false, '');
+
+  if (algorithm.keyType === 'RSA' && algorithm.padding === 'pss') {
+    // RSASSA-PSS-params: the digest, MGF1 with the same digest, salt as long as the digest
+    const digest = sequence([oid(OIDS[hash]), nullParameters]);
+    return sequence([
+      oid(algorithm.oid),
+      sequence([
+        explicit(0, digest),
+        explicit(1, sequence([oid(OIDS.mgf1), digest])),
+        explicit(2, integer(signatureAlgorithms.getHashLength(hash)))
+      ])
+    ]);
+  }
+  if (algorithm.keyType === 'RSA') {
+    return sequence([oid(SIGNATURE_OIDS.RSA[hash]), nullParameters]);
+  }
+  if (algorithm.keyType === 'EC') {
+    return sequence([oid(SIGNATURE_OIDS.EC[hash])]);
+  }
+  return sequence([oid(algorithm.oid)]);
+}
+
+// PKCS#10 request for `publicKey`. `sign` receives the DER of the
+// CertificationRequestInfo and resolves with the signature as hex, in the
+// encoding X.509 expects (DER for ECDSA, raw for RSA and Ed25519).
+async function createCSR({ subject, publicKey, algorithm = 'ES256', keyUsage, sign }) {
+  const usages = keyUsage || { digitalSignature: true, nonRepudiation: true };
+
+  const certificationRequestInfo = sequence([
+    integer(0),
+    createName(subject),
+    fromBuffer(keyFormats.toSpkiDer(publicKey)),
+    asn1.create(Class.CONTEXT_SPECIFIC, 0, true, [
+      sequence([
+        oid(OIDS.extensionRequest),
+        asn1.create(Class.UNIVERSAL, Type.SET, true, [sequence([createKeyUsage(usages)])])
+      ])
+    ])
+  ]);
+
+  const signature = Buffer.from(await sign(toBuffer(certificationRequestInfo)), 'hex');
+
+  const csr = sequence([
+    certificationRequestInfo,
+    createSignatureAlgorithm(algorithm),
+    asn1.create(Class.UNIVERSAL, Type.BITSTRING, false, '\x00' + signature.toString('binary'))
+  ]);
+
+  return toPem(toBuffer(csr), 'CERTIFICATE REQUEST');
+}
+
+// RFC 5280, 4.1.2.5: UTCTime through 2049, GeneralizedTime after
+function createTime(date) {
+  if (date.getUTCFullYear() < 2050) {
+    return asn1.create(Class.UNIVERSAL, Type.UTCTIME, false, asn1.dateToUtcTime(date));
+  }
+  return asn1.create(Class.UNIVERSAL, Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(date));
+}
+
+// A positive INTEGER from hex; a leading zero byte keeps values with the
+// high bit set positive
+function createSerialNumber(hex) {
+  const bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  const value = bytes[0] & 0x80 ? Buffer.concat([Buffer.alloc(1), bytes]) : bytes;
+  return asn1.create(Class.UNIVERSAL, Type.INTEGER, false, value.toString('binary'));
+}
+
+// An INTEGER node as hex without leading zeros, the way serial numbers are stored
+function readSerialNumber(node) {
+  return Buffer.from(node.value, 'binary').toString('hex').replace(/^0+(?=.)/, '');
+}
+
+function readTime(node) {
+  return node.type === Type.UTCTIME ? asn1.utcTimeToDate(node.value) : asn1.generalizedTimeToDate(node.value);
+}
+
+// X.509 v3 certificate. `issuer` and `subject` are Name nodes, `serialNumber`
+// a positive integer as a hex string, and `sign` receives the DER of the
+// TBSCertificate and resolves with the signature as hex, as for createCSR.
+async function createCertificate({
+  serialNumber,
+  issuer,
+  subject,
+  publicKey,
+  notBefore,
+  notAfter,
+  extensions = [],
+  algorithm = 'ES256',
+  hashAlgorithm = null,
+  sign
+}) {
+  const tbsCertificate = sequence([
+    explicit(0, integer(2)),
+    createSerialNumber(serialNumber),
+    createSignatureAlgorithm(algorithm, hashAlgorithm),
+    issuer,
+    sequence([createTime(notBefore), createTime(notAfter)]),
+    subject,
+    fromBuffer(keyFormats.toSpkiDer(publicKey)),
+    ...(extensions.length ? [explicit(3, sequence(extensions))] : [])
+  ]);
+
+  const signature = Buffer.from(await sign(toBuffer(tbsCertificate)), 'hex');
+
+  const certificate = sequence([
+    tbsCertificate,
+    createSignatureAlgorithm(algorithm, hashAlgorithm),
+    asn1.create(Class.UNIVERSAL, Type.BITSTRING, false, '\x00' + signature.toString('binary'))
+  ]);
+
+  return toPem(toBuffer(certificate), 'CERTIFICATE');
+}
+
+// CertificateList (RFC 5280, 5.1) as DER. `revoked` holds { serialNumber,
+// revocationDate, reason } with reason a CRL_REASONS name; unspecified
+// reasons are left out as the RFC recommends. `sign` is as for createCertificate.
+async function createCRL({
+  issuer,
+  thisUpdate,
+  nextUpdate,
+  crlNumber,
+  authorityKeyIdentifier,
+  revoked = [],
+  algorithm = 'ES256',
+  hashAlgorithm = null,
+  sign
+}) {
+  const entries = revoked.map(({ serialNumber, revocationDate, reason }) => {
+    const fields = [createSerialNumber(serialNumber), createTime(revocationDate)];
+    if (reason && reason !== 'unspecified') {
+      const code = asn1.create(Class.UNIVERSAL, Type.ENUMERATED, false, String.fromCharCode(CRL_REASONS[reason]));
+      fields.push(sequence([createExtension(OIDS.crlReason, code)]));
+    }
+    return sequence(fields);
+  });
+
+  const tbsCertList = sequence([
+    integer(1),
+    createSignatureAlgorithm(algorithm, hashAlgorithm),
+    issuer,
+    createTime(thisUpdate),
+    createTime(nextUpdate),
+    ...(entries.length ? [sequence(entries)] : []),
+    explicit(0, sequence([
+      createAuthorityKeyIdentifier(authorityKeyIdentifier),
+      createExtension(OIDS.crlNumber, createSerialNumber(crlNumber))
+    ]))
+  ]);
+
+  const signature = Buffer.from(await sign(toBuffer(tbsCertList)), 'hex');
+
+  return toBuffer(sequence([
+    tbsCertList,
+    createSignatureAlgorithm(algorithm, hashAlgorithm),
+    asn1.create(Class.UNIVERSAL, Type.BITSTRING, false, '\x00' + signature.toString('binary'))
+  ]));
+}
+
+// Extensions node to { oid: value node }
+function readExtensions(extensions) {
+  const values = {};
+  (extensions ? extensions.value : []).forEach((extension) => {
+    const value = extension.value[extension.value.length - 1].value;
+    values[asn1.derToOid(extension.value[0].value)] = asn1.fromDer(value);
+  });
+  return values;
+}
+
+// A CRL (PEM or DER) to its dates, number and entries. With `publicKey`,
+// `valid` tells whether the issuer's signature verifies.
+function readCRL(crl, { publicKey = null } = {}) {
+  const list = asn1.fromDer(forge.util.createBuffer(fromPem(crl).toString('binary')), { decodeBitStrings: false });
+  const [tbsCertList, signatureAlgorithm, signature] = list.value;
+  const fields = tbsCertList.value;
+  const offset = fields[0].type === Type.INTEGER ? 1 : 0;
+  const nextUpdate = fields[offset + 3] && [Type.UTCTIME, Type.GENERALIZEDTIME].includes(fields[offset + 3].type) ?
+    fields[offset + 3] : null;
+  const rest = fields.slice(offset + (nextUpdate ? 4 : 3));
+  const entries = rest.find(field => field.tagClass === Class.UNIVERSAL && field.type === Type.SEQUENCE);
+  const extensions = rest.find(field => field.tagClass === Class.CONTEXT_SPECIFIC && field.type === 0);
+  const crlNumber = readExtensions(extensions && extensions.value[0])[OIDS.crlNumber];
+
+  const result = {
+    thisUpdate: readTime(fields[offset + 2]),
+    nextUpdate: nextUpdate ? readTime(nextUpdate) : null,
+    crlNumber: crlNumber ? readSerialNumber(crlNumber) : null,
+    revoked: (entries ? entries.value : []).map((entry) => {
+      const reason = readExtensions(entry.value[2])[OIDS.crlReason];
+      const code = reason ? reason.value.charCodeAt(0) : CRL_REASONS.unspecified;
+      return {
+        serialNumber: readSerialNumber(entry.value[0]),
+        revocationDate: readTime(entry.value[1]),
+        reason: Object.keys(CRL_REASONS).find(name => CRL_REASONS[name] === code)
+      };
+    })
+  };
+  if (publicKey) {
+    const { algorithm, hashAlgorithm } = readSignatureAlgorithm(signatureAlgorithm, publicKey);
+    const signatureHex = Buffer.from(signature.value, 'binary').subarray(1).toString('hex');
+    result.valid = signatureAlgorithms.verifyData(toBuffer(tbsCertList), signatureHex, publicKey, algorithm, hashAlgorithm);
+  }
+  return result;
+}
+
+// Signature algorithm name and digest of an AlgorithmIdentifier, for
+// verifying with signatureAlgorithms; EC curves come from the key
+function readSignatureAlgorithm(node, publicKey) {
+  const id = asn1.derToOid(node.value[0].value);
+  if (id === OIDS.ed25519) {
+    return { algorithm: 'Ed25519', hashAlgorithm: null };
+  }
+  if (id === OIDS.rsassaPss) {
+    const digest = node.value[1].value.find(field => field.tagClass === Class.CONTEXT_SPECIFIC && field.type === 0);
+    // Absent parameters mean SHA-1, which is not supported
+    const digestOid = digest && asn1.derToOid(digest.value[0].value[0].value);
+    const hashAlgorithm = signatureAlgorithms.HASH_ALGORITHMS.find(name => OIDS[name] === digestOid);
+    if (!hashAlgorithm) {
+      throw new Error(`Unsupported RSASSA-PSS digest ${digestOid || 'sha1'}`);
+    }
+    return { algorithm: 'PS256', hashAlgorithm };
+  }
+  for (const [keyType, oids] of Object.entries(SIGNATURE_OIDS)) {
+    const hashAlgorithm = Object.keys(oids).find(name => oids[name] === id);
+    if (hashAlgorithm) {
+      return { algorithm: keyType === 'RSA' ? 'RS256' : signatureAlgorithms.algorithmForPublicKey(publicKey), hashAlgorithm };
+    }
+  }
+  throw new Error(`Unsupported signature algorithm ${id}`);
+}
+
+// A PKCS#10 request (PEM or DER): its subject Name node, public key as PEM
+// and whether its self-signature verifies
+function readCSR(csr) {
+  let request;
+  try {
+    request = asn1.fromDer(forge.util.createBuffer(fromPem(csr).toString('binary')), { decodeBitStrings: false });
+  } catch (error) {
+    throw new Error('Not a valid certificate request');
+  }
+  const [certificationRequestInfo, signatureAlgorithm, signature] = request.value;
+
+  const publicKey = crypto.createPublicKey({ key: toBuffer(certificationRequestInfo.value[2]), format: 'der', type: 'spki' })
+    .export({ type: 'spki', format: 'pem' });
+  const { algorithm, hashAlgorithm } = readSignatureAlgorithm(signatureAlgorithm, publicKey);
+  const signatureHex = Buffer.from(signature.value, 'binary').subarray(1).toString('hex');
+
+  return {
+    subject: certificationRequestInfo.value[1],
+    publicKey,
+    valid: signatureAlgorithms.verifyData(toBuffer(certificationRequestInfo), signatureHex, publicKey, algorithm, hashAlgorithm)
+  };
+}
+
+// The subject Name node of a certificate (PEM or DER)
+function readSubjectName(certificate) {
+  const tbsCertificate = fromBuffer(fromPem(certificate)).value[0];
+  const offset = tbsCertificate.value[0].tagClass === Class.CONTEXT_SPECIFIC ? 1 : 0;
+  return tbsCertificate.value[offset + 4];
+}
+
+// The common name in a Name node, or null
+function readCommonName(name) {
+  for (const rdn of name.value) {
+    const [type, value] = rdn.value[0].value;
+    if (asn1.derToOid(type.value) === OIDS.commonName) {
+      return forge.util.decodeUtf8(value.value);
+    }
+  }
+  return null;
+}
+
+// The extended key usage of a certificate (PEM or DER): its purpose OIDs and
+// whether the extension is critical, or null when it has none
+function readExtendedKeyUsage(certificate) {
+  const tbsCertificate = fromBuffer(fromPem(certificate)).value[0];
+  const extensions = tbsCertificate.value.find(field => field.tagClass === Class.CONTEXT_SPECIFIC && field.type === 3);
+  const extension = extensions && extensions.value[0].value.find(entry => asn1.derToOid(entry.value[0].value) === OIDS.extendedKeyUsage);
+  if (!extension) {
+    return null;
+  }
+
+  const critical = extension.value.length === 3 && extension.value[1].value !== '\x00';
+  const purposes = asn1.fromDer(extension.value[extension.value.length - 1].value).value;
+  return {
+    critical,
+    purposes: purposes.map(purpose => asn1.derToOid(purpose.value))
+  };
+}
+
+// Every certificate in PEM text (a chain or bundle), or the one certificate
+// of DER or base64 DER, as DER buffers in order
+function readCertificates(value) {
+  const blocks = Buffer.isBuffer(value) ? null : value.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+  const ders = blocks ? blocks.map(block => fromPem(block)) : [fromPem(value)];
+
+  ders.forEach((der, index) => {
+    try {
+      new crypto.X509Certificate(der);
+    } catch (error) {
+      throw new Error(ders.length > 1 ? `Certificate ${index + 1} is not a valid X.509 certificate` : 'Not a valid X.509 certificate');
+    }
+  });
+  return ders;
+}
+
+// What a certificate says, for display: subject and issuer in the
+// "CN=...\nO=..." form of crypto.X509Certificate, the serial number as stored
+// in the CA index, and extended key usages by name where they have one
+function describeCertificate(certificate) {
+  const der = fromPem(certificate);
+  const parsed = new crypto.X509Certificate(der);
+  const purposes = parsed.keyUsage || [];
+
+  return {
+    subject: parsed.subject,
+    issuer: parsed.issuer,
+    serialNumber: parsed.serialNumber.toLowerCase().replace(/^0+(?=.)/, ''),
+    notBefore: new Date(parsed.validFrom),
+    notAfter: new Date(parsed.validTo),
+    extendedKeyUsage: purposes.map(purpose => Object.keys(OIDS).find(name => OIDS[name] === purpose) || purpose),
+    ca: parsed.ca,
+    fingerprint: crypto.createHash('sha256').update(der).digest('hex')
+  };
+}
+
+function toPem(der, label) {
+  const body = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----\n`;
+}
+
+// PEM (any label) or DER to DER
+function fromPem(value) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  return Buffer.from(value.replace(/-----[^-]+-----|\s/g, ''), 'base64');
+}
+
+module.exports = {
+  OIDS,
+  SIGNATURE_OIDS,
+  CRL_REASONS,
+  oid,
+  sequence,
+  integer,
+  explicit,
+  fromBuffer,
+  toBuffer,
+  createName,
+  createExtension,
+  createKeyUsage,
+  createBasicConstraints,
+  createExtendedKeyUsage,
+  createKeyIdentifier,
+  createSubjectKeyIdentifier,
+  createAuthorityKeyIdentifier,
+  createSubjectAltName,
+  createCRLDistributionPoints,
+  createAuthorityInfoAccess,
+  createDigestAlgorithm,
+  createSignatureAlgorithm,
+  createCSR,
+  createSerialNumber,
+  createTime,
+  createCertificate,
+  createCRL,
+  readSerialNumber,
+  readTime,
+  readSignatureAlgorithm,
+  readCSR,
+  readCRL,
+  readCertificates,
+  describeCertificate,
+  readSubjectName,
+  readCommonName,
+  readExtendedKeyUsage,
+  toPem,
+  fromPem
+};
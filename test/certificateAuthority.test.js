@@ -0,0 +1,260 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const x509 = require('../services/x509');
+const ocsp = require('../services/ocsp');
+const tpmService = require('../services/tpmService');
+const certificateAuthority = require('../services/certificateAuthority');
+const timestampAuthority = require('../services/timestampAuthority');
+const signatureAlgorithms = require('../services/signatureAlgorithms');
+const TPMKey = require('../models/TPMKey');
+const Counter = require('../models/Counter');
+const Certificate = require('../models/Certificate');
+
+describe('Certificate Authority', () => {
+  const settings = {
+    keyId: 'ca-key',
+    subject: { commonName: 'Test Root CA', organization: 'ZANDD', country: 'US' },
+    validityDays: 30,
+    rootValidityDays: 3650,
+    baseUrl: null,
+    crlDays: 7,
+    crlRefreshHours: 24
+  };
+  let sandbox;
+  let caKey;
+  let serial;
+
+  function createKey(name, keyType) {
+    const keyPair = signatureAlgorithms.generateKeyPair(keyType);
+    return {
+      _id: `${name}-id`,
+      name,
+      backend: 'software',
+      keyType,
+      publicKey: keyPair.publicKey,
+      tpmHandle: keyPair.privateKey,
+      certificateRequest: null,
+      certificate: null,
+      status: 'active',
+      save: sinon.stub().resolves()
+    };
+  }
+
+  async function createRequest(key, commonName = 'host.example') {
+    return x509.createCSR({
+      subject: { commonName, organization: 'ZANDD' },
+      publicKey: key.publicKey,
+      algorithm: key.keyType,
+      sign: data => tpmService.signData(data, key)
+    });
+  }
+
+  function parse(pem) {
+    return new crypto.X509Certificate(x509.fromPem(pem));
+  }
+
+  beforeEach(() => {
+    serial = 0;
+    caKey = createKey('ca', 'ES256');
+    sandbox = sinon.createSandbox();
+    sandbox.stub(certificateAuthority, 'getSettings').returns(settings);
+    sandbox.stub(TPMKey, 'findById').resolves(caKey);
+    sandbox.stub(Counter, 'findOneAndUpdate').callsFake(async () => ({ value: ++serial }));
+    sandbox.stub(Certificate, 'create').callsFake(async record => record);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should self-sign a root certificate for the CA key once', async () => {
+    const record = await certificateAuthority.createRoot();
+    const root = parse(caKey.certificate);
+
+    expect(record).to.include({ serialNumber: '1', profile: 'ca', subject: 'CN=Test Root CA\nO=ZANDD\nC=US' });
+    expect(root.ca).to.be.true;
+    expect(root.verify(root.publicKey)).to.be.true;
+    expect(root.checkIssued(root)).to.be.true;
+
+    try {
+      await certificateAuthority.createRoot();
+      expect.fail('createRoot should have failed');
+    } catch (error) {
+      expect(error.status).to.equal(409);
+    }
+  });
+
+  it('should issue certificates for the stored CSR of a key', async () => {
+    await certificateAuthority.createRoot();
+    const key = createKey('server', 'PS256');
+    key.certificateRequest = await createRequest(key);
+
+    const record = await certificateAuthority.issueForKey(key, { profile: 'server', dnsNames: ['api.example'] });
+    const certificate = parse(key.certificate);
+    const root = parse(caKey.certificate);
+
+    expect(record).to.include({ serialNumber: '2', profile: 'server', keyId: 'server-id', issuer: 'CN=Test Root CA\nO=ZANDD\nC=US' });
+    expect(certificate.ca).to.be.false;
+    expect(certificate.verify(root.publicKey)).to.be.true;
+    expect(certificate.checkIssued(root)).to.be.true;
+    expect(certificate.subjectAltName).to.equal('DNS:host.example, DNS:localhost, DNS:api.example');
+    expect(certificate.keyUsage).to.deep.equal([x509.OIDS.serverAuth]);
+    expect(new Date(certificate.validTo) - new Date(certificate.validFrom)).to.equal(30 * 24 * 60 * 60 * 1000);
+    expect(key.save.calledOnce).to.be.true;
+  });
+
+  it('should issue time-stamping certificates the TSA accepts', async () => {
+    await certificateAuthority.createRoot();
+    const tsaKey = createKey('tsa', 'Ed25519');
+
+    const record = await certificateAuthority.issue({ csr: await createRequest(tsaKey, 'Test TSA'), profile: 'timeStamping' });
+
+    expect(() => timestampAuthority.checkCertificate({ ...tsaKey, certificate: record.certificate })).to.not.throw();
+    expect(record.keyId).to.be.null;
+  });
+
+  it('should refuse requests it cannot certify', async () => {
+    await certificateAuthority.createRoot();
+    const key = createKey('client', 'ES256');
+    const other = createKey('other', 'ES256');
+    key.certificateRequest = await createRequest(other);
+
+    const csr = await createRequest(key);
+    const failures = [
+      () => certificateAuthority.issue({ csr: 'not a request' }),
+      () => certificateAuthority.issue({ csr, profile: 'root' }),
+      () => certificateAuthority.issue({ csr, validityDays: 0 }),
+      () => certificateAuthority.issueForKey(key)
+    ];
+
+    for (const failure of failures) {
+      try {
+        await failure();
+        expect.fail('issuing should have failed');
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+    }
+    expect(Certificate.create.calledOnce).to.be.true;
+  });
+
+  it('should check the signature of certificate requests', async () => {
+    const csr = await createRequest(createKey('client', 'ES256'));
+    const tampered = x509.fromPem(csr);
+    tampered[tampered.length - 1] ^= 0x01;
+
+    expect(x509.readCSR(csr).valid).to.be.true;
+    expect(x509.readCSR(tampered).valid).to.be.false;
+  });
+
+  it('should need a CA certificate before issuing', async () => {
+    const key = createKey('client', 'ES256');
+
+    try {
+      await certificateAuthority.issue({ csr: await createRequest(key) });
+      expect.fail('issue should have failed');
+    } catch (error) {
+      expect(error.status).to.equal(503);
+      expect(error.message).to.include('has no certificate yet');
+    }
+  });
+
+  describe('revocation', () => {
+    let issued;
+
+    // An index of the issued certificates, enough for revoke, the CRL and OCSP
+    beforeEach(async () => {
+      issued = [];
+      Certificate.create.callsFake(async (record) => {
+        const saved = { _id: `certificate-${issued.length}`, status: 'valid', ...record, save: sinon.stub().resolves() };
+        issued.push(saved);
+        return saved;
+      });
+      sandbox.stub(Certificate, 'findById').callsFake(async id => issued.find(record => record._id === id) || null);
+      sandbox.stub(Certificate, 'findOne').callsFake(async query => issued.find(record =>
+        Object.keys(query).every(field => String(record[field]) === String(query[field]))) || null);
+      sandbox.stub(Certificate, 'find').returns({
+        sort: async () => issued.filter(record => record.status === 'revoked')
+      });
+
+      await certificateAuthority.createRoot();
+      for (const name of ['first', 'second', 'third']) {
+        await certificateAuthority.issue({ csr: await createRequest(createKey(name, 'ES256'), name) });
+      }
+      certificateAuthority.crl = null;
+    });
+
+    it('should list revoked certificates in a signed CRL', async () => {
+      await certificateAuthority.revoke('certificate-1', 'keyCompromise');
+      await certificateAuthority.revoke('certificate-2');
+
+      const crl = x509.readCRL((await certificateAuthority.getCrl()).der, { publicKey: caKey.publicKey });
+
+      expect(crl.valid).to.be.true;
+      expect(crl.nextUpdate - crl.thisUpdate).to.equal(7 * 24 * 60 * 60 * 1000);
+      expect(crl.revoked.map(({ serialNumber, reason }) => ({ serialNumber, reason }))).to.deep.equal([
+        { serialNumber: '2', reason: 'keyCompromise' },
+        { serialNumber: '3', reason: 'unspecified' }
+      ]);
+      expect(await certificateAuthority.getCrl()).to.equal(certificateAuthority.crl);
+    });
+
+    it('should refuse revocations it cannot record', async () => {
+      await certificateAuthority.revoke('certificate-1', 'superseded');
+
+      const failures = [
+        [() => certificateAuthority.revoke('certificate-1'), 409],
+        [() => certificateAuthority.revoke('certificate-2', 'certificateHold'), 400],
+        [() => certificateAuthority.revoke('certificate-0'), 400],
+        [() => certificateAuthority.revoke('certificate-9'), 404]
+      ];
+      for (const [failure, status] of failures) {
+        try {
+          await failure();
+          expect.fail('revoke should have failed');
+        } catch (error) {
+          expect(error.status).to.equal(status);
+        }
+      }
+    });
+
+    it('should answer OCSP requests for its certificates', async () => {
+      await certificateAuthority.revoke('certificate-1', 'keyCompromise');
+      const nonce = crypto.randomBytes(16);
+      const request = ocsp.createRequest(caKey.certificate, ['2', '3', 'ff'], { hashAlgorithm: 'sha256', nonce });
+
+      const response = ocsp.parseResponse(await certificateAuthority.respondOcsp(request), { publicKey: caKey.publicKey });
+
+      expect(response).to.include({ status: 'successful', valid: true });
+      expect(response.nonce.equals(nonce)).to.be.true;
+      expect(response.responses.map(({ serialNumber, status, reason }) => ({ serialNumber, status, reason }))).to.deep.equal([
+        { serialNumber: '2', status: 'revoked', reason: 'keyCompromise' },
+        { serialNumber: '3', status: 'good', reason: undefined },
+        { serialNumber: 'ff', status: 'unknown', reason: undefined }
+      ]);
+    });
+
+    it('should call certificates of other issuers unknown', async () => {
+      const otherIssuer = (await certificateAuthority.issue({ csr: await createRequest(createKey('other', 'ES256')) })).certificate;
+
+      const response = ocsp.parseResponse(await certificateAuthority.respondOcsp(ocsp.createRequest(otherIssuer, ['2'])));
+      const malformed = ocsp.parseResponse(await certificateAuthority.respondOcsp(Buffer.from('not a request')));
+
+      expect(response.responses[0].status).to.equal('unknown');
+      expect(malformed).to.deep.equal({ status: 'malformedRequest', responses: [] });
+    });
+
+    it('should report the revocation status of certificates it issued', async () => {
+      await certificateAuthority.revoke('certificate-3', 'cessationOfOperation');
+
+      expect(await certificateAuthority.revocationStatus(issued[3].certificate)).to.include({
+        serialNumber: '4',
+        status: 'revoked',
+        reason: 'cessationOfOperation'
+      });
+      expect(await certificateAuthority.revocationStatus(issued[2].certificate)).to.include({ status: 'valid' });
+      expect(await certificateAuthority.revocationStatus(createKey('x', 'ES256').publicKey)).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const cbor = require('../services/cbor');
+const cose = require('../services/cose');
+const signatureAlgorithms = require('../services/signatureAlgorithms');
+
+describe('COSE', () => {
+  describe('CBOR', () => {
+    // Examples from RFC 8949 Appendix A
+    [
+      [0, '00'],
+      [23, '17'],
+      [24, '1818'],
+      [1000, '1903e8'],
+      [1000000, '1a000f4240'],
+      [-1, '20'],
+      [-1000, '3903e7'],
+      ['IETF', '6449455446'],
+      ['ü', '62c3bc'],
+      [[1, [2, 3], [4, 5]], '8301820203820405'],
+      [new Map([[1, 2], [3, 4]]), 'a201020304'],
+      [null, 'f6'],
+      [true, 'f5']
+    ].forEach(([value, hex]) => {
+      it(`should encode and decode ${hex}`, () => {
+        expect(cbor.encode(value).toString('hex')).to.equal(hex);
+        expect(cbor.decode(Buffer.from(hex, 'hex'))).to.deep.equal(value);
+      });
+    });
+
+    it('should handle byte strings and tags', () => {
+      const encoded = cbor.encode(new cbor.Tagged(18, [Buffer.from([1, 2])]));
+
+      expect(encoded.toString('hex')).to.equal('d281420102');
+      expect(cbor.decode(encoded)).to.deep.equal(new cbor.Tagged(18, [Buffer.from([1, 2])]));
+    });
+
+    it('should sort map keys by their encoding', () => {
+      expect(cbor.encode(new Map([[4, 'a'], [1, 'b'], [-1, 'c']])).toString('hex')).to.equal('a3016162046161206163');
+    });
+
+    it('should reject truncated and trailing data', () => {
+      expect(() => cbor.decode(Buffer.from('1903', 'hex'))).to.throw('Truncated CBOR data');
+      expect(() => cbor.decode(Buffer.from('0000', 'hex'))).to.throw('Unexpected data after CBOR item');
+    });
+  });
+
+  describe('COSE_Sign1', () => {
+    const payload = 'This is the content.';
+
+    function signer(privateKey, algorithm) {
+      return async data => signatureAlgorithms.signData(data, privateKey, algorithm);
+    }
+
+    it('should verify the ECDSA example of RFC 9052 (C.2.1)', async () => {
+      const message = Buffer.from(
+        'd28443a10126a10442313154546869732069732074686520636f6e74656e742e58408eb33e4ca31d1c465ab05aac34cc6b23' +
+        'd58fef5c083106c4d25a91aef0b0117e2af9a291aa32e14ab834dc56ed2a223444547e01f11d3b0916e5a4c345cacb36',
+        'hex'
+      );
+      const publicKey = {
+        kty: 'EC',
+        crv: 'P-256',
+        x: Buffer.from('bac5b11cad8f99f9c72b05cf4b9e26d244dc189f745228255a219a86d6a09eff', 'hex').toString('base64url'),
+        y: Buffer.from('20138bf82dc1b6d562be0fa54ab7804a3a64b6d72ccfed6b6fb6ed28bbfc117e', 'hex').toString('base64url')
+      };
+
+      const result = await cose.verifySign1(message, { resolveKey: async () => ({ publicKey }) });
+
+      expect(result).to.include({ valid: true, kid: '11', algorithm: 'ES256' });
+      expect(result.payload.toString()).to.equal(payload);
+    });
+
+    signatureAlgorithms.SIGNATURE_ALGORITHMS.forEach((name) => {
+      it(`should sign and verify ${name} messages`, async () => {
+        const keyPair = signatureAlgorithms.generateKeyPair(name);
+        const message = await cose.createSign1({ payload, algorithm: name, kid: 'key-1', sign: signer(keyPair.privateKey, name) });
+        const parsed = cose.parseSign1(message);
+
+        expect(parsed.protectedHeader.get(cose.HEADERS.alg)).to.equal(signatureAlgorithms.getAlgorithm(name).cose);
+        expect(parsed.protectedHeader.get(cose.HEADERS.kid).toString()).to.equal('key-1');
+
+        const result = await cose.verifySign1(message, { resolveKey: async () => ({ publicKey: keyPair.publicKey, algorithm: name }) });
+        expect(result).to.include({ valid: true, kid: 'key-1', algorithm: name });
+      });
+    });
+
+    describe('detached payloads and failures', () => {
+      let keyPair;
+      let resolveKey;
+
+      before(() => {
+        keyPair = signatureAlgorithms.generateKeyPair('ES256');
+        resolveKey = async () => ({ publicKey: keyPair.publicKey });
+      });
+
+      it('should leave out detached payloads and verify them when supplied', async () => {
+        const message = await cose.createSign1({ payload, algorithm: 'ES256', detached: true, sign: signer(keyPair.privateKey, 'ES256') });
+
+        expect(cose.parseSign1(message).payload).to.be.null;
+        expect(await cose.verifySign1(message, { payload, resolveKey })).to.include({ valid: true, detached: true });
+        expect((await cose.verifySign1(message, { payload: 'other', resolveKey })).valid).to.be.false;
+      });
+
+      it('should require the payload of detached messages', async () => {
+        const message = await cose.createSign1({ payload, algorithm: 'ES256', detached: true, sign: signer(keyPair.privateKey, 'ES256') });
+
+        try {
+          await cose.verifySign1(message, { resolveKey });
+          expect.fail('verifySign1 should have failed');
+        } catch (error) {
+          expect(error.message).to.equal('The COSE payload is detached and was not supplied');
+        }
+      });
+
+      it('should reject messages of another key algorithm', async () => {
+        const message = await cose.createSign1({ payload, algorithm: 'ES256', sign: signer(keyPair.privateKey, 'ES256') });
+
+        const result = await cose.verifySign1(message, { resolveKey: async () => ({ publicKey: keyPair.publicKey, algorithm: 'ES384' }) });
+
+        expect(result).to.include({ valid: false, error: 'Key is not a ES256 key' });
+      });
+
+      it('should reject other COSE messages', () => {
+        expect(() => cose.parseSign1(cbor.encode(new cbor.Tagged(98, [])))).to.throw('Not a COSE_Sign1 message (tag 98)');
+        expect(() => cose.parseSign1(cbor.encode([1, 2]))).to.throw('Invalid COSE_Sign1 structure');
+      });
+    });
+  });
+});
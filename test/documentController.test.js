@@ -0,0 +1,225 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const documentController = require('../controllers/documentController');
+const tpmService = require('../services/tpmService');
+const signatureAlgorithms = require('../services/signatureAlgorithms');
+const keyFormats = require('../services/keyFormats');
+const tsp = require('../services/tsp');
+const TPMKey = require('../models/TPMKey');
+const Signature = require('../models/Signature');
+
+describe('Document Controller', () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  function createResponse() {
+    const res = {
+      statusCode: 200,
+      status: (code) => {
+        res.statusCode = code;
+        return res;
+      },
+      json: (body) => {
+        res.body = body;
+        return res;
+      }
+    };
+    return res;
+  }
+
+  describe('signWithKey', () => {
+    const cngKey = { name: 'cng', backend: 'windows-cng', keyType: 'ES256' };
+
+    it('should refuse formats the key backend cannot sign before signing', async () => {
+      const refused = [
+        [{ format: 'cms' }, 'CMS'],
+        [{ format: 'cose' }, 'COSE'],
+        [{ format: 'pades' }, 'PAdES'],
+        [{ format: 'jws', detached: 'true' }, 'detached JWS']
+      ];
+
+      for (const [options, formatName] of refused) {
+        try {
+          await documentController.signWithKey({}, cngKey, options);
+          expect.fail('signWithKey should have failed');
+        } catch (error) {
+          expect(error.status).to.equal(400);
+          expect(error.message).to.equal(`Key cng is on the windows-cng backend, which cannot sign ${formatName} signatures`);
+        }
+      }
+    });
+  });
+
+  describe('readDigest', () => {
+    const digest = crypto.createHash('sha256').update('document').digest();
+
+    it('should read hex and base64 digests', () => {
+      const hex = digest.toString('hex');
+
+      expect(documentController.readDigest(hex, undefined, 'sha256')).to.equal(hex);
+      expect(documentController.readDigest(` ${hex.toUpperCase()}\n`, undefined, 'sha256')).to.equal(hex);
+      expect(documentController.readDigest(digest.toString('base64'), undefined, 'sha256')).to.equal(hex);
+      expect(documentController.readDigest(digest.toString('base64url'), 'base64', 'sha256')).to.equal(hex);
+    });
+
+    it('should take digests of hex digits as base64 when told to', () => {
+      // 64 hex digits are also the base64 of 48 bytes, a SHA-384 digest
+      const digits = digest.toString('hex');
+
+      expect(documentController.readDigest(digits, 'hex', 'sha256')).to.equal(digits);
+      expect(documentController.readDigest(digits, 'base64', 'sha384')).to.equal(Buffer.from(digits, 'base64').toString('hex'));
+      expect(() => documentController.readDigest(digits, undefined, 'sha384')).to.throw('sha384 digest of 48 bytes');
+    });
+
+    it('should refuse digests of the wrong length or form', () => {
+      const hex = digest.toString('hex');
+      const failures = [
+        [[undefined, undefined, 'sha256'], 'Digest is required'],
+        [['  ', undefined, 'sha256'], 'Digest is required'],
+        [[hex.slice(1), undefined, 'sha256'], 'sha256 digest of 32 bytes'],
+        [[hex, undefined, 'sha384'], 'sha384 digest of 48 bytes'],
+        [[digest.toString('base64'), 'hex', 'sha256'], 'sha256 digest of 32 bytes'],
+        [['not a digest!', undefined, 'sha256'], 'sha256 digest of 32 bytes'],
+        [[hex, 'binary', 'sha256'], 'Unsupported digest encoding: binary']
+      ];
+
+      for (const [args, message] of failures) {
+        expect(() => documentController.readDigest(...args)).to.throw(message);
+      }
+    });
+  });
+
+  describe('signHash', () => {
+    const data = Buffer.from('a file that stays with the client');
+    let key;
+
+    function createKey(backend = 'software') {
+      const keyPair = signatureAlgorithms.generateKeyPair('ES256');
+      return {
+        _id: '64b7f0c2a1b2c3d4e5f60718',
+        name: 'digest-key',
+        backend,
+        keyType: 'ES256',
+        status: 'active',
+        publicKey: keyPair.publicKey,
+        tpmHandle: keyPair.privateKey,
+        usageCount: 0,
+        save: sinon.stub().resolves()
+      };
+    }
+
+    function request() {
+      return {
+        body: {
+          keyId: key._id,
+          digest: crypto.createHash('sha256').update(data).digest('base64')
+        }
+      };
+    }
+
+    beforeEach(() => {
+      key = createKey();
+      sandbox.stub(TPMKey, 'findById').callsFake(async () => key);
+      sandbox.stub(Signature.prototype, 'save').resolves();
+    });
+
+    it('should return signatures that verify over the digest', async () => {
+      const res = createResponse();
+
+      await documentController.signHash(request(), res);
+      const { signature } = res.body;
+      const publicKey = keyFormats.toPublicKeyObject(key.publicKey);
+
+      expect(res.statusCode).to.equal(200);
+      expect(signature).to.include({ algorithm: 'ES256', hashAlgorithm: 'sha256' });
+      expect(signature.digest).to.equal(crypto.createHash('sha256').update(data).digest('hex'));
+      expect(crypto.verify('sha256', data, publicKey, Buffer.from(signature.signature, 'hex'))).to.be.true;
+      expect(crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signature.p1363, 'hex'))).to.be.true;
+      expect(Buffer.from(signature.signatureBase64url, 'base64url').toString('hex')).to.equal(signature.p1363);
+      expect(signature).to.not.have.any.keys('der', 'jws');
+      expect(key.usageCount).to.equal(1);
+    });
+
+    it('should return the raw signature of RSA keys without a P1363 form', async () => {
+      const keyPair = signatureAlgorithms.generateKeyPair('RS256');
+      key = { ...createKey(), keyType: 'RS256', publicKey: keyPair.publicKey, tpmHandle: keyPair.privateKey };
+      const res = createResponse();
+
+      await documentController.signHash(request(), res);
+      const { signature } = res.body;
+
+      expect(signature).to.not.have.property('p1363');
+      expect(Buffer.from(signature.signatureBase64url, 'base64url').toString('hex')).to.equal(signature.signature);
+      expect(crypto.verify('sha256', data, keyFormats.toPublicKeyObject(key.publicKey),
+        Buffer.from(signature.signature, 'hex'))).to.be.true;
+    });
+
+    it('should refuse keys that cannot sign a digest', async () => {
+      key = createKey('windows-cng');
+      const res = createResponse();
+
+      await documentController.signHash(request(), res);
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal('Key digest-key is on the windows-cng backend, which cannot sign a digest');
+      expect(Signature.prototype.save.called).to.be.false;
+    });
+
+    it('should record nothing when the signature cannot be converted', async () => {
+      sandbox.stub(tpmService, 'signDocument').resolves(crypto.randomBytes(64).toString('base64'));
+      const res = createResponse();
+
+      await documentController.signHash(request(), res);
+
+      expect(res.statusCode).to.equal(500);
+      expect(Signature.prototype.save.called).to.be.false;
+      expect(key.save.called).to.be.false;
+      expect(key.usageCount).to.equal(0);
+    });
+  });
+
+  describe('verifySignature', () => {
+    it('should check the time-stamp of a signature when called unbound', async () => {
+      const keyPair = signatureAlgorithms.generateKeyPair('ES256');
+      const key = { name: 'stamped', backend: 'software', keyType: 'ES256', publicKey: keyPair.publicKey, tpmHandle: keyPair.privateKey };
+      const documentHash = crypto.createHash('sha256').update('stamped').digest('hex');
+      const signature = await tpmService.signDocument(documentHash, key);
+      const record = {
+        _id: '64b7f0c2a1b2c3d4e5f60719',
+        documentId: null,
+        keyId: key,
+        signature,
+        format: 'raw',
+        algorithm: 'ES256',
+        hashAlgorithm: 'sha256',
+        documentHash,
+        timestamp: { token: Buffer.from('token').toString('base64') },
+        save: sinon.stub().resolves()
+      };
+      const query = {
+        populate: () => query,
+        then: (resolve, reject) => Promise.resolve(record).then(resolve, reject)
+      };
+      sandbox.stub(Signature, 'findById').returns(query);
+      sandbox.stub(tsp, 'verifyToken').returns({ valid: true, genTime: new Date() });
+      const { verifySignature } = documentController;
+      const res = createResponse();
+
+      await verifySignature({ params: { signatureId: record._id } }, res);
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body).to.include({ valid: true });
+      expect(tsp.verifyToken.firstCall.args[1].toString('hex')).to.equal(signature);
+      expect(record.verificationStatus).to.equal('valid');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const documentStore = require('../services/documentStore');
+
+describe('Document store', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('store', () => {
+    it('should keep small text documents as their content', async () => {
+      const stored = await documentStore.store(Buffer.from('Hello\n'), { fileName: 'a.txt', mimeType: 'text/plain', fileType: 'text' });
+
+      expect(stored).to.deep.equal({ storage: 'inline', content: 'Hello\n' });
+    });
+
+    it('should keep small binary documents as bytes', async () => {
+      const pdf = Buffer.from('%PDF-1.7\n\xe2\xe3', 'latin1');
+      const stored = await documentStore.store(pdf, { fileName: 'a.pdf', mimeType: 'application/pdf', fileType: 'pdf' });
+
+      expect(stored.storage).to.equal('inline');
+      expect(stored.data.equals(pdf)).to.be.true;
+    });
+
+    it('should put documents above the threshold in GridFS', async () => {
+      sinon.stub(documentStore, 'getThreshold').returns(4);
+      const upload = {
+        id: 'gridfs-id',
+        once(event, callback) {
+          if (event === 'finish') {
+            this.finish = callback;
+          }
+        },
+        end(buffer) {
+          this.written = buffer;
+          this.finish();
+        }
+      };
+      const openUploadStream = sinon.stub().returns(upload);
+      sinon.stub(documentStore, 'getBucket').returns({ openUploadStream });
+
+      const stored = await documentStore.store(Buffer.from('larger'), { fileName: 'big.bin', mimeType: 'application/octet-stream', fileType: 'binary' });
+
+      expect(stored).to.deep.equal({ storage: 'gridfs', gridFsId: 'gridfs-id' });
+      expect(openUploadStream.firstCall.args[0]).to.equal('big.bin');
+      expect(upload.written.toString()).to.equal('larger');
+    });
+  });
+
+  describe('storeFile', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'document-store-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should read uploads below the threshold into the document', async () => {
+      const filePath = path.join(directory, 'upload');
+      fs.writeFileSync(filePath, 'Hello\n');
+
+      const stored = await documentStore.storeFile(filePath, { fileName: 'a.txt', mimeType: 'text/plain', fileType: 'text', size: 6 });
+
+      expect(stored).to.deep.equal({ storage: 'inline', content: 'Hello\n' });
+    });
+
+    it('should stream larger uploads into GridFS', async () => {
+      sinon.stub(documentStore, 'getThreshold').returns(4);
+      const filePath = path.join(directory, 'upload');
+      fs.writeFileSync(filePath, 'larger');
+      const written = [];
+      const upload = new Writable({
+        write(chunk, encoding, next) {
+          written.push(chunk);
+          next();
+        }
+      });
+      upload.id = 'gridfs-id';
+      sinon.stub(documentStore, 'getBucket').returns({ openUploadStream: () => upload });
+
+      const stored = await documentStore.storeFile(filePath, { fileName: 'big.bin', mimeType: 'application/octet-stream', fileType: 'binary', size: 6 });
+
+      expect(stored).to.deep.equal({ storage: 'gridfs', gridFsId: 'gridfs-id' });
+      expect(Buffer.concat(written).toString()).to.equal('larger');
+    });
+  });
+
+  describe('digest', () => {
+    it('should hash the stored bytes', async () => {
+      const expected = crypto.createHash('sha384').update('Hello').digest('hex');
+
+      expect(await documentStore.digest({ fileType: 'text', content: 'Hello' }, 'sha384')).to.equal(expected);
+
+      sinon.stub(documentStore, 'getBucket').returns({
+        openDownloadStream: () => Readable.from([Buffer.from('Hel'), Buffer.from('lo')])
+      });
+      expect(await documentStore.digest({ fileType: 'binary', storage: 'gridfs', gridFsId: 'id' }, 'sha384')).to.equal(expected);
+    });
+  });
+
+  describe('readContent', () => {
+    it('should return text documents as strings and others as bytes', async () => {
+      expect(await documentStore.readContent({ fileType: 'json', storage: 'inline', content: '{"a":1}' })).to.equal('{"a":1}');
+
+      const bytes = await documentStore.readContent({ fileType: 'image', storage: 'inline', data: Buffer.from([1, 2, 3]) });
+      expect(Buffer.isBuffer(bytes)).to.be.true;
+      expect([...bytes]).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should accept the BSON Binary of lean queries', async () => {
+      const binary = { buffer: new Uint8Array([0xde, 0xad]) };
+
+      expect((await documentStore.readContent({ fileType: 'binary', data: binary })).toString('hex')).to.equal('dead');
+    });
+
+    it('should read documents from GridFS', async () => {
+      sinon.stub(documentStore, 'getBucket').returns({
+        openDownloadStream: () => Readable.from([Buffer.from('Hel'), Buffer.from('lo')])
+      });
+
+      expect(await documentStore.readContent({ fileType: 'text', storage: 'gridfs', gridFsId: 'id' })).to.equal('Hello');
+    });
+  });
+
+  describe('preview', () => {
+    it('should pretty-print JSON documents', async () => {
+      const preview = await documentStore.preview({ fileType: 'json', content: '{"a":1}', size: 7 });
+
+      expect(preview).to.deep.equal({ type: 'json', text: '{\n  "a": 1\n}', truncated: false });
+    });
+
+    it('should show a hex dump of binary documents', async () => {
+      const preview = await documentStore.preview({ fileType: 'archive', data: Buffer.from('PK\x03\x04abc', 'latin1'), size: 7 });
+
+      expect(preview.type).to.equal('hex');
+      expect(preview.text).to.equal(`00000000  ${'50 4b 03 04 61 62 63'.padEnd(47)}  PK..abc`);
+    });
+
+    it('should leave images and PDFs to the browser', async () => {
+      expect(await documentStore.preview({ fileType: 'pdf' })).to.deep.equal({ type: 'pdf', text: null, truncated: false });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { expect } = require('chai');
+const jcs = require('../services/jcs');
+
+describe('JCS', () => {
+  it('should canonicalize the example of RFC 8785 (3.2.2)', () => {
+    const input = JSON.parse(`{
+      "numbers": [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001],
+      "string": "\\u20ac$\\u000F\\u000aA'\\u0042\\u0022\\u005c\\\\\\"\\/",
+      "literals": [null, true, false]
+    }`);
+
+    expect(jcs.canonicalize(input)).to.equal(
+      '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+      '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+    );
+  });
+
+  it('should sort members by UTF-16 code units (3.2.3)', () => {
+    const input = {
+      '€': 'Euro Sign',
+      '\r': 'Carriage Return',
+      'דּ': 'Hebrew Letter Dalet With Dagesh',
+      '1': 'One',
+      '😀': 'Emoji: Grinning Face',
+      '\u0080': 'Control',
+      'ö': 'Latin Small Letter O With Diaeresis'
+    };
+
+    expect(jcs.canonicalize(input)).to.equal(
+      '{"\\r":"Carriage Return","1":"One","\u0080":"Control","ö":"Latin Small Letter O With Diaeresis",' +
+      '"€":"Euro Sign","😀":"Emoji: Grinning Face","דּ":"Hebrew Letter Dalet With Dagesh"}'
+    );
+  });
+
+  it('should serialise numbers like ECMAScript (Appendix B)', () => {
+    [
+      [0, '0'],
+      [-0, '0'],
+      [5e-324, '5e-324'],
+      [1.7976931348623157e308, '1.7976931348623157e+308'],
+      [9007199254740992, '9007199254740992'],
+      [295147905179352830000, '295147905179352830000'],
+      [1e21, '1e+21'],
+      [0.000001, '0.000001'],
+      [1e-7, '1e-7']
+    ].forEach(([value, expected]) => {
+      expect(jcs.canonicalize(value)).to.equal(expected);
+    });
+  });
+
+  it('should canonicalize nested structures without whitespace', () => {
+    expect(jcs.canonicalize({ b: [1, { d: true, c: null }], a: 'x' })).to.equal('{"a":"x","b":[1,{"c":null,"d":true}]}');
+  });
+
+  it('should reject values JSON cannot represent', () => {
+    expect(() => jcs.canonicalize(NaN)).to.throw('JCS cannot represent the number NaN');
+    expect(() => jcs.canonicalize(Infinity)).to.throw('JCS cannot represent the number Infinity');
+    expect(() => jcs.canonicalize('\ud800')).to.throw('JCS strings cannot contain lone surrogates');
+  });
+});
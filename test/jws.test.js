@@ -0,0 +1,205 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const jws = require('../services/jws');
+const signatureAlgorithms = require('../services/signatureAlgorithms');
+const keyFormats = require('../services/keyFormats');
+
+describe('JWS', () => {
+  const payload = '{"document":"jws test"}';
+
+  function signer(privateKey, algorithm) {
+    return async data => signatureAlgorithms.signData(data, privateKey, algorithm);
+  }
+
+  function resolver(publicKey, algorithm) {
+    return async () => ({ publicKey, algorithm });
+  }
+
+  signatureAlgorithms.SIGNATURE_ALGORITHMS.forEach((name) => {
+    describe(name, () => {
+      let keyPair;
+
+      before(() => {
+        keyPair = signatureAlgorithms.generateKeyPair(name);
+      });
+
+      it('should create compact JWS that standard verifiers accept', async () => {
+        const token = await jws.createJws({ payload, algorithm: name, kid: 'key-1', sign: signer(keyPair.privateKey, name) });
+        const [protectedSegment, payloadSegment, signature] = token.split('.');
+        const algorithm = signatureAlgorithms.getAlgorithm(name);
+        const key = keyFormats.toPublicKeyObject(keyPair.publicKey);
+        const options = algorithm.keyType === 'EC' ?
+          { key, dsaEncoding: 'ieee-p1363' } :
+          algorithm.padding === 'pss' ? { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 } : key;
+
+        expect(JSON.parse(Buffer.from(protectedSegment, 'base64url'))).to.deep.equal({ alg: algorithm.jws, kid: 'key-1' });
+        expect(Buffer.from(payloadSegment, 'base64url').toString()).to.equal(payload);
+        expect(crypto.verify(
+          algorithm.prehash === false ? null : algorithm.hash,
+          Buffer.from(`${protectedSegment}.${payloadSegment}`),
+          options,
+          Buffer.from(signature, 'base64url')
+        )).to.be.true;
+      });
+
+      it('should verify its own compact JWS', async () => {
+        const token = await jws.createJws({ payload, algorithm: name, sign: signer(keyPair.privateKey, name) });
+
+        const result = await jws.verifyJws(token, { resolveKey: resolver(keyPair.publicKey, name) });
+
+        expect(result.valid).to.be.true;
+        expect(result.payload.toString()).to.equal(payload);
+      });
+    });
+  });
+
+  describe('serializations', () => {
+    let keyPair;
+
+    before(() => {
+      keyPair = signatureAlgorithms.generateKeyPair('ES256');
+    });
+
+    it('should create flattened JSON JWS', async () => {
+      const token = await jws.createJws({ payload, algorithm: 'ES256', serialization: 'json', sign: signer(keyPair.privateKey, 'ES256') });
+
+      expect(token).to.have.all.keys('payload', 'protected', 'signature');
+      expect((await jws.verifyJws(JSON.stringify(token), { resolveKey: resolver(keyPair.publicKey) })).valid).to.be.true;
+    });
+
+    it('should create detached JWS with an unencoded payload', async () => {
+      const token = await jws.createJws({ payload, algorithm: 'ES256', detached: true, sign: signer(keyPair.privateKey, 'ES256') });
+      const [protectedSegment, payloadSegment, signature] = token.split('.');
+
+      expect(payloadSegment).to.equal('');
+      expect(JSON.parse(Buffer.from(protectedSegment, 'base64url'))).to.include({ b64: false }).and.deep.include({ crit: ['b64'] });
+      expect(crypto.verify(
+        'sha256',
+        Buffer.from(`${protectedSegment}.${payload}`),
+        { key: keyFormats.toPublicKeyObject(keyPair.publicKey), dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signature, 'base64url')
+      )).to.be.true;
+
+      const result = await jws.verifyJws(token, { payload, resolveKey: resolver(keyPair.publicKey) });
+      expect(result).to.include({ valid: true, detached: true });
+    });
+
+    it('should require the payload of detached JWS', async () => {
+      const token = await jws.createJws({ payload, algorithm: 'ES256', detached: true, sign: signer(keyPair.privateKey, 'ES256') });
+
+      try {
+        await jws.verifyJws(token, { resolveKey: resolver(keyPair.publicKey) });
+        expect.fail('verifyJws should have failed');
+      } catch (error) {
+        expect(error.message).to.equal('The JWS payload is detached and was not supplied');
+      }
+    });
+
+    it('should verify every signature of general JSON JWS', async () => {
+      const other = signatureAlgorithms.generateKeyPair('Ed25519');
+      const first = await jws.createJws({ payload, algorithm: 'ES256', kid: 'ec', serialization: 'json', sign: signer(keyPair.privateKey, 'ES256') });
+      const second = await jws.createJws({ payload, algorithm: 'Ed25519', kid: 'ed', serialization: 'json', sign: signer(other.privateKey, 'Ed25519') });
+      const general = {
+        payload: first.payload,
+        signatures: [
+          { protected: first.protected, signature: first.signature },
+          { protected: second.protected, signature: second.signature }
+        ]
+      };
+      const keys = { ec: keyPair.publicKey, ed: other.publicKey };
+
+      const result = await jws.verifyJws(general, { resolveKey: async header => ({ publicKey: keys[header.kid] }) });
+
+      expect(result.valid).to.be.true;
+      expect(result.signatures.map(signature => signature.algorithm)).to.deep.equal(['ES256', 'Ed25519']);
+    });
+
+    it('should add the signature time-stamp to the unprotected header', async () => {
+      let stamped;
+      const token = await jws.createJws({
+        payload,
+        algorithm: 'ES256',
+        serialization: 'json',
+        timestamp: async (value) => {
+          stamped = value;
+          return Buffer.from('not a token');
+        },
+        sign: signer(keyPair.privateKey, 'ES256')
+      });
+
+      expect(stamped.equals(Buffer.from(token.signature, 'base64url'))).to.be.true;
+      expect(token.header).to.deep.equal({ sigTst: { tstTokens: [{ val: Buffer.from('not a token').toString('base64') }] } });
+
+      const result = await jws.verifyJws(token, { resolveKey: resolver(keyPair.publicKey) });
+      expect(result.valid).to.be.true;
+      expect(result.signatures[0].timestamps).to.deep.equal([{ valid: false, error: 'Not a valid time-stamp token' }]);
+    });
+
+    it('should only time-stamp the JSON serialization', async () => {
+      try {
+        await jws.createJws({ payload, algorithm: 'ES256', timestamp: async () => Buffer.alloc(0), sign: signer(keyPair.privateKey, 'ES256') });
+        expect.fail('createJws should have failed');
+      } catch (error) {
+        expect(error.message).to.equal('Time-stamped JWS use the JSON serialization');
+      }
+    });
+  });
+
+  describe('verification failures', () => {
+    let keyPair;
+    let token;
+
+    before(async () => {
+      keyPair = signatureAlgorithms.generateKeyPair('ES256');
+      token = await jws.createJws({ payload, algorithm: 'ES256', sign: signer(keyPair.privateKey, 'ES256') });
+    });
+
+    it('should reject a changed payload', async () => {
+      const [protectedSegment, , signature] = token.split('.');
+      const forged = `${protectedSegment}.${Buffer.from('{"document":"forged"}').toString('base64url')}.${signature}`;
+
+      expect((await jws.verifyJws(forged, { resolveKey: resolver(keyPair.publicKey) })).valid).to.be.false;
+    });
+
+    it('should reject a key of another algorithm', async () => {
+      const result = await jws.verifyJws(token, { resolveKey: resolver(keyPair.publicKey, 'ES384') });
+
+      expect(result.valid).to.be.false;
+      expect(result.signatures[0].error).to.equal('Key is not a ES256 key');
+    });
+
+    it('should report unknown keys', async () => {
+      const result = await jws.verifyJws(token, { resolveKey: async () => null });
+
+      expect(result.signatures[0]).to.include({ valid: false, error: 'Signing key not found' });
+    });
+
+    it('should reject unsupported critical header parameters', async () => {
+      const critical = await jws.createJws({
+        payload,
+        algorithm: 'ES256',
+        header: { exp: 1, crit: ['exp'] },
+        sign: signer(keyPair.privateKey, 'ES256')
+      });
+
+      const result = await jws.verifyJws(critical, { resolveKey: resolver(keyPair.publicKey) });
+
+      expect(result.signatures[0]).to.include({ valid: false, error: 'Unsupported critical JWS header parameter' });
+    });
+
+    it('should reject malformed JWS', async () => {
+      try {
+        await jws.verifyJws('not-a-jws', { resolveKey: resolver(keyPair.publicKey) });
+        expect.fail('verifyJws should have failed');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid JWS compact serialization');
+      }
+    });
+
+    it('should accept JWK public keys', async () => {
+      const jwk = keyFormats.toJwk(keyPair.publicKey);
+
+      expect((await jws.verifyJws(token, { resolveKey: resolver(jwk) })).valid).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,333 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const elliptic = require('elliptic');
+const keyBackends = require('../services/keyBackends');
+const WindowsCngBackend = require('../services/keyBackends/windowsCngBackend');
+const TpmWorker = require('../services/keyBackends/tpmWorker');
+const keyFormats = require('../services/keyFormats');
+const tpmService = require('../services/tpmService');
+const jws = require('../services/jws');
+
+describe('Key Backends', () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('registry', () => {
+    it('should register the built-in backends', () => {
+      const names = keyBackends.listBackends().map(backend => backend.name);
+
+      expect(names).to.include.members(['software', 'windows-cng', 'linux-tpm2']);
+    });
+
+    it('should reject unknown backend names', () => {
+      expect(keyBackends.hasBackend('nonexistent')).to.be.false;
+      expect(() => keyBackends.getBackend('nonexistent')).to.throw('Unknown key backend: nonexistent');
+    });
+
+    it('should only accept KeyBackend instances', () => {
+      expect(() => keyBackends.registerBackend({ name: 'fake' })).to.throw('Key backends must extend KeyBackend');
+    });
+
+    it('should resolve the backend stored on the key record', () => {
+      expect(keyBackends.resolveBackendName({ backend: 'linux-tpm2', inTPM: true })).to.equal('linux-tpm2');
+    });
+
+    it('should resolve legacy CNG keys from their public key blob', () => {
+      expect(keyBackends.resolveBackendName({ publicKey: 'RUNTMSAAAAA', inTPM: false })).to.equal('windows-cng');
+    });
+
+    it('should resolve legacy software keys', () => {
+      expect(keyBackends.resolveBackendName({ publicKey: '04abcdef', inTPM: false })).to.equal('software');
+    });
+  });
+
+  describe('software backend', () => {
+    const backend = keyBackends.getBackend('software');
+
+    it('should create, sign and verify with a key record', async () => {
+      const keyData = await backend.createKey('softwareKey');
+      const key = {
+        name: keyData.name,
+        tpmHandle: keyData.handle,
+        publicKey: keyData.publicKey,
+        metadata: new Map([['privateKey', keyData.privateKey]])
+      };
+      const documentHash = tpmService.calculateHash('backend test');
+
+      const signature = await backend.sign(documentHash, key);
+
+      expect(keyData.backend).to.equal('software');
+      expect(await backend.verify(documentHash, signature, key.publicKey)).to.be.true;
+    });
+
+    it('should read the private key from lean metadata', async () => {
+      const keyData = await backend.createKey('leanKey');
+      const key = {
+        tpmHandle: keyData.handle,
+        metadata: { privateKey: keyData.privateKey }
+      };
+      const documentHash = tpmService.calculateHash('lean test');
+
+      const signature = await backend.sign(documentHash, key);
+
+      expect(await backend.verify(documentHash, signature, keyData.publicKey)).to.be.true;
+    });
+  });
+
+  describe('linux-tpm2 backend', () => {
+    const backend = keyBackends.getBackend('linux-tpm2');
+
+    // A P-256 key as tpm2_readpublic -f pem would report it, plus a signer for
+    // the DER signatures tpm2_sign -f plain writes
+    function createTpmLikeKey() {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const d = Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url').toString('hex');
+      const signer = new elliptic.ec('p256').keyFromPrivate(d, 'hex');
+      return {
+        publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+        signDER: (documentHash) => Buffer.from(signer.sign(documentHash).toDER())
+      };
+    }
+
+    it('should request a DER ECDSA signature over the digest', async () => {
+      const tpmKey = createTpmLikeKey();
+      const documentHash = tpmService.calculateHash('tpm2 document');
+      let signCommand = '';
+      sandbox.stub(backend, 'run').callsFake(async (command) => {
+        signCommand = command;
+        const [, sigFile, hashFile] = command.match(/-o (\S+) (\S+)$/);
+        const digest = await fs.readFile(hashFile);
+        await fs.writeFile(sigFile, tpmKey.signDER(digest.toString('hex')));
+        return { stdout: '', stderr: '' };
+      });
+
+      const signature = await backend.sign(documentHash, { tpmHandle: '0x81000001' });
+
+      expect(signCommand).to.include('-s ecdsa');
+      expect(signCommand).to.include('-d');
+      expect(signCommand).to.include('-f plain');
+      expect(await backend.verify(documentHash, signature, tpmKey.publicKeyPem)).to.be.true;
+    });
+
+    it('should reject signatures over a different digest', async () => {
+      const tpmKey = createTpmLikeKey();
+      const signature = tpmKey.signDER(tpmService.calculateHash('original')).toString('hex');
+
+      const isValid = await backend.verify(tpmService.calculateHash('tampered'), signature, tpmKey.publicKeyPem);
+
+      expect(isValid).to.be.false;
+    });
+
+    it('should verify tpm2-tools signatures through TPMService', async () => {
+      const tpmKey = createTpmLikeKey();
+      const documentHash = tpmService.calculateHash('service document');
+      const signature = tpmKey.signDER(documentHash).toString('hex');
+
+      const isValid = await tpmService.verifySignature(documentHash, signature, tpmKey.publicKeyPem, 'linux-tpm2');
+
+      expect(isValid).to.be.true;
+    });
+  });
+
+  describe('windows-cng backend', () => {
+    const backend = keyBackends.getBackend('windows-cng');
+
+    // Mirrors sign-with-cng-key.ps1: SignData over the UTF-8 hex digest,
+    // P1363 signature in Base64, public key as BCRYPT_ECCPUBLIC_BLOB
+    function signLikeCng(documentHash) {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const signature = crypto.sign('sha256', Buffer.from(documentHash, 'utf8'), {
+        key: privateKey,
+        dsaEncoding: 'ieee-p1363'
+      });
+      return {
+        cngPublicKey: keyFormats.toCngBlob(publicKey),
+        spkiPublicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+        signature: signature.toString('base64')
+      };
+    }
+
+    it('should verify CNG signatures against the ECCPUBLIC blob without PowerShell', async () => {
+      const documentHash = tpmService.calculateHash('cng document');
+      const cng = signLikeCng(documentHash);
+
+      expect(cng.cngPublicKey.startsWith('RUNTMS')).to.be.true;
+      expect(await backend.verify(documentHash, cng.signature, cng.cngPublicKey)).to.be.true;
+    });
+
+    it('should verify CNG signatures against the normalised SPKI key', async () => {
+      const documentHash = tpmService.calculateHash('cng document');
+      const cng = signLikeCng(documentHash);
+
+      expect(await tpmService.verifySignature(documentHash, cng.signature, cng.spkiPublicKey, 'windows-cng')).to.be.true;
+    });
+
+    it('should reject CNG signatures over a different digest', async () => {
+      const cng = signLikeCng(tpmService.calculateHash('original'));
+
+      expect(await backend.verify(tpmService.calculateHash('tampered'), cng.signature, cng.cngPublicKey)).to.be.false;
+    });
+
+    describe('through the worker', () => {
+      let worker;
+      let cngBackend;
+
+      beforeEach(() => {
+        worker = new TpmWorker({ command: process.execPath, args: [path.join(__dirname, '..', 'scripts', 'fake-tpm-worker.js')] });
+        cngBackend = new WindowsCngBackend({ worker });
+      });
+
+      afterEach(() => {
+        worker.stop();
+      });
+
+      it('should create, sign with and delete keys in one worker process', async () => {
+        const created = await cngBackend.createKey('worker-key');
+        const pid = worker.child.pid;
+        const key = { name: 'worker-key', tpmHandle: created.handle, publicKey: created.publicKey };
+        const documentHash = tpmService.calculateHash('worker document');
+
+        const signature = await cngBackend.sign(documentHash, key);
+
+        expect(created).to.include({ handle: 'TPM_ES256_worker-key', inTPM: false, backend: 'windows-cng' });
+        expect(await cngBackend.verify(documentHash, signature, created.publicKey)).to.be.true;
+        expect(await cngBackend.deleteKey(key)).to.be.true;
+        expect(worker.child.pid).to.equal(pid);
+      });
+
+      it('should sign JWS signing inputs and refuse binary messages', async () => {
+        const created = await cngBackend.createKey('jws-key');
+        const key = { name: 'jws-key', tpmHandle: created.handle, publicKey: created.publicKey, keyType: 'ES256' };
+
+        const token = await jws.createJws({
+          payload: '{"document":"cng"}',
+          algorithm: 'ES256',
+          sign: data => cngBackend.signData(data, key)
+        });
+        const result = await jws.verifyJws(token, { resolveKey: async () => ({ publicKey: created.publicKey }) });
+
+        expect(result.signatures[0].valid).to.be.true;
+        expect(cngBackend.canSignDigests(key)).to.be.false;
+        expect(cngBackend.canSignData(key, { binary: false })).to.be.true;
+        expect(cngBackend.canSignData(key)).to.be.false;
+        for (const [data, options] of [[Buffer.from([0x30, 0x82, 0x00]), {}], ['ascii', { hashAlgorithm: 'sha384' }]]) {
+          let error;
+          try {
+            await cngBackend.signData(data, key, options);
+          } catch (signError) {
+            error = signError;
+          }
+          expect(error.message).to.match(/^Backend windows-cng/);
+        }
+      });
+
+      it('should report the error of a failed operation', async () => {
+        let error;
+        try {
+          await cngBackend.sign(tpmService.calculateHash('x'), { tpmHandle: 'TPM_ES256_missing' });
+        } catch (signError) {
+          error = signError;
+        }
+
+        expect(error.message).to.equal('Key not found: missing');
+      });
+    });
+  });
+
+  describe('TPM simulator backend', () => {
+    const backend = keyBackends.getBackend('tpm-simulator');
+
+    it('should point tpm2-tools at the simulator TCTI', () => {
+      expect(backend.getEnvironment().TPM2TOOLS_TCTI).to.equal(backend.tcti);
+      expect(backend.tcti).to.match(/^(swtpm|mssim):/);
+    });
+
+    it('should create keys from a private work directory', async () => {
+      const commands = [];
+      sandbox.stub(backend, 'run').callsFake(async (command) => {
+        commands.push(command);
+        const pemOutput = command.match(/tpm2_readpublic .* -o (\S+)/);
+        if (pemOutput) {
+          await fs.writeFile(pemOutput[1], '-----BEGIN PUBLIC KEY-----\n-----END PUBLIC KEY-----\n');
+        }
+        return { stdout: '', stderr: '' };
+      });
+
+      const keyData = await backend.createKey('simulatorKey');
+
+      expect(keyData.backend).to.equal('tpm-simulator');
+      expect(keyData.inTPM).to.be.false;
+      expect(keyData.handle).to.match(/^0x8100[0-9a-f]{4}$/);
+      expect(keyData.publicKey).to.include('BEGIN PUBLIC KEY');
+      expect(commands.some(command => command.includes('simulatorKey'))).to.be.false;
+      expect(commands).to.include('tpm2_flushcontext -t');
+    });
+
+    // Runs only where a simulator is listening, e.g. in CI
+    describe('against a running simulator', () => {
+      before(async function () {
+        if (!(await backend.isAvailable())) {
+          this.skip();
+        }
+      });
+
+      it('should create, sign with, verify and delete a persistent key', async () => {
+        const keyData = await backend.createKey('simulatorRoundTrip');
+        const key = { tpmHandle: keyData.handle, publicKey: keyData.publicKey };
+        const documentHash = tpmService.calculateHash('simulator document');
+
+        try {
+          const signature = await backend.sign(documentHash, key);
+
+          expect(keyData.publicKey).to.include('BEGIN PUBLIC KEY');
+          expect(await backend.verify(documentHash, signature, key.publicKey)).to.be.true;
+        } finally {
+          expect(await backend.deleteKey(key)).to.be.true;
+        }
+      });
+    });
+  });
+
+  describe('TPMService delegation', () => {
+    it('should sign through the backend that owns the key', async () => {
+      const backend = keyBackends.getBackend('linux-tpm2');
+      const signStub = sandbox.stub(backend, 'sign').resolves('signature');
+
+      const result = await tpmService.signDocument('abcd', { backend: 'linux-tpm2', tpmHandle: '0x81000001' });
+
+      expect(result).to.equal('signature');
+      expect(signStub.calledOnce).to.be.true;
+    });
+
+    it('should create keys with the requested backend', async () => {
+      const backend = keyBackends.getBackend('linux-tpm2');
+      const publicKey = new elliptic.ec('p256').genKeyPair().getPublic('hex');
+      sandbox.stub(backend, 'createKey').resolves({ name: 'k', publicKey: publicKey, backend: 'linux-tpm2' });
+
+      const result = await tpmService.createES256KeyPair('k', 'linux-tpm2');
+
+      expect(result.backend).to.equal('linux-tpm2');
+      expect(result.publicKey).to.include('-----BEGIN PUBLIC KEY-----');
+    });
+
+    it('should fall back to a software key when the backend fails', async () => {
+      const backend = keyBackends.getBackend('linux-tpm2');
+      sandbox.stub(backend, 'createKey').rejects(new Error('no tpm'));
+
+      const result = await tpmService.createES256KeyPair('fallbackKey', 'linux-tpm2');
+
+      expect(result.backend).to.equal('software');
+      expect(result.inTPM).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const elliptic = require('elliptic');
+const keyFormats = require('../services/keyFormats');
+
+describe('Key Formats', () => {
+  const ec = new elliptic.ec('p256');
+  let keyPair;
+  let hexPublicKey;
+
+  // BCRYPT_ECCPUBLIC_BLOB for the same key, as the CNG scripts export it
+  function toCngBlob(pointHex) {
+    const point = Buffer.from(pointHex, 'hex');
+    return Buffer.concat([
+      Buffer.from('ECS1', 'latin1'),
+      Buffer.from([32, 0, 0, 0]),
+      point.subarray(1)
+    ]).toString('base64');
+  }
+
+  beforeEach(() => {
+    keyPair = ec.genKeyPair();
+    hexPublicKey = keyPair.getPublic('hex');
+  });
+
+  describe('toSpkiPem', () => {
+    it('should convert elliptic hex public keys to SPKI PEM', () => {
+      const pem = keyFormats.toSpkiPem(hexPublicKey);
+
+      expect(pem).to.include('-----BEGIN PUBLIC KEY-----');
+      expect(keyFormats.toEcPointHex(pem)).to.equal(hexPublicKey);
+    });
+
+    it('should convert CNG ECCPUBLIC blobs to SPKI PEM', () => {
+      const blob = toCngBlob(hexPublicKey);
+
+      expect(blob.startsWith('RUNTMS')).to.be.true;
+      expect(keyFormats.isCngBlob(blob)).to.be.true;
+      expect(keyFormats.toEcPointHex(keyFormats.toSpkiPem(blob))).to.equal(hexPublicKey);
+    });
+
+    it('should leave SPKI PEM keys unchanged', () => {
+      const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const pem = publicKey.export({ type: 'spki', format: 'pem' });
+
+      expect(keyFormats.toSpkiPem(pem)).to.equal(pem);
+    });
+
+    it('should reject malformed CNG blobs', () => {
+      const blob = Buffer.concat([Buffer.from('ECS1', 'latin1'), Buffer.from([32, 0, 0, 0]), Buffer.alloc(10)]).toString('base64');
+
+      expect(() => keyFormats.toSpkiPem(blob)).to.throw('Invalid BCRYPT_ECCPUBLIC_BLOB');
+    });
+  });
+
+  describe('exportPublicKey', () => {
+    it('should export DER SPKI', () => {
+      const der = keyFormats.exportPublicKey(hexPublicKey, 'der');
+
+      expect(Buffer.isBuffer(der)).to.be.true;
+      expect(crypto.createPublicKey({ key: der, format: 'der', type: 'spki' }).asymmetricKeyType).to.equal('ec');
+    });
+
+    it('should export a JWK with the requested members', () => {
+      const jwk = keyFormats.exportPublicKey(hexPublicKey, 'jwk', { kid: 'key-1', alg: 'ES256', use: 'sig' });
+
+      expect(jwk).to.include({ kty: 'EC', crv: 'P-256', kid: 'key-1', alg: 'ES256', use: 'sig' });
+      expect(jwk).to.not.have.property('d');
+    });
+
+    it('should export the uncompressed point as hex', () => {
+      const pem = keyFormats.toSpkiPem(hexPublicKey);
+
+      expect(keyFormats.exportPublicKey(pem, 'hex')).to.equal(hexPublicKey);
+    });
+
+    it('should round-trip through the CNG blob format', () => {
+      expect(keyFormats.toCngBlob(hexPublicKey)).to.equal(toCngBlob(hexPublicKey));
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => keyFormats.exportPublicKey(hexPublicKey, 'xml')).to.throw('Unsupported public key format: xml');
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const keyProtection = require('../services/keyProtection');
+const keyBackends = require('../services/keyBackends');
+const tpmService = require('../services/tpmService');
+
+describe('Key Protection', () => {
+  let sandbox;
+  let settings;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    settings = { kekSource: 'passphrase', passphrase: 'test passphrase', salt: 'test salt', iterations: 1000 };
+    sandbox.stub(keyProtection, 'getSettings').callsFake(() => settings);
+    keyProtection.kek = null;
+    keyProtection.kekSource = null;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    keyProtection.kek = null;
+    keyProtection.kekSource = null;
+  });
+
+  describe('wrap and unwrap', () => {
+    it('should round-trip a private key', async () => {
+      const wrapped = await keyProtection.wrap('deadbeef', 'handle-1');
+
+      expect(keyProtection.isWrapped(wrapped)).to.be.true;
+      expect(wrapped).to.not.include('deadbeef');
+      expect(JSON.parse(wrapped)).to.include({ algorithm: 'AES-256-GCM', kekSource: 'passphrase' });
+      expect(await keyProtection.unwrap(wrapped, 'handle-1')).to.equal('deadbeef');
+    });
+
+    it('should refuse envelopes moved to another key record', async () => {
+      const wrapped = await keyProtection.wrap('deadbeef', 'handle-1');
+
+      try {
+        await keyProtection.unwrap(wrapped, 'handle-2');
+        expect.fail('unwrap should have failed');
+      } catch (error) {
+        expect(error.message).to.include('Could not unwrap private key');
+      }
+    });
+
+    it('should refuse envelopes wrapped under a different passphrase', async () => {
+      const wrapped = await keyProtection.wrap('deadbeef', 'handle-1');
+      keyProtection.kek = null;
+      settings.passphrase = 'another passphrase';
+
+      try {
+        await keyProtection.unwrap(wrapped, 'handle-1');
+        expect.fail('unwrap should have failed');
+      } catch (error) {
+        expect(error.message).to.include('wrapped under passphrase');
+      }
+    });
+
+    it('should require a passphrase', async () => {
+      settings.passphrase = '';
+
+      try {
+        await keyProtection.wrap('deadbeef', 'handle-1');
+        expect.fail('wrap should have failed');
+      } catch (error) {
+        expect(error.message).to.equal('keyProtection.passphrase is not configured');
+      }
+    });
+
+    it('should report a missing or published passphrase', () => {
+      expect(keyProtection.checkSettings()).to.deep.equal([]);
+
+      settings.passphrase = null;
+      expect(keyProtection.checkSettings()[0]).to.include('keyProtection.passphrase is not configured');
+
+      settings.passphrase = 'tpm20-key-protection-change-in-production';
+      expect(keyProtection.checkSettings()[0]).to.include('is the published default');
+
+      settings.kekSource = 'keyfile';
+      expect(keyProtection.checkSettings()).to.deep.equal([]);
+    });
+  });
+
+  describe('key-encryption key sources', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kek-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should create and reuse a key file', async () => {
+      settings = { kekSource: 'keyfile', keyFile: path.join(directory, 'kek.key') };
+
+      const wrapped = await keyProtection.wrap('deadbeef', 'handle-1');
+      const stat = await fs.stat(settings.keyFile);
+      keyProtection.kek = null;
+
+      expect(stat.size).to.equal(32);
+      expect(await keyProtection.unwrap(wrapped, 'handle-1')).to.equal('deadbeef');
+    });
+
+    it('should seal a new key-encryption key to the TPM and unseal it afterwards', async () => {
+      settings = {
+        kekSource: 'tpm-sealed',
+        tpmBackend: 'tpm-simulator',
+        sealedKek: { public: path.join(directory, 'kek.pub'), private: path.join(directory, 'kek.priv') }
+      };
+      const backend = keyBackends.getBackend('tpm-simulator');
+      let sealed;
+      sandbox.stub(backend, 'sealData').callsFake(async (secret, publicFile) => {
+        sealed = Buffer.from(secret);
+        await fs.writeFile(publicFile, 'sealed');
+      });
+      sandbox.stub(backend, 'unsealData').callsFake(async () => sealed);
+
+      const wrapped = await keyProtection.wrap('deadbeef', 'handle-1');
+      keyProtection.kek = null;
+
+      expect(await keyProtection.unwrap(wrapped, 'handle-1')).to.equal('deadbeef');
+      expect(backend.sealData.calledOnce).to.be.true;
+      expect(backend.unsealData.calledOnce).to.be.true;
+    });
+
+    it('should default to a key file', async () => {
+      settings = { keyFile: path.join(directory, 'kek.key') };
+
+      await keyProtection.wrap('deadbeef', 'handle-1');
+
+      expect(keyProtection.kekSource).to.equal('keyfile');
+      expect((await fs.stat(settings.keyFile)).size).to.equal(32);
+    });
+
+    it('should unwrap envelopes with the source they were wrapped under', async () => {
+      settings = { kekSource: 'passphrase', passphrase: 'tpm20-key-protection-change-in-production', salt: 'test salt', iterations: 1000 };
+      const published = await keyProtection.wrap('deadbeef', 'handle-1');
+      settings = { kekSource: 'passphrase', passphrase: 'test passphrase', salt: 'test salt', iterations: 1000 };
+      keyProtection.kek = null;
+      const passphrase = await keyProtection.wrap('cafebabe', 'handle-2');
+      settings = { kekSource: 'keyfile', keyFile: path.join(directory, 'kek.key'), salt: 'test salt', iterations: 1000 };
+      keyProtection.kek = null;
+
+      // Without a passphrase, only the published one is tried
+      expect(await keyProtection.unwrap(published, 'handle-1')).to.equal('deadbeef');
+      try {
+        await keyProtection.unwrap(passphrase, 'handle-2');
+        expect.fail('unwrap should have failed');
+      } catch (error) {
+        expect(error.message).to.include('wrapped under passphrase');
+      }
+      expect(JSON.parse(await keyProtection.wrap('deadbeef', 'handle-1')).kekSource).to.equal('keyfile');
+    });
+
+    it('should wrap stored keys again under the configured source', async () => {
+      const TPMKey = require('../models/TPMKey');
+      const plain = { name: 'plain', tpmHandle: 'handle-1', metadata: new Map([['privateKey', 'deadbeef']]), save: sinon.stub().resolves() };
+      const moved = { name: 'moved', tpmHandle: 'handle-2', metadata: new Map([['wrappedPrivateKey', await keyProtection.wrap('cafebabe', 'handle-2')]]), save: sinon.stub().resolves() };
+      settings = { kekSource: 'keyfile', keyFile: path.join(directory, 'kek.key'), passphrase: 'test passphrase', salt: 'test salt', iterations: 1000 };
+      const current = { name: 'current', tpmHandle: 'handle-3', metadata: new Map([['wrappedPrivateKey', await keyProtection.wrap('f00d', 'handle-3')]]), save: sinon.stub().resolves() };
+      sandbox.stub(TPMKey, 'find').resolves([plain, moved, current]);
+
+      expect(await keyProtection.encryptStoredPrivateKeys()).to.equal(2);
+
+      for (const [key, privateKey] of [[plain, 'deadbeef'], [moved, 'cafebabe'], [current, 'f00d']]) {
+        const wrapped = key.metadata.get('wrappedPrivateKey');
+        expect(JSON.parse(wrapped).kekSource).to.equal('keyfile');
+        expect(await keyProtection.unwrap(wrapped, key.tpmHandle)).to.equal(privateKey);
+        expect(key.metadata.has('privateKey')).to.be.false;
+      }
+      expect(current.save.called).to.be.false;
+    });
+
+    it('should reject unknown sources', async () => {
+      settings = { kekSource: 'hsm' };
+
+      try {
+        await keyProtection.getKEK();
+        expect.fail('getKEK should have failed');
+      } catch (error) {
+        expect(error.message).to.equal('Unknown key encryption key source: hsm');
+      }
+    });
+  });
+
+  describe('software backend', () => {
+    it('should sign with a wrapped private key', async () => {
+      const backend = keyBackends.getBackend('software');
+      const keyData = await backend.createKey('wrappedKey');
+      const key = {
+        tpmHandle: keyData.handle,
+        metadata: new Map([['wrappedPrivateKey', await keyProtection.wrap(keyData.privateKey, keyData.handle)]])
+      };
+      const documentHash = tpmService.calculateHash('wrapped test');
+
+      const signature = await backend.sign(documentHash, key);
+
+      expect(await backend.verify(documentHash, signature, keyData.publicKey)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const mimeTypes = require('../services/mimeTypes');
+
+describe('MIME types', () => {
+  function bytes(...parts) {
+    return Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+  }
+
+  function portableExecutable() {
+    const image = Buffer.alloc(0x80);
+    image.write('MZ', 0, 'latin1');
+    image.writeUInt32LE(0x40, 0x3c);
+    image.write('PE\0\0', 0x40, 'latin1');
+    return image;
+  }
+
+  [
+    ['document.pdf', bytes('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n'), 'application/pdf', 'pdf'],
+    ['image.png', bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]), 'image/png', 'image'],
+    ['photo.jpg', bytes([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]), 'image/jpeg', 'image'],
+    ['anim.gif', bytes('GIF89a\x01\x00'), 'image/gif', 'image'],
+    ['image.webp', bytes('RIFF\x24\x00\x00\x00WEBPVP8 '), 'image/webp', 'image'],
+    ['archive.zip', bytes([0x50, 0x4b, 0x03, 0x04, 0x14, 0]), 'application/zip', 'archive'],
+    ['report.docx', bytes([0x50, 0x4b, 0x03, 0x04, 0x14, 0]),
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'archive'],
+    ['logs.gz', bytes([0x1f, 0x8b, 0x08, 0]), 'application/gzip', 'archive'],
+    ['setup.exe', portableExecutable(), 'application/vnd.microsoft.portable-executable', 'executable'],
+    ['tool', bytes([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1, 0]), 'application/x-elf', 'executable'],
+    ['notes.txt', Buffer.from('Plain text, ünïcödé\n'), 'text/plain', 'text'],
+    ['README.md', Buffer.from('# Title\n'), 'text/markdown', 'markdown'],
+    ['data.json', Buffer.from('{"a":1}'), 'application/json', 'json'],
+    ['blob.bin', bytes([0x01, 0x02, 0xfe, 0x00, 0xff]), 'application/octet-stream', 'binary']
+  ].forEach(([fileName, content, mimeType, fileType]) => {
+    it(`should detect ${fileName} as ${mimeType}`, () => {
+      expect(mimeTypes.detectMimeType(content, fileName)).to.deep.equal({ mimeType, fileType });
+    });
+  });
+
+  it('should go by content rather than the extension', () => {
+    expect(mimeTypes.detectMimeType(bytes('%PDF-1.4\n'), 'renamed.txt').fileType).to.equal('pdf');
+    expect(mimeTypes.detectMimeType(bytes([0x00, 0x80, 0xff]), 'binary.txt').fileType).to.equal('binary');
+  });
+
+  it('should not mistake text for short magic numbers', () => {
+    expect(mimeTypes.detectMimeType(Buffer.from('MZ is not an executable'), 'a.txt').fileType).to.equal('text');
+    expect(mimeTypes.detectMimeType(Buffer.from('BMW owners club minutes'), 'b.txt').fileType).to.equal('text');
+  });
+
+  it('should detect files that arrive in chunks', () => {
+    const text = Buffer.from('Grüße\n');
+    const detector = mimeTypes.createDetector();
+    // The ü is split across the chunks
+    detector.update(text.subarray(0, 3));
+    detector.update(text.subarray(3));
+
+    expect(detector.detect('greeting.txt')).to.deep.equal({ mimeType: 'text/plain', fileType: 'text' });
+
+    const truncated = mimeTypes.createDetector();
+    truncated.update(text.subarray(0, 3));
+    expect(truncated.detect('greeting.txt').fileType).to.equal('binary');
+
+    const pdf = mimeTypes.createDetector();
+    pdf.update(bytes('%PD'));
+    pdf.update(bytes('F-1.7\n', [0x00, 0xff]));
+    expect(pdf.detect('scan.pdf').fileType).to.equal('pdf');
+  });
+
+  it('should only show safe types inline', () => {
+    expect(mimeTypes.isInlineMimeType('application/pdf')).to.be.true;
+    expect(mimeTypes.isInlineMimeType('image/png')).to.be.true;
+    expect(mimeTypes.isInlineMimeType('image/svg+xml')).to.be.false;
+    expect(mimeTypes.isInlineMimeType('text/html')).to.be.false;
+    expect(mimeTypes.isInlineMimeType('application/zip')).to.be.false;
+  });
+});
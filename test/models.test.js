@@ -3,6 +3,8 @@ const mongoose = require('mongoose');
 const Document = require('../models/Document');
 const TPMKey = require('../models/TPMKey');
 const Signature = require('../models/Signature');
+const SignBatch = require('../models/SignBatch');
+const Certificate = require('../models/Certificate');
 
 describe('MongoDB Models', () => {
   before(async () => {
@@ -20,6 +22,8 @@ describe('MongoDB Models', () => {
     await Document.deleteMany({});
     await TPMKey.deleteMany({});
     await Signature.deleteMany({});
+    await SignBatch.deleteMany({});
+    await Certificate.deleteMany({});
   });
 
   describe('Document Model', () => {
@@ -88,6 +92,7 @@ describe('MongoDB Models', () => {
       expect(saved.keyType).to.equal('ES256');
       expect(saved.status).to.equal('active');
       expect(saved.usageCount).to.equal(0);
+      expect(saved.certificateChain).to.have.lengthOf(0);
     });
 
     it('should enforce unique key names', async () => {
@@ -162,7 +167,7 @@ describe('MongoDB Models', () => {
       expect(saved.verificationCount).to.equal(0);
     });
 
-    it('should require document and key references', async () => {
+    it('should require a key reference', async () => {
       const sig = new Signature({
         signature: 'signature-data',
         documentHash: 'abc123'
@@ -176,6 +181,45 @@ describe('MongoDB Models', () => {
       }
     });
 
+    it('should record signatures of a digest without a document', async () => {
+      const key = await new TPMKey({
+        name: 'SignKey',
+        tpmHandle: '0x81000001',
+        publicKey: 'public-key'
+      }).save();
+
+      const saved = await new Signature({
+        keyId: key._id,
+        signature: 'signature-data',
+        documentHash: 'abc123',
+        metadata: { fileName: 'large.iso' }
+      }).save();
+
+      expect(saved.documentId).to.be.null;
+      expect(saved.metadata.get('fileName')).to.equal('large.iso');
+    });
+
+    it('should keep the time-stamp token of a signature', async () => {
+      const key = await new TPMKey({
+        name: 'SignKey',
+        tpmHandle: '0x81000001',
+        publicKey: 'public-key'
+      }).save();
+      const genTime = new Date('2026-10-19T18:54:34Z');
+
+      const saved = await new Signature({
+        keyId: key._id,
+        signature: 'signature-data',
+        documentHash: 'abc123',
+        timestamp: { token: 'MIIDUAYJKoZIhvcNAQcC', genTime, serialNumber: '02' }
+      }).save();
+      const unstamped = new Signature({ keyId: key._id, signature: 'signature-data', documentHash: 'abc123' });
+
+      expect(saved.timestamp.token).to.equal('MIIDUAYJKoZIhvcNAQcC');
+      expect(saved.timestamp.genTime.getTime()).to.equal(genTime.getTime());
+      expect(unstamped.timestamp).to.be.null;
+    });
+
     it('should validate verification status enum', async () => {
       const doc = await new Document({
         fileName: 'test.txt',
@@ -207,4 +251,85 @@ describe('MongoDB Models', () => {
       }
     });
   });
+
+  describe('SignBatch Model', () => {
+    it('should create a pending batch of items', async () => {
+      const documentId = new mongoose.Types.ObjectId();
+      const keyId = new mongoose.Types.ObjectId();
+
+      const saved = await new SignBatch({
+        options: { format: 'jws' },
+        items: [{ documentId, keyId }],
+        total: 1
+      }).save();
+
+      expect(saved.status).to.equal('pending');
+      expect(saved.options.get('format')).to.equal('jws');
+      expect(saved.items[0].status).to.equal('pending');
+      expect(saved.items[0].signatureId).to.be.null;
+      expect(saved.signed).to.equal(0);
+      expect(saved.failed).to.equal(0);
+    });
+
+    it('should validate the batch and item status enums', async () => {
+      const batch = new SignBatch({
+        status: 'paused',
+        items: [{ documentId: new mongoose.Types.ObjectId(), keyId: new mongoose.Types.ObjectId(), status: 'skipped' }]
+      });
+
+      try {
+        await batch.save();
+        expect.fail('Should have thrown validation error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(mongoose.Error.ValidationError);
+        expect(error.errors).to.have.keys('status', 'items.0.status');
+      }
+    });
+  });
+
+  describe('Certificate Model', () => {
+    const issued = () => ({
+      serialNumber: '1a',
+      subject: 'CN=host.example',
+      issuer: 'CN=ZANDD Root CA',
+      caKeyId: new mongoose.Types.ObjectId(),
+      profile: 'server',
+      certificate: '-----BEGIN CERTIFICATE-----',
+      fingerprint: 'ab'.repeat(32),
+      notBefore: new Date(),
+      notAfter: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    it('should record a valid certificate', async () => {
+      const saved = await new Certificate(issued()).save();
+
+      expect(saved.status).to.equal('valid');
+      expect(saved.keyId).to.be.null;
+      expect(saved.issuedBy).to.equal('system');
+    });
+
+    it('should keep serial numbers unique', async () => {
+      await Certificate.init();
+      await new Certificate(issued()).save();
+
+      try {
+        await new Certificate(issued()).save();
+        expect.fail('Should have thrown duplicate key error');
+      } catch (error) {
+        expect(error.code).to.equal(11000);
+      }
+    });
+
+    it('should only take CRL reasons for revocation', async () => {
+      const certificate = new Certificate({ ...issued(), status: 'revoked', revokedAt: new Date(), revocationReason: 'expired' });
+
+      try {
+        await certificate.save();
+        expect.fail('Should have thrown validation error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(mongoose.Error.ValidationError);
+        expect(error.errors).to.have.keys('revocationReason');
+      }
+    });
+  });
 });
\ No newline at end of file
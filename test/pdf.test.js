@@ -0,0 +1,141 @@
+const { expect } = require('chai');
+const zlib = require('zlib');
+const { PdfDocument, PdfName, PdfRef, PdfString, Parser, serialize } = require('../services/pdf');
+
+describe('PDF', () => {
+  const pageObjects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>'
+  ];
+
+  // Classic cross-reference table
+  function tablePdf() {
+    let output = '%PDF-1.4\n';
+    const offsets = pageObjects.map((object, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xref = output.length;
+    output += 'xref\n0 4\n0000000000 65535 f\r\n';
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n\r\n`).join('');
+    output += `trailer\n<< /Size 4 /Root 1 0 R /ID [<01> <01>] >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(output, 'latin1');
+  }
+
+  // PDF 1.5 layout: the objects in an object stream, indexed by a
+  // cross-reference stream with a PNG predictor
+  function xrefStreamPdf() {
+    const header = pageObjects.map((object, index) => `${index + 1} ${pageObjects.slice(0, index).join(' ').length + (index ? 1 : 0)}`).join(' ') + ' ';
+    const objectStream = zlib.deflateSync(Buffer.from(header + pageObjects.join(' '), 'latin1'));
+
+    let output = '%PDF-1.5\n';
+    const objectStreamOffset = output.length;
+    output += `4 0 obj\n<< /Type /ObjStm /N 3 /First ${header.length} /Filter /FlateDecode /Length ${objectStream.length} >>\nstream\n`;
+    let buffer = Buffer.concat([Buffer.from(output, 'latin1'), objectStream, Buffer.from('\nendstream\nendobj\n')]);
+
+    const xrefOffset = buffer.length;
+    const rows = [[0, 0, 255], [2, 4, 0], [2, 4, 1], [2, 4, 2], [1, objectStreamOffset, 0], [1, xrefOffset, 0]]
+      .map(([type, second, third]) => Buffer.from([type, second >> 8, second & 0xff, third]));
+    // PNG "Up" predictor on every row
+    const predicted = rows.map((row, index) => Buffer.concat([
+      Buffer.from([2]),
+      Buffer.from(row.map((byte, column) => (byte - (index ? rows[index - 1][column] : 0)) & 0xff))
+    ]));
+    const xrefData = zlib.deflateSync(Buffer.concat(predicted));
+    buffer = Buffer.concat([
+      buffer,
+      Buffer.from(`5 0 obj\n<< /Type /XRef /Size 6 /W [1 2 1] /Root 1 0 R /Filter /FlateDecode /DecodeParms << /Predictor 12 /Columns 4 >> /Length ${xrefData.length} >>\nstream\n`, 'latin1'),
+      xrefData,
+      Buffer.from(`\nendstream\nendobj\nstartxref\n${xrefOffset}\n%%EOF\n`, 'latin1')
+    ]);
+    return buffer;
+  }
+
+  describe('Parser', () => {
+    it('should parse the basic object types', () => {
+      const value = new Parser(Buffer.from('<< /A 1 /B [2 0 R -3.5 true null] /C (a\\(b\\)\\101) /D <6869> /E#20F /G >>')).parseObject();
+
+      expect(value.get('A')).to.equal(1);
+      expect(value.get('B')[0]).to.deep.equal(new PdfRef(2, 0));
+      expect(value.get('B').slice(1)).to.deep.equal([-3.5, true, null]);
+      expect(value.get('C').toText()).to.equal('a(b)A');
+      expect(value.get('D').toText()).to.equal('hi');
+      expect(value.get('E F').name).to.equal('G');
+    });
+
+    it('should read streams by their /Length', () => {
+      const stream = new Parser(Buffer.from('<< /Length 9 >>\nstream\nendstream\nendstream')).parseObject();
+
+      expect(stream.data.toString()).to.equal('endstream');
+    });
+  });
+
+  describe('serialize', () => {
+    it('should write objects the parser reads back', () => {
+      const value = new Map([
+        ['Type', new PdfName('Sig')],
+        ['Rect', [0, 1.5, 2, 3]],
+        ['Name', PdfString.fromText('Zoë')],
+        ['P', new PdfRef(7)]
+      ]);
+
+      const parsed = new Parser(Buffer.from(serialize(value), 'latin1')).parseObject();
+
+      expect(parsed.get('Type').name).to.equal('Sig');
+      expect(parsed.get('Rect')).to.deep.equal([0, 1.5, 2, 3]);
+      expect(parsed.get('Name').toText()).to.equal('Zoë');
+      expect(parsed.get('P').num).to.equal(7);
+    });
+  });
+
+  describe('PdfDocument', () => {
+    it('should find the pages through a cross-reference table', () => {
+      const document = new PdfDocument(tablePdf());
+
+      expect(document.crossReferenceType).to.equal('table');
+      expect(document.getPages().map(ref => ref.num)).to.deep.equal([3]);
+    });
+
+    it('should read object streams through a cross-reference stream', () => {
+      const document = new PdfDocument(xrefStreamPdf());
+
+      expect(document.crossReferenceType).to.equal('stream');
+      expect(document.catalog.get('Type').name).to.equal('Catalog');
+      expect(document.getPages().map(ref => ref.num)).to.deep.equal([3]);
+    });
+
+    it('should rebuild the cross-references of damaged files', () => {
+      const damaged = Buffer.from(tablePdf().toString('latin1').replace(/startxref\n\d+/, 'startxref\n5'), 'latin1');
+
+      expect(new PdfDocument(damaged).getPages()).to.have.length(1);
+    });
+
+    it('should reject files that are not PDFs', () => {
+      expect(() => new PdfDocument(Buffer.from('Hello'))).to.throw('Not a PDF document');
+    });
+
+    [['table', tablePdf], ['stream', xrefStreamPdf]].forEach(([type, build]) => {
+      it(`should append incremental updates with a cross-reference ${type}`, () => {
+        const original = build();
+        const document = new PdfDocument(original);
+        const page = new Map(document.resolve(new PdfRef(3)));
+        page.set('Rotate', 90);
+
+        const updated = document.incrementalUpdate([
+          { ref: new PdfRef(3), value: page },
+          { ref: new PdfRef(document.size), value: new Map([['Added', true]]) }
+        ]);
+        const reread = new PdfDocument(updated);
+
+        expect(updated.subarray(0, original.length).equals(original)).to.be.true;
+        expect(reread.crossReferenceType).to.equal(type);
+        expect(reread.startxref).to.be.greaterThan(original.length);
+        expect(reread.resolve(new PdfRef(3)).get('Rotate')).to.equal(90);
+        expect(reread.resolve(new PdfRef(document.size)).get('Added')).to.be.true;
+        expect(reread.catalog.get('Type').name).to.equal('Catalog');
+      });
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const forge = require('node-forge');
+const signatureAlgorithms = require('../services/signatureAlgorithms');
+const keyFormats = require('../services/keyFormats');
+const keyBackends = require('../services/keyBackends');
+const tpmService = require('../services/tpmService');
+
+describe('Signature Algorithms', () => {
+  const data = Buffer.from('multi-algorithm test document');
+
+  // Node's own verifier, to make sure the signatures are the standard ones
+  function nodeVerify(name, publicKey, signatureHex) {
+    const algorithm = signatureAlgorithms.getAlgorithm(name);
+    const key = keyFormats.toPublicKeyObject(publicKey);
+    const signature = Buffer.from(signatureHex, 'hex');
+
+    if (algorithm.prehash === false) {
+      return crypto.verify(null, data, key, signature);
+    }
+    if (algorithm.padding === 'pss') {
+      return crypto.verify(algorithm.hash, data, { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 }, signature);
+    }
+    return crypto.verify(algorithm.hash, data, key, signature);
+  }
+
+  signatureAlgorithms.SIGNATURE_ALGORITHMS.forEach((name) => {
+    describe(name, () => {
+      let keyPair;
+
+      before(() => {
+        keyPair = signatureAlgorithms.generateKeyPair(name);
+      });
+
+      it('should produce signatures standard verifiers accept', () => {
+        const signature = signatureAlgorithms.signData(data, keyPair.privateKey, name);
+
+        expect(nodeVerify(name, keyPair.publicKey, signature)).to.be.true;
+        expect(signatureAlgorithms.verifyData(data, signature, keyPair.publicKey, name)).to.be.true;
+      });
+
+      it('should reject signatures over other data', () => {
+        const signature = signatureAlgorithms.signData(Buffer.from('other'), keyPair.privateKey, name);
+
+        expect(signatureAlgorithms.verifyData(data, signature, keyPair.publicKey, name)).to.be.false;
+      });
+
+      it('should recognise the key type of the public key', () => {
+        const expected = name === 'PS256' ? 'RS256' : name;
+
+        expect(signatureAlgorithms.algorithmForPublicKey(keyPair.publicKey)).to.equal(expected);
+      });
+    });
+  });
+
+  describe('resolveKeySize', () => {
+    it('should default RSA keys to 2048 bits and accept 3072', () => {
+      expect(signatureAlgorithms.resolveKeySize('RS256')).to.equal(2048);
+      expect(signatureAlgorithms.resolveKeySize('PS256', '3072')).to.equal(3072);
+    });
+
+    it('should reject other RSA sizes', () => {
+      expect(() => signatureAlgorithms.resolveKeySize('RS256', 1024)).to.throw('RS256 keys must be 2048 or 3072 bits');
+    });
+
+    it('should ignore sizes for EC and Ed25519 keys', () => {
+      expect(signatureAlgorithms.resolveKeySize('ES384', 4096)).to.be.null;
+    });
+  });
+
+  describe('hash algorithms', () => {
+    it('should default to the digest the algorithm is paired with', () => {
+      expect(signatureAlgorithms.resolveHashAlgorithm('ES384')).to.equal('sha384');
+      expect(signatureAlgorithms.resolveHashAlgorithm('Ed25519')).to.equal('sha512');
+      expect(signatureAlgorithms.resolveHashAlgorithm('ES256', 'sha3-256')).to.equal('sha3-256');
+    });
+
+    it('should reject unknown digests', () => {
+      expect(() => signatureAlgorithms.resolveHashAlgorithm('ES256', 'md5')).to.throw('Unsupported hash algorithm: md5');
+      expect(() => tpmService.calculateHash('content', 'md5')).to.throw('Unsupported hash algorithm: md5');
+    });
+
+    it('should calculate document hashes with the requested digest', () => {
+      const expected = crypto.createHash('sha3-256').update('content').digest('hex');
+
+      expect(tpmService.calculateHash('content', 'sha3-256')).to.equal(expected);
+    });
+
+    it('should prefer the requested digest over the key default', () => {
+      const key = { keyType: 'ES256', hashAlgorithm: 'sha512' };
+
+      expect(tpmService.resolveHashAlgorithm(key, 'sha384')).to.equal('sha384');
+      expect(tpmService.resolveHashAlgorithm(key)).to.equal('sha512');
+      expect(tpmService.resolveHashAlgorithm({ keyType: 'ES384' })).to.equal('sha384');
+    });
+
+    [['RS256', 'sha512'], ['RS256', 'sha3-256'], ['PS256', 'sha384'], ['PS256', 'sha3-256']].forEach(([name, hash]) => {
+      it(`should produce standard ${name} signatures over ${hash}`, () => {
+        const keyPair = signatureAlgorithms.generateKeyPair(name);
+        const signature = Buffer.from(signatureAlgorithms.signData(data, keyPair.privateKey, name, hash), 'hex');
+        const key = name === 'PS256' ?
+          { key: keyPair.publicKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.createHash(hash).digest().length } :
+          keyPair.publicKey;
+
+        expect(crypto.verify(hash, data, key, signature)).to.be.true;
+        expect(signatureAlgorithms.verifyData(data, signature.toString('hex'), keyPair.publicKey, name, hash)).to.be.true;
+        expect(signatureAlgorithms.verifyData(data, signature.toString('hex'), keyPair.publicKey, name)).to.be.false;
+      });
+    });
+
+    it('should refuse RSA digests that do not match the named hash', () => {
+      const keyPair = signatureAlgorithms.generateKeyPair('RS256');
+
+      expect(() => signatureAlgorithms.signDigest('ab'.repeat(32), keyPair.privateKey, 'RS256', 'sha512'))
+        .to.throw('Digest does not match sha512');
+    });
+
+    it('should sign and verify with a per-signature digest through TPMService', async () => {
+      const keyData = await tpmService.createKeyPair('es256Key', { backend: 'software', algorithm: 'ES256' });
+      const key = {
+        tpmHandle: keyData.handle,
+        publicKey: keyData.publicKey,
+        keyType: 'ES256',
+        backend: 'software',
+        metadata: { privateKey: keyData.privateKey }
+      };
+      const documentHash = tpmService.calculateHash('sha512 test', 'sha512');
+
+      const signature = await tpmService.signDocument(documentHash, key, { hashAlgorithm: 'sha512' });
+
+      expect(await tpmService.verifySignature(documentHash, signature, key.publicKey, 'software', 'ES256', 'sha512')).to.be.true;
+    });
+  });
+
+  it('should reject unknown algorithms', () => {
+    expect(() => signatureAlgorithms.getAlgorithm('HS256')).to.throw('Unsupported signature algorithm: HS256');
+  });
+
+  describe('key backends', () => {
+    let sandbox;
+
+    beforeEach(() => {
+      sandbox = sinon.createSandbox();
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it('should declare the algorithms each backend supports', () => {
+      expect(keyBackends.getBackend('software').algorithms).to.have.members(signatureAlgorithms.SIGNATURE_ALGORITHMS);
+      expect(keyBackends.getBackend('windows-cng').algorithms).to.deep.equal(['ES256']);
+      expect(keyBackends.getBackend('linux-tpm2').supportsAlgorithm('ES384')).to.be.true;
+      expect(keyBackends.getBackend('linux-tpm2').supportsAlgorithm('Ed25519')).to.be.false;
+    });
+
+    it('should refuse algorithms a requested backend lacks', async () => {
+      try {
+        await tpmService.createKeyPair('edKey', { backend: 'windows-cng', algorithm: 'Ed25519' });
+        expect.fail('createKeyPair should have failed');
+      } catch (error) {
+        expect(error.message).to.equal('Backend windows-cng does not support Ed25519');
+      }
+    });
+
+    it('should fall back to software keys when the default backend lacks the algorithm', async () => {
+      sandbox.stub(tpmService, 'getDefaultBackend').returns(keyBackends.getBackend('linux-tpm2'));
+
+      const keyData = await tpmService.createKeyPair('edKey', { algorithm: 'Ed25519' });
+
+      expect(keyData).to.include({ backend: 'software', algorithm: 'Ed25519' });
+      expect(keyData.publicKey).to.include('-----BEGIN PUBLIC KEY-----');
+    });
+
+    it('should sign with the key algorithm and verify through TPMService', async () => {
+      const keyData = await tpmService.createKeyPair('psKey', { backend: 'software', algorithm: 'PS256' });
+      const key = {
+        tpmHandle: keyData.handle,
+        publicKey: keyData.publicKey,
+        keyType: keyData.algorithm,
+        backend: keyData.backend,
+        metadata: { privateKey: keyData.privateKey }
+      };
+      const documentHash = tpmService.calculateHash('ps256 test');
+
+      const signature = await tpmService.signDocument(documentHash, key);
+
+      expect(keyData.keySize).to.equal(2048);
+      expect(await tpmService.verifySignature(documentHash, signature, key.publicKey, 'software', 'PS256')).to.be.true;
+      expect(await tpmService.verifySignature(documentHash, signature, key.publicKey, 'software', 'RS256')).to.be.false;
+    });
+
+    it('should pass the tpm2-tools scheme and hash of the key algorithm', async () => {
+      const backend = keyBackends.getBackend('linux-tpm2');
+      const commands = [];
+      sandbox.stub(backend, 'run').callsFake(async (command) => {
+        commands.push(command);
+        const [, sigFile] = command.match(/-o (\S+) (\S+)$/);
+        await fs.writeFile(sigFile, Buffer.alloc(256));
+        return { stdout: '', stderr: '' };
+      });
+
+      await backend.sign('ab'.repeat(48), { tpmHandle: '0x81000001', keyType: 'ES384' });
+      await backend.sign('ab'.repeat(32), { tpmHandle: '0x81000002', keyType: 'PS256' });
+
+      expect(commands[0]).to.include('-g sha384 -s ecdsa -d -f plain');
+      expect(commands[1]).to.include('-g sha256 -s rsapss -d -f plain');
+    });
+  });
+
+  describe('CSR generation', () => {
+    function parseCSR(pem) {
+      const der = forge.util.decode64(pem.replace(/-----[^-]+-----|\s/g, ''));
+      const csr = forge.asn1.fromDer(der, { decodeBitStrings: false });
+      return {
+        info: Buffer.from(forge.asn1.toDer(csr.value[0]).getBytes(), 'binary'),
+        algorithm: forge.asn1.derToOid(csr.value[1].value[0].value),
+        signature: Buffer.from(csr.value[2].value.substring(1), 'binary').toString('hex')
+      };
+    }
+
+    ['ES256', 'ES384', 'RS256', 'Ed25519'].forEach((name) => {
+      it(`should generate a self-signed ${name} request`, async () => {
+        const backend = keyBackends.getBackend('software');
+        const keyData = await backend.createKey('csrKey', { algorithm: name });
+        const key = {
+          name: 'csrKey',
+          tpmHandle: keyData.handle,
+          publicKey: keyFormats.toSpkiPem(keyData.publicKey),
+          keyType: name,
+          metadata: { privateKey: keyData.privateKey }
+        };
+
+        const csr = parseCSR(await tpmService.generateCSR(key, 'csr.example.com', 'Example', 'DE'));
+
+        expect(csr.algorithm).to.equal(signatureAlgorithms.getAlgorithm(name).oid);
+        expect(signatureAlgorithms.verifyData(csr.info, csr.signature, key.publicKey, name)).to.be.true;
+      });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const signedFiles = require('../services/signedFiles');
+
+describe('Signed files', () => {
+  const signature = {
+    id: '652f0c1e8b3a4d0012345678',
+    algorithm: 'ES256',
+    hashAlgorithm: 'sha384',
+    value: '3045022100aa',
+    signedAt: '2025-01-02T03:04:05.000Z',
+    signedBy: 'alice'
+  };
+
+  function hash(content, algorithm = 'sha384') {
+    return crypto.createHash(algorithm).update(content).digest('hex');
+  }
+
+  // Same layout as documentController.createTextSignedDocument
+  function textSignedFile(content, fields = signature) {
+    return content + '\n\n' + `
+---BEGIN DIGITAL SIGNATURE---
+Document Hash: ${hash(content)}
+Hash Algorithm: ${fields.hashAlgorithm}
+Signature Algorithm: ${fields.algorithm}
+Signature Value: ${fields.value}
+Signed By: ${fields.signedBy}
+Signed At: ${fields.signedAt}
+Key Name: signing-key
+Key Provider: Software
+Hardware TPM: false
+---END DIGITAL SIGNATURE---`;
+  }
+
+  describe('parseSignedFile', () => {
+    it('should read the text signature block and restore the original content', () => {
+      const content = 'Line one\nLine two\n';
+      const parsed = signedFiles.parseSignedFile(textSignedFile(content));
+
+      expect(parsed.format).to.equal('embedded-text');
+      expect(parsed.keyName).to.equal('signing-key');
+      expect(parsed.candidates).to.deep.equal([content]);
+      expect(parsed.signature).to.include({
+        documentHash: hash(content),
+        hashAlgorithm: 'sha384',
+        algorithm: 'ES256',
+        value: '3045022100aa',
+        signedBy: 'alice'
+      });
+    });
+
+    it('should default to sha256 for blocks without a hash algorithm', () => {
+      const parsed = signedFiles.parseSignedFile(textSignedFile('content', { ...signature, hashAlgorithm: '' })
+        .replace(/^Hash Algorithm: .*\n/m, ''));
+
+      expect(parsed.signature.hashAlgorithm).to.equal('sha256');
+    });
+
+    it('should read the _digitalSignature member of JSON documents', () => {
+      const original = JSON.stringify({ name: 'test', items: [1, 2] }, null, 2);
+      const signed = JSON.stringify({
+        ...JSON.parse(original),
+        _digitalSignature: {
+          signature: { ...signature, documentHash: hash(original) },
+          key: { name: 'signing-key', type: 'ES256' }
+        }
+      }, null, 2);
+
+      const parsed = signedFiles.parseSignedFile(signed);
+
+      expect(parsed.format).to.equal('embedded-json');
+      expect(parsed.keyName).to.equal('signing-key');
+      expect(parsed.candidates).to.include(original);
+      expect(parsed.candidates.some(candidate => hash(candidate) === parsed.signature.documentHash)).to.be.true;
+    });
+
+    it('should return null for files without a signature', () => {
+      expect(signedFiles.parseSignedFile('plain text')).to.be.null;
+      expect(signedFiles.parseSignedFile('{"name":"test"}')).to.be.null;
+    });
+  });
+
+  describe('canonical JSON', () => {
+    const document = { name: 'test', items: [1, 2], nested: { b: 1, a: 2 } };
+    const canonical = '{"items":[1,2],"name":"test","nested":{"a":2,"b":1}}';
+
+    it('should canonicalize documents without their signature member', () => {
+      const signed = { ...document, [signedFiles.SIGNATURE_MEMBER]: { signature: {} } };
+
+      expect(signedFiles.canonicalJson(JSON.stringify(document, null, 2))).to.equal(canonical);
+      expect(signedFiles.canonicalJson(Buffer.from(JSON.stringify(signed)))).to.equal(canonical);
+      expect(() => signedFiles.canonicalJson('not json')).to.throw('The document is not valid JSON');
+    });
+
+    it('should verify reformatted documents signed canonically', () => {
+      const signed = {
+        nested: { a: 2, b: 1 },
+        [signedFiles.SIGNATURE_MEMBER]: {
+          signature: { ...signature, canonicalization: 'jcs', documentHash: hash(canonical) },
+          key: { name: 'signing-key' }
+        },
+        items: [1, 2],
+        name: 'test'
+      };
+
+      const parsed = signedFiles.parseSignedFile(JSON.stringify(signed, null, 4));
+
+      expect(parsed.signature.canonicalization).to.equal('jcs');
+      expect(parsed.candidates).to.deep.equal([canonical]);
+    });
+
+    it('should canonicalize the original of detached canonical signatures', () => {
+      const sig = JSON.stringify({ signature: { ...signature, canonicalization: 'jcs', documentHash: hash(canonical) } });
+
+      const parsed = signedFiles.parseDetachedSignature(sig, Buffer.from(JSON.stringify(document)));
+
+      expect(parsed.candidates).to.deep.equal([canonical]);
+      expect(() => signedFiles.parseDetachedSignature(sig, 'plain text')).to.throw('The document is not valid JSON');
+    });
+  });
+
+  describe('parseDetachedSignature', () => {
+    it('should pair a .sig file with the original content', () => {
+      const original = Buffer.from('binary \x00 content');
+      const sig = JSON.stringify({
+        documentInfo: { fileName: 'document.txt' },
+        signature: { ...signature, documentHash: hash(original) },
+        key: { name: 'signing-key' }
+      }, null, 2);
+
+      const parsed = signedFiles.parseDetachedSignature(sig, original);
+
+      expect(parsed.format).to.equal('detached');
+      expect(parsed.keyName).to.equal('signing-key');
+      expect(parsed.candidates).to.deep.equal([original]);
+      expect(parsed.signature.documentHash).to.equal(hash(original));
+    });
+
+    it('should reject files that are not detached signatures', () => {
+      expect(() => signedFiles.parseDetachedSignature('not json', 'content'))
+        .to.throw('The signature file is not a detached signature');
+      expect(() => signedFiles.parseDetachedSignature('{"signature":{}}', 'content'))
+        .to.throw('The signature file is not a detached signature');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const tsp = require('../services/tsp');
+const tpmService = require('../services/tpmService');
+const timestampAuthority = require('../services/timestampAuthority');
+const signatureAlgorithms = require('../services/signatureAlgorithms');
+const TPMKey = require('../models/TPMKey');
+const Counter = require('../models/Counter');
+
+describe('Time-Stamp Authority', () => {
+  const data = Buffer.from('signature value');
+  const digest = crypto.createHash('sha256').update(data).digest();
+  const nonce = Buffer.from('0102030405060708', 'hex');
+  const settings = { keyId: 'tsa-key', policy: '1.3.6.1.4.1.99999.1', accuracy: 1, nvCounter: null };
+  let sandbox;
+  let key;
+
+  // RSA key with a self-signed certificate; forge can only issue RSA certificates
+  function createTsaKey(extensions) {
+    const keyPair = signatureAlgorithms.generateKeyPair('RS256');
+    const certificate = forge.pki.createCertificate();
+    certificate.publicKey = forge.pki.publicKeyFromPem(keyPair.publicKey);
+    certificate.serialNumber = '0a0b0c';
+    certificate.validity.notBefore = new Date();
+    certificate.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    certificate.setSubject([{ name: 'commonName', value: 'Test TSA' }]);
+    certificate.setIssuer([{ name: 'commonName', value: 'Test TSA' }]);
+    certificate.setExtensions(extensions);
+    certificate.sign(forge.pki.privateKeyFromPem(keyPair.privateKey), forge.md.sha256.create());
+
+    return {
+      name: 'tsa',
+      backend: 'software',
+      keyType: 'RS256',
+      publicKey: keyPair.publicKey,
+      tpmHandle: keyPair.privateKey,
+      certificate: forge.pki.certificateToPem(certificate),
+      status: 'active',
+      save: sinon.stub().resolves()
+    };
+  }
+
+  before(() => {
+    key = createTsaKey([{ name: 'extKeyUsage', critical: true, timeStamping: true }]);
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(timestampAuthority, 'getSettings').returns(settings);
+    sandbox.stub(TPMKey, 'findById').resolves(key);
+    sandbox.stub(Counter, 'findOneAndUpdate').resolves({ value: 42 });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should grant tokens over the requested digest', async () => {
+    const response = await timestampAuthority.respond(tsp.createRequest(digest, 'sha256', nonce));
+    const result = tsp.parseResponse(response, { digest, nonce });
+
+    expect(result.policy).to.equal(settings.policy);
+    expect(result.serialNumber).to.equal('2a');
+    expect(result.nonce.equals(nonce)).to.be.true;
+    expect(tsp.verifyToken(result.token, data)).to.include({ valid: true, tsa: 'CN=Test TSA' });
+  });
+
+  it('should take serial numbers from the TPM NV counter when configured', async () => {
+    timestampAuthority.getSettings.returns({ ...settings, nvCounter: '0x01500016' });
+    const incrementCounter = sinon.stub().resolves(7n);
+    sandbox.stub(tpmService, 'getTPMBackend').returns({ name: 'tpm-simulator', incrementCounter });
+    const updateOne = sandbox.stub(Counter, 'updateOne').resolves();
+
+    const response = await timestampAuthority.respond(tsp.createRequest(digest, 'sha256', nonce));
+
+    expect(tsp.parseResponse(response).serialNumber).to.equal('07');
+    expect(incrementCounter.calledWith('0x01500016')).to.be.true;
+    expect(updateOne.firstCall.args[1]).to.deep.equal({ $max: { value: 7 } });
+  });
+
+  it('should reject requests it cannot serve', async () => {
+    const shortDigest = await timestampAuthority.respond(tsp.createRequest(Buffer.alloc(20), 'sha256', nonce));
+    expect(() => tsp.parseResponse(shortDigest)).to.throw('The digest is not a sha256 digest');
+
+    const garbage = await timestampAuthority.respond(Buffer.from('not a request'));
+    expect(() => tsp.parseResponse(garbage)).to.throw('The request is not a TimeStampReq');
+    expect(Counter.findOneAndUpdate.called).to.be.false;
+  });
+
+  it('should need a certificate for time-stamping only', async () => {
+    TPMKey.findById.resolves(createTsaKey([{ name: 'extKeyUsage', critical: false, timeStamping: true }]));
+
+    try {
+      await timestampAuthority.respond(tsp.createRequest(digest, 'sha256', nonce));
+      expect.fail('respond should have failed');
+    } catch (error) {
+      expect(error.status).to.equal(503);
+      expect(error.message).to.include('is not a time-stamping certificate');
+    }
+  });
+
+  it('should be unavailable until configured', async () => {
+    timestampAuthority.getSettings.returns({ ...settings, keyId: null });
+
+    try {
+      await timestampAuthority.getKey();
+      expect.fail('getKey should have failed');
+    } catch (error) {
+      expect(error.status).to.equal(503);
+      expect(error.message).to.include('tsa.keyId');
+    }
+  });
+});
@@ -56,7 +56,7 @@ describe('TPM Service', () => {
 
     it('should handle key creation errors', async () => {
       tpmService.tpmAvailable = false;
-      sandbox.stub(tpmService, 'createSoftwareES256KeyPair').throws(new Error('Key creation failed'));
+      sandbox.stub(tpmService, 'createSoftwareKeyPair').throws(new Error('Key creation failed'));
       
       try {
         await tpmService.createES256KeyPair('testKey');
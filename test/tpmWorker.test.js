@@ -0,0 +1,95 @@
+const { expect } = require('chai');
+const path = require('path');
+const TpmWorker = require('../services/keyBackends/tpmWorker');
+
+describe('TPM worker', () => {
+  const fakeWorker = path.join(__dirname, '..', 'scripts', 'fake-tpm-worker.js');
+  let worker;
+
+  beforeEach(() => {
+    worker = new TpmWorker({ command: process.execPath, args: [fakeWorker], timeout: 5000 });
+  });
+
+  afterEach(() => {
+    worker.stop();
+  });
+
+  it('should start on the first request and keep running', async () => {
+    expect(worker.running).to.be.false;
+
+    expect(await worker.request('ping')).to.deep.equal({ Success: true });
+    const pid = worker.child.pid;
+    await worker.request('ping');
+
+    expect(worker.running).to.be.true;
+    expect(worker.child.pid).to.equal(pid);
+  });
+
+  it('should answer queued requests in order', async () => {
+    const results = await Promise.all([
+      worker.request('sleep', { Milliseconds: 50 }),
+      worker.request('createSoftwareKey', { KeyName: 'queued' }),
+      worker.request('ping')
+    ]);
+
+    expect(results[1]).to.include({ Success: true, Handle: 'TPM_ES256_queued' });
+    expect(results.every(result => result.Success)).to.be.true;
+  });
+
+  it('should reject with the error the worker reports', async () => {
+    let error;
+    try {
+      await worker.request('format-disk');
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    expect(error.message).to.equal('Unknown operation: format-disk');
+    expect(await worker.request('ping')).to.deep.equal({ Success: true });
+  });
+
+  it('should kill a worker that times out and restart it', async () => {
+    await worker.request('ping');
+    const pid = worker.child.pid;
+
+    let error;
+    try {
+      await worker.request('sleep', { Milliseconds: 2000 }, { timeout: 100 });
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    expect(error.message).to.equal('TPM worker timed out after 100ms (sleep)');
+    expect(await worker.request('ping')).to.deep.equal({ Success: true });
+    expect(worker.child.pid).to.not.equal(pid);
+  });
+
+  it('should restart a worker that exits', async () => {
+    await worker.request('ping');
+
+    let error;
+    try {
+      await worker.request('exit', { Code: 3 });
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    expect(error.message).to.equal('TPM worker exited (code 3) during exit');
+    expect(worker.running).to.be.false;
+    expect(await worker.request('ping')).to.deep.equal({ Success: true });
+  });
+
+  it('should fail requests when the worker cannot start', async () => {
+    const missing = new TpmWorker({ command: path.join(__dirname, 'no-such-worker') });
+
+    let error;
+    try {
+      await missing.request('ping');
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    expect(error.code).to.equal('ENOENT');
+    expect(missing.running).to.be.false;
+  });
+});
@@ -0,0 +1,125 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const x509 = require('../services/x509');
+const tpmService = require('../services/tpmService');
+const trustStore = require('../services/trustStore');
+const certificateAuthority = require('../services/certificateAuthority');
+const signatureAlgorithms = require('../services/signatureAlgorithms');
+
+describe('Trust Store', () => {
+  const day = 24 * 60 * 60 * 1000;
+  let sandbox;
+  let directory;
+  let root;
+  let intermediate;
+  let leaf;
+
+  function createKey(keyType = 'ES256') {
+    const keyPair = signatureAlgorithms.generateKeyPair(keyType);
+    return { name: 'test', backend: 'software', keyType, publicKey: keyPair.publicKey, tpmHandle: keyPair.privateKey };
+  }
+
+  // A certificate for `key` named `commonName`, signed by `issuer` ({ key, commonName }) or self-signed
+  async function certify(key, commonName, { issuer = null, ca = false, notAfter = new Date(Date.now() + 30 * day) } = {}) {
+    const signer = issuer || { key, commonName };
+    return x509.createCertificate({
+      serialNumber: commonName.length.toString(16),
+      issuer: x509.createName({ commonName: signer.commonName }),
+      subject: x509.createName({ commonName }),
+      publicKey: key.publicKey,
+      notBefore: new Date(Date.now() - day),
+      notAfter,
+      extensions: [x509.createBasicConstraints(ca)],
+      algorithm: signer.key.keyType,
+      sign: data => tpmService.signData(data, signer.key)
+    });
+  }
+
+  before(async () => {
+    const rootKey = createKey();
+    const intermediateKey = createKey('PS256');
+    const leafKey = createKey('Ed25519');
+    root = await certify(rootKey, 'Test Root', { ca: true });
+    intermediate = await certify(intermediateKey, 'Test Intermediate', { issuer: { key: rootKey, commonName: 'Test Root' }, ca: true });
+    leaf = await certify(leafKey, 'leaf.example', { issuer: { key: intermediateKey, commonName: 'Test Intermediate' } });
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-'));
+    fs.writeFileSync(path.join(directory, 'root.pem'), root);
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a certificate');
+    sandbox = sinon.createSandbox();
+    sandbox.stub(trustStore, 'getSettings').returns({ path: directory, includeBuiltInCA: false, requireTrusted: false });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should trust certificates that chain to an anchor in any order', async () => {
+    const result = await trustStore.validate(leaf, [root, intermediate]);
+
+    expect(result).to.deep.equal({
+      trusted: true,
+      path: ['CN=leaf.example', 'CN=Test Intermediate', 'CN=Test Root'],
+      errors: []
+    });
+  });
+
+  it('should report missing intermediates and unknown roots', async () => {
+    const missing = await trustStore.validate(leaf);
+    expect(missing.trusted).to.be.false;
+    expect(missing.errors[0]).to.include('is missing from the chain');
+
+    fs.rmSync(path.join(directory, 'root.pem'));
+    const untrusted = await trustStore.validate(leaf, [intermediate, root]);
+    expect(untrusted.trusted).to.be.false;
+    expect(untrusted.path).to.have.lengthOf(3);
+    expect(untrusted.errors).to.deep.equal(['The chain ends at CN=Test Root, which is not in the trust store']);
+  });
+
+  it('should check validity periods and CA certificates on the path', async () => {
+    const expired = await trustStore.validate(leaf, [intermediate], { at: new Date(Date.now() + 60 * day) });
+    expect(expired.trusted).to.be.false;
+    expect(expired.errors[0]).to.include('CN=leaf.example is not valid at');
+
+    const rootKey = createKey();
+    const notCA = createKey();
+    fs.writeFileSync(path.join(directory, 'other.pem'), await certify(rootKey, 'Other Root', { ca: true }));
+    const issuer = await certify(notCA, 'Not A CA', { issuer: { key: rootKey, commonName: 'Other Root' } });
+    const certificate = await certify(createKey(), 'client', { issuer: { key: notCA, commonName: 'Not A CA' } });
+
+    const result = await trustStore.validate(certificate, [issuer]);
+    expect(result.trusted).to.be.false;
+    expect(result.errors).to.deep.equal(['CN=Not A CA is not a CA certificate']);
+  });
+
+  it('should trust the certificate of the built-in CA', async () => {
+    trustStore.getSettings.returns({ path: null, includeBuiltInCA: true, requireTrusted: false });
+    sandbox.stub(certificateAuthority, 'getKey').resolves({ certificate: root });
+
+    expect((await trustStore.validate(intermediate)).trusted).to.be.true;
+
+    certificateAuthority.getKey.rejects(new Error('no CA'));
+    expect((await trustStore.validate(intermediate)).trusted).to.be.false;
+  });
+
+  it('should read certificate bundles and describe certificates', () => {
+    const bundle = x509.readCertificates(`${leaf}\n${intermediate}`);
+    const der = x509.readCertificates(x509.fromPem(root).toString('base64'));
+
+    expect(bundle).to.have.lengthOf(2);
+    expect(der).to.have.lengthOf(1);
+    expect(() => x509.readCertificates('not a certificate')).to.throw('Not a valid X.509 certificate');
+    expect(x509.describeCertificate(bundle[1])).to.include({
+      subject: 'CN=Test Intermediate',
+      issuer: 'CN=Test Root',
+      serialNumber: '11',
+      ca: true
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const cms = require('../services/cms');
+const tsp = require('../services/tsp');
+
+describe('Time-Stamp Protocol', () => {
+  const data = Buffer.from('PAdES signature value');
+  const digest = crypto.createHash('sha256').update(data).digest();
+  const nonce = Buffer.from('0102030405060708', 'hex');
+
+  // openssl ts -reply for createRequest(digest, 'sha256', nonce), from a P-256 test TSA
+  const response = Buffer.from(`
+    MIIDWTADAgEAMIIDUAYJKoZIhvcNAQcCoIIDQTCCAz0CAQMxDzANBglghkgBZQMEAgEFADBwBgsq
+    hkiG9w0BCRABBKBhBF8wXQIBAQYEKgMEATAvMAsGCWCGSAFlAwQCAQQgAzLEiCEE6V5JqctdabQ8
+    LY4QO3wOr8PchKDyg6CTy7YCAQIYDzIwMjYxMDE5MTg1NDM0WjADAgEBAggBAgMEBQYHCKCCAXEw
+    ggFtMIIBFKADAgECAhQJUhOoUnkNfYA6+L+LIVKRlLQZRjAKBggqhkjOPQQDAjATMREwDwYDVQQD
+    DAhUZXN0IFRTQTAgFw0yNjEwMTkxODU0MzNaGA8yMTI2MDkyNTE4NTQzM1owEzERMA8GA1UEAwwI
+    VGVzdCBUU0EwWTATBgcqhkjOPQIBBggqhkjOPQMBBwNCAARabHWgd+b1bt2BAmLueyHBsGUfayq/
+    lxkOCOyXq/zc0nKGHYIHatCxgn6KJBuM59k2fp0YffAck2BQHvxCMyv7o0QwQjAWBgNVHSUBAf8E
+    DDAKBggrBgEFBQcDCDAJBgNVHRMEAjAAMB0GA1UdDgQWBBQf359JllHelRTNzZonEiU1rJrAKzAK
+    BggqhkjOPQQDAgNHADBEAiBfv8dCfb3lK4eCVFgHucqqdS35wWD6s+WeGZC2B6npqQIgQAd75FLi
+    s4/vT2DYT6Od0KN8wIZmtbV/KzhOx9kXEf4xggE+MIIBOgIBATArMBMxETAPBgNVBAMMCFRlc3Qg
+    VFNBAhQJUhOoUnkNfYA6+L+LIVKRlLQZRjANBglghkgBZQMEAgEFAKCBpDAaBgkqhkiG9w0BCQMx
+    DQYLKoZIhvcNAQkQAQQwHAYJKoZIhvcNAQkFMQ8XDTI2MTAxOTE4NTQzNFowLwYJKoZIhvcNAQkE
+    MSIEIMjCUVvu+PqyznQ448jrNTS+GXUaiLTMrQg9sS5XL1iFMDcGCyqGSIb3DQEJEAIvMSgwJjAk
+    MCIEIHNHWtiN1LpHdTkQHnM/le+nXbrly24sB7OIZPTxayuOMAoGCCqGSM49BAMCBEYwRAIgI9uv
+    VvQAn4m2QlmpzzHGn9XKaN/3eOA0+glrRkZasY0CIFhgoQIGMHmo2O3G5/UPaREbu0EDjXwjqwd6
+    aSospd1B`, 'base64');
+
+  describe('createRequest', () => {
+    it('should ask for the digest with a nonce and the TSA certificate', () => {
+      const request = forge.asn1.fromDer(forge.util.createBuffer(tsp.createRequest(digest, 'sha256', nonce).toString('binary')));
+      const [version, messageImprint, requestNonce, certReq] = request.value;
+
+      expect(forge.asn1.derToInteger(version.value)).to.equal(1);
+      expect(Buffer.from(messageImprint.value[1].value, 'binary').equals(digest)).to.be.true;
+      expect(Buffer.from(requestNonce.value, 'binary').equals(nonce)).to.be.true;
+      expect(certReq.value).to.equal('\xff');
+    });
+
+    it('should keep nonces positive', () => {
+      const request = forge.asn1.fromDer(forge.util.createBuffer(tsp.createRequest(digest, 'sha256', Buffer.from('ff01', 'hex')).toString('binary')));
+
+      expect(Buffer.from(request.value[2].value, 'binary').toString('hex')).to.equal('00ff01');
+    });
+  });
+
+  describe('parseRequest', () => {
+    it('should read the fields of a request', () => {
+      const request = tsp.parseRequest(tsp.createRequest(digest, 'sha256', nonce));
+
+      expect(request.version).to.equal(1);
+      expect(request.hashAlgorithmOid).to.equal('2.16.840.1.101.3.4.2.1');
+      expect(request.digest.equals(digest)).to.be.true;
+      expect(request.nonce.equals(nonce)).to.be.true;
+      expect(request).to.include({ policy: null, certReq: true, extensions: false });
+    });
+  });
+
+  describe('createResponse', () => {
+    it('should encode rejections with their failure info', () => {
+      const response = tsp.createResponse({ failure: 'systemFailure', message: 'TPM busy' });
+      const failInfo = forge.asn1.fromDer(forge.util.createBuffer(response.toString('binary'))).value[0].value[2];
+
+      // Bit 25: four bytes, the last with six unused bits
+      expect(Buffer.from(failInfo.value, 'binary').toString('hex')).to.equal('0600000040');
+      expect(() => tsp.parseResponse(response)).to.throw('The time-stamp authority refused the request: TPM busy');
+    });
+  });
+
+  describe('parseResponse', () => {
+    it('should return the token and its TSTInfo', () => {
+      const result = tsp.parseResponse(response, { digest, nonce });
+
+      expect(result.hashAlgorithm).to.equal('sha256');
+      expect(result.digest.equals(digest)).to.be.true;
+      expect(result.genTime.toISOString()).to.equal('2026-10-19T18:54:34.000Z');
+      expect(result.nonce.equals(nonce)).to.be.true;
+      expect(cms.verifySignedData(result.token).valid).to.be.true;
+    });
+
+    it('should reject tokens for another digest or nonce', () => {
+      expect(() => tsp.parseResponse(response, { digest: Buffer.alloc(32) })).to.throw('another digest');
+      expect(() => tsp.parseResponse(response, { digest, nonce: Buffer.from([9]) })).to.throw('nonce');
+    });
+
+    it('should report refused requests', () => {
+      const { asn1 } = forge;
+      const refusal = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(2).getBytes()),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTF8, false, 'unsupported digest')
+          ])
+        ])
+      ]);
+
+      expect(() => tsp.parseResponse(Buffer.from(asn1.toDer(refusal).getBytes(), 'binary')))
+        .to.throw('The time-stamp authority refused the request: unsupported digest');
+    });
+  });
+
+  describe('verifyToken', () => {
+    let token;
+
+    before(() => {
+      token = tsp.parseResponse(response).token;
+    });
+
+    it('should check the token against the time-stamped data', () => {
+      const result = tsp.verifyToken(token, data);
+
+      expect(result.valid).to.be.true;
+      expect(result.tsa).to.equal('CN=Test TSA');
+      expect(result.genTime.toISOString()).to.equal('2026-10-19T18:54:34.000Z');
+      expect(tsp.verifyToken(token, Buffer.from('other data'))).to.include({
+        valid: false,
+        error: 'The time-stamp token is for other data'
+      });
+    });
+
+    it('should reject tokens whose signature does not verify', () => {
+      const tampered = Buffer.from(token);
+      tampered[tampered.length - 5] ^= 1;
+
+      expect(tsp.verifyToken(tampered, data).valid).to.be.false;
+      expect(tsp.verifyToken(Buffer.from('3000', 'hex'), data)).to.deep.equal({ valid: false, error: 'Not a valid time-stamp token' });
+    });
+  });
+
+  describe('requestTimestamp', () => {
+    it('should need a time-stamp authority', async () => {
+      try {
+        await tsp.requestTimestamp(data, { url: null });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('No time-stamp authority');
+      }
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const uploadStorage = require('../services/uploadStorage');
+
+describe('Upload storage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    sinon.stub(uploadStorage, 'getDirectory').returns(directory);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should write the upload to disk with its hash, size and type', async () => {
+    const chunks = [Buffer.from('%PDF-1.7\n'), crypto.randomBytes(100000)];
+    const content = Buffer.concat(chunks);
+
+    const result = await uploadStorage.receive(Readable.from(chunks), 'report.pdf');
+
+    expect(result).to.include({
+      size: content.length,
+      hash: crypto.createHash('sha256').update(content).digest('hex'),
+      mimeType: 'application/pdf',
+      fileType: 'pdf'
+    });
+    expect(path.dirname(result.path)).to.equal(directory);
+    expect(fs.readFileSync(result.path).equals(content)).to.be.true;
+  });
+
+  it('should remove the file when the upload fails', async () => {
+    const failing = new Readable({
+      read() {
+        this.push(Buffer.from('partial'));
+        this.destroy(new Error('connection reset'));
+      }
+    });
+
+    try {
+      await uploadStorage.receive(failing, 'notes.txt');
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.equal('connection reset');
+    }
+    expect(fs.readdirSync(directory)).to.deep.equal([]);
+  });
+
+  it('should act as a multer storage engine', (done) => {
+    uploadStorage._handleFile({}, { stream: Readable.from([Buffer.from('{"a":1}')]), originalname: 'data.json' }, (error, file) => {
+      expect(error).to.be.null;
+      expect(file).to.include({ size: 7, fileType: 'json' });
+
+      uploadStorage._removeFile({}, file, () => {
+        expect(fs.existsSync(file.path)).to.be.false;
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const vaultService = require('../services/vaultService');
+const keyProtection = require('../services/keyProtection');
+const keyBackends = require('../services/keyBackends');
+const tpmService = require('../services/tpmService');
+
+describe('Vault Service', () => {
+  let sandbox;
+  let vaultPath;
+
+  beforeEach(async () => {
+    sandbox = sinon.createSandbox();
+    vaultPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vault-'));
+    sandbox.stub(vaultService, 'getVaultPath').returns(vaultPath);
+    sandbox.stub(vaultService, 'getSealingBackend').resolves(null);
+    sandbox.stub(keyProtection, 'getSettings').returns({ kekSource: 'passphrase', passphrase: 'test', iterations: 1000 });
+    keyProtection.kek = null;
+    vaultService.lock();
+  });
+
+  afterEach(async () => {
+    sandbox.restore();
+    keyProtection.kek = null;
+    vaultService.lock();
+    await fs.rm(vaultPath, { recursive: true, force: true });
+  });
+
+  describe('createVault', () => {
+    it('should write the prototype manifest and directories', async () => {
+      await vaultService.createVault();
+      const manifest = JSON.parse(await fs.readFile(path.join(vaultPath, 'manifest.json'), 'utf8'));
+
+      expect(manifest).to.include({
+        version: '1.0.0',
+        keyDerivationMethod: 'TPM2_KDF',
+        encryptionAlgorithm: 'AES-256-GCM'
+      });
+      expect(manifest.root.protection).to.equal('key-protection');
+      expect((await fs.stat(path.join(vaultPath, 'tpm-wrapped'))).isDirectory()).to.be.true;
+    });
+
+    it('should seal the root secret when a TPM can seal', async () => {
+      const backend = keyBackends.getBackend('tpm-simulator');
+      sandbox.stub(backend, 'sealData').resolves(true);
+      vaultService.getSealingBackend.resolves(backend);
+
+      const manifest = await vaultService.createVault();
+
+      expect(manifest.root).to.deep.equal({
+        protection: 'tpm-sealed',
+        backend: 'tpm-simulator',
+        public: 'root.pub',
+        private: 'root.priv'
+      });
+      expect(backend.sealData.firstCall.args[0]).to.have.length(32);
+    });
+
+    it('should refuse to overwrite an existing vault', async () => {
+      await vaultService.createVault();
+
+      try {
+        await vaultService.createVault();
+        expect.fail('createVault should have failed');
+      } catch (error) {
+        expect(error.message).to.include('Vault already exists');
+      }
+    });
+  });
+
+  describe('wrapKey and unwrapKey', () => {
+    it('should round-trip a key after the root is locked', async () => {
+      const wrapped = await vaultService.wrapKey('alpha', 'deadbeef', await generatePublicKey());
+      vaultService.lock();
+
+      expect(await vaultService.unwrapKey(wrapped.keyId)).to.equal('deadbeef');
+    });
+
+    it('should not store key material in clear', async () => {
+      const wrapped = await vaultService.wrapKey('alpha', 'deadbeef', await generatePublicKey());
+      const file = await fs.readFile(path.join(vaultPath, 'tpm-wrapped', `${wrapped.keyId}.json`), 'utf8');
+
+      expect(file).to.not.include('deadbeef');
+      expect(JSON.parse(file).encryptedData.algorithm).to.equal('AES-256-GCM');
+    });
+
+    it('should reject envelopes renamed to another key', async () => {
+      const wrapped = await vaultService.wrapKey('alpha', 'deadbeef', await generatePublicKey());
+      const file = path.join(vaultPath, 'tpm-wrapped', `${wrapped.keyId}.json`);
+      const envelope = JSON.parse(await fs.readFile(file, 'utf8'));
+      envelope.keyName = 'beta';
+      await fs.writeFile(file, JSON.stringify(envelope));
+
+      try {
+        await vaultService.unwrapKey(wrapped.keyId);
+        expect.fail('unwrapKey should have failed');
+      } catch (error) {
+        expect(error.message).to.include('Could not unwrap vault key');
+      }
+    });
+
+    it('should reject key ids that are not vault ids', async () => {
+      try {
+        await vaultService.unwrapKey('../manifest');
+        expect.fail('unwrapKey should have failed');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid vault key id: ../manifest');
+      }
+    });
+  });
+
+  describe('listKeys and deleteKey', () => {
+    it('should list wrapped keys without ciphertext and remove them', async () => {
+      const first = await vaultService.generateKey('first');
+      await vaultService.generateKey('second');
+
+      const keys = await vaultService.listKeys();
+      expect(keys.map(key => key.keyName)).to.deep.equal(['first', 'second']);
+      expect(keys[0]).to.not.have.property('encryptedData');
+
+      await vaultService.deleteKey(first.keyId);
+      const index = JSON.parse(await fs.readFile(path.join(vaultPath, 'metadata', 'index.json'), 'utf8'));
+
+      expect((await vaultService.listKeys()).map(key => key.keyName)).to.deep.equal(['second']);
+      expect(index.keys).to.have.all.keys('second');
+    });
+  });
+
+  describe('index updates', () => {
+    it('should keep every key when keys are added and removed concurrently', async () => {
+      const names = ['one', 'two', 'three', 'four', 'five'];
+      const keys = await Promise.all(names.map(name => vaultService.generateKey(name)));
+      await Promise.all([
+        vaultService.deleteKey(keys[0].keyId),
+        vaultService.generateKey('six'),
+        vaultService.generateKey('seven')
+      ]);
+
+      const index = JSON.parse(await fs.readFile(path.join(vaultPath, 'metadata', 'index.json'), 'utf8'));
+      expect(index.keys).to.have.all.keys('two', 'three', 'four', 'five', 'six', 'seven');
+      expect(await fs.readdir(path.join(vaultPath, 'metadata'))).to.deep.equal(['index.json']);
+    });
+
+    it('should wrap only one of two keys with the same name', async () => {
+      const results = await Promise.allSettled([vaultService.generateKey('same'), vaultService.generateKey('same')]);
+
+      expect(results.map(result => result.status).sort()).to.deep.equal(['fulfilled', 'rejected']);
+      expect(results.find(result => result.reason).reason.message).to.equal('Vault key already exists: same');
+      expect(await vaultService.listKeys()).to.have.lengthOf(1);
+    });
+  });
+
+  describe('prototype envelopes', () => {
+    const prototypeVault = path.join(__dirname, '..', 'scripts', 'vault');
+    const prototypeFile = 'scale-test-key-2-20250810085949.json';
+
+    // Wrapped the way scripts/test-tpm-scalability-fixed.ps1 does, with an IV that is not the one used
+    function wrapLikePrototype(keyName, plaintext, algorithm, publicKeyBlob) {
+      const wrappingKey = crypto.createHash('sha256').update(`TPM_SRK_SIMULATION_${keyName}`).digest();
+      const cipher = crypto.createCipheriv('aes-256-cbc', wrappingKey, crypto.randomBytes(16));
+      return {
+        iv: crypto.randomBytes(16).toString('base64'),
+        algorithm,
+        wrappedKeyBlob: Buffer.concat([cipher.update(plaintext), cipher.final()]).toString('base64'),
+        created: '2025-08-10 09:00:00',
+        keyName,
+        metadata: { purpose: 'scalability-test' },
+        keyId: crypto.randomUUID(),
+        wrapMethod: 'AES-256-TPM-Simulated',
+        publicKeyBlob
+      };
+    }
+
+    function rsaXml(jwk, fields) {
+      const elements = fields.map(([name, element]) =>
+        `<${element}>${Buffer.from(jwk[name], 'base64url').toString('base64')}</${element}>`);
+      return `<RSAKeyValue>${elements.join('')}</RSAKeyValue>`;
+    }
+
+    beforeEach(async () => {
+      await fs.mkdir(path.join(vaultPath, 'tpm-wrapped'));
+      await fs.copyFile(path.join(prototypeVault, 'manifest.json'), path.join(vaultPath, 'manifest.json'));
+      await fs.copyFile(path.join(prototypeVault, 'tpm-wrapped', prototypeFile), path.join(vaultPath, 'tpm-wrapped', prototypeFile));
+    });
+
+    async function writeEnvelope(envelope) {
+      await fs.writeFile(path.join(vaultPath, 'tpm-wrapped', `${envelope.keyName}-20250810090000.json`), JSON.stringify(envelope));
+    }
+
+    it('should list and unwrap the keys of the prototype scripts', async () => {
+      const [key] = await vaultService.listKeys();
+
+      expect(key).to.include({ keyName: 'scale-test-key-2', algorithm: 'ES256', created: '2025-08-10 08:59:49' });
+      expect(key.metadata.wrapMethod).to.equal('AES-256-TPM-Simulated');
+
+      const privateKey = await vaultService.unwrapKey(key.keyId);
+      const signature = crypto.sign('sha256', Buffer.from('prototype'), privateKey);
+      expect(crypto.verify('sha256', Buffer.from('prototype'), key.publicKey, signature)).to.be.true;
+    });
+
+    it('should unwrap RSA keys saved as XML', async () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const jwk = privateKey.export({ format: 'jwk' });
+      const publicXml = rsaXml(jwk, [['n', 'Modulus'], ['e', 'Exponent']]);
+      const privateXml = rsaXml(jwk, [['n', 'Modulus'], ['e', 'Exponent'], ['p', 'P'], ['q', 'Q'],
+        ['dp', 'DP'], ['dq', 'DQ'], ['qi', 'InverseQ'], ['d', 'D']]);
+      const envelope = wrapLikePrototype('rsa-key', Buffer.from(privateXml), 'RSA-2048', Buffer.from(publicXml).toString('base64'));
+      await writeEnvelope(envelope);
+
+      const key = (await vaultService.listKeys()).find(listed => listed.keyId === envelope.keyId);
+      const unwrapped = await vaultService.unwrapKey(envelope.keyId);
+
+      expect(key.algorithm).to.equal('RS256');
+      expect(key.publicKey).to.equal(crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }));
+      expect(crypto.createPrivateKey(unwrapped).export({ format: 'jwk' })).to.deep.equal(jwk);
+    });
+
+    it('should reject prototype keys that do not match their public key', async () => {
+      const original = JSON.parse(await fs.readFile(path.join(prototypeVault, 'tpm-wrapped', prototypeFile), 'utf8'));
+      const other = JSON.parse(await fs.readFile(path.join(prototypeVault, 'tpm-wrapped', 'scale-test-key-3-20250810085949.json'), 'utf8'));
+      const envelope = { ...original, keyId: crypto.randomUUID(), publicKeyBlob: other.publicKeyBlob };
+      await writeEnvelope(envelope);
+
+      try {
+        await vaultService.unwrapKey(envelope.keyId);
+        expect.fail('unwrapKey should have failed');
+      } catch (error) {
+        expect(error.message).to.equal(`Could not unwrap vault key ${envelope.keyId}`);
+      }
+    });
+
+    it('should delete prototype keys by key id', async () => {
+      const [key] = await vaultService.listKeys();
+
+      await vaultService.deleteKey(key.keyId);
+
+      expect(await vaultService.listKeys()).to.deep.equal([]);
+    });
+  });
+
+  describe('vault backend', () => {
+    it('should create, sign with and verify a vault key', async () => {
+      const keyData = await tpmService.createES256KeyPair('vaultKey', 'vault');
+      const key = { tpmHandle: keyData.handle, publicKey: keyData.publicKey, backend: keyData.backend };
+      const documentHash = tpmService.calculateHash('vault test');
+
+      const signature = await tpmService.signDocument(documentHash, key);
+
+      expect(keyData).to.include({ backend: 'vault', inTPM: false, privateKey: null });
+      expect(await tpmService.verifySignature(documentHash, signature, key.publicKey, 'vault')).to.be.true;
+    });
+  });
+
+  async function generatePublicKey() {
+    const keyData = await keyBackends.getBackend('software').createKey('public');
+    return keyData.publicKey;
+  }
+});